@@ -34,11 +34,39 @@ iconFiles.forEach((file) => {
 });
 
 // Copy services directory
-if (!existsSync("dist/services")) {
-  mkdirSync("dist/services", { recursive: true });
+if (!existsSync("dist/services/providers")) {
+  mkdirSync("dist/services/providers", { recursive: true });
 }
 
-const serviceFiles = ["gpt-service.js", "lighthouse-service.js"];
+const serviceFiles = [
+  "gpt-service.js",
+  "key-vault.js",
+  "api-client.js",
+  "usage-tracker.js",
+  "lighthouse-service.js",
+  "conversation-store.js",
+  "serial-queue.js",
+  "token-budget.js",
+  "audit-rules.js",
+  "audit-history.js",
+  "audit-profiles.js",
+  "audit-stats.js",
+  "web-vitals.js",
+  "network-recorder.js",
+  "har.js",
+  "console-log-store.js",
+  "tab-resolver.js",
+  "debugger-session.js",
+  "early-error-capture.js",
+  "content-extractor.js",
+  "page-retrieval.js",
+  "providers/index.js",
+  "providers/base-provider.js",
+  "providers/openai-provider.js",
+  "providers/azure-provider.js",
+  "providers/anthropic-provider.js",
+  "providers/ollama-provider.js",
+];
 serviceFiles.forEach((file) => {
   if (existsSync(`src/services/${file}`)) {
     copyFileSync(`src/services/${file}`, `dist/services/${file}`);
@@ -46,6 +74,19 @@ serviceFiles.forEach((file) => {
   }
 });
 
+// Copy content scripts (registered at runtime by EarlyErrorCapture)
+if (!existsSync("dist/content")) {
+  mkdirSync("dist/content", { recursive: true });
+}
+
+const contentFiles = ["early-errors.js", "early-errors-relay.js"];
+contentFiles.forEach((file) => {
+  if (existsSync(`src/content/${file}`)) {
+    copyFileSync(`src/content/${file}`, `dist/content/${file}`);
+    console.log(`✅ Copied content/${file}`);
+  }
+});
+
 // Move HTML files to root
 if (existsSync("dist/src/popup/index.html")) {
   copyFileSync("dist/src/popup/index.html", "dist/popup.html");
@@ -57,6 +98,21 @@ if (existsSync("dist/src/gpt-popup/index.html")) {
   console.log("✅ Moved gpt-popup.html to root");
 }
 
+if (existsSync("dist/src/audit-history/index.html")) {
+  copyFileSync("dist/src/audit-history/index.html", "dist/audit-history.html");
+  console.log("✅ Moved audit-history.html to root");
+}
+
+if (existsSync("dist/src/settings/index.html")) {
+  copyFileSync("dist/src/settings/index.html", "dist/settings.html");
+  console.log("✅ Moved settings.html to root");
+}
+
+if (existsSync("dist/src/usage/index.html")) {
+  copyFileSync("dist/src/usage/index.html", "dist/usage.html");
+  console.log("✅ Moved usage.html to root");
+}
+
 // Copy API files
 if (!existsSync("dist/api")) {
   mkdirSync("dist/api", { recursive: true });
@@ -64,7 +120,8 @@ if (!existsSync("dist/api")) {
 
 if (existsSync("src/api/console-logs.html")) {
   copyFileSync("src/api/console-logs.html", "dist/api/console-logs.html");
-  console.log("✅ Copied src/api/console-logs.html");
+  copyFileSync("src/api/console-logs.js", "dist/api/console-logs.js");
+  console.log("✅ Copied src/api/console-logs.html and console-logs.js");
 }
 
 console.log("🎉 Build completed successfully!");
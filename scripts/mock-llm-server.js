@@ -0,0 +1,249 @@
+// Mock LLM server for local development and tests
+// Speaks enough of each provider's API for the extension to talk to it:
+//
+//   OpenAI-compatible  baseUrl http://localhost:8787/v1
+//   Azure OpenAI       baseUrl http://localhost:8787  (any deployment)
+//   Anthropic          baseUrl http://localhost:8787/v1
+//   Ollama             baseUrl http://localhost:8787
+//
+// Usage: npm run mock:llm [-- --port 8787]
+import { createServer } from "http";
+
+const portArg = process.argv.indexOf("--port");
+const PORT = portArg > 0 ? Number(process.argv[portArg + 1]) : 8787;
+const MODELS = ["mock-gpt", "mock-claude", "mock-llama"];
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const lastUserText = (messages = []) => {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) return "";
+  return typeof last.content === "string"
+    ? last.content
+    : JSON.stringify(last.content);
+};
+
+const buildReply = (messages) =>
+  `Mock reply to: ${lastUserText(messages).slice(0, 200)}`;
+
+const words = (text) => text.match(/\S+\s*/g) || [];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stream pieces with a small delay so the UI shows them arriving
+const streamPieces = async (res, contentType, pieces) => {
+  res.writeHead(200, {
+    "Content-Type": contentType,
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+  });
+  for (const piece of pieces) {
+    res.write(piece);
+    await sleep(30);
+  }
+  res.end();
+};
+
+const sse = (payload, event) =>
+  `${event ? `event: ${event}\n` : ""}data: ${
+    typeof payload === "string" ? payload : JSON.stringify(payload)
+  }\n\n`;
+
+async function handleOpenAIChat(req, res, model) {
+  const body = await readJson(req);
+  const reply = buildReply(body.messages);
+  const usage = {
+    prompt_tokens: 10,
+    completion_tokens: words(reply).length,
+    total_tokens: 10 + words(reply).length,
+  };
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id: "chatcmpl-mock",
+      object: "chat.completion",
+      model: body.model || model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: reply },
+          finish_reason: "stop",
+        },
+      ],
+      usage,
+    });
+  }
+
+  const pieces = words(reply).map((word) =>
+    sse({ choices: [{ index: 0, delta: { content: word } }] })
+  );
+  if (body.stream_options?.include_usage) {
+    pieces.push(sse({ choices: [], usage }));
+  }
+  pieces.push(sse("[DONE]"));
+  return streamPieces(res, "text/event-stream", pieces);
+}
+
+async function handleAnthropic(req, res) {
+  const body = await readJson(req);
+  const reply = buildReply(body.messages);
+
+  if (!req.headers["x-api-key"]) {
+    return sendJson(res, 401, {
+      type: "error",
+      error: { type: "authentication_error", message: "missing x-api-key" },
+    });
+  }
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id: "msg_mock",
+      type: "message",
+      role: "assistant",
+      model: body.model,
+      content: [{ type: "text", text: reply }],
+      stop_reason: "end_turn",
+      usage: { input_tokens: 10, output_tokens: words(reply).length },
+    });
+  }
+
+  const pieces = [
+    sse(
+      {
+        type: "message_start",
+        message: { id: "msg_mock", usage: { input_tokens: 10 } },
+      },
+      "message_start"
+    ),
+    ...words(reply).map((word) =>
+      sse(
+        {
+          type: "content_block_delta",
+          index: 0,
+          delta: { type: "text_delta", text: word },
+        },
+        "content_block_delta"
+      )
+    ),
+    sse(
+      {
+        type: "message_delta",
+        delta: { stop_reason: "end_turn" },
+        usage: { output_tokens: words(reply).length },
+      },
+      "message_delta"
+    ),
+    sse({ type: "message_stop" }, "message_stop"),
+  ];
+  return streamPieces(res, "text/event-stream", pieces);
+}
+
+async function handleOllamaChat(req, res) {
+  const body = await readJson(req);
+  const reply = buildReply(body.messages);
+  const stream = body.stream !== false;
+
+  if (!stream) {
+    return sendJson(res, 200, {
+      model: body.model,
+      message: { role: "assistant", content: reply },
+      done: true,
+      prompt_eval_count: 10,
+      eval_count: words(reply).length,
+    });
+  }
+
+  const pieces = words(reply).map(
+    (word) =>
+      JSON.stringify({
+        model: body.model,
+        message: { role: "assistant", content: word },
+        done: false,
+      }) + "\n"
+  );
+  pieces.push(
+    JSON.stringify({
+      model: body.model,
+      message: { role: "assistant", content: "" },
+      done: true,
+      prompt_eval_count: 10,
+      eval_count: words(reply).length,
+    }) + "\n"
+  );
+  return streamPieces(res, "application/x-ndjson", pieces);
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    return res.end();
+  }
+
+  // OpenAI-compatible
+  if (req.method === "POST" && url.pathname === "/v1/chat/completions") {
+    return handleOpenAIChat(req, res, "mock-gpt");
+  }
+  // Azure OpenAI
+  const azure = url.pathname.match(
+    /^\/openai\/deployments\/([^/]+)\/chat\/completions$/
+  );
+  if (req.method === "POST" && azure) {
+    if (!req.headers["api-key"]) {
+      return sendJson(res, 401, {
+        error: { code: "401", message: "missing api-key header" },
+      });
+    }
+    return handleOpenAIChat(req, res, decodeURIComponent(azure[1]));
+  }
+  // Anthropic
+  if (req.method === "POST" && url.pathname === "/v1/messages") {
+    return handleAnthropic(req, res);
+  }
+  // Ollama
+  if (req.method === "POST" && url.pathname === "/api/chat") {
+    return handleOllamaChat(req, res);
+  }
+  if (req.method === "GET" && url.pathname === "/v1/models") {
+    return sendJson(res, 200, {
+      object: "list",
+      data: MODELS.map((id) => ({ id, object: "model" })),
+    });
+  }
+  if (req.method === "GET" && url.pathname === "/api/tags") {
+    return sendJson(res, 200, {
+      models: MODELS.map((name) => ({ name, model: name })),
+    });
+  }
+
+  sendJson(res, 404, { error: { message: `No mock for ${url.pathname}` } });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock LLM server listening on http://localhost:${PORT}`);
+});
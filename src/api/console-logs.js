@@ -0,0 +1,258 @@
+// Console Logs page; loaded as a file because the extension CSP blocks
+// inline scripts and inline event handlers
+
+// Get URL parameters
+const urlParams = new URLSearchParams(window.location.search);
+const action = urlParams.get('action');
+const FILTER_PARAMS = ['level', 'source', 'text', 'regex', 'regexFlags', 'since', 'until', 'limit'];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// API mode answers with plain JSON text; log text, args and stacks come from
+// the inspected page, so they must never be parsed as markup
+function showJson(value) {
+    const pre = document.createElement('pre');
+    pre.textContent = JSON.stringify(value, null, 2);
+    document.body.replaceChildren(pre);
+}
+
+// Tab from ?tabId= or the picker; empty means the active web page
+function getTabId() {
+    const value = urlParams.get('tabId') || document.getElementById('tabPicker').value;
+    return value ? Number(value) : undefined;
+}
+
+async function loadTabs() {
+    const picker = document.getElementById('tabPicker');
+    const response = await chrome.runtime.sendMessage({
+        type: "LIST_WEB_TABS",
+        target: "background"
+    });
+    if (!response || !response.success) return;
+
+    const selected = picker.value || urlParams.get('tabId') || '';
+    picker.innerHTML = '<option value="">🔄 Active web tab</option>' +
+        response.data
+            .map(tab => `<option value="${tab.id}">${escapeHtml(tab.title || tab.url)}</option>`)
+            .join('');
+    picker.value = selected;
+}
+
+// URL parameters win in API mode, otherwise the filter inputs
+function getFilters() {
+    const filters = {};
+    if (action === 'get') {
+        FILTER_PARAMS.forEach(name => {
+            if (urlParams.has(name)) filters[name] = urlParams.get(name);
+        });
+        return filters;
+    }
+
+    const value = id => document.getElementById(id).value.trim();
+    const time = id => value(id) ? new Date(value(id)).toISOString() : '';
+    Object.entries({
+        level: value('filterLevel'),
+        source: value('filterSource'),
+        text: value('filterText'),
+        regex: value('filterRegex'),
+        since: time('filterSince'),
+        until: time('filterUntil'),
+    }).forEach(([name, filterValue]) => {
+        if (filterValue) filters[name] = filterValue;
+    });
+    return filters;
+}
+
+if (!action) {
+    loadTabs();
+    loadEarlyCapture();
+
+    document.getElementById('setupButton').addEventListener('click', setupConsoleLogging);
+    document.getElementById('refreshButton').addEventListener('click', getConsoleLogs);
+    document.getElementById('stopButton').addEventListener('click', stopConsoleLogging);
+    ['filterLevel', 'filterSource', 'filterText', 'filterRegex', 'filterSince', 'filterUntil']
+        .forEach(id => document.getElementById(id).addEventListener('change', getConsoleLogs));
+
+    // Refreshed on focus so tabs opened since the page loaded show up
+    const picker = document.getElementById('tabPicker');
+    picker.addEventListener('focus', loadTabs);
+    picker.addEventListener('change', getConsoleLogs);
+
+    document.getElementById('earlyCaptureSave').addEventListener('click', saveEarlyCapture);
+}
+
+// Errors recorded from document_start on allow-listed origins
+async function loadEarlyCapture() {
+    const response = await chrome.runtime.sendMessage({
+        type: "GET_EARLY_CAPTURE_SETTINGS",
+        target: "background"
+    });
+    if (!response || !response.success) return;
+
+    document.getElementById('earlyCaptureEnabled').checked = response.data.enabled;
+    document.getElementById('earlyCaptureOrigins').value = response.data.origins.join(', ');
+}
+
+async function saveEarlyCapture() {
+    const statusDiv = document.getElementById('status');
+    const response = await chrome.runtime.sendMessage({
+        type: "SET_EARLY_CAPTURE_SETTINGS",
+        target: "background",
+        data: {
+            enabled: document.getElementById('earlyCaptureEnabled').checked,
+            origins: document.getElementById('earlyCaptureOrigins').value
+        }
+    });
+
+    if (response && response.success) {
+        document.getElementById('earlyCaptureOrigins').value = response.data.origins.join(', ');
+        statusDiv.innerHTML = '<div class="status success">✅ Early error capture saved (reload the page to start capturing)</div>';
+    } else {
+        statusDiv.innerHTML = `<div class="status error">❌ Save failed: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+    }
+}
+
+// Auto-execute based on URL parameter
+if (action === 'get') {
+    getConsoleLogs();
+} else if (action === 'setup') {
+    setupConsoleLogging();
+}
+
+async function setupConsoleLogging() {
+    const statusDiv = document.getElementById('status');
+    statusDiv.innerHTML = '<div class="status">🔧 Setting up console logging...</div>';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: "SETUP_CONSOLE_LOGGING",
+            target: "background",
+            data: { tabId: getTabId() }
+        });
+
+        if (response && response.success) {
+            statusDiv.innerHTML = '<div class="status success">✅ Console logging setup completed!</div>';
+        } else {
+            statusDiv.innerHTML = `<div class="status error">❌ Setup failed: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+        }
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="status error">❌ Setup error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function stopConsoleLogging() {
+    const statusDiv = document.getElementById('status');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: "STOP_CONSOLE_LOGGING",
+            target: "background",
+            data: { tabId: getTabId() }
+        });
+
+        if (response && response.success) {
+            statusDiv.innerHTML = '<div class="status success">⏹️ Console logging stopped (captured logs are kept)</div>';
+        } else {
+            statusDiv.innerHTML = `<div class="status error">❌ Stop failed: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+        }
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="status error">❌ Stop error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function getConsoleLogs() {
+    const statusDiv = document.getElementById('status');
+    const tabInfoDiv = document.getElementById('tabInfo');
+    const logsDiv = document.getElementById('logsContainer');
+    
+    statusDiv.innerHTML = '<div class="status">🔍 Getting console logs...</div>';
+    logsDiv.innerHTML = '';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: "API_GET_CONSOLE_LOGS",
+            target: "background",
+            data: { tabId: getTabId(), ...getFilters() }
+        });
+
+        if (response && response.success) {
+            const data = response.data;
+            
+            // Show tab info
+            tabInfoDiv.innerHTML = `
+                <div class="tab-info">
+                    <strong>📄 Current Tab:</strong><br>
+                    <strong>Title:</strong> ${escapeHtml(data.tabInfo.title)}<br>
+                    <strong>URL:</strong> ${escapeHtml(data.tabInfo.url)}<br>
+                    <strong>Tab ID:</strong> ${data.tabInfo.id}<br>
+                    <strong>Active:</strong> ${data.tabInfo.active ? 'Yes' : 'No'}<br>
+                    <strong>Matching Logs:</strong> ${data.totalLogs} of ${data.storedLogs ?? data.totalLogs} stored<br>
+                    <strong>Timestamp:</strong> ${new Date(data.timestamp).toLocaleString()}
+                </div>
+            `;
+
+            // Show status
+            statusDiv.innerHTML = `<div class="status success">✅ Retrieved ${data.totalLogs} console logs</div>`;
+            
+            // Show logs
+            if (data.logs && data.logs.length > 0) {
+                data.logs.forEach(log => {
+                    const logDiv = document.createElement('div');
+                    logDiv.className = `log-entry log-${log.source === 'network' ? 'network' : log.level}`;
+                    const location = log.url
+                        ? `<div class="log-location">${escapeHtml(log.url)}:${log.lineNumber ?? ''}</div>`
+                        : '';
+                    const stack = log.stackTrace && log.stackTrace.length
+                        ? `<div class="log-stack">${log.stackTrace
+                            .map(frame => `    at ${escapeHtml(frame.functionName)} (${escapeHtml(frame.url)}:${frame.lineNumber}:${frame.columnNumber})`)
+                            .join('\n')}</div>`
+                        : '';
+                    logDiv.innerHTML = `
+                        <strong>[${new Date(log.timestamp).toLocaleString()}]</strong>
+                        <span style="text-transform: uppercase; font-weight: bold;">${escapeHtml(log.level)} · ${escapeHtml(log.source)}:</span>
+                        ${escapeHtml(log.text)}
+                        ${location}
+                        ${stack}
+                    `;
+                    logsDiv.appendChild(logDiv);
+                });
+            } else {
+                logsDiv.innerHTML = data.storedLogs
+                    ? '<div class="log-entry">No logs match the current filters.</div>'
+                    : '<div class="log-entry">No console logs found. Try setting up console logging first.</div>';
+            }
+
+            // If URL parameter, return JSON for API usage
+            if (action === 'get') {
+                showJson(response);
+            }
+        } else {
+            statusDiv.innerHTML = `<div class="status error">❌ Failed to get logs: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+            
+            if (action === 'get') {
+                showJson(response);
+            }
+        }
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="status error">❌ Error: ${escapeHtml(error.message)}</div>`;
+        
+        if (action === 'get') {
+            showJson({ success: false, error: error.message });
+        }
+    }
+}
+
+// Auto-refresh every 5 seconds if not in API mode
+if (!action) {
+    setInterval(() => {
+        if (document.getElementById('logsContainer').innerHTML !== '') {
+            getConsoleLogs();
+        }
+    }, 5000);
+}
@@ -0,0 +1,474 @@
+import React, { useState, useEffect } from "react";
+
+interface HistoryPage {
+  key: string;
+  url: string;
+  title: string;
+  runCount: number;
+  lastRunAt: number;
+  regressed: boolean;
+}
+
+interface Regression {
+  type: "budget" | "drop";
+  metric: string;
+  value: number;
+  limit?: number;
+  previous?: number;
+  drop?: number;
+}
+
+interface AuditRun {
+  timestamp: number;
+  url: string;
+  profile: string | null;
+  partial: boolean;
+  scores: Record<string, number | null>;
+  metrics: Record<string, number | null>;
+  regressions: Regression[];
+}
+
+interface Budgets {
+  metrics: Record<string, number>;
+  scores: Record<string, number>;
+  maxScoreDrop: number;
+}
+
+interface ChartConfig {
+  key: string;
+  source: "scores" | "metrics";
+  label: string;
+  unit: string;
+}
+
+const CHARTS: ChartConfig[] = [
+  { key: "performance", source: "scores", label: "Performance score", unit: "" },
+  { key: "firstContentfulPaint", source: "metrics", label: "FCP", unit: "ms" },
+  { key: "largestContentfulPaint", source: "metrics", label: "LCP", unit: "ms" },
+  { key: "cumulativeLayoutShift", source: "metrics", label: "CLS", unit: "" },
+  { key: "loadTime", source: "metrics", label: "Load time", unit: "ms" },
+];
+
+const BUDGET_FIELDS: ChartConfig[] = [
+  ...CHARTS.filter((c) => c.source === "metrics"),
+  { key: "performance", source: "scores", label: "Performance (min)", unit: "" },
+  { key: "accessibility", source: "scores", label: "Accessibility (min)", unit: "" },
+  { key: "bestPractices", source: "scores", label: "Best Practices (min)", unit: "" },
+  { key: "seo", source: "scores", label: "SEO (min)", unit: "" },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const PADDING = { top: 15, right: 15, bottom: 25, left: 50 };
+
+const formatValue = (value: number, unit: string): string => {
+  if (unit === "ms") return `${Math.round(value)}ms`;
+  return Number.isInteger(value) ? `${value}` : value.toFixed(3);
+};
+
+const formatDate = (timestamp: number): string =>
+  new Date(timestamp).toLocaleString("vi-VN", {
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const TrendChart: React.FC<{
+  config: ChartConfig;
+  runs: AuditRun[];
+  budget?: number;
+}> = ({ config, runs, budget }) => {
+  const points = runs
+    .map((run, index) => ({
+      index,
+      run,
+      value: run[config.source][config.key],
+      flagged: run.regressions.some((r) => r.metric === config.key),
+    }))
+    .filter((p): p is typeof p & { value: number } => p.value !== null);
+
+  if (points.length === 0) {
+    return (
+      <div className="card">
+        <h3 className="font-semibold text-gray-900 mb-2">{config.label}</h3>
+        <p className="text-sm text-gray-500">Chưa có dữ liệu</p>
+      </div>
+    );
+  }
+
+  // Scores share a fixed 0-100 axis so charts are comparable
+  const values = points.map((p) => p.value);
+  const yMax =
+    config.source === "scores"
+      ? 100
+      : Math.max(...values, budget ?? 0) * 1.1 || 1;
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index: number) =>
+    PADDING.left +
+    (runs.length > 1 ? (index / (runs.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value: number) =>
+    PADDING.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight;
+
+  const latest = points[points.length - 1];
+
+  return (
+    <div className="card">
+      <div className="flex items-baseline justify-between mb-2">
+        <h3 className="font-semibold text-gray-900">{config.label}</h3>
+        <span className="text-sm text-gray-600">
+          Mới nhất: {formatValue(latest.value, config.unit)}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`${config.label} trend`}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={CHART_WIDTH - PADDING.right}
+              y1={y(yMax * fraction)}
+              y2={y(yMax * fraction)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={PADDING.left - 6}
+              y={y(yMax * fraction) + 4}
+              textAnchor="end"
+              fontSize="11"
+              fill="#6b7280"
+            >
+              {formatValue(
+                config.unit === "ms"
+                  ? yMax * fraction
+                  : Math.round(yMax * fraction * 1000) / 1000,
+                config.unit
+              )}
+            </text>
+          </g>
+        ))}
+        {budget !== undefined && (
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={y(budget)}
+            y2={y(budget)}
+            stroke="#ef4444"
+            strokeDasharray="6 4"
+          >
+            <title>Budget: {formatValue(budget, config.unit)}</title>
+          </line>
+        )}
+        <polyline
+          fill="none"
+          stroke="#4f46e5"
+          strokeWidth="2"
+          points={points.map((p) => `${x(p.index)},${y(p.value)}`).join(" ")}
+        />
+        {points.map((p) => (
+          <circle
+            key={p.run.timestamp}
+            cx={x(p.index)}
+            cy={y(p.value)}
+            r={p.flagged ? 5 : 3.5}
+            fill={p.flagged ? "#ef4444" : "#4f46e5"}
+          >
+            <title>
+              {formatDate(p.run.timestamp)}: {formatValue(p.value, config.unit)}
+              {p.flagged ? " (regression)" : ""}
+            </title>
+          </circle>
+        ))}
+        <text
+          x={PADDING.left}
+          y={CHART_HEIGHT - 6}
+          fontSize="11"
+          fill="#6b7280"
+        >
+          {formatDate(runs[0].timestamp)}
+        </text>
+        <text
+          x={CHART_WIDTH - PADDING.right}
+          y={CHART_HEIGHT - 6}
+          textAnchor="end"
+          fontSize="11"
+          fill="#6b7280"
+        >
+          {formatDate(runs[runs.length - 1].timestamp)}
+        </text>
+      </svg>
+    </div>
+  );
+};
+
+const AuditHistoryApp: React.FC = () => {
+  const [pages, setPages] = useState<HistoryPage[]>([]);
+  const [selectedUrl, setSelectedUrl] = useState<string | null>(
+    new URLSearchParams(window.location.search).get("url")
+  );
+  const [runs, setRuns] = useState<AuditRun[]>([]);
+  const [budgets, setBudgets] = useState<Budgets | null>(null);
+  const [budgetDraft, setBudgetDraft] = useState<Record<string, string>>({});
+  const [message, setMessage] = useState<string>("");
+  const [profileFilter, setProfileFilter] = useState<string>("");
+
+  useEffect(() => {
+    loadPages();
+  }, []);
+
+  useEffect(() => {
+    if (selectedUrl) {
+      loadHistory(selectedUrl);
+    }
+  }, [selectedUrl]);
+
+  const loadPages = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "LIST_AUDIT_HISTORY",
+      });
+      if (response && response.success) {
+        setPages(response.data);
+        setSelectedUrl((current) => current || response.data[0]?.url || null);
+      }
+    } catch (error) {
+      console.error("Failed to load audit history:", error);
+    }
+  };
+
+  const loadHistory = async (url: string): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_AUDIT_HISTORY",
+        data: { url },
+      });
+      if (response && response.success) {
+        setRuns(response.data.runs);
+        // Default to the profile of the latest run; mixing profiles in one
+        // chart would show throttling differences as trends
+        const latest = response.data.runs[response.data.runs.length - 1];
+        setProfileFilter(latest?.profile || "");
+        setBudgets(response.data.budgets);
+        setBudgetDraft(toDraft(response.data.budgets));
+      }
+    } catch (error) {
+      console.error("Failed to load audit runs:", error);
+    }
+  };
+
+  const toDraft = (value: Budgets): Record<string, string> => {
+    const draft: Record<string, string> = {
+      maxScoreDrop: String(value.maxScoreDrop),
+    };
+    BUDGET_FIELDS.forEach((field) => {
+      const limit = value[field.source][field.key];
+      draft[`${field.source}.${field.key}`] =
+        limit === undefined ? "" : String(limit);
+    });
+    return draft;
+  };
+
+  const saveBudgets = async (): Promise<void> => {
+    if (!selectedUrl) return;
+
+    const next: Budgets = {
+      metrics: {},
+      scores: {},
+      maxScoreDrop: Number(budgetDraft.maxScoreDrop) || 10,
+    };
+    BUDGET_FIELDS.forEach((field) => {
+      const raw = budgetDraft[`${field.source}.${field.key}`]?.trim();
+      if (raw && !Number.isNaN(Number(raw))) {
+        next[field.source][field.key] = Number(raw);
+      }
+    });
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_AUDIT_BUDGETS",
+        data: { url: selectedUrl, budgets: next },
+      });
+      if (response && response.success) {
+        setBudgets(response.data);
+        setMessage("✅ Đã lưu budget");
+        setTimeout(() => setMessage(""), 3000);
+      }
+    } catch (error) {
+      console.error("Failed to save budgets:", error);
+      setMessage("❌ Không lưu được budget");
+    }
+  };
+
+  const clearHistory = async (): Promise<void> => {
+    if (!selectedUrl) return;
+    if (!window.confirm("Xóa toàn bộ lịch sử audit của trang này?")) return;
+
+    await chrome.runtime.sendMessage({
+      type: "CLEAR_AUDIT_HISTORY",
+      data: { url: selectedUrl },
+    });
+    setRuns([]);
+    setSelectedUrl(null);
+    loadPages();
+  };
+
+  const describeRegression = (r: Regression): string =>
+    r.type === "drop"
+      ? `${r.metric} giảm ${r.drop} điểm (${r.previous} → ${r.value})`
+      : `${r.metric} = ${r.value} vượt budget ${r.limit}`;
+
+  const profiles = Array.from(new Set(runs.map((r) => r.profile || "")));
+  const visibleRuns = runs.filter(
+    (r) => (r.profile || "") === profileFilter
+  );
+  const regressedRuns = [...visibleRuns]
+    .reverse()
+    .filter((r) => r.regressions.length);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <header className="bg-gradient-to-r from-indigo-600 via-purple-600 to-blue-600 text-white shadow-xl p-4">
+        <h1 className="text-xl font-bold text-shadow">📈 Audit History</h1>
+        <p className="text-sm text-white/80">
+          Xu hướng Lighthouse theo từng trang, budget và cảnh báo regression
+        </p>
+      </header>
+
+      <main className="max-w-5xl mx-auto p-4 space-y-4">
+        <section className="card flex flex-wrap items-center gap-3">
+          <select
+            value={selectedUrl || ""}
+            onChange={(e) => setSelectedUrl(e.target.value || null)}
+            className="input-field flex-1"
+          >
+            {pages.length === 0 && <option value="">Chưa có audit nào</option>}
+            {selectedUrl && !pages.some((p) => p.url === selectedUrl) && (
+              <option value={selectedUrl}>{selectedUrl}</option>
+            )}
+            {pages.map((p) => (
+              <option key={p.key} value={p.url}>
+                {p.regressed ? "📉 " : ""}
+                {p.key} ({p.runCount})
+              </option>
+            ))}
+          </select>
+          {profiles.length > 0 && (
+            <select
+              value={profileFilter}
+              onChange={(e) => setProfileFilter(e.target.value)}
+              className="input-field w-auto"
+              title="Throttling profile"
+            >
+              {profiles.map((profile) => (
+                <option key={profile} value={profile}>
+                  📱 {profile || "(no profile)"}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            className="btn-danger text-sm"
+            onClick={clearHistory}
+            disabled={!selectedUrl || runs.length === 0}
+          >
+            🗑️ Xóa lịch sử
+          </button>
+        </section>
+
+        {selectedUrl && runs.length === 0 && (
+          <div className="message-info">
+            Chưa có lần audit nào cho trang này. Chạy Lighthouse Audit từ
+            popup để bắt đầu.
+          </div>
+        )}
+
+        {regressedRuns.length > 0 && (
+          <section className="message-error space-y-2">
+            <h2 className="font-semibold">📉 Regressions</h2>
+            {regressedRuns.slice(0, 10).map((run) => (
+              <div key={run.timestamp} className="text-sm">
+                <span className="font-medium">
+                  {formatDate(run.timestamp)}
+                  {run.profile ? ` · ${run.profile}` : ""}:
+                </span>{" "}
+                {run.regressions.map(describeRegression).join("; ")}
+              </div>
+            ))}
+          </section>
+        )}
+
+        {visibleRuns.length > 0 && (
+          <section className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {CHARTS.map((config) => (
+              <TrendChart
+                key={config.key}
+                config={config}
+                runs={visibleRuns}
+                budget={budgets?.[config.source][config.key]}
+              />
+            ))}
+          </section>
+        )}
+
+        {selectedUrl && budgets && (
+          <section className="card space-y-3">
+            <h2 className="text-base font-semibold text-gray-900">
+              Budget cho {new URL(selectedUrl).origin}
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {BUDGET_FIELDS.map((field) => (
+                <label
+                  key={`${field.source}.${field.key}`}
+                  className="text-sm text-gray-700"
+                >
+                  {field.label}
+                  {field.unit ? ` (${field.unit})` : ""}
+                  <input
+                    type="number"
+                    className="input-field mt-1"
+                    value={budgetDraft[`${field.source}.${field.key}`] || ""}
+                    onChange={(e) =>
+                      setBudgetDraft({
+                        ...budgetDraft,
+                        [`${field.source}.${field.key}`]: e.target.value,
+                      })
+                    }
+                  />
+                </label>
+              ))}
+              <label className="text-sm text-gray-700">
+                Giảm tối đa (điểm)
+                <input
+                  type="number"
+                  className="input-field mt-1"
+                  value={budgetDraft.maxScoreDrop || ""}
+                  onChange={(e) =>
+                    setBudgetDraft({
+                      ...budgetDraft,
+                      maxScoreDrop: e.target.value,
+                    })
+                  }
+                />
+              </label>
+            </div>
+            <div className="flex items-center gap-3">
+              <button className="btn-primary text-sm" onClick={saveBudgets}>
+                Lưu budget
+              </button>
+              {message && (
+                <span className="text-sm text-gray-600">{message}</span>
+              )}
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AuditHistoryApp;
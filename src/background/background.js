@@ -1,35 +1,276 @@
 // Background service worker for GPT Chrome Extension
-import { GPTService } from "../services/gpt-service.js";
+import { DEFAULT_SETTINGS, GPTService } from "../services/gpt-service.js";
+import { KeyVault } from "../services/key-vault.js";
 import { LighthouseService } from "../services/lighthouse-service.js";
+import { AuditHistoryStore } from "../services/audit-history.js";
+import { NetworkRecorder } from "../services/network-recorder.js";
+import { DebuggerSessionManager } from "../services/debugger-session.js";
+import {
+  EarlyErrorCapture,
+  earlyCaptureEntry,
+} from "../services/early-error-capture.js";
+import { buildHar, parseHar, summarizeHar } from "../services/har.js";
+import { extractPageContent } from "../services/content-extractor.js";
+import {
+  ConsoleLogStore,
+  consoleEntryFromEvent,
+} from "../services/console-log-store.js";
+import {
+  DEFAULT_AUDIT_PROFILE,
+  listAuditProfiles,
+} from "../services/audit-profiles.js";
+import { PROVIDER_TYPES } from "../services/providers/index.js";
+import {
+  DEFAULT_PRICES,
+  DEFAULT_USAGE_BUDGET,
+} from "../services/usage-tracker.js";
+import {
+  describeTab,
+  listWebTabs,
+  resolveTab,
+} from "../services/tab-resolver.js";
+
+// Limits for recorded sessions (HAR export)
+const MAX_SESSION_CONSOLE_ENTRIES = 2000;
+const MAX_SESSION_BODY_BYTES = 1024 * 1024;
+
+// Name console logging registers under with the debugger session manager
+const CONSOLE_LOGGING_CONSUMER = "console-logging";
+
+// Uncaught errors included in the debug analysis
+const MAX_ANALYSIS_JS_ERRORS = 50;
+
+// Right-click menu under one "GPT Assistant" entry. Each item opens the chat
+// pinned to the tab, with the selection attached, and runs its command there.
+const CONTEXT_MENU_ROOT = "gpt-assistant";
+const CONTEXT_MENU_ITEMS = [
+  {
+    id: "gpt-explain",
+    title: 'Explain "%s"',
+    contexts: ["selection"],
+    command: "/explain",
+  },
+  {
+    id: "gpt-summarize",
+    title: "Summarize selection",
+    contexts: ["selection"],
+    command: "/summarize",
+  },
+  {
+    id: "gpt-translate",
+    title: "Translate selection",
+    contexts: ["selection"],
+    command: "/translate",
+  },
+  {
+    id: "gpt-rewrite",
+    title: "Rewrite selection",
+    contexts: ["selection"],
+    command: "/rewrite",
+  },
+  { id: "gpt-separator", type: "separator", contexts: ["selection"] },
+  {
+    id: "gpt-analyze-page",
+    title: "Analyze page",
+    contexts: ["page", "selection"],
+    command: "/analyze",
+  },
+  {
+    id: "gpt-debug-page",
+    title: "Debug page",
+    contexts: ["page", "selection"],
+    command: "/debug",
+  },
+  {
+    id: "gpt-audit-page",
+    title: "Audit page (Lighthouse)",
+    contexts: ["page", "selection"],
+    command: "/audit",
+  },
+];
+
+// Pending context-menu actions wait in session storage until the chat
+// window that was opened for them picks them up
+const CHAT_ACTION_PREFIX = "chat_action:";
+
+// jsErrors of the debug analysis from stored exception entries
+function toJsErrors(entries) {
+  return entries
+    .filter((entry) => entry.source === "exception")
+    .map((entry, index) => ({
+      index: index + 1,
+      message: entry.text,
+      timestamp: entry.timestamp,
+      type: entry.type,
+    }));
+}
 
 class BackgroundService {
   constructor() {
     this.gptService = new GPTService();
-    this.lighthouseService = new LighthouseService();
+    // Owns the API key; UI pages never receive it
+    this.keyVault = new KeyVault();
+    // One debugger attachment per tab, shared by console logging and audits
+    this.debuggerSessions = new DebuggerSessionManager();
+    this.lighthouseService = new LighthouseService(this.debuggerSessions);
+    this.auditHistory = new AuditHistoryStore();
+    this.networkRecorder = new NetworkRecorder();
+    this.consoleLogStore = new ConsoleLogStore();
+    this.earlyErrorCapture = new EarlyErrorCapture();
+    // tabId -> recorded session (see START_SESSION_RECORDING)
+    this.sessionRecordings = {};
+    this.conversationStore = this.gptService.conversationStore;
+    this.usageTracker = this.gptService.usageTracker;
     this.init();
   }
 
   async init() {
     this.setupMessageHandlers();
+    this.setupTabCleanup();
+    this.setupContextMenus();
+    this.earlyErrorCapture
+      .sync()
+      .catch((error) =>
+        console.error("Failed to register early error capture:", error)
+      );
     await this.initializeGPTService();
   }
 
   async initializeGPTService() {
     try {
-      const apiKey = await this.getStoredApiKey();
-      if (apiKey) {
-        await this.gptService.setApiKey(apiKey);
-      }
+      await this.gptService.initialize(await this.keyVault.getKey());
     } catch (error) {
       console.error("Failed to initialize GPT service:", error);
     }
   }
 
+  // Drop in-memory capture of closed tabs. A recording keeps its requests
+  // until it is stopped so the HAR can still be saved.
+  setupTabCleanup() {
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      if (!this.sessionRecordings[tabId]) {
+        this.networkRecorder.clear(tabId);
+      }
+      // The id may be handed to another tab later; its logs must not be
+      this.consoleLogStore
+        .clear(tabId)
+        .catch((error) => console.warn("Failed to clear console logs:", error));
+    });
+
+    // Tab ids restart after a browser restart, so stored logs would be
+    // attributed to unrelated pages
+    chrome.runtime.onStartup.addListener(() => {
+      this.consoleLogStore
+        .clearAll()
+        .catch((error) => console.warn("Failed to clear console logs:", error));
+    });
+  }
+
   setupMessageHandlers() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       this.handleMessage(message, sender, sendResponse);
       return true; // Keep message channel open for async response
     });
+
+    // Streaming responses use a long-lived port so chunks can flow back
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === "gpt-stream") {
+        this.handleStreamPort(port);
+      }
+    });
+  }
+
+  async ensureApiKey() {
+    // Worker may have restarted since the provider was chosen
+    await this.gptService.loadProviderConfig();
+    await this.gptService.loadSettings();
+
+    // Check if API key is available
+    const apiKey = await this.keyVault.getKey();
+    this.gptService.setApiKey(apiKey);
+    // Local providers such as Ollama run without a key
+    if (apiKey || !this.gptService.provider.requiresApiKey) return;
+
+    const { locked } = await this.keyVault.getStatus();
+    throw new Error(
+      locked
+        ? "API key is locked. Unlock it in the extension popup."
+        : "API key not configured. Please set your API key in the extension popup."
+    );
+  }
+
+  handleStreamPort(port) {
+    let controller = null;
+    let disconnected = false;
+
+    const post = (message) => {
+      if (disconnected) return;
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        console.warn("Failed to post to stream port:", error);
+      }
+    };
+
+    port.onMessage.addListener(async (message) => {
+      switch (message.type) {
+        case "GPT_STREAM_START":
+          if (controller) {
+            post({
+              type: "GPT_STREAM_ERROR",
+              error: "A response is already being generated",
+            });
+            return;
+          }
+
+          controller = new AbortController();
+          try {
+            await this.ensureApiKey();
+
+            const response = await this.gptService.sendStreamRequest(
+              message.data,
+              (delta) => post({ type: "GPT_STREAM_CHUNK", data: { delta } }),
+              controller.signal,
+              ({ attempt, retries, delayMs, error }) =>
+                post({
+                  type: "GPT_STREAM_RETRY",
+                  data: { attempt, retries, delayMs, kind: error.kind },
+                })
+            );
+
+            post({ type: "GPT_STREAM_DONE", data: response });
+          } catch (error) {
+            console.error("GPT stream request failed:", error);
+            // kind (ApiError) lets the chat suggest what to do next
+            post({
+              type: "GPT_STREAM_ERROR",
+              error: error.message,
+              kind: error.kind,
+            });
+          } finally {
+            controller = null;
+          }
+          break;
+
+        case "GPT_STREAM_STOP":
+          if (controller) {
+            console.log("⏹️ Stopping GPT stream on user request");
+            controller.abort();
+          }
+          break;
+
+        default:
+          console.warn("Unknown stream message type:", message.type);
+      }
+    });
+
+    // Chat window closed mid-answer: stop paying for tokens nobody reads
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      if (controller) {
+        controller.abort();
+      }
+    });
   }
 
   async handleMessage(message, sender, sendResponse) {
@@ -37,16 +278,7 @@ class BackgroundService {
       switch (message.type) {
         case "GPT_REQUEST":
           try {
-            // Check if API key is available
-            const apiKey = await this.getStoredApiKey();
-            if (!apiKey) {
-              throw new Error(
-                "OpenAI API key not configured. Please set your API key in the extension popup."
-              );
-            }
-
-            // Ensure GPT service has the API key
-            await this.gptService.setApiKey(apiKey);
+            await this.ensureApiKey();
 
             // Use real GPT service only
             const response = await this.gptService.sendRequest(message.data);
@@ -56,41 +288,309 @@ class BackgroundService {
             sendResponse({ success: true, data: response });
           } catch (error) {
             console.error("GPT request failed:", error);
-            const errorResponse = { error: error.message };
+            const errorResponse = { error: error.message, kind: error.kind };
             this.sendToPopupWindow("GPT_RESPONSE", errorResponse);
-            sendResponse({ success: false, error: error.message });
+            sendResponse({ success: false, ...errorResponse });
           }
           break;
 
-        case "GET_API_KEY":
-          const apiKey = await this.getStoredApiKey();
-          sendResponse({ success: true, data: apiKey });
+        // UI pages only ever see the masked key and its lock state
+        case "GET_API_KEY_STATUS":
+          sendResponse({
+            success: true,
+            data: await this.keyVault.getStatus(),
+          });
+          break;
+
+        case "SET_API_KEY": {
+          // Without apiKey the current key is stored again, which is how a
+          // passphrase is added to or dropped from an existing key
+          const { apiKey, passphrase } = message.data;
+          await this.storeApiKey(
+            apiKey || (await this.getUnlockedApiKey()),
+            passphrase
+          );
+          sendResponse({
+            success: true,
+            data: await this.keyVault.getStatus(),
+          });
+          break;
+        }
+
+        case "UNLOCK_API_KEY":
+          this.gptService.setApiKey(
+            await this.keyVault.unlock(message.data.passphrase)
+          );
+          sendResponse({
+            success: true,
+            data: await this.keyVault.getStatus(),
+          });
+          break;
+
+        case "LOCK_API_KEY":
+          await this.keyVault.lock();
+          this.gptService.setApiKey(null);
+          sendResponse({
+            success: true,
+            data: await this.keyVault.getStatus(),
+          });
+          break;
+
+        case "CLEAR_API_KEY":
+          await this.keyVault.clear();
+          this.gptService.setApiKey(null);
+          sendResponse({
+            success: true,
+            data: await this.keyVault.getStatus(),
+          });
+          break;
+
+        case "TEST_API_KEY": {
+          await this.ensureApiKey();
+          const result = await this.gptService.testConnection();
+          sendResponse({
+            success: result.success,
+            data: { message: result.message, model: this.gptService.model },
+            error: result.success ? undefined : result.message,
+          });
+          break;
+        }
+
+        case "GET_PROVIDER_CONFIG":
+          sendResponse({
+            success: true,
+            data: {
+              config: await this.gptService.loadProviderConfig(),
+              model: this.gptService.model,
+              providers: PROVIDER_TYPES,
+            },
+          });
+          break;
+
+        case "SET_PROVIDER_CONFIG":
+          await this.gptService.setProviderConfig(message.data);
+          sendResponse({
+            success: true,
+            data: { model: this.gptService.model },
+          });
+          break;
+
+        case "TAKE_CHAT_ACTION": {
+          const action = await this.takeChatAction(message.data.actionId);
+          sendResponse({
+            success: !!action,
+            data: action,
+            error: action ? undefined : "Action expired",
+          });
+          break;
+        }
+
+        case "LIST_MODELS":
+          await this.ensureApiKey();
+          sendResponse({
+            success: true,
+            data: {
+              models: await this.gptService.getAvailableModels(),
+              model: this.gptService.model,
+            },
+          });
           break;
 
-        case "SET_API_KEY":
-          await this.storeApiKey(message.data.apiKey);
+        // Saved settings; with a conversationId also that chat's overrides
+        // and the settings its requests actually use
+        case "GET_GPT_SETTINGS": {
+          await this.gptService.loadProviderConfig();
+          const settings = await this.gptService.loadSettings();
+          const conversationId = message.data?.conversationId;
+          const thread = conversationId
+            ? await this.conversationStore.getThread(conversationId)
+            : null;
+          sendResponse({
+            success: true,
+            data: {
+              settings,
+              defaults: DEFAULT_SETTINGS,
+              overrides: thread?.settings || {},
+              effective: { ...settings, ...thread?.settings },
+            },
+          });
+          break;
+        }
+
+        case "SET_GPT_SETTINGS":
+          sendResponse({
+            success: true,
+            data: await this.gptService.saveSettings(message.data),
+          });
+          break;
+
+        case "SET_CONVERSATION_SETTINGS":
+          sendResponse({
+            success: true,
+            data: await this.gptService.setConversationSettings(
+              message.data.conversationId,
+              message.data.settings
+            ),
+          });
+          break;
+
+        // Totals for the usage dashboard (and /usage in the chat)
+        case "GET_USAGE_SUMMARY":
+          sendResponse({
+            success: true,
+            data: await this.usageTracker.getSummary(message.data || {}),
+          });
+          break;
+
+        case "GET_USAGE_SETTINGS":
+          sendResponse({
+            success: true,
+            data: {
+              prices: await this.usageTracker.getPrices(),
+              budget: await this.usageTracker.getBudget(),
+              defaults: {
+                prices: DEFAULT_PRICES,
+                budget: DEFAULT_USAGE_BUDGET,
+              },
+            },
+          });
+          break;
+
+        // null prices restores the default price table
+        case "SET_USAGE_PRICES":
+          sendResponse({
+            success: true,
+            data: await this.usageTracker.setPrices(message.data.prices),
+          });
+          break;
+
+        case "SET_USAGE_BUDGET":
+          sendResponse({
+            success: true,
+            data: await this.usageTracker.setBudget(message.data),
+          });
+          break;
+
+        case "CLEAR_USAGE":
+          await this.usageTracker.clear();
           sendResponse({ success: true });
           break;
 
-        case "SETUP_CONSOLE_LOGGING":
+        case "LIST_CONVERSATIONS":
+          sendResponse({
+            success: true,
+            data: {
+              threads: await this.conversationStore.listThreads(),
+              activeId: await this.conversationStore.getActiveThreadId(),
+            },
+          });
+          break;
+
+        case "GET_CONVERSATION": {
+          const thread = await this.conversationStore.getThread(
+            message.data.conversationId
+          );
+          if (thread) {
+            await this.conversationStore.setActiveThreadId(thread.id);
+          }
+          sendResponse({ success: !!thread, data: thread });
+          break;
+        }
+
+        case "CREATE_CONVERSATION": {
+          const thread = await this.conversationStore.createThread(
+            message.data || {}
+          );
+          await this.conversationStore.setActiveThreadId(thread.id);
+          sendResponse({ success: true, data: thread });
+          break;
+        }
+
+        case "RENAME_CONVERSATION":
+          sendResponse({
+            success: true,
+            data: await this.conversationStore.renameThread(
+              message.data.conversationId,
+              message.data.title
+            ),
+          });
+          break;
+
+        case "CLEAR_CONVERSATION":
+          await this.gptService.clearConversationHistory(
+            message.data.conversationId
+          );
+          sendResponse({ success: true });
+          break;
+
+        case "DELETE_CONVERSATION":
+          await this.conversationStore.deleteThread(
+            message.data.conversationId
+          );
+          sendResponse({ success: true });
+          break;
+
+        case "GET_AUDIT_PROFILES":
+          sendResponse({
+            success: true,
+            data: {
+              profiles: listAuditProfiles(),
+              defaultProfile: DEFAULT_AUDIT_PROFILE,
+            },
+          });
+          break;
+
+        case "LIST_AUDIT_HISTORY":
+          sendResponse({
+            success: true,
+            data: await this.auditHistory.listPages(),
+          });
+          break;
+
+        case "GET_AUDIT_HISTORY":
+          sendResponse({
+            success: true,
+            data: {
+              runs: await this.auditHistory.getRuns(message.data.url),
+              budgets: await this.auditHistory.getBudgets(message.data.url),
+            },
+          });
+          break;
+
+        case "CLEAR_AUDIT_HISTORY":
+          await this.auditHistory.clear(message.data?.url || null);
+          sendResponse({ success: true });
+          break;
+
+        case "GET_AUDIT_BUDGETS":
+          sendResponse({
+            success: true,
+            data: await this.auditHistory.getBudgets(message.data.url),
+          });
+          break;
+
+        case "SET_AUDIT_BUDGETS":
+          sendResponse({
+            success: true,
+            data: await this.auditHistory.setBudgets(
+              message.data.url,
+              message.data.budgets
+            ),
+          });
+          break;
+
+        case "LIST_WEB_TABS":
           try {
-            // Get all tabs from all windows to find web pages
-            const tabs = await chrome.tabs.query({});
-            const webTabs = tabs.filter(
-              (tab) =>
-                !tab.url.startsWith("chrome-extension://") &&
-                !tab.url.startsWith("chrome://") &&
-                !tab.url.startsWith("moz-extension://")
-            );
+            const tabs = await listWebTabs();
+            sendResponse({ success: true, data: tabs.map(describeTab) });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
 
-            // Get the most recently active web tab
-            let tab = webTabs.find((t) => t.active);
-            if (!tab && webTabs.length > 0) {
-              webTabs.sort(
-                (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
-              );
-              tab = webTabs[0];
-            }
+        case "SETUP_CONSOLE_LOGGING":
+          try {
+            const tab = await resolveTab(message.data?.tabId);
 
             if (!tab) {
               sendResponse({
@@ -101,11 +601,17 @@ class BackgroundService {
             }
 
             // Setup console logging on the page
-            await this.setupConsoleLogging(tab.id);
+            const setup = await this.setupConsoleLogging(tab.id);
+            if (setup.error) {
+              throw new Error(`Could not attach debugger: ${setup.error}`);
+            }
 
             sendResponse({
               success: true,
-              data: { message: "Console logging setup completed" },
+              data: {
+                message: "Console logging setup completed",
+                tab: describeTab(tab),
+              },
             });
           } catch (error) {
             console.error("Failed to setup console logging:", error);
@@ -116,25 +622,158 @@ class BackgroundService {
           }
           break;
 
-        case "API_GET_CONSOLE_LOGS":
+        case "STOP_CONSOLE_LOGGING":
           try {
-            // Get all tabs from all windows to find web pages
-            const tabs = await chrome.tabs.query({});
-            const webTabs = tabs.filter(
-              (tab) =>
-                !tab.url.startsWith("chrome-extension://") &&
-                !tab.url.startsWith("chrome://") &&
-                !tab.url.startsWith("moz-extension://")
+            const tab = await resolveTab(message.data?.tabId);
+            if (!tab) {
+              throw new Error("No web page found to stop console logging");
+            }
+
+            // Captured logs stay in storage
+            await this.stopConsoleLogging(tab.id);
+            sendResponse({ success: true, data: { tab: describeTab(tab) } });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "EARLY_CAPTURE_ENTRY":
+          try {
+            const tabId = sender.tab?.id;
+            const entry = earlyCaptureEntry(message.data?.entry);
+            // While attached the debugger reports the same errors
+            const accepted =
+              tabId !== undefined &&
+              entry !== null &&
+              !this.debuggerSessions.hasConsumer(
+                tabId,
+                CONSOLE_LOGGING_CONSUMER
+              ) &&
+              (await this.earlyErrorCapture.isAllowed(sender.url));
+
+            if (accepted) {
+              this.consoleLogStore.append(tabId, entry);
+            }
+            sendResponse({ success: true, data: { accepted } });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "GET_EARLY_CAPTURE_SETTINGS":
+          try {
+            const settings = await this.earlyErrorCapture.getSettings();
+            sendResponse({ success: true, data: settings });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "SET_EARLY_CAPTURE_SETTINGS":
+          try {
+            const settings = await this.earlyErrorCapture.setSettings(
+              message.data || {}
             );
+            sendResponse({ success: true, data: settings });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
 
-            // Get the most recently active web tab
-            let tab = webTabs.find((t) => t.active);
-            if (!tab && webTabs.length > 0) {
-              webTabs.sort(
-                (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
-              );
-              tab = webTabs[0];
+        case "GET_CONSOLE_LOG_SETTINGS":
+          try {
+            const settings = await this.consoleLogStore.getSettings();
+            sendResponse({ success: true, data: settings });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "SET_CONSOLE_LOG_SETTINGS":
+          try {
+            const settings = await this.consoleLogStore.setSettings(
+              message.data
+            );
+            sendResponse({ success: true, data: settings });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "CLEAR_CONSOLE_LOGS":
+          try {
+            // A tabId that is given is cleared without looking the tab up
+            const tabId =
+              message.data?.tabId ?? (await resolveTab())?.id ?? null;
+            if (tabId === null) {
+              throw new Error("No web page found");
             }
+            await this.consoleLogStore.clear(tabId);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "START_SESSION_RECORDING":
+          try {
+            const recording = await this.startSessionRecording(
+              message.data?.tabId
+            );
+            sendResponse({ success: true, data: recording });
+          } catch (error) {
+            console.error("Failed to start session recording:", error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "STOP_SESSION_RECORDING":
+          try {
+            const result = await this.stopSessionRecording(message.data.tabId);
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            console.error("Failed to stop session recording:", error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "GET_SESSION_RECORDING": {
+          const session =
+            message.data?.tabId !== undefined
+              ? this.sessionRecordings[message.data.tabId]
+              : Object.values(this.sessionRecordings)[0];
+          sendResponse({
+            success: true,
+            data: session
+              ? {
+                  tabId: session.tabId,
+                  startedAt: session.startedAt,
+                  requestCount: this.networkRecorder.getRequests(session.tabId)
+                    .length,
+                  detached: session.detached,
+                }
+              : null,
+          });
+          break;
+        }
+
+        case "ANALYZE_HAR":
+          try {
+            sendResponse({
+              success: true,
+              data: this.analyzeHar(message.data.har),
+            });
+          } catch (error) {
+            console.error("Failed to analyze HAR file:", error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case "API_GET_CONSOLE_LOGS":
+          try {
+            // message.data holds the tab and the log query filters
+            const { tabId, ...filters } = message.data || {};
+            const tab = await resolveTab(tabId);
 
             if (!tab) {
               sendResponse({
@@ -146,7 +785,10 @@ class BackgroundService {
             }
 
             // Get console logs for this tab
-            const consoleLogs = await this.getConsoleLogsFromTab(tab.id);
+            const consoleLogs = await this.getConsoleLogsFromTab(
+              tab.id,
+              filters
+            );
 
             // Get detailed page analysis
             const pageAnalysis = await this.getDetailedPageAnalysis(tab.id);
@@ -165,8 +807,10 @@ class BackgroundService {
                 error: consoleLogs.error,
                 timestamp: new Date().toISOString(),
                 totalLogs: (consoleLogs.logs || []).length,
+                storedLogs: consoleLogs.total,
                 pageAnalysis: pageAnalysis.analysis || null,
                 analysisError: pageAnalysis.error || null,
+                network: this.networkRecorder.getSummary(tab.id),
               },
             });
           } catch (error) {
@@ -181,37 +825,8 @@ class BackgroundService {
 
         case "GET_CURRENT_PAGE":
           try {
-            // Get all tabs from all windows to find web pages
-            const tabs = await chrome.tabs.query({});
-
-            console.log(
-              "🔍 All tabs:",
-              tabs.map((t) => ({ id: t.id, url: t.url, active: t.active }))
-            );
-
-            // Filter out extension pages and find the active web page
-            const webTabs = tabs.filter(
-              (tab) =>
-                !tab.url.startsWith("chrome-extension://") &&
-                !tab.url.startsWith("chrome://") &&
-                !tab.url.startsWith("moz-extension://")
-            );
-
-            console.log(
-              "🌐 Web tabs:",
-              webTabs.map((t) => ({ id: t.id, url: t.url, active: t.active }))
-            );
-
-            // Get the most recently active web tab
-            // Priority: 1) Active tab, 2) Most recently accessed tab
-            let tab = webTabs.find((t) => t.active);
-            if (!tab && webTabs.length > 0) {
-              // Sort by lastAccessed (most recent first) and take the first one
-              webTabs.sort(
-                (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
-              );
-              tab = webTabs[0];
-            }
+            // Explicit tab (pinned chat window / tab picker) or the active page
+            const tab = await resolveTab(message.data?.tabId);
 
             console.log(
               "🎯 Selected tab:",
@@ -222,53 +837,32 @@ class BackgroundService {
             let consoleLogs = null;
             if (message.data && message.data.includeLogs && tab) {
               try {
-                consoleLogs = await this.getConsoleLogsFromTab(tab.id);
+                consoleLogs = await this.getConsoleLogsFromTab(
+                  tab.id,
+                  message.data.logFilters
+                );
               } catch (logError) {
                 console.warn("Could not get console logs:", logError);
                 consoleLogs = { error: logError.message };
               }
             }
 
+            // Detailed analysis (DOM checks + captured network) if requested
+            let pageAnalysis = null;
+            if (message.data && message.data.includeAnalysis && tab) {
+              const analysisResult = await this.getDetailedPageAnalysis(tab.id);
+              pageAnalysis = analysisResult.analysis || null;
+            }
+
             if (tab) {
               // Try to get page content if requested
               let pageContent = null;
               if (message.data && message.data.includeContent) {
                 try {
-                  // Inject script to get page content
+                  // Main content as Markdown (see content-extractor.js)
                   const results = await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    function: () => {
-                      // Get page text content
-                      console.log(
-                        "🔍 GPT Extension: Extracting page content..."
-                      );
-
-                      const title = document.title;
-                      const metaDescription =
-                        document.querySelector('meta[name="description"]')
-                          ?.content || "";
-                      const headings = Array.from(
-                        document.querySelectorAll("h1, h2, h3")
-                      )
-                        .map((h) => h.textContent)
-                        .join(" | ");
-                      const paragraphs = Array.from(
-                        document.querySelectorAll("p")
-                      )
-                        .slice(0, 5)
-                        .map((p) => p.textContent)
-                        .join(" ");
-
-                      const result = {
-                        title,
-                        metaDescription,
-                        headings,
-                        content: paragraphs.substring(0, 1000), // Limit content
-                      };
-
-                      console.log("✅ GPT Extension: Extracted data:", result);
-                      return result;
-                    },
+                    func: extractPageContent,
                   });
 
                   if (results && results[0] && results[0].result) {
@@ -282,10 +876,12 @@ class BackgroundService {
               sendResponse({
                 success: true,
                 data: {
+                  tabId: tab.id,
                   title: tab.title,
                   url: tab.url,
                   content: pageContent,
                   logs: consoleLogs,
+                  pageAnalysis: pageAnalysis,
                 },
               });
             } else {
@@ -311,21 +907,30 @@ class BackgroundService {
               throw new Error("LighthouseService not initialized");
             }
 
-            console.log("Starting Lighthouse audit for:", message.data.url);
+            console.log(
+              "Starting Lighthouse audit for:",
+              message.data.url || `tab ${message.data.tabId ?? "(active)"}`
+            );
+
+            // Without a url the audit targets tabId's page (or the active one)
+            const results = await this.lighthouseService.runAudit(
+              message.data.url,
+              {
+                profile: message.data.profile,
+                runs: message.data.runs,
+                tabId: message.data.tabId,
+              }
+            );
+            if (results.partial) {
+              console.warn("Lighthouse audit is partial:", results.warnings);
+            }
 
-            // Try to run real Lighthouse audit, fallback to mock if fails
-            let results;
+            // A storage failure shouldn't cost the user the report
             try {
-              results = await this.lighthouseService.runAudit(message.data.url);
-              console.log("Real Lighthouse audit completed");
-            } catch (auditError) {
-              console.warn(
-                "Real Lighthouse failed, using mock results:",
-                auditError.message
-              );
-              results = this.lighthouseService.getMockResults(
-                message.data.url || `tab-${message.data.tabId}`
-              );
+              const run = await this.auditHistory.record(results);
+              results.regressions = run.regressions;
+            } catch (historyError) {
+              console.warn("Failed to record audit history:", historyError);
             }
 
             console.log("Lighthouse audit results:", results);
@@ -335,7 +940,12 @@ class BackgroundService {
             sendResponse({ success: true, results: results });
           } catch (error) {
             console.error("Lighthouse audit failed:", error);
-            sendResponse({ success: false, error: error.message });
+            sendResponse({
+              success: false,
+              error: error.message,
+              code: error.code || "AUDIT_FAILED",
+              retryable: error.retryable !== false,
+            });
           }
           break;
 
@@ -369,38 +979,86 @@ class BackgroundService {
   }
 
   setupContextMenus() {
-    try {
-      if (chrome.contextMenus) {
+    if (!chrome.contextMenus) {
+      console.warn("Context menus API not available");
+      return;
+    }
+
+    // Menus outlive the worker; recreate them instead of adding duplicates
+    chrome.contextMenus
+      .removeAll()
+      .then(() => {
         chrome.contextMenus.create({
-          id: "gpt-analyze",
-          title: "Analyze with GPT",
-          contexts: ["selection", "page"],
+          id: CONTEXT_MENU_ROOT,
+          title: "GPT Assistant",
+          contexts: ["page", "selection"],
         });
+        for (const { id, type, title, contexts } of CONTEXT_MENU_ITEMS) {
+          chrome.contextMenus.create({
+            id,
+            type,
+            title,
+            contexts,
+            parentId: CONTEXT_MENU_ROOT,
+          });
+        }
+      })
+      .catch((error) =>
+        console.error("Failed to setup context menus:", error)
+      );
+
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      const item = CONTEXT_MENU_ITEMS.find(({ id }) => id === info.menuItemId);
+      if (!item?.command) return;
+
+      this.handleContextMenuClick(item, info, tab).catch((error) =>
+        console.error("Context menu error:", error)
+      );
+    });
+  }
 
-        chrome.contextMenus.onClicked.addListener((info, tab) => {
-          if (info.menuItemId === "gpt-analyze") {
-            this.handleContextMenuClick(info, tab);
-          }
-        });
-      } else {
-        this.debugLogger.warn("Context menus API not available");
-      }
-    } catch (error) {
-      this.debugLogger.error("Failed to setup context menus:", error);
-    }
+  async handleContextMenuClick(item, info, tab) {
+    const selectionText = info.selectionText
+      ? await this.readSelection(info, tab)
+      : null;
+
+    const actionId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    await chrome.storage.session.set({
+      [`${CHAT_ACTION_PREFIX}${actionId}`]: {
+        command: item.command,
+        selectionText,
+        pageUrl: info.pageUrl,
+      },
+    });
+
+    // Open GPT popup window pinned to the tab the menu was used on
+    await this.openGPTPopup(tab?.id, { action: actionId });
   }
 
-  async handleContextMenuClick(info, tab) {
-    try {
-      const text = info.selectionText || "Analyze this page";
+  // selectionText has its line breaks collapsed; read the selection from
+  // the frame it was made in when the page allows scripting
+  async readSelection(info, tab) {
+    if (!tab?.id || tab.id < 0) return info.selectionText;
 
-      // Open GPT popup window instead of content script
-      this.openGPTPopup();
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+        func: () => String(window.getSelection() || ""),
+      });
+      return injection?.result?.trim() || info.selectionText;
     } catch (error) {
-      this.debugLogger.error("Context menu error:", error);
+      console.warn("Could not read selection from page:", error.message);
+      return info.selectionText;
     }
   }
 
+  async takeChatAction(actionId) {
+    const key = `${CHAT_ACTION_PREFIX}${actionId}`;
+    const stored = await chrome.storage.session.get([key]);
+    await chrome.storage.session.remove(key);
+    return stored[key] || null;
+  }
+
   setupDebugger() {
     // Enable debugging for development
     if (
@@ -409,7 +1067,7 @@ class BackgroundService {
       process.env.NODE_ENV === "development"
     ) {
       chrome.debugger.onEvent.addListener((source, method, params) => {
-        this.debugLogger.log("Debugger event:", { source, method, params });
+        console.log("Debugger event:", { source, method, params });
       });
     }
   }
@@ -417,119 +1075,309 @@ class BackgroundService {
   async setupConsoleLogging(tabId) {
     console.log("🔧 Setting up console logging for tab:", tabId);
 
-    return new Promise((resolve) => {
-      try {
-        // Use Chrome Debugger API to capture ALL console messages
-        chrome.debugger.attach({ tabId }, "1.0", () => {
-          if (chrome.runtime.lastError) {
-            console.warn(
-              "Could not attach debugger:",
-              chrome.runtime.lastError
-            );
-            resolve({ error: chrome.runtime.lastError.message });
-            return;
-          }
-
-          // Enable Runtime domain to capture console messages
-          chrome.debugger.sendCommand({ tabId }, "Runtime.enable", {}, () => {
-            if (chrome.runtime.lastError) {
-              chrome.debugger.detach({ tabId });
-              resolve({ error: chrome.runtime.lastError.message });
-              return;
-            }
+    if (this.debuggerSessions.hasConsumer(tabId, CONSOLE_LOGGING_CONSUMER)) {
+      return { success: true, alreadyAttached: true };
+    }
 
-            // Store console messages in a global array for this tab
-            if (!this.tabConsoleLogs) {
-              this.tabConsoleLogs = {};
-            }
-            this.tabConsoleLogs[tabId] = this.tabConsoleLogs[tabId] || [];
-
-            // Listen for console API calls
-            const onEvent = (source, method, params) => {
-              if (
-                source.tabId === tabId &&
-                method === "Runtime.consoleAPICalled"
-              ) {
-                const logEntry = {
-                  type: params.type,
-                  timestamp: new Date(params.timestamp).toLocaleTimeString(),
-                  message: params.args
-                    .map((arg) => {
-                      if (arg.value !== undefined) return String(arg.value);
-                      if (arg.description) return arg.description;
-                      if (arg.preview && arg.preview.description)
-                        return arg.preview.description;
-                      return String(arg);
-                    })
-                    .join(" "),
-                  source: "console",
-                };
-
-                this.tabConsoleLogs[tabId].push(logEntry);
-
-                // Keep only last 50 logs per tab
-                if (this.tabConsoleLogs[tabId].length > 50) {
-                  this.tabConsoleLogs[tabId] =
-                    this.tabConsoleLogs[tabId].slice(-50);
-                }
-              }
+    try {
+      // Console messages, exceptions and browser log entries
+      await this.debuggerSessions.acquire(tabId, CONSOLE_LOGGING_CONSUMER, {
+        onEvent: (method, params) => {
+          this.networkRecorder.handleEvent(tabId, method, params);
+          this.handleSessionEvent(tabId, method, params);
+
+          const entry = consoleEntryFromEvent(method, params);
+          if (entry) {
+            this.consoleLogStore.append(tabId, entry);
+            this.pushSessionConsoleEntry(tabId, entry);
+          }
+        },
+        // Closing the debugger infobar ends capture for this tab
+        onDetach: () => {
+          if (this.sessionRecordings[tabId]) {
+            this.sessionRecordings[tabId].detached = true;
+          }
+        },
+      });
 
-              // Also capture Runtime exceptions (JavaScript errors)
-              if (
-                source.tabId === tabId &&
-                method === "Runtime.exceptionThrown"
-              ) {
-                const errorEntry = {
-                  type: "error",
-                  timestamp: new Date(params.timestamp).toLocaleTimeString(),
-                  message: `JS Exception: ${params.exceptionDetails.text} at ${params.exceptionDetails.url}:${params.exceptionDetails.lineNumber}`,
-                  source: "exception",
-                };
+      // Enable Runtime domain to capture console messages
+      await this.debuggerSessions.sendCommand(tabId, "Runtime.enable");
+    } catch (error) {
+      console.warn("Could not attach debugger:", error);
+      await this.debuggerSessions.release(tabId, CONSOLE_LOGGING_CONSUMER);
+      return { error: error.message };
+    }
 
-                this.tabConsoleLogs[tabId].push(errorEntry);
-              }
-            };
+    // Network domain gives real status codes, failures and timings
+    try {
+      await this.debuggerSessions.sendCommand(tabId, "Network.enable");
+      this.networkRecorder.start(tabId);
+    } catch (error) {
+      console.warn("Could not enable network capture:", error);
+    }
 
-            chrome.debugger.onEvent.addListener(onEvent);
+    // Log domain adds browser messages (network, security, ...)
+    try {
+      await this.debuggerSessions.sendCommand(tabId, "Log.enable");
+    } catch (error) {
+      console.warn("Could not enable browser log capture:", error);
+    }
 
-            // Store the event listener reference for cleanup
-            if (!this.debuggerListeners) {
-              this.debuggerListeners = {};
-            }
-            this.debuggerListeners[tabId] = onEvent;
+    console.log("✅ Console logging setup completed for tab:", tabId);
+    return { success: true };
+  }
 
-            console.log("✅ Console logging setup completed for tab:", tabId);
-            resolve({ success: true });
-          });
-        });
-      } catch (error) {
-        console.error("❌ Error setting up console logging:", error);
-        resolve({ error: error.message });
-      }
-    });
+  // Detaches the debugger unless another consumer still uses the tab
+  async stopConsoleLogging(tabId) {
+    if (this.sessionRecordings[tabId]) {
+      throw new Error("Stop the session recording for this tab first");
+    }
+    await this.debuggerSessions.release(tabId, CONSOLE_LOGGING_CONSUMER);
+    console.log("🛑 Console logging stopped for tab:", tabId);
   }
 
-  async getConsoleLogsFromTab(tabId) {
+  // filters: see ConsoleLogStore.query (level, source, text, regex, since,
+  // until, limit)
+  async getConsoleLogsFromTab(tabId, filters = {}) {
     console.log("🔍 Getting console logs for tab:", tabId);
 
-    // Return logs captured by Chrome Debugger API
-    if (this.tabConsoleLogs && this.tabConsoleLogs[tabId]) {
-      const logs = this.tabConsoleLogs[tabId];
-      console.log(`✅ Retrieved ${logs.length} console logs from debugger API`);
+    // Logs captured by Chrome Debugger API, persisted across worker restarts
+    const result = await this.consoleLogStore.query(tabId, filters);
+    const capturing = this.debuggerSessions.hasConsumer(
+      tabId,
+      CONSOLE_LOGGING_CONSUMER
+    );
 
-      return {
-        logs: logs,
-        note: `Retrieved ${logs.length} console messages from Chrome Debugger API`,
-      };
-    } else {
+    if (result.total === 0 && !capturing) {
       console.warn("⚠️ No console logs found for tab:", tabId);
 
       return {
         logs: [],
+        total: 0,
+        matched: 0,
         note: "No console logs captured yet. Console logging may not be setup for this tab.",
         error: "Console logging not initialized for this tab",
       };
     }
+
+    console.log(
+      `✅ Retrieved ${result.matched}/${result.total} console logs from debugger API`
+    );
+    return {
+      logs: result.entries,
+      total: result.total,
+      matched: result.matched,
+      note: `Retrieved ${result.entries.length} of ${result.total} console messages from Chrome Debugger API`,
+    };
+  }
+
+  // Extra capture while a session is being recorded for HAR export
+  handleSessionEvent(tabId, method, params) {
+    const session = this.sessionRecordings[tabId];
+    if (!session) return;
+
+    switch (method) {
+      // Page timings are relative to the first navigation in the session
+      case "Network.requestWillBeSent":
+        if (params.type === "Document" && session.navigationStart === null) {
+          session.navigationStart = params.timestamp;
+        }
+        break;
+
+      case "Page.domContentEventFired":
+      case "Page.loadEventFired": {
+        const key =
+          method === "Page.loadEventFired" ? "onLoad" : "onContentLoad";
+        if (
+          session.navigationStart !== null &&
+          session.pageTimings[key] === undefined
+        ) {
+          session.pageTimings[key] = Math.round(
+            (params.timestamp - session.navigationStart) * 1000
+          );
+        }
+        break;
+      }
+
+      case "Network.loadingFinished":
+        this.captureResponseBody(tabId, params);
+        break;
+    }
+  }
+
+  pushSessionConsoleEntry(tabId, entry) {
+    const session = this.sessionRecordings[tabId];
+    if (!session) return;
+
+    session.consoleEntries.push(entry);
+    if (session.consoleEntries.length > MAX_SESSION_CONSOLE_ENTRIES) {
+      session.consoleEntries.shift();
+    }
+  }
+
+  // Text bodies help backend developers replay API calls from the HAR
+  captureResponseBody(tabId, params) {
+    const record = this.networkRecorder.getRecord(tabId, params.requestId);
+    if (
+      !record ||
+      params.encodedDataLength > MAX_SESSION_BODY_BYTES ||
+      !/^(text\/|application\/(json|javascript|xml|.*\+json|.*\+xml))/.test(
+        record.mimeType || ""
+      )
+    ) {
+      return;
+    }
+
+    this.debuggerSessions
+      .sendCommand(tabId, "Network.getResponseBody", {
+        requestId: params.requestId,
+      })
+      .then((body) =>
+        this.networkRecorder.setBody(tabId, params.requestId, body)
+      )
+      // Bodies are evicted quickly; a missing one is not an error
+      .catch(() => {});
+  }
+
+  async startSessionRecording(tabId) {
+    const tab = await resolveTab(tabId);
+    if (!tab) {
+      throw new Error("No web page found to record");
+    }
+
+    const setup = await this.setupConsoleLogging(tab.id);
+    if (setup.error) {
+      throw new Error(`Could not attach debugger: ${setup.error}`);
+    }
+
+    // Page domain adds load timings; optional, the recording works without
+    try {
+      await this.debuggerSessions.sendCommand(tab.id, "Page.enable");
+    } catch (error) {
+      console.warn("Could not enable Page domain:", error);
+    }
+
+    // Start from an empty capture so the HAR only covers this session
+    this.networkRecorder.clear(tab.id);
+    this.networkRecorder.start(tab.id);
+    this.sessionRecordings[tab.id] = {
+      tabId: tab.id,
+      startedAt: new Date().toISOString(),
+      navigationStart: null,
+      pageTimings: {},
+      consoleEntries: [],
+      detached: false,
+    };
+
+    console.log("⏺️ Session recording started for tab:", tab.id);
+    return { tabId: tab.id, title: tab.title, url: tab.url };
+  }
+
+  async stopSessionRecording(tabId) {
+    const session = this.sessionRecordings[tabId];
+    if (!session) {
+      throw new Error("No session is being recorded for this tab");
+    }
+    delete this.sessionRecordings[tabId];
+
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    const requests = this.networkRecorder.getRequests(tabId);
+    const har = buildHar(
+      requests,
+      {
+        ...session,
+        page: { title: tab?.title, url: tab?.url },
+      },
+      chrome.runtime.getManifest().version
+    );
+    if (!tab) {
+      this.networkRecorder.clear(tabId);
+    }
+
+    console.log(
+      `⏹️ Session recording stopped: ${requests.length} requests, ${session.consoleEntries.length} console entries`
+    );
+    return {
+      har,
+      requestCount: requests.length,
+      consoleCount: session.consoleEntries.length,
+      // Closing the debugger infobar stops capture before the user does
+      detached: session.detached,
+    };
+  }
+
+  // Same shape as the live debug analysis, built from a saved HAR file
+  analyzeHar(input) {
+    const summary = summarizeHar(parseHar(input));
+
+    const analysis = this.addNetworkAnalysis(
+      {
+        pageInfo: {
+          title: summary.page.title,
+          url: summary.page.url,
+        },
+        jsErrors: toJsErrors(summary.consoleEntries),
+      },
+      summary.network
+    );
+
+    return {
+      page: summary.page,
+      creator: summary.creator,
+      logs: {
+        logs: summary.consoleEntries,
+        note: `Loaded ${summary.consoleEntries.length} console entries from HAR file`,
+      },
+      pageAnalysis: analysis,
+    };
+  }
+
+  // Merge captured network problems into the DOM-based page analysis
+  addNetworkAnalysis(analysis, network) {
+    const problems = [...network.failedRequests, ...network.httpErrors];
+
+    analysis.network = network;
+    analysis.networkIssues = problems.map((request, index) => ({
+      index: index + 1,
+      type: request.type,
+      src: request.url,
+      status: request.status,
+      error: request.errorText
+        ? [request.errorText, request.blockedReason, request.corsError]
+            .filter(Boolean)
+            .join(" · ")
+        : `HTTP ${request.status} ${request.statusText || ""}`.trim(),
+    }));
+    analysis.cssErrors = problems
+      .filter((request) => request.type === "Stylesheet")
+      .map((request, index) => ({
+        index: index + 1,
+        href: request.url,
+        type: "stylesheet",
+        error: request.errorText || `HTTP ${request.status}`,
+      }));
+    analysis.missingResources = network.httpErrors
+      .filter((request) => request.status === 404 || request.status === 410)
+      .map((request) => ({
+        type: request.type,
+        url: request.url,
+        description: `${request.status} ${request.url}`,
+      }));
+    analysis.mimeMismatches = network.mimeMismatches;
+
+    if (!network.recording) {
+      analysis.networkCapture = {
+        active: false,
+        note: "Network capture is not running for this tab; run debug setup first.",
+      };
+    } else if (network.totalRequests === 0) {
+      analysis.networkCapture = {
+        active: true,
+        note: "No requests captured yet; reload the page to record its requests.",
+      };
+    }
+
+    return analysis;
   }
 
   async getDetailedPageAnalysis(tabId) {
@@ -573,62 +1421,13 @@ class BackgroundService {
                 }
               });
 
-              // 2. Check for broken CSS/stylesheets
+              // Failed stylesheets, scripts and missing resources come from
+              // the Network domain (see NetworkRecorder), not from the DOM
               const stylesheets = document.querySelectorAll(
                 'link[rel="stylesheet"]'
               );
-              stylesheets.forEach((link, index) => {
-                if (link.href && !link.sheet) {
-                  analysis.cssErrors.push({
-                    index: index + 1,
-                    href: link.href,
-                    type: "stylesheet",
-                    error: "Failed to load stylesheet",
-                  });
-                }
-              });
-
-              // 3. Check for broken scripts
-              const scripts = document.querySelectorAll("script[src]");
-              scripts.forEach((script, index) => {
-                if (script.src && !script.src.startsWith("data:")) {
-                  // Check if script has error attribute or failed to load
-                  if (
-                    script.hasAttribute("data-error") ||
-                    !script.readyState ||
-                    script.readyState === "error"
-                  ) {
-                    analysis.networkIssues.push({
-                      type: "script",
-                      src: script.src,
-                      index: index + 1,
-                      error: "Script failed to load or execute",
-                    });
-                  }
-                }
-              });
 
-              // 4. Check for missing resources (404s, etc.)
-              const allLinks = document.querySelectorAll("a[href]");
-              let brokenLinks = 0;
-              allLinks.forEach((link) => {
-                if (
-                  link.href &&
-                  (link.href.includes("404") || link.href.includes("error"))
-                ) {
-                  brokenLinks++;
-                }
-              });
-
-              if (brokenLinks > 0) {
-                analysis.missingResources.push({
-                  type: "broken_links",
-                  count: brokenLinks,
-                  description: `Found ${brokenLinks} potentially broken links`,
-                });
-              }
-
-              // 5. Performance issues
+              // 2. Performance issues
               try {
                 const performanceEntries = performance.getEntries();
                 const slowResources = performanceEntries.filter(
@@ -654,7 +1453,7 @@ class BackgroundService {
                 });
               }
 
-              // 6. Accessibility issues
+              // 3. Accessibility issues
               const imagesWithoutAlt =
                 document.querySelectorAll("img:not([alt])");
               if (imagesWithoutAlt.length > 0) {
@@ -676,17 +1475,7 @@ class BackgroundService {
                 });
               }
 
-              // 7. JavaScript errors from window.onerror
-              if (window.__jsErrors && window.__jsErrors.length > 0) {
-                analysis.jsErrors = window.__jsErrors.map((error, index) => ({
-                  index: index + 1,
-                  message: error.message,
-                  timestamp: error.timestamp,
-                  type: error.type,
-                }));
-              }
-
-              // 8. Page info
+              // 4. Page info (JavaScript errors come from the log store)
               analysis.pageInfo = {
                 title: document.title,
                 url: window.location.href,
@@ -715,12 +1504,24 @@ class BackgroundService {
                 analysis: null,
               });
             } else if (results && results[0] && results[0].result) {
-              const analysis = results[0].result;
-              console.log("✅ Retrieved detailed page analysis:", analysis);
-              resolve({
-                success: true,
-                analysis: analysis,
-              });
+              // Uncaught errors reported by the debugger or early capture
+              this.consoleLogStore
+                .query(tabId, {
+                  source: "exception",
+                  limit: MAX_ANALYSIS_JS_ERRORS,
+                })
+                .catch(() => ({ entries: [] }))
+                .then(({ entries }) => {
+                  const analysis = this.addNetworkAnalysis(
+                    { ...results[0].result, jsErrors: toJsErrors(entries) },
+                    this.networkRecorder.getSummary(tabId)
+                  );
+                  console.log("✅ Retrieved detailed page analysis:", analysis);
+                  resolve({
+                    success: true,
+                    analysis: analysis,
+                  });
+                });
             } else {
               resolve({
                 error: "No analysis data returned",
@@ -739,24 +1540,35 @@ class BackgroundService {
     });
   }
 
-  async getStoredApiKey() {
-    const result = await chrome.storage.local.get(["openai_api_key"]);
-    return result.openai_api_key || null;
+  async getUnlockedApiKey() {
+    const apiKey = await this.keyVault.getKey();
+    if (!apiKey) {
+      throw new Error("No unlocked API key to store");
+    }
+    return apiKey;
   }
 
-  async storeApiKey(apiKey) {
-    await chrome.storage.local.set({ openai_api_key: apiKey });
+  // A passphrase encrypts the key at rest (see KeyVault)
+  async storeApiKey(apiKey, passphrase = "") {
+    await this.keyVault.setKey(apiKey, passphrase);
     // Set API key in GPT service
-    if (apiKey && apiKey.trim()) {
-      await this.gptService.setApiKey(apiKey);
-      this.debugLogger.log("API key configured for GPT service");
-    }
+    this.gptService.setApiKey(apiKey.trim());
+    console.log(
+      `API key configured for GPT service${passphrase ? " (encrypted)" : ""}`
+    );
   }
 
-  async openGPTPopup() {
+  // tabId pins the chat window to that tab instead of the active one;
+  // action hands it a pending context-menu action (see TAKE_CHAT_ACTION)
+  async openGPTPopup(tabId, params = {}) {
     try {
+      const search = new URLSearchParams(params);
+      if (tabId !== undefined) {
+        search.set("tabId", tabId);
+      }
+      const query = search.toString() ? `?${search}` : "";
       const popup = await chrome.windows.create({
-        url: chrome.runtime.getURL("gpt-popup.html"),
+        url: chrome.runtime.getURL(`gpt-popup.html${query}`),
         type: "popup",
         width: 500,
         height: 700,
@@ -799,24 +1611,93 @@ class BackgroundService {
 
   generateLighthouseHTML(results) {
     const getScoreColor = (score) => {
+      if (score === null) return "#9e9e9e";
       if (score >= 90) return "#0cce6b";
       if (score >= 50) return "#ffa400";
       return "#ff5722";
     };
 
     const getScoreGrade = (score) => {
+      if (score === null) return "Not measured";
       if (score >= 90) return "Good";
       if (score >= 50) return "Needs Improvement";
       return "Poor";
     };
 
+    const formatScore = (score) => (score === null ? "—" : score);
+
+    // Missing metrics are shown as such rather than as 0
+    const formatSeconds = (value) =>
+      value === null || value === undefined
+        ? "N/A"
+        : `${(value / 1000).toFixed(2)}s`;
+
+    // Rule details come from the audited page, so escape everything
+    const escapeHtml = (value) =>
+      String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+    const renderRule = (rule) => `
+            <details class="rule ${rule.passed ? "rule-pass" : "rule-fail"}"${
+      rule.passed ? "" : " open"
+    }>
+                <summary>
+                    <span>${rule.passed ? "✅" : "❌"} ${escapeHtml(
+      rule.title
+    )}</span>
+                    <code>${escapeHtml(rule.id)}</code>
+                </summary>
+                ${rule.details ? `<p class="rule-note">${escapeHtml(rule.details)}</p>` : ""}
+                ${
+                  rule.failingCount > rule.failingElements.length
+                    ? `<p class="rule-note">Showing ${rule.failingElements.length} of ${rule.failingCount} failing items</p>`
+                    : ""
+                }
+                <ul>
+                    ${rule.failingElements
+                      .map(
+                        (item) => `
+                    <li>
+                        <code>${escapeHtml(item.selector)}</code>
+                        ${item.detail ? `<div>${escapeHtml(item.detail)}</div>` : ""}
+                        ${item.snippet ? `<pre>${escapeHtml(item.snippet)}</pre>` : ""}
+                    </li>`
+                      )
+                      .join("")}
+                </ul>
+            </details>`;
+
+    const renderAuditSection = (label, rules = []) => {
+      const applicable = rules.filter((rule) => !rule.notApplicable);
+      const failing = applicable.filter((rule) => !rule.passed);
+      const passing = applicable.filter((rule) => rule.passed);
+      const skipped = rules.filter((rule) => rule.notApplicable);
+
+      return `
+        <div class="metrics">
+            <h2>${label}</h2>
+            ${failing.map(renderRule).join("")}
+            ${passing.map(renderRule).join("")}
+            ${
+              skipped.length
+                ? `<p class="rule-note">Not applicable: ${skipped
+                    .map((rule) => `<code>${escapeHtml(rule.id)}</code>`)
+                    .join(", ")}</p>`
+                : ""
+            }
+        </div>`;
+    };
+
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Lighthouse Report - ${results.title}</title>
+    <title>Lighthouse Report - ${escapeHtml(results.title)}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
@@ -904,6 +1785,43 @@ class BackgroundService {
             font-weight: 600;
             color: #667eea;
         }
+        .rule {
+            border: 1px solid #eee;
+            border-radius: 8px;
+            margin-bottom: 10px;
+            padding: 10px 15px;
+        }
+        .rule summary {
+            display: flex;
+            justify-content: space-between;
+            cursor: pointer;
+            font-weight: 500;
+            color: #333;
+        }
+        .rule-fail { border-color: #ffccbc; background: #fff8f6; }
+        .rule ul { list-style: none; margin-top: 10px; }
+        .rule li {
+            padding: 8px 0;
+            border-top: 1px solid #eee;
+            font-size: 13px;
+            color: #555;
+        }
+        .rule pre {
+            margin-top: 4px;
+            white-space: pre-wrap;
+            word-break: break-all;
+            color: #888;
+        }
+        .rule code { color: #764ba2; word-break: break-all; }
+        .rule-note { font-size: 12px; color: #888; margin-top: 6px; }
+        .banner {
+            padding: 15px 30px;
+            font-size: 14px;
+            border-bottom: 1px solid #eee;
+        }
+        .banner ul { margin: 6px 0 0 20px; }
+        .banner-partial { background: #fff8e1; color: #8d6e00; }
+        .banner-regression { background: #fce4ec; color: #880e4f; }
         .footer {
             background: #f8f9fa;
             padding: 20px 30px;
@@ -922,15 +1840,63 @@ class BackgroundService {
     <div class="container">
         <div class="header">
             <h1>⚡ Lighthouse Report</h1>
-            <p>${results.url}</p>
+            <p>${escapeHtml(results.url)}</p>
+            ${
+              results.profileSettings
+                ? `<p>📱 ${escapeHtml(results.profileSettings.label)}</p>`
+                : ""
+            }
         </div>
 
+        ${
+          results.regressions?.length
+            ? `<div class="banner banner-regression">
+            📉 Regression compared with budgets or the previous run:
+            <ul>
+                ${results.regressions
+                  .map((r) =>
+                    r.type === "drop"
+                      ? `<li>${escapeHtml(r.metric)} dropped ${r.drop} points (${r.previous} → ${r.value})</li>`
+                      : `<li>${escapeHtml(r.metric)} = ${r.value} breaks budget ${r.limit}</li>`
+                  )
+                  .join("")}
+            </ul>
+        </div>`
+            : ""
+        }
+        ${
+          results.partial
+            ? `<div class="banner banner-partial">
+            ⚠️ Partial results — some data could not be collected.
+            <ul>
+                ${(results.warnings || [])
+                  .map((warning) => `<li>${escapeHtml(warning)}</li>`)
+                  .join("")}
+                ${
+                  results.missingMetrics?.length
+                    ? `<li>Not measured: ${results.missingMetrics
+                        .map(escapeHtml)
+                        .join(", ")}</li>`
+                    : ""
+                }
+                ${
+                  results.missingCategories?.length
+                    ? `<li>Not scored: ${results.missingCategories
+                        .map(escapeHtml)
+                        .join(", ")}</li>`
+                    : ""
+                }
+            </ul>
+        </div>`
+            : ""
+        }
+
         <div class="scores">
             <div class="score-card">
                 <div class="score-circle" style="background-color: ${getScoreColor(
                   results.scores.performance
                 )}">
-                    ${results.scores.performance}
+                    ${formatScore(results.scores.performance)}
                 </div>
                 <div class="score-label">Performance</div>
                 <div class="score-grade" style="color: ${getScoreColor(
@@ -944,7 +1910,7 @@ class BackgroundService {
                 <div class="score-circle" style="background-color: ${getScoreColor(
                   results.scores.accessibility
                 )}">
-                    ${results.scores.accessibility}
+                    ${formatScore(results.scores.accessibility)}
                 </div>
                 <div class="score-label">Accessibility</div>
                 <div class="score-grade" style="color: ${getScoreColor(
@@ -958,7 +1924,7 @@ class BackgroundService {
                 <div class="score-circle" style="background-color: ${getScoreColor(
                   results.scores.bestPractices
                 )}">
-                    ${results.scores.bestPractices}
+                    ${formatScore(results.scores.bestPractices)}
                 </div>
                 <div class="score-label">Best Practices</div>
                 <div class="score-grade" style="color: ${getScoreColor(
@@ -972,7 +1938,7 @@ class BackgroundService {
                 <div class="score-circle" style="background-color: ${getScoreColor(
                   results.scores.seo
                 )}">
-                    ${results.scores.seo}
+                    ${formatScore(results.scores.seo)}
                 </div>
                 <div class="score-label">SEO</div>
                 <div class="score-grade" style="color: ${getScoreColor(
@@ -987,36 +1953,142 @@ class BackgroundService {
             <h2>📊 Performance Metrics</h2>
             <div class="metric-row">
                 <span class="metric-name">First Contentful Paint</span>
-                <span class="metric-value">${(
-                  results.metrics.firstContentfulPaint / 1000
-                ).toFixed(2)}s</span>
+                <span class="metric-value">${formatSeconds(results.metrics.firstContentfulPaint)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-name">Largest Contentful Paint</span>
-                <span class="metric-value">${(
-                  results.metrics.largestContentfulPaint / 1000
-                ).toFixed(2)}s</span>
+                <span class="metric-value">${formatSeconds(results.metrics.largestContentfulPaint)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-name">Total Load Time</span>
-                <span class="metric-value">${(
-                  results.metrics.loadTime / 1000
-                ).toFixed(2)}s</span>
+                <span class="metric-value">${formatSeconds(results.metrics.loadTime)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-name">DOM Content Loaded</span>
-                <span class="metric-value">${(
-                  results.metrics.domContentLoaded / 1000
-                ).toFixed(2)}s</span>
+                <span class="metric-value">${formatSeconds(results.metrics.domContentLoaded)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-name">Cumulative Layout Shift</span>
-                <span class="metric-value">${results.metrics.cumulativeLayoutShift.toFixed(
-                  3
-                )}</span>
+                <span class="metric-value">${
+                  results.metrics.cumulativeLayoutShift === null ||
+                  results.metrics.cumulativeLayoutShift === undefined
+                    ? "N/A"
+                    : results.metrics.cumulativeLayoutShift.toFixed(3)
+                }</span>
             </div>
+            <div class="metric-row">
+                <span class="metric-name">Time to First Byte</span>
+                <span class="metric-value">${formatSeconds(results.metrics.timeToFirstByte)}</span>
+            </div>
+            <div class="metric-row">
+                <span class="metric-name">Total Blocking Time</span>
+                <span class="metric-value">${
+                  results.metrics.totalBlockingTime === null ||
+                  results.metrics.totalBlockingTime === undefined
+                    ? "N/A"
+                    : `${Math.round(results.metrics.totalBlockingTime)}ms`
+                }</span>
+            </div>
+            <div class="metric-row">
+                <span class="metric-name">Interaction to Next Paint</span>
+                <span class="metric-value">${
+                  results.metrics.interactionToNextPaint === null ||
+                  results.metrics.interactionToNextPaint === undefined
+                    ? "N/A (no interactions during audit)"
+                    : `${Math.round(results.metrics.interactionToNextPaint)}ms`
+                }</span>
+            </div>
+            ${
+              results.metrics.lcpElement
+                ? `<div class="metric-row">
+                <span class="metric-name">LCP element</span>
+                <span class="metric-value"><code>${escapeHtml(
+                  results.metrics.lcpElement.selector ||
+                    results.metrics.lcpElement.url
+                )}</code></span>
+            </div>`
+                : ""
+            }
+            ${
+              results.metrics.layoutShifts?.length
+                ? `<div class="metric-row">
+                <span class="metric-name">Shifted nodes (worst window)</span>
+                <span class="metric-value">${results.metrics.layoutShifts
+                  .map(
+                    (shift) =>
+                      `${shift.value.toFixed(3)}: ${
+                        shift.sources
+                          .map(
+                            (source) =>
+                              `<code>${escapeHtml(source.selector)}</code>`
+                          )
+                          .join(", ") || "(removed nodes)"
+                      }`
+                  )
+                  .join("<br>")}</span>
+            </div>`
+                : ""
+            }
+            ${
+              results.metrics.runtime
+                ? `<div class="metric-row">
+                <span class="metric-name">Main thread (script / layout / style)</span>
+                <span class="metric-value">${[
+                  results.metrics.runtime.scriptDuration,
+                  results.metrics.runtime.layoutDuration,
+                  results.metrics.runtime.styleRecalcDuration,
+                ]
+                  .map((value) => (value === null ? "N/A" : `${value}ms`))
+                  .join(" / ")}</span>
+            </div>`
+                : ""
+            }
         </div>
 
+        ${
+          results.runStats
+            ? `<div class="metrics">
+            <h2>🔁 ${results.runStats.completed} of ${
+                results.runStats.requested
+              } runs · scores from median run #${results.runStats.medianRun}</h2>
+            <div class="metric-row">
+                <span class="metric-name">Performance per run</span>
+                <span class="metric-value">${results.runStats.performanceScores
+                  .map((score) => (score === null ? "—" : score))
+                  .join(" · ")}</span>
+            </div>
+            ${Object.entries(results.runStats.metrics)
+              .filter(([, stats]) => stats)
+              .map(([name, stats]) => {
+                const format = (value) =>
+                  name === "cumulativeLayoutShift"
+                    ? value.toFixed(3)
+                    : `${Math.round(value)}ms`;
+                return `
+            <div class="metric-row">
+                <span class="metric-name">${escapeHtml(name)}</span>
+                <span class="metric-value">${format(stats.median)} ± ${format(
+                  stats.stdDev
+                )} <small>(${format(stats.min)} – ${format(
+                  stats.max
+                )})</small></span>
+            </div>`;
+              })
+              .join("")}
+        </div>`
+            : ""
+        }
+
+        ${
+          results.audits
+            ? [
+                renderAuditSection("♿ Accessibility", results.audits.accessibility),
+                renderAuditSection("🔍 SEO", results.audits.seo),
+                renderAuditSection("🛡️ Best Practices", results.audits.bestPractices),
+              ].join("")
+            : ""
+        }
+
         <div class="footer">
             <div>🚀 Generated by GPT Chrome Extension</div>
             <div class="timestamp">
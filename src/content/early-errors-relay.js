@@ -0,0 +1,29 @@
+// Early error relay (isolated world, document_start)
+// Forwards entries from early-errors.js to the background, which stores
+// them with the tab's console logs.
+(() => {
+  const EVENT_PREFIX = "__gpt_extension_early_errors";
+
+  document.addEventListener(`${EVENT_PREFIX}:entry`, (event) => {
+    let entry;
+    try {
+      entry = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+
+    chrome.runtime
+      .sendMessage({
+        type: "EARLY_CAPTURE_ENTRY",
+        target: "background",
+        data: { entry },
+      })
+      // Extension reloaded or updated; nothing to do for this page
+      .catch(() => {});
+  });
+
+  const announce = () =>
+    document.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}:relay-ready`));
+  document.addEventListener(`${EVENT_PREFIX}:collector-ready`, announce);
+  announce();
+})();
@@ -0,0 +1,135 @@
+// Early error collector (page world, document_start)
+// Registered by EarlyErrorCapture for allow-listed origins. Page errors and
+// promise rejections are only visible from the page's own world, so this
+// script records them and hands them to early-errors-relay.js, which can
+// reach the extension.
+(() => {
+  const EVENT_PREFIX = "__gpt_extension_early_errors";
+  // A page stuck in an error loop shouldn't flood the log store
+  const MAX_ENTRIES = 200;
+  // V8 stack lines: "at fn (https://host/app.js:10:5)" or "at https://..."
+  const STACK_LINE = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+  const queue = [];
+  let relayReady = false;
+  let recorded = 0;
+
+  const send = (entry) => {
+    document.dispatchEvent(
+      new CustomEvent(`${EVENT_PREFIX}:entry`, {
+        detail: JSON.stringify(entry),
+      })
+    );
+  };
+
+  const record = (entry) => {
+    if (recorded >= MAX_ENTRIES) return;
+    recorded++;
+
+    const full = {
+      timestamp: new Date().toISOString(),
+      args: [],
+      url: null,
+      lineNumber: null,
+      columnNumber: null,
+      stackTrace: [],
+      ...entry,
+    };
+    if (relayReady) {
+      send(full);
+    } else {
+      queue.push(full);
+    }
+  };
+
+  const parseStack = (stack) =>
+    String(stack || "")
+      .split("\n")
+      .map((line) => line.match(STACK_LINE))
+      .filter(Boolean)
+      .map(([, functionName, url, line, column]) => ({
+        functionName: functionName || "(anonymous)",
+        url,
+        lineNumber: Number(line),
+        columnNumber: Number(column),
+      }));
+
+  const describe = (value) => {
+    if (value instanceof Error) return value.stack || String(value);
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  };
+
+  // Resource load errors don't bubble, so listen in the capture phase
+  window.addEventListener(
+    "error",
+    (event) => {
+      if (event instanceof ErrorEvent) {
+        record({
+          level: "error",
+          type: "exception",
+          source: "exception",
+          text: event.error ? describe(event.error) : event.message,
+          url: event.filename || null,
+          lineNumber: event.lineno || null,
+          columnNumber: event.colno || null,
+          stackTrace: parseStack(event.error?.stack),
+        });
+        return;
+      }
+
+      const target = event.target;
+      if (!target || target === window || !target.tagName) return;
+      const url = target.currentSrc || target.src || target.href || null;
+      record({
+        level: "error",
+        type: "resource-error",
+        source: "network",
+        text: `Failed to load <${target.tagName.toLowerCase()}>: ${url}`,
+        url,
+      });
+    },
+    true
+  );
+
+  window.addEventListener("unhandledrejection", (event) => {
+    const stackTrace = parseStack(event.reason?.stack);
+    record({
+      level: "error",
+      type: "unhandledrejection",
+      source: "exception",
+      text: `Uncaught (in promise) ${describe(event.reason)}`,
+      args: [describe(event.reason)],
+      url: stackTrace[0]?.url ?? null,
+      lineNumber: stackTrace[0]?.lineNumber ?? null,
+      columnNumber: stackTrace[0]?.columnNumber ?? null,
+      stackTrace,
+    });
+  });
+
+  document.addEventListener("securitypolicyviolation", (event) => {
+    record({
+      // Report-only policies don't block anything
+      level: event.disposition === "report" ? "warn" : "error",
+      type: "csp-violation",
+      source: "security",
+      text: `Content Security Policy: "${event.violatedDirective}" blocked ${
+        event.blockedURI || "inline content"
+      }`,
+      url: event.sourceFile || event.documentURI,
+      lineNumber: event.lineNumber || null,
+      columnNumber: event.columnNumber || null,
+    });
+  });
+
+  // Either script may run first; whichever comes second completes the
+  // handshake and queued entries are sent
+  document.addEventListener(`${EVENT_PREFIX}:relay-ready`, () => {
+    relayReady = true;
+    queue.splice(0).forEach(send);
+  });
+  document.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}:collector-ready`));
+})();
@@ -1,10 +1,58 @@
 import React, { useState, useEffect, useRef } from "react";
+import {
+  CommandContext,
+  CommandError,
+  CompletionLists,
+  PageMode,
+  getCompletions,
+  parseCommand,
+} from "./commands";
+import MarkdownMessage from "./MarkdownMessage";
+
+interface ContextUsage {
+  promptTokens: number;
+  budget: number;
+  contextWindow: number;
+  percent: number;
+  summarizedMessages: number;
+  droppedMessages: number;
+}
+
+interface BudgetStatus {
+  period: "day" | "month";
+  limit: number | null;
+  spent: number;
+  percent: number | null;
+  state: "ok" | "warning" | "blocked";
+}
+
+// Tokens and estimated cost of one answer (see services/usage-tracker.js)
+interface MessageUsage {
+  promptTokens: number;
+  completionTokens: number;
+  cost: number | null;
+  estimated?: boolean;
+  budget?: BudgetStatus;
+}
+
+// Page section an answer may cite (page Q&A)
+interface PageSource {
+  id: string;
+  heading: string | null;
+}
 
 interface ChatMessage {
   id: number;
   type: "user" | "assistant" | "error";
   content: string;
   timestamp: Date;
+  streaming?: boolean;
+  stopped?: boolean;
+  contextUsage?: ContextUsage;
+  sources?: PageSource[] | null;
+  usage?: MessageUsage | null;
+  // Shown while a failed request waits to be retried
+  retryNotice?: string;
 }
 
 interface CurrentPage {
@@ -12,26 +60,217 @@ interface CurrentPage {
   url?: string;
   pageText?: string;
   metaDescription?: string;
-  headings?: string;
+  headings?: string[];
+  // Answer from the page sections most relevant to the question
+  pageQuestion?: boolean;
+  selectedText?: string;
+}
+
+// Context-menu action waiting for this window (see TAKE_CHAT_ACTION)
+interface ChatAction {
+  command: string;
+  selectionText: string | null;
+  pageUrl?: string;
 }
 
 interface GPTResponse {
   error?: string;
+  kind?: string;
   content?: string;
   message?: string;
 }
 
+interface ThreadSummary {
+  id: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  pageUrl: string | null;
+  pageTitle: string | null;
+  messageCount: number;
+}
+
+interface StackFrame {
+  functionName: string;
+  url: string | null;
+  lineNumber: number | null;
+  columnNumber: number | null;
+}
+
+interface WebTab {
+  id: number;
+  windowId: number;
+  title: string;
+  url: string;
+  active: boolean;
+}
+
+interface SessionRecording {
+  tabId: number;
+  startedAt: string;
+}
+
+interface StoredMessage {
+  role: "user" | "assistant";
+  content: string;
+  display?: string;
+  timestamp: string;
+  stopped?: boolean;
+  contextUsage?: ContextUsage;
+  sources?: PageSource[];
+  usage?: MessageUsage;
+}
+
+interface StreamPortMessage {
+  type:
+    | "GPT_STREAM_CHUNK"
+    | "GPT_STREAM_DONE"
+    | "GPT_STREAM_RETRY"
+    | "GPT_STREAM_ERROR";
+  data?: {
+    delta?: string;
+    content?: string;
+    aborted?: boolean;
+    contextUsage?: ContextUsage;
+    sources?: PageSource[] | null;
+    usage?: MessageUsage | null;
+    attempt?: number;
+    retries?: number;
+    delayMs?: number;
+    kind?: string;
+  };
+  error?: string;
+  kind?: string;
+}
+
+// A failed model request; kind comes from ApiError (services/api-client.js)
+class RequestError extends Error {
+  kind?: string;
+
+  constructor(message: string, kind?: string) {
+    super(message);
+    this.kind = kind;
+  }
+}
+
+const REQUEST_ERROR_HELP: Record<string, { title: string; hint: string }> = {
+  auth: {
+    title: "🔑 API key bị từ chối",
+    hint: "Kiểm tra hoặc thay API key trong popup (🧪 Test key).",
+  },
+  quota: {
+    title: "💳 Hết quota hoặc credits",
+    hint: "Kiểm tra billing của tài khoản provider hoặc dùng key khác.",
+  },
+  rate_limit: {
+    title: "🚦 Provider đang giới hạn tốc độ (rate limit)",
+    hint: "Đợi một lát rồi gửi lại; có thể tăng số lần thử lại trong ⚙️ Model & Settings.",
+  },
+  context_length: {
+    title: "📏 Vượt quá context window của model",
+    hint: "Bắt đầu cuộc trò chuyện mới (/new), giảm max tokens hoặc chọn model có context lớn hơn.",
+  },
+  network: {
+    title: "📡 Không kết nối được tới API",
+    hint: "Kiểm tra mạng, proxy hoặc base URL của provider.",
+  },
+  timeout: {
+    title: "⏱️ Hết thời gian chờ",
+    hint: "Gửi lại, hoặc tăng timeout trong ⚙️ Model & Settings.",
+  },
+  server: {
+    title: "🛠️ Provider đang lỗi hoặc quá tải",
+    hint: "Thử lại sau ít phút.",
+  },
+};
+
+const RETRY_REASONS: Record<string, string> = {
+  rate_limit: "Bị rate limit",
+  server: "Provider quá tải",
+  network: "Lỗi mạng",
+  timeout: "Hết thời gian chờ",
+};
+
+// Markdown for a failed request: what went wrong and what to do next
+function describeRequestError(error: unknown): string {
+  const message = error instanceof Error ? error.message : String(error);
+  const help =
+    error instanceof RequestError && error.kind
+      ? REQUEST_ERROR_HELP[error.kind]
+      : undefined;
+  return help
+    ? `**${help.title}**\n\n${message}\n\n👉 ${help.hint}`
+    : `Error: ${message}`;
+}
+
+// Rejects when the promise hasn't settled in time; the timer never outlives it
+function withTimeout<T>(promise: Promise<T>, ms: number, what: string) {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${what} timed out after ${ms / 1000} seconds`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 const GPTChatApp: React.FC = () => {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [inputValue, setInputValue] = useState<string>("");
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [currentPage, setCurrentPage] = useState<CurrentPage | null>(null);
+  const [isStreaming, setIsStreaming] = useState<boolean>(false);
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  const [threads, setThreads] = useState<ThreadSummary[]>([]);
+  const [showThreads, setShowThreads] = useState<boolean>(false);
+  const [recording, setRecording] = useState<SessionRecording | null>(null);
+  // Page Q&A mode: every message is a question about the current page
+  const [pageQA, setPageQA] = useState<boolean>(false);
+  // Tab the chat works on; ?tabId= pins it (popup button / context menu),
+  // null follows the active web page
+  const [targetTabId, setTargetTabId] = useState<number | null>(() => {
+    const tabId = new URLSearchParams(window.location.search).get("tabId");
+    return tabId ? Number(tabId) : null;
+  });
+  const [webTabs, setWebTabs] = useState<WebTab[]>([]);
+  const [pageLoaded, setPageLoaded] = useState<boolean>(false);
+  const [copiedMessageId, setCopiedMessageId] = useState<number | null>(null);
+  // Page selection attached from the context menu
+  const [selection, setSelection] = useState<string | null>(null);
+  // Command the context menu asked for, run once the page info is in
+  const [pendingCommand, setPendingCommand] = useState<string | null>(null);
+  // Slash-command autocomplete
+  const [completionIndex, setCompletionIndex] = useState<number>(0);
+  const [completionsDismissed, setCompletionsDismissed] =
+    useState<boolean>(false);
+  const [completionLists, setCompletionLists] = useState<CompletionLists>({
+    auditProfiles: [],
+    models: [],
+  });
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const streamPortRef = useRef<chrome.runtime.Port | null>(null);
   const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const harInputRef = useRef<HTMLInputElement>(null);
+  // Every message id comes from here; Date.now() repeats within a tick, e.g.
+  // for a command and the notice it posts
+  const lastMessageIdRef = useRef<number>(0);
+  const nextMessageId = () => ++lastMessageIdRef.current;
 
   useEffect(() => {
-    loadCurrentPageInfo();
+    loadWebTabs();
+    loadAuditProfiles();
     setupMessageHandlers();
+    restoreRecording();
+
+    // A context-menu action starts a fresh conversation about its page
+    const actionId = new URLSearchParams(window.location.search).get("action");
+    if (actionId) {
+      loadThreads();
+      takeChatAction(actionId);
+    } else {
+      restoreConversation();
+    }
 
     // Auto-focus input
     if (textareaRef.current) {
@@ -39,10 +278,79 @@ const GPTChatApp: React.FC = () => {
     }
   }, []);
 
+  useEffect(() => {
+    loadCurrentPageInfo();
+  }, [targetTabId]);
+
+  useEffect(() => {
+    if (pendingCommand && pageLoaded) {
+      setPendingCommand(null);
+      submit(pendingCommand);
+    }
+  }, [pendingCommand, pageLoaded]);
+
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
 
+  // Only page-related messages carry the tab
+  const tabTarget = () =>
+    targetTabId !== null ? { tabId: targetTabId } : {};
+
+  // Resolves with the reply's data, throws its error
+  const sendBackground = async <T,>(type: string, data?: object) => {
+    const response = await chrome.runtime.sendMessage({
+      type,
+      target: "background",
+      data,
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || `${type} failed`);
+    }
+    // Lighthouse replies carry `results` instead of `data`
+    return (response.data ?? response.results) as T;
+  };
+
+  const loadAuditProfiles = async () => {
+    try {
+      const { profiles } = await sendBackground<{
+        profiles: { id: string }[];
+      }>("GET_AUDIT_PROFILES");
+      setCompletionLists((lists) => ({
+        ...lists,
+        auditProfiles: profiles.map((profile) => profile.id),
+      }));
+    } catch (error) {
+      console.error("[GPT-Chat] Failed to load audit profiles:", error);
+    }
+  };
+
+  // Listing models costs an API call, so only when /model is being typed
+  const loadModels = async () => {
+    try {
+      const { models } = await sendBackground<{ models: string[] }>(
+        "LIST_MODELS"
+      );
+      setCompletionLists((lists) => ({ ...lists, models }));
+    } catch (error) {
+      console.warn("[GPT-Chat] Could not list models:", error);
+    }
+  };
+
+  const loadWebTabs = async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "LIST_WEB_TABS",
+        target: "background",
+      });
+      if (response && response.success) {
+        setWebTabs(response.data);
+      }
+    } catch (error) {
+      console.error("[GPT-Chat] Failed to list tabs:", error);
+    }
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
@@ -53,6 +361,7 @@ const GPTChatApp: React.FC = () => {
       const response = await chrome.runtime.sendMessage({
         type: "GET_CURRENT_PAGE",
         target: "background",
+        data: tabTarget(),
       });
 
       console.log("[GPT-Chat] Page response:", response);
@@ -77,7 +386,140 @@ const GPTChatApp: React.FC = () => {
       }
     } catch (error) {
       console.error("[GPT-Chat] Failed to load current page info:", error);
+    } finally {
+      setPageLoaded(true);
+    }
+  };
+
+  const takeChatAction = async (actionId: string) => {
+    try {
+      const action = await sendBackground<ChatAction>("TAKE_CHAT_ACTION", {
+        actionId,
+      });
+      setSelection(action.selectionText);
+      setPendingCommand(action.command);
+    } catch (error) {
+      // Already taken (e.g. the window was reloaded): just resume
+      console.warn("[GPT-Chat] No context menu action:", error);
+      await restoreConversation();
+    }
+  };
+
+  const toChatMessages = (stored: StoredMessage[]): ChatMessage[] =>
+    stored.map((m) => ({
+      id: nextMessageId(),
+      type: m.role,
+      content: m.role === "user" ? m.display || m.content : m.content,
+      timestamp: new Date(m.timestamp),
+      stopped: m.stopped,
+      contextUsage: m.contextUsage,
+      sources: m.sources,
+      usage: m.usage,
+    }));
+
+  const loadThreads = async (): Promise<string | null> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "LIST_CONVERSATIONS",
+        target: "background",
+      });
+      if (response && response.success) {
+        setThreads(response.data.threads);
+        return response.data.activeId;
+      }
+    } catch (error) {
+      console.error("[GPT-Chat] Failed to load conversations:", error);
     }
+    return null;
+  };
+
+  // Resume the conversation that was open last time
+  const restoreConversation = async () => {
+    const activeId = await loadThreads();
+    if (activeId) {
+      await openConversation(activeId);
+    }
+  };
+
+  const openConversation = async (id: string) => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_CONVERSATION",
+        target: "background",
+        data: { conversationId: id },
+      });
+
+      if (response && response.success && response.data) {
+        setConversationId(id);
+        setMessages(toChatMessages(response.data.messages));
+        setShowThreads(false);
+      }
+    } catch (error) {
+      console.error("[GPT-Chat] Failed to open conversation:", error);
+    }
+  };
+
+  // Create the thread lazily, on the first message
+  const ensureConversation = async (): Promise<string> => {
+    if (conversationId) return conversationId;
+
+    const response = await chrome.runtime.sendMessage({
+      type: "CREATE_CONVERSATION",
+      target: "background",
+      data: {
+        pageUrl: currentPage?.url,
+        pageTitle: currentPage?.title,
+      },
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Failed to create conversation");
+    }
+
+    setConversationId(response.data.id);
+    return response.data.id;
+  };
+
+  const startNewConversation = () => {
+    setConversationId(null);
+    setMessages([]);
+    setShowThreads(false);
+    setSelection(null);
+  };
+
+  const renameConversation = async (thread: ThreadSummary) => {
+    const title = window.prompt("Đổi tên cuộc trò chuyện:", thread.title);
+    if (title === null) return;
+
+    await chrome.runtime.sendMessage({
+      type: "RENAME_CONVERSATION",
+      target: "background",
+      data: { conversationId: thread.id, title },
+    });
+    await loadThreads();
+  };
+
+  const deleteConversation = async (thread: ThreadSummary) => {
+    if (!window.confirm(`Xóa cuộc trò chuyện "${thread.title}"?`)) return;
+
+    await chrome.runtime.sendMessage({
+      type: "DELETE_CONVERSATION",
+      target: "background",
+      data: { conversationId: thread.id },
+    });
+
+    if (thread.id === conversationId) {
+      startNewConversation();
+      setShowThreads(true);
+    }
+    await loadThreads();
+  };
+
+  const toggleThreads = async () => {
+    if (!showThreads) {
+      await loadThreads();
+    }
+    setShowThreads(!showThreads);
   };
 
   const setupMessageHandlers = () => {
@@ -107,9 +549,11 @@ const GPTChatApp: React.FC = () => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: nextMessageId(),
           type: "error",
-          content: `Error: ${data.error}`,
+          content: describeRequestError(
+            new RequestError(data.error, data.kind)
+          ),
           timestamp: new Date(),
         },
       ]);
@@ -117,7 +561,7 @@ const GPTChatApp: React.FC = () => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: nextMessageId(),
           type: "assistant",
           content: data.content || data.message || "No response received",
           timestamp: new Date(),
@@ -126,38 +570,71 @@ const GPTChatApp: React.FC = () => {
     }
   };
 
-  const getDebugInfo = async () => {
+  const formatStackFrame = (frame: StackFrame) =>
+    `    at ${frame.functionName} (${frame.url || "unknown"}:${
+      frame.lineNumber
+    }:${frame.columnNumber})`;
+
+  const getDebugInfo = async (harFile?: File) => {
     console.log("🔍 Getting debug info...");
 
     try {
+      // A saved HAR file replaces the live page as the data source
+      if (harFile) {
+        const harResponse = await chrome.runtime.sendMessage({
+          type: "ANALYZE_HAR",
+          target: "background",
+          data: { har: await harFile.text() },
+        });
+        if (!harResponse || !harResponse.success) {
+          throw new Error(harResponse?.error || "Could not read HAR file");
+        }
+
+        return {
+          timestamp: new Date().toLocaleString(),
+          currentPage: {
+            title: harResponse.data.page.title,
+            url: harResponse.data.page.url,
+          },
+          pageResponse: harResponse,
+          extensionId: chrome.runtime.id,
+          userAgent: navigator.userAgent.substring(0, 100) + "...",
+          source: `HAR file ${harFile.name} (recorded ${
+            harResponse.data.page.startedDateTime || "unknown"
+          })`,
+        };
+      }
+
       // Step 1: First setup console logging on the page
       console.log("📝 Setting up console logging...");
       await chrome.runtime.sendMessage({
         type: "SETUP_CONSOLE_LOGGING",
         target: "background",
+        data: tabTarget(),
       });
 
       // Step 2: Wait a bit for logs to be captured
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
       // Step 3: Get current page info with console logs
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(
-          () => reject(new Error("Request timeout after 8 seconds")),
-          8000
-        );
-      });
-
       let pageResponse = null;
       try {
-        pageResponse = await Promise.race([
+        pageResponse = await withTimeout(
           chrome.runtime.sendMessage({
             type: "GET_CURRENT_PAGE",
             target: "background",
-            data: { includeLogs: true }, // Request console logs
+            // Request console logs and page analysis (incl. network capture);
+            // the log store is unbounded, so only the latest entries go to GPT
+            data: {
+              ...tabTarget(),
+              includeLogs: true,
+              logFilters: { limit: 100 },
+              includeAnalysis: true,
+            },
           }),
-          timeoutPromise,
-        ]);
+          8000,
+          "Page info request"
+        );
         console.log("✅ Page response received:", pageResponse);
       } catch (pageError) {
         console.warn("⚠️ Failed to get page response:", pageError);
@@ -177,12 +654,15 @@ const GPTChatApp: React.FC = () => {
     }
   };
 
-  const handleDebugAnalysis = async () => {
+  const handleDebugAnalysis = async (harFile?: File) => {
     console.log("🔍 Debug analysis started...");
 
     try {
       // Get debug info including console logs
-      const debugInfo = await getDebugInfo();
+      const debugInfo = await getDebugInfo(harFile);
+      if (harFile && debugInfo.error) {
+        throw new Error(debugInfo.error);
+      }
 
       // Format console logs for GPT analysis
       let logsForGPT = "No console logs available";
@@ -193,12 +673,22 @@ const GPTChatApp: React.FC = () => {
           logsForGPT = `Console logs error: ${logs.error}`;
         } else if (logs.logs && logs.logs.length > 0) {
           logsForGPT = logs.logs
-            .map(
-              (log) =>
-                `[${log.timestamp || "unknown"}] ${log.type || "log"}: ${
-                  log.args || log.message || "empty"
-                }`
-            )
+            .map((log) => {
+              let line = `[${log.timestamp || "unknown"}] ${log.level || "log"} (${
+                log.source || "console"
+              }): ${log.text || "empty"}`;
+              if (log.url) {
+                line += `\n  at ${log.url}:${log.lineNumber}`;
+              }
+              // Exceptions carry the full stack; a few frames are enough
+              if (log.source === "exception" && log.stackTrace?.length) {
+                line += `\n${log.stackTrace
+                  .slice(0, 5)
+                  .map(formatStackFrame)
+                  .join("\n")}`;
+              }
+              return line;
+            })
             .join("\n");
           if (logs.note) {
             logsForGPT += `\n\nNote: ${logs.note}`;
@@ -259,13 +749,37 @@ const GPTChatApp: React.FC = () => {
           });
         }
 
-        // Network Issues
+        // Network Issues (failed requests and 4xx/5xx from the Network domain)
+        if (analysis.networkCapture?.note) {
+          analysisText += `**Network Capture:** ${analysis.networkCapture.note}\n\n`;
+        }
         if (analysis.networkIssues && analysis.networkIssues.length > 0) {
           analysisText += `**Network Issues (${analysis.networkIssues.length}):**\n`;
           analysis.networkIssues.forEach((net) => {
             analysisText += `- ${net.type} #${net.index}: ${net.src}\n`;
+            if (net.status) analysisText += `  Status: ${net.status}\n`;
             analysisText += `  Error: ${net.error}\n\n`;
           });
+        } else if (analysis.network?.recording) {
+          analysisText += `**Network Issues:** None in ${analysis.network.totalRequests} captured requests\n\n`;
+        }
+
+        // MIME type mismatches (e.g. a script served as text/html)
+        if (analysis.mimeMismatches && analysis.mimeMismatches.length > 0) {
+          analysisText += `**MIME Type Mismatches (${analysis.mimeMismatches.length}):**\n`;
+          for (const req of analysis.mimeMismatches) {
+            analysisText += `- ${req.type}: ${req.url}\n`;
+            analysisText += `  Served as: ${req.mimeType}\n\n`;
+          }
+        }
+
+        // Slow requests with real timings
+        if (analysis.network?.slowRequests?.length > 0) {
+          analysisText += `**Slow Requests (${analysis.network.slowRequests.length}):**\n`;
+          for (const req of analysis.network.slowRequests) {
+            analysisText += `- ${req.type}: ${req.url}\n`;
+            analysisText += `  Duration: ${req.durationMs}ms\n\n`;
+          }
         }
 
         // Performance Issues
@@ -310,6 +824,7 @@ const GPTChatApp: React.FC = () => {
       const debugContext = {
         url: debugInfo.currentPage?.url || "Unknown",
         title: debugInfo.currentPage?.title || "Unknown",
+        source: debugInfo.source || "Live page",
         extensionId: debugInfo.extensionId,
         consoleLogs: logsForGPT,
         pageAnalysis: pageAnalysisForGPT,
@@ -317,21 +832,10 @@ const GPTChatApp: React.FC = () => {
         pageContent: debugInfo.pageResponse?.data?.content || null,
       };
 
-      // Send to GPT for analysis
-      const { GPTService } = await import("../services/gpt-service.js");
-      const gptService = new GPTService();
-      const apiKey = await chrome.runtime.sendMessage({
-        type: "GET_API_KEY",
-        target: "background",
-      });
-
-      if (apiKey && apiKey.success && apiKey.data) {
-        console.log("✅ API key found, setting up GPT service...");
-        await gptService.setApiKey(apiKey.data);
-
-        const analysisPrompt = `Phân tích debug info của Chrome extension này:
+      const analysisPrompt = `Phân tích debug info của Chrome extension này:
 
 **Trang web hiện tại:** ${debugContext.title} (${debugContext.url})
+**Nguồn dữ liệu:** ${debugContext.source}
 **Extension ID:** ${debugContext.extensionId}
 **Thời gian:** ${debugContext.timestamp}
 
@@ -357,56 +861,23 @@ QUAN TRỌNG:
 
 Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
 
-        console.log("🤖 Sending request to GPT...");
-        console.log("📝 Debug Context:", debugContext);
-        console.log("📝 Full Prompt:", analysisPrompt);
-        console.log(
-          "📝 Prompt Preview:",
-          analysisPrompt.substring(0, 500) + "..."
-        );
-
-        const response = await gptService.sendRequest({
-          message: analysisPrompt,
-          context: debugContext,
-        });
-
-        console.log("📨 GPT Response:", response);
-        console.log("📨 Response success:", response.success);
-        console.log("📨 Response error:", response.error);
-        console.log("📨 Response data:", response.data);
-
-        // Handle different response formats
-        let content = null;
-        if (response.success && response.data && response.data.content) {
-          // Format: {success: true, data: {content: "..."}}
-          content = response.data.content;
-        } else if (response.content) {
-          // Format: {content: "...", usage: {...}, model: "..."}
-          content = response.content;
-        }
+      console.log("🤖 Sending request to GPT...");
+      console.log("📝 Debug Context:", debugContext);
+      console.log(
+        "📝 Prompt Preview:",
+        analysisPrompt.substring(0, 500) + "..."
+      );
 
-        if (content) {
-          const analysisMessage = {
-            id: Date.now(),
-            type: "assistant",
-            content: content,
-            timestamp: new Date(),
-          };
-          setMessages((prev) => [...prev, analysisMessage]);
-        } else {
-          console.error("❌ GPT service returned unexpected format:", {
-            success: response.success,
-            error: response.error,
-            data: response.data,
-            content: response.content,
-            fullResponse: response,
-          });
-          throw new Error(response.error || "GPT response format error");
-        }
-      } else {
-        console.error("❌ API key not found:", apiKey);
-        throw new Error("API key not configured");
-      }
+      // Streamed through the background like any other question, so the
+      // API key stays there and the analysis lands in the thread history
+      const threadId = await ensureConversation();
+      await streamGPTResponse(
+        analysisPrompt,
+        debugContext,
+        threadId,
+        harFile ? "/debug har" : "/debug",
+        "debug"
+      );
     } catch (error) {
       console.error("❌ Debug analysis failed:", error);
       console.error("❌ Error details:", {
@@ -416,11 +887,11 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
       });
 
       const errorMessage = {
-        id: Date.now(),
+        id: nextMessageId(),
         type: "assistant",
-        content: `❌ **Lỗi phân tích debug**\n\n**Chi tiết lỗi:** ${
-          error.message
-        }\n\n**Debug info:**\n- Extension ID: ${
+        content: `❌ **Lỗi phân tích debug**\n\n${describeRequestError(
+          error
+        )}\n\n**Debug info:**\n- Extension ID: ${
           chrome.runtime.id
         }\n- Timestamp: ${new Date().toLocaleString()}\n\nVui lòng kiểm tra Console (F12) để xem chi tiết và thử lại.`,
         timestamp: new Date(),
@@ -429,104 +900,430 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
     }
   };
 
-  const sendMessage = async () => {
-    if (!inputValue.trim() || isLoading) return;
+  const updateMessage = (id: number, update: Partial<ChatMessage>) => {
+    setMessages((prev) =>
+      prev.map((m) => (m.id === id ? { ...m, ...update } : m))
+    );
+  };
 
-    const userMessage = {
-      id: Date.now(),
-      type: "user",
-      content: inputValue.trim(),
-      timestamp: new Date(),
-    };
+  // Stream the answer over a port so it can be drawn token by token;
+  // feature labels the request in the usage log
+  const streamGPTResponse = (
+    message: string,
+    context: CurrentPage | null,
+    threadId: string,
+    displayMessage?: string,
+    feature: "chat" | "page" | "debug" = "chat"
+  ): Promise<void> =>
+    new Promise((resolve, reject) => {
+      const assistantId = nextMessageId();
+      const port = chrome.runtime.connect({ name: "gpt-stream" });
+      streamPortRef.current = port;
+      setIsStreaming(true);
 
-    setMessages((prev) => [...prev, userMessage]);
-    setInputValue("");
-    setIsLoading(true);
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: assistantId,
+          type: "assistant",
+          content: "",
+          timestamp: new Date(),
+          streaming: true,
+        },
+      ]);
 
-    try {
-      // Check if user is asking for page analysis
-      const message = userMessage.content.toLowerCase().trim();
+      let settled = false;
+      const finish = () => {
+        settled = true;
+        streamPortRef.current = null;
+        setIsStreaming(false);
+        port.disconnect();
+      };
 
-      console.log(message);
+      port.onMessage.addListener((msg: StreamPortMessage) => {
+        switch (msg.type) {
+          case "GPT_STREAM_CHUNK":
+            setMessages((prev) =>
+              prev.map((m) =>
+                m.id === assistantId
+                  ? {
+                      ...m,
+                      content: m.content + (msg.data?.delta || ""),
+                      retryNotice: undefined,
+                    }
+                  : m
+              )
+            );
+            break;
+
+          case "GPT_STREAM_RETRY": {
+            const reason = RETRY_REASONS[msg.data?.kind || ""] || "Lỗi";
+            const seconds = Math.ceil((msg.data?.delayMs || 0) / 1000);
+            updateMessage(assistantId, {
+              retryNotice: `🔁 ${reason}, thử lại lần ${msg.data?.attempt}/${msg.data?.retries} sau ${seconds}s...`,
+            });
+            break;
+          }
 
-      // Check for debug command - send logs to GPT for analysis
-      if (message === "debug") {
-        await handleDebugAnalysis();
-        setIsLoading(false);
-        return;
-      }
+          case "GPT_STREAM_DONE":
+            if (msg.data?.aborted && !msg.data.content) {
+              // Stopped before the first token: nothing worth keeping
+              setMessages((prev) => prev.filter((m) => m.id !== assistantId));
+            } else {
+              updateMessage(assistantId, {
+                content: msg.data?.content || "No response received",
+                streaming: false,
+                retryNotice: undefined,
+                stopped: !!msg.data?.aborted,
+                contextUsage: msg.data?.contextUsage,
+                sources: msg.data?.sources,
+                usage: msg.data?.usage,
+              });
+            }
+            finish();
+            resolve();
+            break;
+
+          case "GPT_STREAM_ERROR":
+            // Keep any partial text, marked unfinished as it is saved in
+            // the thread; drop the empty placeholder
+            setMessages((prev) =>
+              prev
+                .filter((m) => m.id !== assistantId || m.content)
+                .map((m) =>
+                  m.id === assistantId
+                    ? {
+                        ...m,
+                        streaming: false,
+                        stopped: true,
+                        retryNotice: undefined,
+                      }
+                    : m
+                )
+            );
+            finish();
+            reject(
+              new RequestError(msg.error || "GPT request failed", msg.kind)
+            );
+            break;
+        }
+      });
 
-      const needsPageContent = message.includes("phân tích");
+      port.onDisconnect.addListener(() => {
+        if (settled) return;
+        settled = true;
+        streamPortRef.current = null;
+        setIsStreaming(false);
+        updateMessage(assistantId, { streaming: false });
+        reject(new Error("Lost connection to the background service"));
+      });
 
-      // Get current page info with content if needed
-      let pageContext = currentPage;
-      if (needsPageContent && currentPage) {
-        console.log(
-          "🔍 User wants page analysis, requesting page content (NOT console logs)..."
-        );
-        try {
-          const pageResponse = await chrome.runtime.sendMessage({
-            type: "GET_CURRENT_PAGE",
-            data: {
-              includeContent: true,
-              includeLogs: false, // Explicitly exclude logs for page analysis
-            },
-          });
+      port.postMessage({
+        type: "GPT_STREAM_START",
+        data: {
+          message,
+          context,
+          conversationId: threadId,
+          displayMessage,
+          feature,
+        },
+      });
+    });
 
-          console.log("📥 Page content response:", pageResponse);
-
-          if (pageResponse.success && pageResponse.data.content) {
-            pageContext = {
-              ...currentPage,
-              pageText: `${pageResponse.data.content.metaDescription || ""} ${
-                pageResponse.data.content.headings || ""
-              } ${pageResponse.data.content.content || ""}`,
-              metaDescription: pageResponse.data.content.metaDescription,
-              headings: pageResponse.data.content.headings,
-              fullContent: pageResponse.data.content.content,
-            };
-            console.log("✅ Page context created for analysis:", pageContext);
-          } else {
-            console.warn("❌ No page content received:", pageResponse);
-          }
-        } catch (contentError) {
-          console.error("❌ Could not get page content:", contentError);
-        }
-      } else {
-        console.log("ℹ️ No page content needed or no current page:", {
-          needsPageContent,
-          currentPage,
-        });
-      }
+  const stopStreaming = () => {
+    streamPortRef.current?.postMessage({ type: "GPT_STREAM_STOP" });
+  };
 
-      const response = await chrome.runtime.sendMessage({
-        type: "GPT_REQUEST",
+  // Current page plus its main content as Markdown (the service trims it to
+  // the budget); "qa" answers from the sections relevant to the question
+  const loadPageContext = async (
+    page: PageMode
+  ): Promise<CurrentPage | null> => {
+    if (!page || !currentPage) {
+      return currentPage;
+    }
+
+    console.log("🔍 Requesting page content (NOT console logs)...");
+    try {
+      const pageResponse = await chrome.runtime.sendMessage({
+        type: "GET_CURRENT_PAGE",
         data: {
-          message: userMessage.content,
-          context: pageContext,
-          conversationId: "gpt-popup",
+          ...tabTarget(),
+          includeContent: true,
+          includeLogs: false, // Explicitly exclude logs for page analysis
         },
       });
 
-      if (!response.success) {
-        throw new Error(response.error || "Failed to send message");
+      console.log("📥 Page content response:", pageResponse);
+
+      if (pageResponse.success && pageResponse.data.content) {
+        const pageContext = {
+          ...currentPage,
+          pageText: pageResponse.data.content.markdown,
+          metaDescription: pageResponse.data.content.metaDescription,
+          headings: pageResponse.data.content.headings,
+          pageQuestion: page === "qa",
+        };
+        console.log("✅ Page context created for analysis:", pageContext);
+        return pageContext;
+      }
+      console.warn("❌ No page content received:", pageResponse);
+    } catch (contentError) {
+      console.error("❌ Could not get page content:", contentError);
+    }
+    return currentPage;
+  };
+
+  const askGPT = async (
+    prompt: string,
+    page: PageMode,
+    displayMessage?: string
+  ) => {
+    const pageContext = await loadPageContext(page);
+    const context = selection
+      ? { ...pageContext, selectedText: selection }
+      : pageContext;
+    const threadId = await ensureConversation();
+    await streamGPTResponse(
+      prompt,
+      context,
+      threadId,
+      displayMessage,
+      page ? "page" : "chat"
+    );
+  };
+
+  const commandContext = (): CommandContext => ({
+    background: sendBackground,
+    notice: (content, type = "assistant") => addNotice(content, type),
+    ask: askGPT,
+    debug: async (har) => {
+      if (har) {
+        harInputRef.current?.click();
+      } else {
+        await handleDebugAnalysis();
+      }
+    },
+    clear: clearChat,
+    newChat: startNewConversation,
+    toggleRecording,
+    togglePageQA: () => setPageQA((on) => !on),
+    download: downloadFile,
+    tabTarget,
+    conversationId,
+    ensureConversation,
+    selection,
+  });
+
+  const sendMessage = () => {
+    if (!inputValue.trim() || isLoading) return;
+    setInputValue("");
+    submit(inputValue);
+  };
+
+  // Sends a chat message or runs a slash command
+  const submit = async (input: string) => {
+    const userMessage: ChatMessage = {
+      id: nextMessageId(),
+      type: "user",
+      content: input.trim(),
+      timestamp: new Date(),
+    };
+
+    setMessages((prev) => [...prev, userMessage]);
+    setIsLoading(true);
+
+    try {
+      const command = parseCommand(userMessage.content);
+      if (command) {
+        console.log("⌨️ Running command:", command.command.name);
+        await command.command.run(
+          command.args,
+          commandContext(),
+          userMessage.content
+        );
+      } else {
+        // "//" escapes a message that starts with a slash
+        const text = userMessage.content.replace(/^\/\//, "/");
+        await askGPT(text, pageQA ? "qa" : null);
       }
+      setIsLoading(false);
     } catch (error) {
       console.error("Failed to send message:", error);
       setIsLoading(false);
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now() + 1,
+          id: nextMessageId(),
           type: "error",
-          content: `Error: ${error.message}`,
+          content:
+            error instanceof CommandError
+              ? error.message
+              : describeRequestError(error),
           timestamp: new Date(),
         },
       ]);
     }
   };
 
+  const handleHarSelected = async (
+    e: React.ChangeEvent<HTMLInputElement>
+  ) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setIsLoading(true);
+    await handleDebugAnalysis(file);
+    setIsLoading(false);
+  };
+
+  const addNotice = (content: string, type: ChatMessage["type"]) => {
+    const notice: ChatMessage = {
+      id: nextMessageId(),
+      type,
+      content,
+      timestamp: new Date(),
+    };
+    setMessages((prev) => [...prev, notice]);
+  };
+
+  const restoreRecording = async () => {
+    const response = await chrome.runtime.sendMessage({
+      type: "GET_SESSION_RECORDING",
+      target: "background",
+    });
+    if (response && response.success && response.data) {
+      setRecording(response.data);
+    }
+  };
+
+  const downloadFile = (filename: string, content: string, type: string) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadHar = (har: { log: { pages: { _url: string }[] } }) => {
+    let host = "page";
+    try {
+      host = new URL(har.log.pages[0]._url).hostname || host;
+    } catch {
+      // Keep the generic name
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    downloadFile(
+      `session-${host}-${stamp}.har`,
+      JSON.stringify(har, null, 2),
+      "application/json"
+    );
+  };
+
+  // Record network, console and exceptions for a tab, then export as HAR
+  const toggleRecording = async () => {
+    try {
+      if (!recording) {
+        const response = await chrome.runtime.sendMessage({
+          type: "START_SESSION_RECORDING",
+          target: "background",
+          data: tabTarget(),
+        });
+        if (!response || !response.success) {
+          throw new Error(response?.error || "Could not start recording");
+        }
+
+        setRecording({
+          tabId: response.data.tabId,
+          startedAt: new Date().toISOString(),
+        });
+        addNotice(
+          `⏺️ **Đang ghi phiên** trên ${response.data.title || response.data.url}\n\nReload hoặc thao tác trên trang, sau đó bấm ⏹️ để xuất file HAR.`,
+          "assistant"
+        );
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        type: "STOP_SESSION_RECORDING",
+        target: "background",
+        data: { tabId: recording.tabId },
+      });
+      setRecording(null);
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Could not stop recording");
+      }
+
+      downloadHar(response.data.har);
+      addNotice(
+        `✅ **Đã xuất HAR:** ${response.data.requestCount} requests, ${
+          response.data.consoleCount
+        } console entries${
+          response.data.detached
+            ? "\n\n⚠️ Debugger đã bị ngắt giữa chừng, file có thể thiếu dữ liệu."
+            : ""
+        }\n\nGõ \`/debug har\` để phân tích một file HAR đã lưu.`,
+        "assistant"
+      );
+    } catch (error) {
+      addNotice(
+        `Error: ${error instanceof Error ? error.message : String(error)}`,
+        "error"
+      );
+    }
+  };
+
+  const completions = completionsDismissed
+    ? []
+    : getCompletions(inputValue, completionLists);
+
+  const applyCompletion = (value: string) => {
+    setInputValue(value);
+    setCompletionIndex(0);
+    textareaRef.current?.focus();
+  };
+
   const handleKeyPress = (e) => {
+    if (completions.length > 0) {
+      const selected = completions[completionIndex] || completions[0];
+      switch (e.key) {
+        case "ArrowDown":
+        case "ArrowUp": {
+          e.preventDefault();
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          setCompletionIndex(
+            (index) =>
+              (index + step + completions.length) % completions.length
+          );
+          return;
+        }
+        case "Tab":
+          e.preventDefault();
+          applyCompletion(selected.value);
+          return;
+        case "Escape":
+          e.preventDefault();
+          setCompletionsDismissed(true);
+          return;
+        case "Enter":
+          // A half-typed word is completed first; after a space Enter sends
+          if (
+            !e.shiftKey &&
+            !/\s$/.test(inputValue) &&
+            selected.value.trim() !== inputValue.trim()
+          ) {
+            e.preventDefault();
+            applyCompletion(selected.value);
+            return;
+          }
+          break;
+      }
+    }
+
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       sendMessage();
@@ -535,6 +1332,14 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
 
   const handleInputChange = (e) => {
     setInputValue(e.target.value);
+    setCompletionIndex(0);
+    setCompletionsDismissed(false);
+    if (
+      /^\/model\s/i.test(e.target.value) &&
+      completionLists.models.length === 0
+    ) {
+      loadModels();
+    }
 
     // Auto-resize textarea
     const textarea = e.target;
@@ -542,8 +1347,72 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
     textarea.style.height = Math.min(textarea.scrollHeight, 120) + "px";
   };
 
-  const clearChat = () => {
+  const clearChat = async () => {
     setMessages([]);
+    if (conversationId) {
+      await chrome.runtime.sendMessage({
+        type: "CLEAR_CONVERSATION",
+        target: "background",
+        data: { conversationId },
+      });
+    }
+  };
+
+  const copyMessage = async (message: ChatMessage) => {
+    try {
+      await navigator.clipboard.writeText(message.content);
+      setCopiedMessageId(message.id);
+      setTimeout(() => setCopiedMessageId(null), 1500);
+    } catch (error) {
+      console.error("[GPT-Chat] Copy failed:", error);
+    }
+  };
+
+  const formatTokens = (tokens: number) =>
+    tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+
+  const formatSource = (source: PageSource) =>
+    `[${source.id}] ${source.heading || "(không có tiêu đề)"}`;
+
+  const formatContextUsage = (usage: ContextUsage) => {
+    let text = `📊 Ngữ cảnh: ~${formatTokens(usage.promptTokens)}/${formatTokens(
+      usage.budget
+    )} tokens (${usage.percent}%)`;
+    if (usage.summarizedMessages > 0) {
+      text += ` · 🗜️ ${usage.summarizedMessages} tin nhắn cũ đã được tóm tắt`;
+    }
+    if (usage.droppedMessages > 0) {
+      text += ` · ${usage.droppedMessages} tin nhắn bị lược bỏ`;
+    }
+    return text;
+  };
+
+  const formatCost = (cost: number) =>
+    `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
+  const formatMessageUsage = (usage: MessageUsage) => {
+    let text = `💰 ${usage.estimated ? "~" : ""}${formatTokens(
+      usage.promptTokens
+    )} → ${formatTokens(usage.completionTokens)} tokens`;
+    text +=
+      usage.cost === null ? " · chưa có giá" : ` · ${formatCost(usage.cost)}`;
+
+    const budget = usage.budget;
+    if (budget?.limit && budget.state !== "ok") {
+      const period = budget.period === "day" ? "hôm nay" : "tháng này";
+      const spent = `${formatCost(budget.spent)}/${formatCost(budget.limit)}`;
+      text += ` · ⚠️ đã dùng ${budget.percent}% giới hạn ${period} (${spent})`;
+    }
+    return text;
+  };
+
+  const formatThreadDate = (iso: string) => {
+    return new Date(iso).toLocaleString("vi-VN", {
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
   };
 
   const formatTime = (date) => {
@@ -572,6 +1441,22 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
                   </p>
                 </div>
               </div>
+              <select
+                className="mt-2 w-full text-xs text-gray-800 bg-white/90 rounded-md px-2 py-1 focus:outline-none"
+                value={targetTabId ?? ""}
+                onFocus={loadWebTabs}
+                onChange={(e) =>
+                  setTargetTabId(e.target.value ? Number(e.target.value) : null)
+                }
+                title="Tab to analyze"
+              >
+                <option value="">🔄 Tab đang active</option>
+                {webTabs.map((tab) => (
+                  <option key={tab.id} value={tab.id}>
+                    📌 {tab.title || tab.url}
+                  </option>
+                ))}
+              </select>
               {currentPage && (
                 <div className="mt-2 sm:mt-3 bg-white/10 backdrop-blur-sm rounded-lg p-2 sm:p-3 border border-white/20">
                   <div className="flex items-center space-x-2 mb-1">
@@ -587,6 +1472,46 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
               )}
             </div>
             <div className="flex space-x-1 sm:space-x-2 flex-shrink-0">
+              <button
+                className={`p-2 sm:p-3 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all duration-200 backdrop-blur-sm border border-white/20 hover:scale-105 ${
+                  showThreads ? "bg-white/20" : ""
+                }`}
+                onClick={toggleThreads}
+                title="Conversations"
+              >
+                <span className="text-sm sm:text-lg">📚</span>
+              </button>
+              <button
+                className={`p-2 sm:p-3 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all duration-200 backdrop-blur-sm border border-white/20 hover:scale-105 ${
+                  pageQA ? "bg-white/30" : ""
+                }`}
+                onClick={() => setPageQA((on) => !on)}
+                title={
+                  pageQA ? "Page Q&A on: questions use this page" : "Page Q&A"
+                }
+              >
+                <span className="text-sm sm:text-lg">❓</span>
+              </button>
+              <button
+                className={`p-2 sm:p-3 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all duration-200 backdrop-blur-sm border border-white/20 hover:scale-105 ${
+                  recording ? "bg-red-500/60 animate-pulse" : ""
+                }`}
+                onClick={toggleRecording}
+                title={
+                  recording ? "Stop recording & export HAR" : "Record session"
+                }
+              >
+                <span className="text-sm sm:text-lg">
+                  {recording ? "⏹️" : "⏺️"}
+                </span>
+              </button>
+              <button
+                className="p-2 sm:p-3 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all duration-200 backdrop-blur-sm border border-white/20 hover:scale-105"
+                onClick={startNewConversation}
+                title="New chat"
+              >
+                <span className="text-sm sm:text-lg">➕</span>
+              </button>
               <button
                 className="p-2 sm:p-3 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all duration-200 backdrop-blur-sm border border-white/20 hover:scale-105"
                 onClick={clearChat}
@@ -606,6 +1531,53 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
         </div>
       </header>
 
+      {showThreads && (
+        <div className="border-b border-gray-200 bg-white/90 backdrop-blur-sm max-h-64 overflow-y-auto">
+          {threads.length === 0 ? (
+            <div className="p-4 text-sm text-gray-500 text-center">
+              Chưa có cuộc trò chuyện nào
+            </div>
+          ) : (
+            threads.map((thread) => (
+              <div
+                key={thread.id}
+                className={`flex items-center gap-2 px-3 sm:px-4 py-2 border-b border-gray-100 hover:bg-indigo-50 ${
+                  thread.id === conversationId ? "bg-indigo-50" : ""
+                }`}
+              >
+                <button
+                  className="flex-1 min-w-0 text-left"
+                  onClick={() => openConversation(thread.id)}
+                >
+                  <div className="text-sm font-medium text-gray-800 truncate">
+                    {thread.title}
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {formatThreadDate(thread.updatedAt)} ·{" "}
+                    {thread.messageCount} tin nhắn
+                    {thread.pageTitle ? ` · ${thread.pageTitle}` : ""}
+                  </div>
+                </button>
+                <button
+                  className="p-1 text-gray-400 hover:text-indigo-600"
+                  onClick={() => renameConversation(thread)}
+                  title="Rename"
+                >
+                  ✏️
+                </button>
+                <button
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  onClick={() => deleteConversation(thread)}
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
       <div className="flex-1 overflow-y-auto p-3 sm:p-4 lg:p-6 space-y-4 sm:space-y-6">
         {messages.length === 0 && (
           <div className="flex items-center justify-center h-full">
@@ -625,11 +1597,11 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
               <div className="grid grid-cols-1 gap-3 text-sm">
                 <div className="bg-white/60 backdrop-blur-sm rounded-lg p-3 border border-indigo-100">
                   <span className="text-indigo-600 font-medium">💡 Gợi ý:</span>{" "}
-                  "Phân tích trang web này"
+                  /analyze, /summarize, /ask &lt;câu hỏi&gt;
                 </div>
                 <div className="bg-white/60 backdrop-blur-sm rounded-lg p-3 border border-purple-100">
                   <span className="text-purple-600 font-medium">🔍 Ví dụ:</span>{" "}
-                  "debug"
+                  /debug, /audit, /help
                 </div>
               </div>
             </div>
@@ -664,16 +1636,79 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
                         : "bg-white text-gray-800 border border-gray-200"
                     }`}
                   >
-                    <div className="whitespace-pre-wrap text-xs sm:text-sm leading-relaxed break-words">
-                      {message.content}
+                    <div
+                      className={`text-xs sm:text-sm leading-relaxed break-words ${
+                        message.type === "user" ? "whitespace-pre-wrap" : ""
+                      }`}
+                    >
+                      {message.type === "user" ? (
+                        message.content
+                      ) : (
+                        <MarkdownMessage content={message.content} />
+                      )}
+                      {message.streaming && (
+                        <span className="inline-block w-1.5 h-3 sm:h-4 ml-0.5 align-middle bg-indigo-500 animate-pulse"></span>
+                      )}
                     </div>
                   </div>
+                  {message.streaming && message.retryNotice && (
+                    <div className="text-xs text-amber-600 mt-1">
+                      {message.retryNotice}
+                    </div>
+                  )}
+                  {message.stopped && (
+                    <div className="text-xs text-amber-600 mt-1">
+                      ⏹️ Đã dừng - câu trả lời chưa hoàn chỉnh
+                    </div>
+                  )}
+                  {message.contextUsage && (
+                    <div
+                      className={`text-xs mt-1 ${
+                        message.contextUsage.percent >= 90
+                          ? "text-amber-600"
+                          : "text-gray-400"
+                      }`}
+                      title={`Context window: ${message.contextUsage.contextWindow} tokens`}
+                    >
+                      {formatContextUsage(message.contextUsage)}
+                    </div>
+                  )}
+                  {message.usage && (
+                    <div
+                      className={`text-xs mt-1 ${
+                        message.usage.budget &&
+                        message.usage.budget.state !== "ok"
+                          ? "text-amber-600"
+                          : "text-gray-400"
+                      }`}
+                      title="Prompt → completion tokens, chi phí ước tính"
+                    >
+                      {formatMessageUsage(message.usage)}
+                    </div>
+                  )}
+                  {message.sources && message.sources.length > 0 && (
+                    <div
+                      className="text-xs text-gray-500 mt-1"
+                      title="Các phần của trang được dùng để trả lời"
+                    >
+                      📑 Nguồn: {message.sources.map(formatSource).join(" · ")}
+                    </div>
+                  )}
                   <div
                     className={`text-xs text-gray-500 mt-1 sm:mt-2 ${
                       message.type === "user" ? "text-right" : "text-left"
                     }`}
                   >
                     {formatTime(message.timestamp)}
+                    {message.type === "assistant" && !message.streaming && (
+                      <button
+                        className="ml-2 text-gray-400 hover:text-indigo-600"
+                        onClick={() => copyMessage(message)}
+                        title="Copy as Markdown"
+                      >
+                        {copiedMessageId === message.id ? "✅" : "📋"}
+                      </button>
+                    )}
                   </div>
                 </div>
                 {message.type === "user" && (
@@ -686,7 +1721,7 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
           </div>
         ))}
 
-        {isLoading && (
+        {isLoading && !isStreaming && (
           <div className="flex justify-start">
             <div className="max-w-[85%] sm:max-w-[80%]">
               <div className="flex items-start space-x-2 sm:space-x-3">
@@ -717,18 +1752,70 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
         )}
 
         <div ref={messagesEndRef} />
+        <input
+          ref={harInputRef}
+          type="file"
+          accept=".har,application/json"
+          className="hidden"
+          onChange={handleHarSelected}
+        />
       </div>
 
       <div className="border-t border-gray-200/50 bg-white/80 backdrop-blur-sm p-3 sm:p-4 lg:p-6">
         <div className="max-w-4xl mx-auto">
+          {selection && (
+            <div className="flex items-center gap-2 mb-2 px-3 py-2 text-xs bg-indigo-50 border border-indigo-100 rounded-lg">
+              <span className="flex-shrink-0">✂️</span>
+              <span className="flex-1 min-w-0 truncate text-gray-700" title={selection}>
+                {selection}
+              </span>
+              <button
+                className="flex-shrink-0 text-gray-400 hover:text-red-600"
+                onClick={() => setSelection(null)}
+                title="Remove selection"
+              >
+                ✕
+              </button>
+            </div>
+          )}
           <div className="flex items-end space-x-2 sm:space-x-4">
             <div className="flex-1 relative">
+              {completions.length > 0 && (
+                <div className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-white rounded-xl border border-gray-200 shadow-lg z-10">
+                  {completions.map((completion, index) => (
+                    <button
+                      key={completion.value}
+                      className={`w-full text-left px-3 py-2 border-b border-gray-100 last:border-b-0 ${
+                        index === completionIndex
+                          ? "bg-indigo-50"
+                          : "hover:bg-gray-50"
+                      }`}
+                      onMouseDown={(e) => {
+                        // Keep focus in the textarea
+                        e.preventDefault();
+                        applyCompletion(completion.value);
+                      }}
+                    >
+                      <div className="text-sm font-mono text-indigo-700 truncate">
+                        {completion.label}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">
+                        {completion.description}
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
               <textarea
                 ref={textareaRef}
                 value={inputValue}
                 onChange={handleInputChange}
                 onKeyDown={handleKeyPress}
-                placeholder="Nhập tin nhắn... (Enter để gửi)"
+                placeholder={
+                  pageQA
+                    ? "Hỏi về trang này... (Enter để gửi)"
+                    : "Nhập tin nhắn hoặc / để xem lệnh... (Enter để gửi)"
+                }
                 className="w-full resize-none border-2 border-gray-200 rounded-xl sm:rounded-2xl px-3 py-2 sm:px-4 sm:py-3 pr-8 sm:pr-12 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all duration-200 max-h-24 sm:max-h-32 bg-white/90 backdrop-blur-sm shadow-sm text-sm sm:text-base"
                 disabled={isLoading}
                 rows={1}
@@ -737,24 +1824,34 @@ Trả lời bằng tiếng Việt, chi tiết và cụ thể.`;
                 {inputValue.length}/1000
               </div>
             </div>
-            <button
-              className={`p-2 sm:p-3 rounded-xl sm:rounded-2xl font-medium transition-all duration-200 shadow-sm flex-shrink-0 ${
-                !inputValue.trim() || isLoading
-                  ? "bg-gray-100 text-gray-400 cursor-not-allowed"
-                  : "bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 text-white hover:shadow-lg hover:scale-105 active:scale-95"
-              }`}
-              onClick={sendMessage}
-              disabled={!inputValue.trim() || isLoading}
-            >
-              <span className="text-lg sm:text-xl">
-                {isLoading ? "⏳" : "🚀"}
-              </span>
-            </button>
+            {isStreaming ? (
+              <button
+                className="p-2 sm:p-3 rounded-xl sm:rounded-2xl font-medium transition-all duration-200 shadow-sm flex-shrink-0 bg-red-500 hover:bg-red-600 text-white hover:shadow-lg active:scale-95"
+                onClick={stopStreaming}
+                title="Stop generating"
+              >
+                <span className="text-lg sm:text-xl">⏹️</span>
+              </button>
+            ) : (
+              <button
+                className={`p-2 sm:p-3 rounded-xl sm:rounded-2xl font-medium transition-all duration-200 shadow-sm flex-shrink-0 ${
+                  !inputValue.trim() || isLoading
+                    ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                    : "bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 text-white hover:shadow-lg hover:scale-105 active:scale-95"
+                }`}
+                onClick={sendMessage}
+                disabled={!inputValue.trim() || isLoading}
+              >
+                <span className="text-lg sm:text-xl">
+                  {isLoading ? "⏳" : "🚀"}
+                </span>
+              </button>
+            )}
           </div>
           <div className="flex items-center justify-between mt-2 sm:mt-3 text-xs text-gray-500">
             <div className="flex items-center space-x-2 sm:space-x-4">
               <span className="hidden sm:inline">
-                💡 Tip: Shift+Enter để xuống dòng
+                💡 Tip: Shift+Enter để xuống dòng · Gõ / để xem lệnh
               </span>
               <span className="sm:hidden">💡 Shift+Enter xuống dòng</span>
             </div>
@@ -0,0 +1,548 @@
+import React, { useState } from "react";
+import { highlightCode } from "./highlight";
+
+// Markdown for chat answers
+// Text is parsed into blocks and inline spans and rendered as React
+// elements. Raw HTML from the model (or the page it quotes) stays visible
+// text and is never parsed, images are shown as links instead of being
+// loaded, and only http(s)/mailto links are clickable.
+
+type Block =
+  | { type: "heading"; level: number; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "code"; language: string; code: string }
+  | { type: "quote"; blocks: Block[] }
+  | { type: "list"; ordered: boolean; start: number; items: ListItem[] }
+  | { type: "table"; align: Align[]; header: string[]; rows: string[][] }
+  | { type: "rule" };
+
+interface ListItem {
+  checked: boolean | null;
+  blocks: Block[];
+}
+
+type Align = "left" | "center" | "right" | undefined;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitRow = (line: string) =>
+  line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+
+const startsBlock = (line: string, next: string | undefined) =>
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  QUOTE.test(line) ||
+  LIST_ITEM.test(line) ||
+  (line.includes("|") && next !== undefined && TABLE_DIVIDER.test(next));
+
+export function parseBlocks(markdown: string): Block[] {
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  const blocks: Block[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // An unclosed fence runs to the end, which is what a streaming
+    // answer looks like until the closing ``` arrives
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code: string[] = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({
+        type: "code",
+        language: fence[2],
+        code: code.join("\n"),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted: string[] = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ""));
+        i++;
+      }
+      blocks.push({ type: "quote", blocks: parseBlocks(quoted.join("\n")) });
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_DIVIDER.test(lines[i + 1] || "")) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map((cell): Align => {
+        if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+        if (cell.endsWith(":")) return "right";
+        if (cell.startsWith(":")) return "left";
+        return undefined;
+      });
+      const rows: string[][] = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      blocks.push({ type: "table", align, header, rows });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const [list, end] = parseList(lines, i);
+      blocks.push(list);
+      i = end;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const text = [line];
+    i++;
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !startsBlock(lines[i], lines[i + 1])
+    ) {
+      text.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: "paragraph", text: text.join("\n") });
+  }
+
+  return blocks;
+}
+
+// A list and its nested content. Items belong to the list while their
+// marker has the first item's indent; deeper lines are item content.
+function parseList(lines: string[], start: number): [Block, number] {
+  const first = lines[start].match(LIST_ITEM)!;
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items: ListItem[] = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (
+      !match ||
+      match[1].length !== indent ||
+      /\d/.test(match[2]) !== ordered
+    ) {
+      break;
+    }
+
+    const content = [match[3]];
+    const contentIndent = indent + match[2].length + 1;
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      const lineIndent = line.length - line.trimStart().length;
+      if (!line.trim()) {
+        // A blank line ends the list unless indented content follows
+        const next = lines[i + 1];
+        if (
+          next === undefined ||
+          next.length - next.trimStart().length <= indent
+        ) {
+          break;
+        }
+        content.push("");
+      } else if (lineIndent > indent) {
+        content.push(line.slice(Math.min(lineIndent, contentIndent)));
+      } else if (!LIST_ITEM.test(line) && !startsBlock(line, lines[i + 1])) {
+        // Lazy continuation of the item's paragraph
+        content.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    const task = content[0].match(/^\[([ xX])\]\s+/);
+    if (task) {
+      content[0] = content[0].slice(task[0].length);
+    }
+    items.push({
+      checked: task ? task[1] !== " " : null,
+      blocks: parseBlocks(content.join("\n")),
+    });
+
+    if (i < lines.length && !lines[i].trim()) {
+      i++;
+    }
+  }
+
+  return [
+    {
+      type: "list",
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      items,
+    },
+    i,
+  ];
+}
+
+export function safeUrl(url: string): string | null {
+  try {
+    const parsed = new URL(url);
+    return ["http:", "https:", "mailto:"].includes(parsed.protocol)
+      ? parsed.href
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// Opened with the tabs API: a popup window has no tab strip of its own
+const openLink = (event: React.MouseEvent<HTMLAnchorElement>) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: event.currentTarget.href });
+};
+
+const renderLink = (href: string, children: React.ReactNode, key: string) => {
+  const url = safeUrl(href);
+  if (!url) return <span key={key}>{children}</span>;
+  return (
+    <a
+      key={key}
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={openLink}
+      className="text-indigo-600 underline break-all hover:text-indigo-800"
+      title={url}
+    >
+      {children}
+    </a>
+  );
+};
+
+const renderStrong = (text: string, key: string) => (
+  <strong key={key} className="font-semibold">
+    {parseInline(text, key)}
+  </strong>
+);
+
+// "(url)" or "(url "title")"; the url may hold one level of parentheses
+const LINK_TARGET = String.raw`\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"[^"]*")?\s*\)`;
+
+interface InlineRule {
+  pattern: RegExp;
+  render: (match: RegExpExecArray, key: string) => React.ReactNode;
+  // Must not touch a letter or digit on the left, or on both sides
+  boundary?: "left" | "both";
+}
+
+const INLINE_RULES: InlineRule[] = [
+  { pattern: /\\([!-/:-@[-`{-~])/y, render: (m) => m[1] },
+  {
+    pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+    render: (m, key) => (
+      <code
+        key={key}
+        className="px-1 py-0.5 rounded bg-gray-100 text-pink-700 font-mono text-[0.85em] break-words"
+      >
+        {m[2].trim()}
+      </code>
+    ),
+  },
+  {
+    // Remote images could be used to send data out; link them instead
+    pattern: new RegExp(String.raw`!\[([^\]]*)\]` + LINK_TARGET, "y"),
+    render: (m, key) => renderLink(m[2], `🖼️ ${m[1] || m[2]}`, key),
+  },
+  {
+    pattern: new RegExp(
+      String.raw`\[((?:[^[\]\\]|\\.|\[[^\]]*\])+)\]` + LINK_TARGET,
+      "y"
+    ),
+    render: (m, key) => renderLink(m[2], parseInline(m[1], key), key),
+  },
+  {
+    pattern: /<((?:https?:\/\/|mailto:)[^\s>]+)>/y,
+    render: (m, key) => renderLink(m[1], m[1], key),
+  },
+  {
+    pattern: /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~`]/y,
+    render: (m, key) => renderLink(m[0], m[0], key),
+    boundary: "left",
+  },
+  {
+    pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y,
+    render: (m, key) => renderStrong(m[1], key),
+  },
+  {
+    // Underscores inside snake_case_names are not emphasis
+    pattern: /__(?=\S)([\s\S]*?\S)__/y,
+    render: (m, key) => renderStrong(m[1], key),
+    boundary: "both",
+  },
+  {
+    pattern: /~~(?=\S)([\s\S]*?\S)~~/y,
+    render: (m, key) => <del key={key}>{parseInline(m[1], key)}</del>,
+  },
+  {
+    pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y,
+    render: (m, key) => <em key={key}>{parseInline(m[1], key)}</em>,
+  },
+  {
+    pattern: /_(?=\S)([\s\S]*?\S)_/y,
+    render: (m, key) => <em key={key}>{parseInline(m[1], key)}</em>,
+    boundary: "both",
+  },
+];
+
+const isWordChar = (char: string | undefined) =>
+  !!char && /[\p{L}\p{N}]/u.test(char);
+
+export function parseInline(text: string, keyPrefix = ""): React.ReactNode[] {
+  const nodes: React.ReactNode[] = [];
+  let plain = "";
+  let index = 0;
+
+  const flush = () => {
+    // Single line breaks are kept, as the chat showed them before
+    plain.split("\n").forEach((part, n) => {
+      if (n > 0) nodes.push(<br key={`${keyPrefix}-br-${index}-${n}`} />);
+      if (part) nodes.push(part);
+    });
+    plain = "";
+  };
+
+  while (index < text.length) {
+    let matched = false;
+    for (const rule of INLINE_RULES) {
+      rule.pattern.lastIndex = index;
+      const match = rule.pattern.exec(text);
+      if (!match) continue;
+      if (
+        rule.boundary &&
+        (isWordChar(text[index - 1]) ||
+          (rule.boundary === "both" &&
+            isWordChar(text[index + match[0].length])))
+      ) {
+        continue;
+      }
+
+      flush();
+      nodes.push(rule.render(match, `${keyPrefix}-${index}`));
+      index += match[0].length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      plain += text[index];
+      index++;
+    }
+  }
+  flush();
+
+  return nodes;
+}
+
+const CodeBlock: React.FC<{ language: string; code: string }> = ({
+  language,
+  code,
+}) => {
+  const [copied, setCopied] = useState<boolean>(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error("[GPT-Chat] Copy failed:", error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-lg overflow-hidden border border-gray-700 bg-gray-900">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-800 text-gray-400 text-xs">
+        <span className="font-mono">{language || "code"}</span>
+        <button
+          className="hover:text-white transition-colors"
+          onClick={copy}
+          title="Copy code"
+        >
+          {copied ? "✅ Copied" : "📋 Copy"}
+        </button>
+      </div>
+      <pre className="p-3 overflow-x-auto text-xs leading-relaxed text-gray-100">
+        <code className="font-mono">{highlightCode(code, language)}</code>
+      </pre>
+    </div>
+  );
+};
+
+const HEADING_CLASSES = [
+  "text-lg font-bold",
+  "text-base font-bold",
+  "text-sm font-bold",
+  "text-sm font-semibold",
+  "text-sm font-semibold",
+  "text-sm font-semibold text-gray-600",
+];
+
+function renderBlock(block: Block, key: string): React.ReactNode {
+  switch (block.type) {
+    case "heading": {
+      const Tag = `h${block.level}` as "h1";
+      return (
+        <Tag
+          key={key}
+          className={`${HEADING_CLASSES[block.level - 1]} mt-3 mb-1`}
+        >
+          {parseInline(block.text, key)}
+        </Tag>
+      );
+    }
+
+    case "paragraph":
+      return (
+        <p key={key} className="my-1.5">
+          {parseInline(block.text, key)}
+        </p>
+      );
+
+    case "code":
+      return (
+        <CodeBlock key={key} language={block.language} code={block.code} />
+      );
+
+    case "quote":
+      return (
+        <blockquote
+          key={key}
+          className="my-2 pl-3 border-l-4 border-indigo-200 text-gray-600"
+        >
+          {block.blocks.map((child, n) => renderBlock(child, `${key}-${n}`))}
+        </blockquote>
+      );
+
+    case "list": {
+      // Item text sits on the marker line instead of in a spaced <p>
+      const items = block.items.map((item, n) => (
+        <li
+          key={`${key}-${n}`}
+          className={item.checked !== null ? "list-none -ml-4" : ""}
+        >
+          {item.checked !== null && (
+            <input
+              type="checkbox"
+              checked={item.checked}
+              readOnly
+              className="mr-1.5 align-middle"
+            />
+          )}
+          {item.blocks.map((child, m) =>
+            child.type === "paragraph" ? (
+              <span key={`${key}-${n}-${m}`} className="block">
+                {parseInline(child.text, `${key}-${n}-${m}`)}
+              </span>
+            ) : (
+              renderBlock(child, `${key}-${n}-${m}`)
+            )
+          )}
+        </li>
+      ));
+      return block.ordered ? (
+        <ol
+          key={key}
+          start={block.start}
+          className="my-1.5 pl-5 list-decimal space-y-0.5"
+        >
+          {items}
+        </ol>
+      ) : (
+        <ul key={key} className="my-1.5 pl-5 list-disc space-y-0.5">
+          {items}
+        </ul>
+      );
+    }
+
+    case "table":
+      return (
+        <div key={key} className="my-2 overflow-x-auto">
+          <table className="min-w-full text-xs border-collapse">
+            <thead>
+              <tr>
+                {block.header.map((cell, n) => (
+                  <th
+                    key={n}
+                    style={{ textAlign: block.align[n] }}
+                    className="px-2 py-1 border border-gray-200 bg-gray-50 font-semibold"
+                  >
+                    {parseInline(cell, `${key}-h${n}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r} className="even:bg-gray-50/60">
+                  {block.header.map((_, n) => (
+                    <td
+                      key={n}
+                      style={{ textAlign: block.align[n] }}
+                      className="px-2 py-1 border border-gray-200 align-top"
+                    >
+                      {parseInline(row[n] || "", `${key}-${r}-${n}`)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+
+    case "rule":
+      return <hr key={key} className="my-3 border-gray-200" />;
+  }
+}
+
+const MarkdownMessage: React.FC<{ content: string }> = ({ content }) => (
+  <div className="break-words [&>*:first-child]:mt-0 [&>*:last-child]:mb-0">
+    {parseBlocks(content).map((block, n) => renderBlock(block, String(n)))}
+  </div>
+);
+
+export default MarkdownMessage;
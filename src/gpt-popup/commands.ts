@@ -0,0 +1,782 @@
+// Slash commands for the chat input
+// Each command declares its arguments, so "/audit mobile-3g --runs 3" is
+// parsed and checked here and the handler only sees named values. Handlers
+// reach the chat and the background through a CommandContext.
+
+export interface CommandArg {
+  name: string;
+  description: string;
+  required?: boolean;
+  // Takes the rest of the line as typed ("/ask how do I install it?")
+  rest?: boolean;
+  choices?: string[];
+  // Choices the chat loads at runtime (see CompletionLists)
+  choicesFrom?: keyof CompletionLists;
+}
+
+export interface CommandOption {
+  name: string;
+  description: string;
+  type: "string" | "number" | "boolean";
+}
+
+export type CommandArgs = Record<string, string | number | boolean | undefined>;
+
+// What a question to GPT should carry from the page: the main content
+// ("full") or only the sections relevant to the question ("qa")
+export type PageMode = "full" | "qa" | null;
+
+export interface CommandContext {
+  // Sends a background message type; resolves with its data, throws its error
+  background: <T>(type: string, data?: object) => Promise<T>;
+  notice: (content: string, type?: "assistant" | "error") => void;
+  ask: (prompt: string, page: PageMode, display: string) => Promise<void>;
+  debug: (har: boolean) => Promise<void>;
+  clear: () => Promise<void>;
+  newChat: () => void;
+  toggleRecording: () => Promise<void>;
+  togglePageQA: () => void;
+  download: (filename: string, content: string, type: string) => void;
+  tabTarget: () => { tabId?: number };
+  conversationId: string | null;
+  // Creates the thread if the chat has none yet
+  ensureConversation: () => Promise<string>;
+  // Text selected on the page (context menu), sent along with every question
+  selection: string | null;
+}
+
+export interface ChatCommand {
+  name: string;
+  aliases?: string[];
+  description: string;
+  args?: CommandArg[];
+  options?: CommandOption[];
+  run: (args: CommandArgs, ctx: CommandContext, input: string) => Promise<void>;
+}
+
+export interface CompletionLists {
+  auditProfiles: string[];
+  models: string[];
+}
+
+export interface Completion {
+  value: string;
+  label: string;
+  description: string;
+}
+
+export class CommandError extends Error {}
+
+interface Token {
+  text: string;
+  start: number;
+}
+
+// Splits on whitespace; "double" or 'single' quotes keep spaces together
+export function tokenizeCommand(line: string): Token[] {
+  const tokens: Token[] = [];
+  const pattern = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(line))) {
+    tokens.push({
+      text: match[1] ?? match[2] ?? match[3],
+      start: match.index,
+    });
+  }
+  return tokens;
+}
+
+export function findCommand(name: string): ChatCommand | undefined {
+  const wanted = name.toLowerCase();
+  return COMMANDS.find(
+    (command) => command.name === wanted || command.aliases?.includes(wanted)
+  );
+}
+
+// Options are listed before a rest argument, which takes everything after it
+export function formatUsage(command: ChatCommand): string {
+  const args = (command.args || []).map((arg) => {
+    const label = arg.choices ? arg.choices.join("|") : arg.name;
+    const text = arg.rest ? `${label}...` : label;
+    return arg.required ? `<${text}>` : `[${text}]`;
+  });
+  const options = (command.options || []).map((option) =>
+    option.type === "boolean"
+      ? `[--${option.name}]`
+      : `[--${option.name} <${option.type === "number" ? "n" : "value"}>]`
+  );
+  const rest = command.args?.some((arg) => arg.rest) ? args.pop() : undefined;
+  return [`/${command.name}`, ...args, ...options, rest]
+    .filter(Boolean)
+    .join(" ");
+}
+
+const usageError = (command: ChatCommand, message: string) =>
+  new CommandError(`${message}\n\nCách dùng: \`${formatUsage(command)}\``);
+
+// null when the input is not a command; "//text" sends "/text" as a message
+export function parseCommand(
+  input: string
+): { command: ChatCommand; args: CommandArgs } | null {
+  const line = input.trim();
+  if (!line.startsWith("/") || line.startsWith("//")) return null;
+
+  const [head, ...tokens] = tokenizeCommand(line);
+  const name = head.text.slice(1);
+  const command = findCommand(name);
+  if (!command) {
+    throw new CommandError(
+      `Không có lệnh \`/${name}\`. Gõ \`/help\` để xem danh sách lệnh.`
+    );
+  }
+
+  const args: CommandArgs = {};
+  const positional = command.args || [];
+  let next = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.text.startsWith("--")) {
+      const [key, inline] = token.text.slice(2).split(/=(.*)/s);
+      const option = command.options?.find((o) => o.name === key);
+      if (!option) {
+        throw usageError(command, `Tùy chọn không hợp lệ: \`--${key}\``);
+      }
+      if (option.type === "boolean") {
+        args[key] = true;
+        continue;
+      }
+
+      const raw = inline ?? tokens[++i]?.text;
+      if (raw === undefined) {
+        throw usageError(command, `\`--${key}\` cần một giá trị`);
+      }
+      if (option.type === "number") {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+          throw usageError(command, `\`--${key}\` phải là số: "${raw}"`);
+        }
+        args[key] = value;
+      } else {
+        args[key] = raw;
+      }
+      continue;
+    }
+
+    const arg = positional[next++];
+    if (!arg) {
+      throw usageError(command, `Thừa tham số: "${token.text}"`);
+    }
+    if (arg.rest) {
+      // Keep the text as typed, quotes and spacing included
+      args[arg.name] = line.slice(token.start);
+      break;
+    }
+    if (arg.choices && !arg.choices.includes(token.text.toLowerCase())) {
+      throw usageError(
+        command,
+        `"${token.text}" không hợp lệ cho ${arg.name} (${arg.choices.join(
+          ", "
+        )})`
+      );
+    }
+    args[arg.name] = arg.choices ? token.text.toLowerCase() : token.text;
+  }
+
+  const missing = positional.find(
+    (arg) => arg.required && args[arg.name] === undefined
+  );
+  if (missing) {
+    throw usageError(command, `Thiếu tham số ${missing.name}`);
+  }
+
+  return { command, args };
+}
+
+// Suggestions for the input box: command names while the first word is
+// typed, then choices and options for the argument under the cursor
+export function getCompletions(
+  input: string,
+  lists: CompletionLists
+): Completion[] {
+  if (!input.startsWith("/") || input.startsWith("//")) return [];
+
+  const tokens = tokenizeCommand(input);
+  if (tokens.length <= 1 && !/\s$/.test(input)) {
+    const typed = input.slice(1).toLowerCase();
+    return COMMANDS.filter(
+      (command) =>
+        command.name.startsWith(typed) ||
+        command.aliases?.some((alias) => alias.startsWith(typed))
+    ).map((command) => ({
+      value: `/${command.name}${command.args || command.options ? " " : ""}`,
+      label: formatUsage(command),
+      description: command.description,
+    }));
+  }
+
+  const command = findCommand(tokens[0].text.slice(1));
+  if (!command) return [];
+
+  // The word being typed, or a new one after a trailing space
+  const editing = /\s$/.test(input) ? null : tokens[tokens.length - 1];
+  const before = editing ? input.slice(0, editing.start) : input;
+  const partial = (editing?.text || "").toLowerCase();
+  const done = tokens.slice(1, editing ? -1 : undefined);
+
+  if (partial.startsWith("--")) {
+    return (command.options || [])
+      .filter((option) => `--${option.name}`.startsWith(partial))
+      .map((option) => ({
+        value: `${before}--${option.name} `,
+        label: `--${option.name}`,
+        description: option.description,
+      }));
+  }
+
+  // Index of the positional argument being typed, skipping option values
+  let index = 0;
+  for (let i = 0; i < done.length; i++) {
+    const option = command.options?.find(
+      (o) => `--${o.name}` === done[i].text
+    );
+    if (option) {
+      if (option.type !== "boolean") i++;
+    } else if (!done[i].text.startsWith("--")) {
+      index++;
+    }
+  }
+
+  const arg = command.args?.[index];
+  if (!arg || arg.rest) return [];
+  const choices = arg.choices || (arg.choicesFrom && lists[arg.choicesFrom]);
+  return (choices || [])
+    .filter((choice) => choice.toLowerCase().startsWith(partial))
+    .slice(0, 20)
+    .map((choice) => ({
+      value: `${before}${choice} `,
+      label: choice,
+      description: arg.description,
+    }));
+}
+
+const PAGE_ANALYSIS_PROMPT = "Phân tích trang web này";
+
+const SUMMARIZE_PROMPT = `Tóm tắt nội dung chính của trang này bằng tiếng Việt:
+- Một câu nói trang này là gì
+- Các ý chính dạng gạch đầu dòng
+- Số liệu, kết luận hoặc hành động quan trọng (nếu có)`;
+
+interface LighthouseResults {
+  url: string;
+  partial?: boolean;
+  scores: Record<string, number | null>;
+}
+
+interface ProviderConfigData {
+  config: Record<string, string>;
+  model: string;
+}
+
+type SettingValue = string | number;
+
+interface SettingsData {
+  overrides: Record<string, SettingValue>;
+  effective: Record<string, SettingValue>;
+}
+
+// Generation settings a conversation can override, by the name /settings
+// takes (choices are matched lowercase)
+const SETTING_KEYS: Record<string, string> = {
+  model: "model",
+  temperature: "temperature",
+  maxtokens: "maxTokens",
+  topp: "topP",
+  language: "responseLanguage",
+  prompt: "systemPrompt",
+  timeout: "requestTimeout",
+  retries: "maxRetries",
+};
+
+interface UsageTotals {
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  cost: number;
+  unpriced: number;
+}
+
+interface UsageSummary {
+  today: UsageTotals;
+  month: UsageTotals;
+  conversation: UsageTotals | null;
+  features: Record<string, UsageTotals>;
+  budget: {
+    period: "day" | "month";
+    limit: number | null;
+    spent: number;
+    percent: number | null;
+    state: "ok" | "warning" | "blocked";
+  };
+}
+
+const USAGE_FEATURE_LABELS: Record<string, string> = {
+  chat: "Chat",
+  page: "Phân tích trang",
+  debug: "Debug",
+  summary: "Tóm tắt lịch sử",
+  other: "Khác",
+};
+
+interface StoredThread {
+  title: string;
+  pageUrl: string | null;
+  pageTitle: string | null;
+  messages: {
+    role: "user" | "assistant";
+    content: string;
+    display?: string;
+    timestamp: string;
+    sources?: { id: string; heading: string | null }[];
+  }[];
+}
+
+// Text typed after the command wins over the attached selection
+function targetText(args: CommandArgs, ctx: CommandContext): string {
+  const text = args.text ? String(args.text) : ctx.selection;
+  if (!text) {
+    throw new CommandError(
+      "Không có văn bản: gõ văn bản sau lệnh, hoặc bôi đen trên trang rồi " +
+        "chọn GPT Assistant trong menu chuột phải"
+    );
+  }
+  return text;
+}
+
+// One table cell: short, single line, no stray pipes
+function formatSetting(value: SettingValue | undefined): string {
+  const text = String(value ?? "").replace(/\s+/g, " ").trim();
+  if (!text) return "_(trống)_";
+  const short = text.length > 60 ? `${text.slice(0, 60)}…` : text;
+  return `\`${short.replace(/\|/g, "\\|")}\``;
+}
+
+const formatCost = (cost: number) =>
+  `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
+// "12 requests · 3.4k → 1.2k tokens · $0.05"
+function formatUsageTotals(totals: UsageTotals): string {
+  const tokens = (count: number) =>
+    count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+  const unpriced = totals.unpriced ? ` (+${totals.unpriced} chưa có giá)` : "";
+  return (
+    `${totals.requests} requests · ${tokens(totals.promptTokens)} → ` +
+    `${tokens(totals.completionTokens)} tokens · ` +
+    `${formatCost(totals.cost)}${unpriced}`
+  );
+}
+
+const formatScore = (score: number | null | undefined) =>
+  typeof score === "number" ? String(Math.round(score)) : "—";
+
+function threadToMarkdown(thread: StoredThread): string {
+  const lines = [`# ${thread.title}`, ""];
+  if (thread.pageUrl) {
+    const title = thread.pageTitle || thread.pageUrl;
+    lines.push(`Trang: [${title}](${thread.pageUrl})`);
+  }
+  lines.push(`Xuất lúc: ${new Date().toLocaleString("vi-VN")}`, "");
+
+  for (const message of thread.messages) {
+    const who = message.role === "user" ? "👤 Bạn" : "🤖 Assistant";
+    const time = new Date(message.timestamp).toLocaleString("vi-VN");
+    lines.push(`## ${who} · ${time}`, "");
+    lines.push(
+      message.role === "user"
+        ? message.display || message.content
+        : message.content,
+      ""
+    );
+    if (message.sources?.length) {
+      const sources = message.sources
+        .map((source) => `[${source.id}] ${source.heading || ""}`.trim())
+        .join(" · ");
+      lines.push(`📑 Nguồn: ${sources}`, "");
+    }
+  }
+  return lines.join("\n");
+}
+
+export const COMMANDS: ChatCommand[] = [
+  {
+    name: "help",
+    aliases: ["?"],
+    description: "Danh sách lệnh, hoặc cách dùng một lệnh",
+    args: [{ name: "command", description: "Tên lệnh" }],
+    run: async (args, ctx) => {
+      if (args.command) {
+        const command = findCommand(String(args.command).replace(/^\//, ""));
+        if (!command) {
+          throw new CommandError(`Không có lệnh \`/${args.command}\``);
+        }
+        const details = [
+          ...(command.args || []).map(
+            (arg) => `- \`${arg.name}\`: ${arg.description}`
+          ),
+          ...(command.options || []).map(
+            (option) => `- \`--${option.name}\`: ${option.description}`
+          ),
+        ];
+        if (command.aliases?.length) {
+          const aliases = command.aliases.map((alias) => `\`/${alias}\``);
+          details.push(`\nTên khác: ${aliases.join(", ")}`);
+        }
+        ctx.notice(
+          `**\`${formatUsage(command)}\`**\n\n${command.description}${
+            details.length ? `\n\n${details.join("\n")}` : ""
+          }`
+        );
+        return;
+      }
+
+      const list = COMMANDS.map(
+        (command) => `- \`${formatUsage(command)}\` — ${command.description}`
+      );
+      ctx.notice(
+        `**⌨️ Lệnh**\n\n${list.join("\n")}\n\n` +
+          "Gõ `/` để xem gợi ý, Tab để chọn. " +
+          "Bắt đầu bằng `//` để gửi tin nhắn có dấu / ở đầu."
+      );
+    },
+  },
+  {
+    name: "analyze",
+    aliases: ["phantich"],
+    description: "Phân tích nội dung trang hiện tại",
+    args: [
+      { name: "question", description: "Điều cần phân tích", rest: true },
+    ],
+    run: (args, ctx, input) =>
+      ctx.ask(String(args.question || PAGE_ANALYSIS_PROMPT), "full", input),
+  },
+  {
+    name: "ask",
+    description: "Hỏi về trang hiện tại, trả lời kèm nguồn [S1]",
+    args: [
+      {
+        name: "question",
+        description: "Câu hỏi về trang",
+        required: true,
+        rest: true,
+      },
+    ],
+    run: (args, ctx, input) => ctx.ask(String(args.question), "qa", input),
+  },
+  {
+    name: "summarize",
+    aliases: ["tomtat"],
+    description: "Tóm tắt đoạn văn bản/đoạn đã chọn, hoặc cả trang",
+    args: [{ name: "text", description: "Văn bản cần tóm tắt", rest: true }],
+    run: (args, ctx, input) =>
+      args.text || ctx.selection
+        ? ctx.ask(
+            "Tóm tắt ngắn gọn đoạn văn bản sau bằng tiếng Việt:\n\n" +
+              targetText(args, ctx),
+            null,
+            input
+          )
+        : ctx.ask(SUMMARIZE_PROMPT, "full", input),
+  },
+  {
+    name: "explain",
+    aliases: ["giaithich"],
+    description: "Giải thích đoạn văn bản hoặc đoạn đã chọn",
+    args: [{ name: "text", description: "Văn bản cần giải thích", rest: true }],
+    run: (args, ctx, input) =>
+      ctx.ask(
+        "Giải thích đoạn văn bản sau bằng tiếng Việt, dễ hiểu. Nêu nghĩa " +
+          "của thuật ngữ và liên hệ với nội dung trang nếu cần:\n\n" +
+          targetText(args, ctx),
+        null,
+        input
+      ),
+  },
+  {
+    name: "translate",
+    aliases: ["dich"],
+    description: "Dịch đoạn văn bản hoặc đoạn đã chọn",
+    args: [{ name: "text", description: "Văn bản cần dịch", rest: true }],
+    options: [
+      {
+        name: "to",
+        description: "Ngôn ngữ đích (mặc định tiếng Việt)",
+        type: "string",
+      },
+    ],
+    run: (args, ctx, input) => {
+      const target = args.to
+        ? `sang ${args.to}`
+        : "sang tiếng Việt (nếu đã là tiếng Việt thì sang tiếng Anh)";
+      return ctx.ask(
+        `Dịch đoạn văn bản sau ${target}. Giữ nguyên định dạng và chỉ ` +
+          `trả về bản dịch:\n\n${targetText(args, ctx)}`,
+        null,
+        input
+      );
+    },
+  },
+  {
+    name: "rewrite",
+    aliases: ["vietlai"],
+    description: "Viết lại đoạn văn bản hoặc đoạn đã chọn",
+    args: [{ name: "text", description: "Văn bản cần viết lại", rest: true }],
+    options: [
+      {
+        name: "style",
+        description: "Giọng văn, ví dụ trang trọng, ngắn gọn",
+        type: "string",
+      },
+    ],
+    run: (args, ctx, input) =>
+      ctx.ask(
+        "Viết lại đoạn văn bản sau cho rõ ràng, mạch lạc và tự nhiên hơn" +
+          (args.style ? ` theo giọng văn: ${args.style}` : "") +
+          ". Giữ nguyên ngôn ngữ và ý chính; chỉ trả về bản viết lại:\n\n" +
+          targetText(args, ctx),
+        null,
+        input
+      ),
+  },
+  {
+    name: "debug",
+    description: "Phân tích console logs, lỗi và network của trang",
+    args: [
+      {
+        name: "source",
+        description: "har: phân tích một file HAR đã lưu",
+        choices: ["har"],
+      },
+    ],
+    run: (args, ctx) => ctx.debug(args.source === "har"),
+  },
+  {
+    name: "audit",
+    description: "Chạy Lighthouse audit trên trang hiện tại",
+    args: [
+      {
+        name: "profile",
+        description: "Profile thiết bị/mạng",
+        choicesFrom: "auditProfiles",
+      },
+    ],
+    options: [
+      { name: "runs", description: "Số lần chạy (lấy median)", type: "number" },
+    ],
+    run: async (args, ctx) => {
+      ctx.notice("📊 Đang chạy Lighthouse audit...");
+      const results = await ctx.background<LighthouseResults>(
+        "RUN_LIGHTHOUSE_AUDIT",
+        {
+          ...ctx.tabTarget(),
+          profile: args.profile,
+          runs: args.runs,
+        }
+      );
+      const { scores } = results;
+      ctx.notice(
+        `${results.partial ? "⚠️" : "✅"} **Lighthouse:** ${results.url}\n\n` +
+          `- Performance: ${formatScore(scores.performance)}\n` +
+          `- Accessibility: ${formatScore(scores.accessibility)}\n` +
+          `- Best Practices: ${formatScore(scores.bestPractices)}\n` +
+          `- SEO: ${formatScore(scores.seo)}\n\n` +
+          `Báo cáo chi tiết đã mở trong cửa sổ mới.`
+      );
+    },
+  },
+  {
+    name: "model",
+    description: "Xem hoặc đổi model đang dùng",
+    args: [{ name: "name", description: "Model id", choicesFrom: "models" }],
+    run: async (args, ctx) => {
+      const { config, model } = await ctx.background<ProviderConfigData>(
+        "GET_PROVIDER_CONFIG"
+      );
+
+      if (!args.name) {
+        let text = `🧠 **Model:** \`${model}\` (${config.type})`;
+        try {
+          const { models } = await ctx.background<{ models: string[] }>(
+            "LIST_MODELS"
+          );
+          if (models.length > 1) {
+            text += `\n\nCó thể dùng: ${models
+              .slice(0, 30)
+              .map((m) => `\`${m}\``)
+              .join(", ")}`;
+          }
+        } catch {
+          // Listing needs a key and a reachable API; show the model alone
+        }
+        ctx.notice(`${text}\n\nĐổi model: \`/model <name>\``);
+        return;
+      }
+
+      const saved = await ctx.background<{ model: string }>(
+        "SET_PROVIDER_CONFIG",
+        { ...config, model: String(args.name) }
+      );
+      ctx.notice(`✅ Đã chuyển sang model \`${saved.model}\``);
+    },
+  },
+  {
+    name: "settings",
+    aliases: ["caidat"],
+    description: "Xem hoặc ghi đè cài đặt model cho cuộc trò chuyện này",
+    args: [
+      {
+        name: "key",
+        description: "Cài đặt cần ghi đè, hoặc reset để bỏ mọi ghi đè",
+        choices: [...Object.keys(SETTING_KEYS), "reset"],
+      },
+      {
+        name: "value",
+        description: 'Giá trị mới; "default" để dùng lại cài đặt mặc định',
+        rest: true,
+      },
+    ],
+    run: async (args, ctx) => {
+      const key = args.key ? String(args.key) : null;
+      let conversationId = ctx.conversationId;
+
+      if (key) {
+        if (key !== "reset" && args.value === undefined) {
+          throw new CommandError(`Thiếu giá trị: \`/settings ${key} <value>\``);
+        }
+        // "" clears the system prompt for this chat only
+        const value = String(args.value ?? "").replace(/^(["'])(.*)\1$/, "$2");
+        conversationId = await ctx.ensureConversation();
+        await ctx.background("SET_CONVERSATION_SETTINGS", {
+          conversationId,
+          settings:
+            key === "reset"
+              ? null
+              : { [SETTING_KEYS[key]]: value === "default" ? null : value },
+        });
+      }
+
+      const { overrides, effective } = await ctx.background<SettingsData>(
+        "GET_GPT_SETTINGS",
+        { conversationId }
+      );
+      const rows = Object.entries(SETTING_KEYS).map(
+        ([name, setting]) =>
+          `| \`${name}\` | ${formatSetting(effective[setting])} | ${
+            setting in overrides ? "✏️ riêng" : "mặc định"
+          } |`
+      );
+      const title = "**⚙️ Cài đặt của cuộc trò chuyện này**";
+      ctx.notice(
+        `${key ? "✅ Đã cập nhật. " : ""}${title}\n\n` +
+          `| Cài đặt | Giá trị | Nguồn |\n|---|---|---|\n${rows.join("\n")}` +
+          "\n\nGhi đè: `/settings temperature 0.2` · bỏ ghi đè: " +
+          "`/settings temperature default` · bỏ tất cả: `/settings reset`. " +
+          "Cài đặt mặc định: ⚙️ Model & Settings trong popup."
+      );
+    },
+  },
+  {
+    name: "usage",
+    aliases: ["chiphi"],
+    description: "Token và chi phí của cuộc trò chuyện, hôm nay và tháng này",
+    run: async (_args, ctx) => {
+      const summary = await ctx.background<UsageSummary>("GET_USAGE_SUMMARY", {
+        conversationId: ctx.conversationId,
+      });
+      const lines = ["**💰 Usage**", ""];
+      if (summary.conversation) {
+        const totals = formatUsageTotals(summary.conversation);
+        lines.push(`- Cuộc trò chuyện này: ${totals}`);
+      }
+      lines.push(
+        `- Hôm nay: ${formatUsageTotals(summary.today)}`,
+        `- Tháng này: ${formatUsageTotals(summary.month)}`
+      );
+
+      const features = Object.entries(summary.features);
+      if (features.length > 0) {
+        lines.push("", "**Theo tính năng (toàn bộ):**");
+        for (const [feature, totals] of features) {
+          const label = USAGE_FEATURE_LABELS[feature] || feature;
+          lines.push(`- ${label}: ${formatUsageTotals(totals)}`);
+        }
+      }
+
+      const { budget } = summary;
+      lines.push(
+        "",
+        budget.limit
+          ? `**Giới hạn ${budget.period === "day" ? "ngày" : "tháng"}:** ` +
+              `${formatCost(budget.spent)} / ${formatCost(budget.limit)} ` +
+              `(${budget.percent}%)${budget.state !== "ok" ? " ⚠️" : ""}`
+          : "Chưa đặt giới hạn chi tiêu.",
+        "Chi tiết, bảng giá và giới hạn: 💰 Usage & Cost trong popup."
+      );
+      ctx.notice(lines.join("\n"));
+    },
+  },
+  {
+    name: "export",
+    description: "Tải cuộc trò chuyện hiện tại (Markdown hoặc JSON)",
+    args: [
+      {
+        name: "format",
+        description: "Định dạng file",
+        choices: ["md", "json"],
+      },
+    ],
+    run: async (args, ctx) => {
+      if (!ctx.conversationId) {
+        throw new CommandError("Chưa có cuộc trò chuyện nào để xuất");
+      }
+      const thread = await ctx.background<StoredThread>("GET_CONVERSATION", {
+        conversationId: ctx.conversationId,
+      });
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      if (args.format === "json") {
+        ctx.download(
+          `chat-${stamp}.json`,
+          JSON.stringify(thread, null, 2),
+          "application/json"
+        );
+      } else {
+        ctx.download(
+          `chat-${stamp}.md`,
+          threadToMarkdown(thread),
+          "text/markdown"
+        );
+      }
+    },
+  },
+  {
+    name: "qa",
+    description: "Bật/tắt chế độ hỏi đáp về trang",
+    run: async (_args, ctx) => ctx.togglePageQA(),
+  },
+  {
+    name: "record",
+    description: "Bắt đầu/dừng ghi phiên và xuất HAR",
+    run: (_args, ctx) => ctx.toggleRecording(),
+  },
+  {
+    name: "new",
+    description: "Bắt đầu cuộc trò chuyện mới",
+    run: async (_args, ctx) => ctx.newChat(),
+  },
+  {
+    name: "clear",
+    description: "Xóa tin nhắn của cuộc trò chuyện hiện tại",
+    run: (_args, ctx) => ctx.clear(),
+  },
+];
@@ -0,0 +1,229 @@
+import React from "react";
+
+// Small syntax highlighter for chat code blocks
+// Each language is a list of sticky regexes tried in order at every
+// position; matched text is wrapped in a coloured span. Output is React text
+// nodes, so nothing in the code is ever parsed as HTML.
+
+type TokenKind =
+  | "comment"
+  | "string"
+  | "number"
+  | "keyword"
+  | "literal"
+  | "tag"
+  | "attr"
+  | "plain";
+
+interface Rule {
+  kind: TokenKind;
+  pattern: RegExp;
+}
+
+const TOKEN_CLASSES: Record<TokenKind, string> = {
+  comment: "text-gray-500 italic",
+  string: "text-emerald-300",
+  number: "text-amber-300",
+  keyword: "text-purple-300",
+  literal: "text-orange-300",
+  tag: "text-sky-300",
+  attr: "text-cyan-200",
+  plain: "",
+};
+
+const words = (list: string, flags = "y") =>
+  new RegExp(`\\b(?:${list.trim().split(/\s+/).join("|")})\\b`, flags);
+
+const STRINGS: Rule = {
+  kind: "string",
+  pattern: /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y,
+};
+const NUMBER: Rule = {
+  kind: "number",
+  pattern: /\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy,
+};
+// Consumed whole so keywords aren't found inside longer names
+const IDENTIFIER: Rule = { kind: "plain", pattern: /[A-Za-z_$][\w$]*/y };
+const LITERALS: Rule = {
+  kind: "literal",
+  pattern: words("true false null undefined None True False nil this self"),
+};
+
+const C_LIKE: Rule[] = [
+  { kind: "comment", pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+  STRINGS,
+  { kind: "string", pattern: /`(?:[^`\\]|\\.)*`?/y },
+  NUMBER,
+  LITERALS,
+  {
+    kind: "keyword",
+    pattern: words(`
+      abstract as async await break case catch class const continue
+      default delete do else enum export extends final finally fn for
+      from func function go if impl implements import in instanceof
+      interface let match mod mut new of package private protected
+      public readonly return static struct super switch throw throws
+      try type typeof use var void where while with yield
+    `),
+  },
+  IDENTIFIER,
+];
+
+const HASH_COMMENT = [
+  { kind: "comment" as const, pattern: /#[^\n]*/y },
+  { kind: "string" as const, pattern: /"""[\s\S]*?(?:"""|$)/y },
+  STRINGS,
+  NUMBER,
+  LITERALS,
+];
+
+const PYTHON: Rule[] = [
+  ...HASH_COMMENT,
+  {
+    kind: "keyword",
+    pattern: words(`
+      and as assert async await break class continue def del elif else
+      except finally for from global if import in is lambda nonlocal not
+      or pass raise return try while with yield
+    `),
+  },
+  IDENTIFIER,
+];
+
+const SHELL: Rule[] = [
+  ...HASH_COMMENT,
+  { kind: "attr", pattern: /\$\{?[\w@#?*!-]+\}?/y },
+  {
+    kind: "keyword",
+    pattern: words(`
+      if then else elif fi for while until do done case esac in function
+      return export local sudo cd echo npm npx yarn pnpm git node
+    `),
+  },
+  IDENTIFIER,
+];
+
+const SQL: Rule[] = [
+  { kind: "comment", pattern: /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+  STRINGS,
+  NUMBER,
+  {
+    kind: "keyword",
+    pattern: words(
+      `
+      select from where and or not insert into values update set delete
+      create table alter drop index join left right inner outer on as
+      group by order having limit offset distinct union all null is like
+      in between case when then else end primary key references
+    `,
+      "iy"
+    ),
+  },
+  IDENTIFIER,
+];
+
+const JSON_RULES: Rule[] = [
+  { kind: "attr", pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y },
+  STRINGS,
+  NUMBER,
+  LITERALS,
+];
+
+const CSS: Rule[] = [
+  { kind: "comment", pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+  STRINGS,
+  { kind: "keyword", pattern: /@[\w-]+/y },
+  { kind: "attr", pattern: /[\w-]+(?=\s*:[^:{]*[;}\n])/y },
+  {
+    kind: "number",
+    pattern: /(?<![\w#-])-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg)?/y,
+  },
+  { kind: "literal", pattern: /#[\da-f]{3,8}\b/iy },
+];
+
+const MARKUP: Rule[] = [
+  { kind: "comment", pattern: /<!--[\s\S]*?(?:-->|$)/y },
+  { kind: "tag", pattern: /<\/?[\w:-]+|\/?>/y },
+  { kind: "attr", pattern: /[\w:-]+(?==)/y },
+  STRINGS,
+];
+
+const LANGUAGES: Record<string, Rule[]> = {
+  js: C_LIKE,
+  javascript: C_LIKE,
+  jsx: C_LIKE,
+  ts: C_LIKE,
+  typescript: C_LIKE,
+  tsx: C_LIKE,
+  java: C_LIKE,
+  c: C_LIKE,
+  cpp: C_LIKE,
+  cs: C_LIKE,
+  csharp: C_LIKE,
+  go: C_LIKE,
+  rust: C_LIKE,
+  rs: C_LIKE,
+  php: C_LIKE,
+  swift: C_LIKE,
+  kotlin: C_LIKE,
+  py: PYTHON,
+  python: PYTHON,
+  sh: SHELL,
+  bash: SHELL,
+  shell: SHELL,
+  zsh: SHELL,
+  yaml: HASH_COMMENT,
+  yml: HASH_COMMENT,
+  sql: SQL,
+  json: JSON_RULES,
+  css: CSS,
+  scss: CSS,
+  html: MARKUP,
+  xml: MARKUP,
+  svg: MARKUP,
+  vue: MARKUP,
+};
+
+export function highlightCode(
+  code: string,
+  language: string
+): React.ReactNode[] {
+  const rules = LANGUAGES[language.toLowerCase()];
+  if (!rules) return [code];
+
+  const nodes: React.ReactNode[] = [];
+  let plain = "";
+  let index = 0;
+
+  while (index < code.length) {
+    let matched = false;
+    for (const rule of rules) {
+      rule.pattern.lastIndex = index;
+      const match = rule.pattern.exec(code);
+      if (!match || match[0].length === 0) continue;
+
+      if (rule.kind === "plain") {
+        plain += match[0];
+      } else {
+        if (plain) nodes.push(plain);
+        plain = "";
+        nodes.push(
+          <span key={index} className={TOKEN_CLASSES[rule.kind]}>
+            {match[0]}
+          </span>
+        );
+      }
+      index += match[0].length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      plain += code[index];
+      index++;
+    }
+  }
+  if (plain) nodes.push(plain);
+
+  return nodes;
+}
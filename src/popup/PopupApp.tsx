@@ -6,23 +6,132 @@ interface CurrentTab {
   url?: string;
 }
 
+interface ProviderType {
+  type: string;
+  label: string;
+  baseUrl: string;
+  requiresApiKey: boolean;
+  fields: Array<"baseUrl" | "deployment" | "apiVersion">;
+}
+
+interface ProviderConfig {
+  type: string;
+  baseUrl?: string;
+  deployment?: string;
+  apiVersion?: string;
+}
+
+// What the background tells UI pages about the key; never the key itself
+interface ApiKeyStatus {
+  hasKey: boolean;
+  encrypted: boolean;
+  locked: boolean;
+  masked: string | null;
+}
+
 interface MessageResponse {
   success: boolean;
   error?: string;
 }
 
+interface AuditProfile {
+  id: string;
+  label: string;
+}
+
+interface AuditError {
+  code: string;
+  message: string;
+  retryable: boolean;
+}
+
+// What the user can do about each audit failure
+const AUDIT_ERROR_HINTS: Record<string, string> = {
+  UNSUPPORTED_URL:
+    "Chrome không cho phép audit trang này (chrome://, Web Store, ...). Hãy mở một trang http/https.",
+  DEBUGGER_ATTACH_REFUSED:
+    "Không gắn được debugger. Đóng DevTools hoặc extension debug khác rồi thử lại.",
+  DEBUGGER_DETACHED:
+    "Debugger bị ngắt giữa chừng (có thể do đóng thanh thông báo debug).",
+  NAVIGATION_TIMEOUT: "Trang tải quá lâu. Kiểm tra mạng rồi thử lại.",
+  NAVIGATION_FAILED: "Không tải được trang. Kiểm tra URL hoặc kết nối mạng.",
+  AUDIT_IN_PROGRESS: "Một audit khác đang chạy. Đợi xong rồi thử lại.",
+  NO_RESULTS: "Không thu thập được dữ liệu nào từ trang.",
+};
+
 const PopupApp: React.FC = () => {
   const [apiKey, setApiKey] = useState<string>("");
-  const [isApiKeySet, setIsApiKeySet] = useState<boolean>(false);
+  const [passphrase, setPassphrase] = useState<string>("");
+  const [unlockPassphrase, setUnlockPassphrase] = useState<string>("");
+  const [keyStatus, setKeyStatus] = useState<ApiKeyStatus | null>(null);
+  const [isTestingKey, setIsTestingKey] = useState<boolean>(false);
   const [currentTab, setCurrentTab] = useState<CurrentTab | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [message, setMessage] = useState<string>("");
+  const [providers, setProviders] = useState<ProviderType[]>([]);
+  const [providerConfig, setProviderConfig] = useState<ProviderConfig>({
+    type: "openai",
+  });
+  const [activeModel, setActiveModel] = useState<string>("");
+  const [auditError, setAuditError] = useState<AuditError | null>(null);
+  const [auditProfiles, setAuditProfiles] = useState<AuditProfile[]>([]);
+  const [auditProfile, setAuditProfile] = useState<string>("");
+  const [auditRuns, setAuditRuns] = useState<number>(1);
 
   useEffect(() => {
     loadCurrentTab();
     loadApiKey();
+    loadProviderConfig();
+    loadAuditProfiles();
   }, []);
 
+  const selectedProvider = providers.find(
+    (p) => p.type === providerConfig.type
+  );
+  const isApiKeySet = !!keyStatus?.hasKey;
+  const isReady =
+    (isApiKeySet && !keyStatus?.locked) ||
+    selectedProvider?.requiresApiKey === false;
+
+  const loadProviderConfig = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_PROVIDER_CONFIG",
+      });
+      if (response && response.success) {
+        setProviders(response.data.providers);
+        setProviderConfig(response.data.config);
+        setActiveModel(response.data.model);
+      }
+    } catch (error) {
+      console.error("Failed to load provider config:", error);
+    }
+  };
+
+  const changeProviderType = (type: string) => {
+    // Start from the new provider's defaults instead of the old URL
+    setProviderConfig({ type });
+  };
+
+  const saveProviderConfig = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_PROVIDER_CONFIG",
+        data: providerConfig,
+      });
+
+      if (response && response.success) {
+        setActiveModel(response.data.model);
+        setMessage(`Provider saved successfully (model: ${response.data.model})`);
+      } else {
+        setMessage(`Failed to save provider: ${response?.error}`);
+      }
+    } catch (error) {
+      console.error("Failed to save provider:", error);
+      setMessage("Failed to save provider");
+    }
+  };
+
   const loadCurrentTab = async (): Promise<void> => {
     try {
       const [tab] = await chrome.tabs.query({
@@ -35,44 +144,104 @@ const PopupApp: React.FC = () => {
     }
   };
 
+  // The key itself stays in the background; the popup only gets its status
   const loadApiKey = async (): Promise<void> => {
     try {
-      const result = await chrome.storage.local.get(["openai_api_key"]);
-      if (result.openai_api_key) {
-        setApiKey(result.openai_api_key);
-        setIsApiKeySet(true);
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_API_KEY_STATUS",
+      });
+      if (response && response.success) {
+        setKeyStatus(response.data);
       }
     } catch (error) {
-      console.error("Failed to load API key:", error);
+      console.error("Failed to load API key status:", error);
     }
   };
 
+  // Runs one key action in the background and shows the new status
+  const updateApiKey = async (
+    type: string,
+    data: Record<string, string>,
+    successMessage: string
+  ): Promise<boolean> => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, data });
+      if (response && response.success) {
+        setKeyStatus(response.data);
+        setMessage(successMessage);
+        return true;
+      }
+      setMessage(`Failed: ${response?.error || "Unknown error"}`);
+    } catch (error) {
+      console.error(`${type} failed:`, error);
+      setMessage(`Failed: ${String(error)}`);
+    }
+    return false;
+  };
+
   const saveApiKey = async (): Promise<void> => {
-    if (!apiKey.trim()) {
+    // An empty key field with a passphrase encrypts the current key
+    const encryptOnly = !apiKey.trim() && !!passphrase && isApiKeySet;
+    if (!apiKey.trim() && !encryptOnly) {
       setMessage("Please enter a valid API key");
       return;
     }
 
+    const saved = await updateApiKey(
+      "SET_API_KEY",
+      encryptOnly ? { passphrase } : { apiKey, passphrase },
+      encryptOnly
+        ? "API key encrypted successfully!"
+        : "API key saved successfully!"
+    );
+    if (saved) {
+      setApiKey("");
+      setPassphrase("");
+    }
+  };
+
+  const unlockApiKey = async (): Promise<void> => {
+    const unlocked = await updateApiKey(
+      "UNLOCK_API_KEY",
+      { passphrase: unlockPassphrase },
+      "API key unlocked successfully"
+    );
+    if (unlocked) setUnlockPassphrase("");
+  };
+
+  const removeApiKey = async (): Promise<void> => {
+    if (!confirm("Remove the stored API key?")) return;
+    await updateApiKey("CLEAR_API_KEY", {}, "API key removed successfully");
+  };
+
+  const testApiKey = async (): Promise<void> => {
+    setIsTestingKey(true);
+    setMessage("🧪 Testing API key...");
     try {
-      await chrome.storage.local.set({ openai_api_key: apiKey });
-      setIsApiKeySet(true);
-      setMessage("API key saved successfully!");
-
-      // Send message to background to update GPT service
-      chrome.runtime.sendMessage({
-        type: "SET_API_KEY",
-        data: { apiKey },
+      const response = await chrome.runtime.sendMessage({
+        type: "TEST_API_KEY",
       });
+      setMessage(
+        response && response.success
+          ? `✅ Key test successful (model: ${response.data.model})`
+          : `Key test failed: ${response?.error || "Unknown error"}`
+      );
     } catch (error) {
-      console.error("Failed to save API key:", error);
-      setMessage("Failed to save API key");
+      setMessage(`Key test failed: ${String(error)}`);
+    } finally {
+      setIsTestingKey(false);
     }
   };
 
   const openGPTPopup = async () => {
     try {
+      // Pin the chat to the page it was opened from
+      const pinned =
+        currentTab?.id !== undefined &&
+        /^(https?|file):/.test(currentTab.url || "");
+      const query = pinned ? `?tabId=${currentTab?.id}` : "";
       await chrome.windows.create({
-        url: chrome.runtime.getURL("gpt-popup.html"),
+        url: chrome.runtime.getURL(`gpt-popup.html${query}`),
         type: "popup",
         width: 400,
         height: 600,
@@ -86,6 +255,26 @@ const PopupApp: React.FC = () => {
     }
   };
 
+  const loadAuditProfiles = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_AUDIT_PROFILES",
+      });
+      if (response && response.success) {
+        const stored = await chrome.storage.local.get(["audit_profile"]);
+        setAuditProfiles(response.data.profiles);
+        setAuditProfile(stored.audit_profile || response.data.defaultProfile);
+      }
+    } catch (error) {
+      console.error("Failed to load audit profiles:", error);
+    }
+  };
+
+  const changeAuditProfile = async (profile: string): Promise<void> => {
+    setAuditProfile(profile);
+    await chrome.storage.local.set({ audit_profile: profile });
+  };
+
   const runLighthouseAudit = async () => {
     if (!currentTab) {
       setMessage("No active tab found");
@@ -93,7 +282,12 @@ const PopupApp: React.FC = () => {
     }
 
     setIsLoading(true);
-    setMessage("🔍 Analyzing page performance...");
+    setAuditError(null);
+    setMessage(
+      auditRuns > 1
+        ? `🔍 Analyzing page performance (${auditRuns} runs)...`
+        : "🔍 Analyzing page performance..."
+    );
 
     try {
       const response = await chrome.runtime.sendMessage({
@@ -101,27 +295,50 @@ const PopupApp: React.FC = () => {
         data: {
           url: currentTab.url,
           tabId: currentTab.id,
+          profile: auditProfile || undefined,
+          runs: auditRuns,
         },
       });
 
       if (response.success) {
         setMessage(
-          "✅ Lighthouse audit completed! Results opened in new window."
+          response.results?.partial
+            ? "⚠️ Lighthouse audit completed with partial results. Missing data is flagged in the report."
+            : "✅ Lighthouse audit completed! Results opened in new window."
         );
 
         // Auto-clear success message after 3 seconds
         setTimeout(() => setMessage(""), 3000);
       } else {
-        setMessage(`❌ Audit failed: ${response.error}`);
+        setMessage("");
+        setAuditError({
+          code: response.code || "AUDIT_FAILED",
+          message: response.error || "Unknown error",
+          retryable: response.retryable !== false,
+        });
       }
     } catch (error) {
       console.error("Lighthouse audit failed:", error);
-      setMessage("❌ Lighthouse audit failed. Please try again.");
+      setMessage("");
+      setAuditError({
+        code: "AUDIT_FAILED",
+        message: error instanceof Error ? error.message : String(error),
+        retryable: true,
+      });
     } finally {
       setIsLoading(false);
     }
   };
 
+  const openAuditHistory = async () => {
+    const query = currentTab?.url
+      ? `?url=${encodeURIComponent(currentTab.url)}`
+      : "";
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(`audit-history.html${query}`),
+    });
+  };
+
   const showAbout = () => {
     const manifest = chrome.runtime.getManifest();
     alert(
@@ -138,9 +355,9 @@ const PopupApp: React.FC = () => {
             <h1 className="text-lg font-bold text-shadow">GPT Chrome</h1>
           </div>
           <div className="flex items-center space-x-2">
-            <span className="text-lg">{isApiKeySet ? "🟢" : "🔴"}</span>
+            <span className="text-lg">{isReady ? "🟢" : "🔴"}</span>
             <span className="text-sm font-medium">
-              {isApiKeySet ? "Connected" : "Not Connected"}
+              {isReady ? "Connected" : "Not Connected"}
             </span>
           </div>
         </div>
@@ -170,16 +387,44 @@ const PopupApp: React.FC = () => {
           <div className="space-y-3">
             <button
               className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
-                !isApiKeySet
+                !isReady
                   ? "bg-gray-100 text-gray-400 cursor-not-allowed"
                   : "bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 hover:shadow-md"
               }`}
               onClick={openGPTPopup}
-              disabled={!isApiKeySet}
+              disabled={!isReady}
             >
               <span className="text-lg">💬</span>
               <span>GPT Chat Popup</span>
             </button>
+            <div className="flex space-x-2">
+              <select
+                value={auditProfile}
+                onChange={(e) => changeAuditProfile(e.target.value)}
+                className="input-field"
+                disabled={isLoading}
+                title="Audit throttling profile"
+              >
+                {auditProfiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    📱 {p.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={auditRuns}
+                onChange={(e) => setAuditRuns(Number(e.target.value))}
+                className="input-field w-28"
+                disabled={isLoading}
+                title="Number of runs (median is reported)"
+              >
+                {[1, 3, 5].map((count) => (
+                  <option key={count} value={count}>
+                    🔁 {count}×
+                  </option>
+                ))}
+              </select>
+            </div>
             <button
               className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
                 isLoading || !currentTab
@@ -193,6 +438,98 @@ const PopupApp: React.FC = () => {
               <span className="text-lg">⚡</span>
               <span>{isLoading ? "Running..." : "Run Lighthouse Audit"}</span>
             </button>
+            <button
+              className="w-full btn-secondary flex items-center justify-center space-x-2"
+              onClick={openAuditHistory}
+            >
+              <span className="text-lg">📈</span>
+              <span>Audit History</span>
+            </button>
+            <button
+              className="w-full btn-secondary flex items-center justify-center space-x-2"
+              onClick={() => chrome.runtime.openOptionsPage()}
+            >
+              <span className="text-lg">⚙️</span>
+              <span>Model & Settings</span>
+            </button>
+            <button
+              className="w-full btn-secondary flex items-center justify-center space-x-2"
+              onClick={() =>
+                chrome.tabs.create({ url: chrome.runtime.getURL("usage.html") })
+              }
+            >
+              <span className="text-lg">💰</span>
+              <span>Usage & Cost</span>
+            </button>
+          </div>
+        </section>
+
+        <section className="card">
+          <h2 className="text-base font-semibold text-gray-900 mb-4">
+            LLM Provider
+          </h2>
+          <div className="space-y-3">
+            <select
+              value={providerConfig.type}
+              onChange={(e) => changeProviderType(e.target.value)}
+              className="input-field"
+            >
+              {providers.map((p) => (
+                <option key={p.type} value={p.type}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+            {selectedProvider?.fields.includes("baseUrl") && (
+              <input
+                type="url"
+                placeholder={selectedProvider.baseUrl}
+                value={providerConfig.baseUrl || ""}
+                onChange={(e) =>
+                  setProviderConfig({ ...providerConfig, baseUrl: e.target.value })
+                }
+                className="input-field"
+              />
+            )}
+            {selectedProvider?.fields.includes("deployment") && (
+              <input
+                type="text"
+                placeholder="Deployment name"
+                value={providerConfig.deployment || ""}
+                onChange={(e) =>
+                  setProviderConfig({
+                    ...providerConfig,
+                    deployment: e.target.value,
+                  })
+                }
+                className="input-field"
+              />
+            )}
+            {selectedProvider?.fields.includes("apiVersion") && (
+              <input
+                type="text"
+                placeholder="API version (2024-06-01)"
+                value={providerConfig.apiVersion || ""}
+                onChange={(e) =>
+                  setProviderConfig({
+                    ...providerConfig,
+                    apiVersion: e.target.value,
+                  })
+                }
+                className="input-field"
+              />
+            )}
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500 truncate">
+                {activeModel ? `Model: ${activeModel}` : ""}
+              </span>
+              <button
+                className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200"
+                onClick={saveProviderConfig}
+              >
+                Save
+              </button>
+            </div>
           </div>
         </section>
 
@@ -201,10 +538,76 @@ const PopupApp: React.FC = () => {
             API Configuration
           </h2>
           <div className="space-y-4">
+            {keyStatus?.hasKey && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <code className="bg-gray-100 px-2 py-1 rounded text-gray-800">
+                    🔑 {keyStatus.masked}
+                  </code>
+                  <span className="text-xs text-gray-500">
+                    {!keyStatus.encrypted
+                      ? "Stored unencrypted"
+                      : keyStatus.locked
+                      ? "🔒 Locked"
+                      : "🔐 Encrypted · unlocked"}
+                  </span>
+                </div>
+                {keyStatus.locked && (
+                  <div className="flex space-x-2">
+                    <input
+                      type="password"
+                      placeholder="Passphrase"
+                      value={unlockPassphrase}
+                      onChange={(e) => setUnlockPassphrase(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && unlockApiKey()}
+                      className="input-field flex-1"
+                    />
+                    <button
+                      className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200"
+                      onClick={unlockApiKey}
+                      disabled={!unlockPassphrase}
+                    >
+                      🔓 Unlock
+                    </button>
+                  </div>
+                )}
+                <div className="flex space-x-2">
+                  <button
+                    className="btn-secondary text-sm"
+                    onClick={testApiKey}
+                    disabled={keyStatus.locked || isTestingKey}
+                  >
+                    {isTestingKey ? "Testing..." : "🧪 Test key"}
+                  </button>
+                  {keyStatus.encrypted && !keyStatus.locked && (
+                    <button
+                      className="btn-secondary text-sm"
+                      onClick={() =>
+                        updateApiKey("LOCK_API_KEY", {}, "API key locked")
+                      }
+                    >
+                      🔒 Lock
+                    </button>
+                  )}
+                  <button
+                    className="btn-secondary text-sm"
+                    onClick={removeApiKey}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            )}
             <div className="flex space-x-2">
               <input
                 type="password"
-                placeholder="Enter OpenAI API Key (sk-...)"
+                placeholder={
+                  isApiKeySet
+                    ? "Replace API key"
+                    : selectedProvider?.requiresApiKey === false
+                    ? "API key (optional)"
+                    : "Enter API Key (sk-...)"
+                }
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
                 className="input-field flex-1"
@@ -216,7 +619,15 @@ const PopupApp: React.FC = () => {
                 Save
               </button>
             </div>
-            {!isApiKeySet && (
+            <input
+              type="password"
+              placeholder="Passphrase to encrypt the key (optional)"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="input-field"
+              title="Encrypted keys must be unlocked once per browser session"
+            />
+            {!isApiKeySet && providerConfig.type === "openai" && (
               <div className="message-info">
                 <p className="text-sm">
                   Get your API key from{" "}
@@ -234,6 +645,37 @@ const PopupApp: React.FC = () => {
           </div>
         </section>
 
+        {auditError && (
+          <div className="message-error animate-fade-in space-y-2">
+            <div className="font-medium">
+              ❌ Audit failed ({auditError.code})
+            </div>
+            <div className="text-sm">{auditError.message}</div>
+            {AUDIT_ERROR_HINTS[auditError.code] && (
+              <div className="text-sm">
+                {AUDIT_ERROR_HINTS[auditError.code]}
+              </div>
+            )}
+            <div className="flex space-x-2">
+              {auditError.retryable && (
+                <button
+                  className="btn-secondary text-sm"
+                  onClick={runLighthouseAudit}
+                  disabled={isLoading}
+                >
+                  🔁 Retry
+                </button>
+              )}
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setAuditError(null)}
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         {message && (
           <div
             className={`animate-fade-in ${
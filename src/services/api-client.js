@@ -0,0 +1,204 @@
+// HTTP layer for model APIs
+// Each attempt has a timeout, the caller's AbortSignal cancels the request
+// and any wait between attempts, and rate limits, overloaded servers and
+// network failures are retried with exponential backoff and jitter, honoring
+// Retry-After. Failures are thrown as ApiError with a kind the UI can explain.
+
+export const DEFAULT_REQUEST_OPTIONS = {
+  timeoutMs: 60000,
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// Kinds worth another attempt; the rest fail the same way every time
+const RETRYABLE_KINDS = ["rate_limit", "server", "network", "timeout"];
+
+// kind is one of auth, quota, rate_limit, context_length, server, network,
+// timeout or request (anything else the API rejected)
+export class ApiError extends Error {
+  constructor(message, options = {}) {
+    const { kind = "request", status = null, retryAfterMs = null } = options;
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+// Vendors word these differently, so look at the message and error code
+// together (OpenAI "insufficient_quota", Anthropic "overloaded_error", ...)
+export function classifyError(status, message = "", errorData = null) {
+  const details = errorData?.error;
+  const text = [
+    message,
+    typeof details === "object" ? details?.code : null,
+    typeof details === "object" ? details?.type : null,
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  if (/context.length|context window|prompt is too long/.test(text)) {
+    return "context_length";
+  }
+  if (status === 401 || status === 403 || /authentication|api.key/.test(text)) {
+    return "auth";
+  }
+  if (/insufficient_quota|quota|billing|credit balance/.test(text)) {
+    return "quota";
+  }
+  if (status === 429 || /rate.limit/.test(text)) return "rate_limit";
+  if (status === 408) return "timeout";
+  if (status >= 500 || /overloaded/.test(text)) return "server";
+  return "request";
+}
+
+// Retry-After is either seconds or an HTTP date; OpenAI also sends
+// retry-after-ms
+function parseRetryAfter(headers) {
+  const ms = Number(headers?.get("retry-after-ms"));
+  if (ms > 0) return ms;
+
+  const value = headers?.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, so parallel requests don't retry in
+// lockstep; null when the server asks for a longer wait than maxDelayMs
+function retryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+  if (error.retryAfterMs !== null) {
+    return error.retryAfterMs <= maxDelayMs ? error.retryAfterMs : null;
+  }
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function abortError() {
+  return new DOMException("The request was cancelled", "AbortError");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attemptFetch(url, init, options) {
+  const { signal, timeoutMs, readBody, parseError } = options;
+  // Aborted by the timeout; combined with the caller's signal rather than
+  // listening on it, so attempts don't leave listeners behind. A streamed
+  // body is still read after this returns and stays cancellable.
+  const controller = new AbortController();
+  const fetchSignal = signal
+    ? AbortSignal.any([signal, controller.signal])
+    : controller.signal;
+
+  let timedOut = false;
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+    : null;
+
+  try {
+    const response = await fetch(url, { ...init, signal: fetchSignal });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = parseError(errorData, response);
+      throw new ApiError(message, {
+        kind: classifyError(response.status, message, errorData),
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers),
+      });
+    }
+
+    return readBody ? await readBody(response) : response;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (timedOut) {
+      throw new ApiError(`No response within ${timeoutMs / 1000} seconds`, {
+        kind: "timeout",
+      });
+    }
+    if (error.name === "AbortError") throw error;
+    throw new ApiError(`Network error: ${error.message}`, { kind: "network" });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Fetch with timeout, cancellation and retries. readBody(response) runs
+// inside the timeout; without it the Response is returned as soon as the
+// headers arrive (streams). onRetry({ attempt, retries, delayMs, error }) is
+// called before each wait. A cancelled request throws an AbortError.
+export async function fetchWithRetry(url, init, options = {}) {
+  const settings = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+  const { signal = null, onRetry = null } = settings;
+  const parseError =
+    settings.parseError ||
+    ((errorData, response) =>
+      errorData?.error?.message ||
+      `HTTP ${response.status}: ${response.statusText}`);
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError();
+
+    let error;
+    try {
+      return await attemptFetch(url, init, { ...settings, parseError });
+    } catch (caught) {
+      if (signal?.aborted || !(caught instanceof ApiError)) throw caught;
+      error = caught;
+    }
+
+    const delayMs =
+      error.retryable && attempt < settings.retries
+        ? retryDelay(error, attempt, settings)
+        : null;
+    if (delayMs === null) {
+      if (error.retryable && error.retryAfterMs !== null) {
+        error.message += ` (retry after ${Math.ceil(
+          error.retryAfterMs / 1000
+        )}s)`;
+      }
+      throw error;
+    }
+
+    console.warn(
+      `🔁 ${error.kind} (${error.message}), retry ${attempt + 1}/${
+        settings.retries
+      } in ${delayMs}ms`
+    );
+    onRetry?.({
+      attempt: attempt + 1,
+      retries: settings.retries,
+      delayMs,
+      error,
+    });
+    await sleep(delayMs, signal);
+  }
+}
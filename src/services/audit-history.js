@@ -0,0 +1,230 @@
+// Audit History Store for Chrome Extension
+// Keeps every Lighthouse run per page (origin + path) in chrome.storage.local,
+// checks runs against per-site budgets and flags regressions
+
+import { createSerialQueue } from "./serial-queue.js";
+
+const INDEX_KEY = "audit_history_index";
+const HISTORY_KEY_PREFIX = "audit_history:";
+const BUDGETS_KEY = "audit_budgets";
+const MAX_RUNS_PER_PAGE = 200;
+
+// Metrics kept per run and charted in the history view (lower is better)
+export const HISTORY_METRICS = [
+  "firstContentfulPaint",
+  "largestContentfulPaint",
+  "cumulativeLayoutShift",
+  "loadTime",
+];
+
+// Scores compared between runs (higher is better)
+export const HISTORY_SCORES = [
+  "performance",
+  "accessibility",
+  "bestPractices",
+  "seo",
+];
+
+export const DEFAULT_BUDGETS = {
+  metrics: {},
+  scores: {},
+  // A score dropping by more than this many points counts as a regression
+  maxScoreDrop: 10,
+};
+
+export class AuditHistoryStore {
+  constructor() {
+    // Back-to-back audits update the same page history
+    this.enqueue = createSerialQueue();
+  }
+
+  // History is grouped by page, budgets by site
+  pageKey(url) {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  }
+
+  siteKey(url) {
+    return new URL(url).origin;
+  }
+
+  historyKey(pageKey) {
+    return `${HISTORY_KEY_PREFIX}${pageKey}`;
+  }
+
+  async getIndex() {
+    const result = await chrome.storage.local.get([INDEX_KEY]);
+    return result[INDEX_KEY] || [];
+  }
+
+  // Audited pages, most recently audited first
+  async listPages() {
+    const index = await this.getIndex();
+    return [...index].sort((a, b) => b.lastRunAt - a.lastRunAt);
+  }
+
+  async getRuns(url) {
+    const key = this.historyKey(this.pageKey(url));
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || [];
+  }
+
+  async getAllBudgets() {
+    const result = await chrome.storage.local.get([BUDGETS_KEY]);
+    return result[BUDGETS_KEY] || {};
+  }
+
+  async getBudgets(url) {
+    const budgets = await this.getAllBudgets();
+    return {
+      ...DEFAULT_BUDGETS,
+      ...(budgets[this.siteKey(url)] || {}),
+    };
+  }
+
+  async setBudgets(url, budgets) {
+    return this.enqueue(async () => {
+      const all = await this.getAllBudgets();
+      all[this.siteKey(url)] = {
+        metrics: budgets.metrics || {},
+        scores: budgets.scores || {},
+        maxScoreDrop:
+          Number(budgets.maxScoreDrop) || DEFAULT_BUDGETS.maxScoreDrop,
+      };
+      await chrome.storage.local.set({ [BUDGETS_KEY]: all });
+      return all[this.siteKey(url)];
+    });
+  }
+
+  buildRun(results) {
+    const metrics = {};
+    HISTORY_METRICS.forEach((name) => {
+      metrics[name] = results.metrics?.[name] ?? null;
+    });
+
+    const scores = {};
+    HISTORY_SCORES.forEach((name) => {
+      scores[name] = results.scores?.[name] ?? null;
+    });
+
+    return {
+      timestamp: results.timestamp || Date.now(),
+      url: results.url,
+      profile: results.profile || null,
+      partial: !!results.partial,
+      scores: scores,
+      metrics: metrics,
+      regressions: [],
+    };
+  }
+
+  // Budget breaches and score drops against the previous comparable run
+  detectRegressions(run, previous, budgets) {
+    const regressions = [];
+
+    Object.entries(budgets.metrics || {}).forEach(([name, max]) => {
+      const value = run.metrics[name];
+      if (value !== null && value !== undefined && value > max) {
+        regressions.push({
+          type: "budget",
+          metric: name,
+          value: value,
+          limit: max,
+        });
+      }
+    });
+
+    Object.entries(budgets.scores || {}).forEach(([name, min]) => {
+      const value = run.scores[name];
+      if (value !== null && value !== undefined && value < min) {
+        regressions.push({
+          type: "budget",
+          metric: name,
+          value: value,
+          limit: min,
+        });
+      }
+    });
+
+    if (previous) {
+      HISTORY_SCORES.forEach((name) => {
+        const value = run.scores[name];
+        const before = previous.scores[name];
+        if (value === null || before === null) return;
+
+        if (before - value > budgets.maxScoreDrop) {
+          regressions.push({
+            type: "drop",
+            metric: name,
+            value: value,
+            previous: before,
+            drop: before - value,
+          });
+        }
+      });
+    }
+
+    return regressions;
+  }
+
+  // Store a finished audit and return the run with its regressions
+  async record(results) {
+    const budgets = await this.getBudgets(results.url);
+
+    return this.enqueue(async () => {
+      const pageKey = this.pageKey(results.url);
+      const key = this.historyKey(pageKey);
+      const runs = (await chrome.storage.local.get([key]))[key] || [];
+
+      const run = this.buildRun(results);
+      // Only runs under the same throttling profile are comparable
+      const previous = [...runs]
+        .reverse()
+        .find((r) => r.profile === run.profile);
+      run.regressions = this.detectRegressions(run, previous, budgets);
+
+      runs.push(run);
+      const trimmed = runs.slice(-MAX_RUNS_PER_PAGE);
+
+      const index = await this.getIndex();
+      const summary = {
+        key: pageKey,
+        url: results.url,
+        title: results.title || pageKey,
+        runCount: trimmed.length,
+        lastRunAt: run.timestamp,
+        lastScores: run.scores,
+        regressed: run.regressions.length > 0,
+      };
+      const position = index.findIndex((p) => p.key === pageKey);
+      if (position >= 0) {
+        index[position] = summary;
+      } else {
+        index.push(summary);
+      }
+
+      await chrome.storage.local.set({ [key]: trimmed, [INDEX_KEY]: index });
+      return run;
+    });
+  }
+
+  async clear(url = null) {
+    return this.enqueue(async () => {
+      const index = await this.getIndex();
+
+      if (!url) {
+        await chrome.storage.local.remove([
+          ...index.map((p) => this.historyKey(p.key)),
+          INDEX_KEY,
+        ]);
+        return;
+      }
+
+      const pageKey = this.pageKey(url);
+      await chrome.storage.local.remove(this.historyKey(pageKey));
+      await chrome.storage.local.set({
+        [INDEX_KEY]: index.filter((p) => p.key !== pageKey),
+      });
+    });
+  }
+}
@@ -0,0 +1,80 @@
+// Device and network throttling profiles for Lighthouse audits
+// Values follow Lighthouse's own presets so scores are roughly comparable.
+// Throughput is in bytes per second, as CDP expects.
+
+const MOBILE_USER_AGENT =
+  "Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36";
+
+const kbps = (value) => Math.round((value * 1024) / 8);
+
+export const AUDIT_PROFILES = {
+  "mobile-slow-4g": {
+    id: "mobile-slow-4g",
+    label: "Mobile · Slow 4G",
+    device: {
+      width: 412,
+      height: 823,
+      deviceScaleFactor: 1.75,
+      mobile: true,
+      userAgent: MOBILE_USER_AGENT,
+    },
+    network: {
+      latency: 150,
+      downloadThroughput: kbps(1638.4 * 0.9),
+      uploadThroughput: kbps(750 * 0.9),
+    },
+    cpuSlowdown: 4,
+  },
+  "mobile-3g": {
+    id: "mobile-3g",
+    label: "Mobile · Slow 3G",
+    device: {
+      width: 412,
+      height: 823,
+      deviceScaleFactor: 1.75,
+      mobile: true,
+      userAgent: MOBILE_USER_AGENT,
+    },
+    network: {
+      latency: 2000,
+      downloadThroughput: kbps(400),
+      uploadThroughput: kbps(400),
+    },
+    cpuSlowdown: 6,
+  },
+  desktop: {
+    id: "desktop",
+    label: "Desktop",
+    device: {
+      width: 1350,
+      height: 940,
+      deviceScaleFactor: 1,
+      mobile: false,
+    },
+    network: {
+      latency: 40,
+      downloadThroughput: kbps(10240),
+      uploadThroughput: kbps(10240),
+    },
+    cpuSlowdown: 1,
+  },
+  // The developer's machine and connection as they are
+  none: {
+    id: "none",
+    label: "No throttling",
+    device: null,
+    network: null,
+    cpuSlowdown: 1,
+  },
+};
+
+export const DEFAULT_AUDIT_PROFILE = "mobile-slow-4g";
+
+export function getAuditProfile(id = DEFAULT_AUDIT_PROFILE) {
+  return AUDIT_PROFILES[id] || null;
+}
+
+// Summaries for the UI
+export function listAuditProfiles() {
+  return Object.values(AUDIT_PROFILES).map(({ id, label }) => ({ id, label }));
+}
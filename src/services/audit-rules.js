@@ -0,0 +1,510 @@
+// Rule-based accessibility, SEO and best-practices checks for audits
+// collectPageAuditData runs inside the audited page (via Runtime.evaluate),
+// so it must stay self-contained. The rest runs in the service worker and
+// combines the page data with events captured over CDP during the load.
+
+const MAX_FAILING_ELEMENTS = 20;
+
+// Runs in the page. Returns per-rule results for accessibility and SEO plus
+// a few page facts needed for best practices.
+export function collectPageAuditData() {
+  const MAX_ITEMS = 20;
+
+  const cssPath = (el) => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const classes = Array.from(node.classList).slice(0, 2);
+      if (classes.length) {
+        part += classes.map((c) => `.${CSS.escape(c)}`).join("");
+      }
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(
+          (s) => s.tagName === node.tagName
+        );
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(" > ");
+  };
+
+  const describe = (el, detail) => ({
+    selector: cssPath(el),
+    snippet: el.outerHTML.replace(/\s+/g, " ").slice(0, 160),
+    detail: detail || null,
+  });
+
+  const rule = (id, title, weight, failures, extra = {}) => ({
+    id,
+    title,
+    weight,
+    passed: failures.length === 0,
+    failingCount: failures.length,
+    failingElements: failures.slice(0, MAX_ITEMS),
+    ...extra,
+  });
+
+  const notApplicable = (id, title, weight, reason) => ({
+    id,
+    title,
+    weight,
+    passed: true,
+    notApplicable: true,
+    failingCount: 0,
+    failingElements: [],
+    details: reason,
+  });
+
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    return (
+      style.display !== "none" &&
+      style.visibility !== "hidden" &&
+      Number(style.opacity) !== 0 &&
+      el.getClientRects().length > 0
+    );
+  };
+
+  const isHiddenFromAT = (el) =>
+    !!el.closest('[aria-hidden="true"]') ||
+    ["presentation", "none"].includes(el.getAttribute("role"));
+
+  const textOf = (el) => (el ? el.textContent.trim() : "");
+
+  // ---------- Accessibility ----------
+
+  // WCAG 2.x contrast ratio
+  const parseColor = (value) => {
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1]
+      .split(/[\s,/]+/)
+      .filter(Boolean)
+      .map(Number);
+    return { r, g, b, a };
+  };
+
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1,
+  });
+
+  const luminance = ({ r, g, b }) => {
+    const channel = (v) => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+
+  // Effective background, or null when an image/gradient makes it unknown
+  const backgroundOf = (el) => {
+    const layers = [];
+    let node = el;
+    while (node && node.nodeType === 1) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== "none") {
+        return null;
+      }
+      const color = parseColor(style.backgroundColor);
+      if (!color) return null;
+      if (color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+      node = node.parentElement;
+    }
+    return layers
+      .reverse()
+      .reduce((bottom, top) => blend(top, bottom), {
+        r: 255,
+        g: 255,
+        b: 255,
+        a: 1,
+      });
+  };
+
+  const contrastFailures = [];
+  let contrastChecked = 0;
+  const walker = document.createTreeWalker(
+    document.body || document.documentElement,
+    NodeFilter.SHOW_ELEMENT
+  );
+  while (walker.nextNode() && contrastChecked < 1000) {
+    const el = walker.currentNode;
+    const hasText = Array.from(el.childNodes).some(
+      (n) => n.nodeType === 3 && n.textContent.trim()
+    );
+    if (!hasText || isHiddenFromAT(el) || !isVisible(el)) continue;
+
+    const style = getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const bg = backgroundOf(el);
+    if (!fg || !bg) continue;
+    contrastChecked++;
+
+    const fgColor = fg.a < 1 ? blend(fg, bg) : fg;
+    const l1 = luminance(fgColor);
+    const l2 = luminance(bg);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+    const size = parseFloat(style.fontSize);
+    const bold = Number(style.fontWeight) >= 700;
+    const large = size >= 24 || (size >= 18.66 && bold);
+    const required = large ? 3 : 4.5;
+
+    if (ratio < required) {
+      contrastFailures.push(
+        describe(
+          el,
+          `Contrast ${ratio.toFixed(2)}:1, needs ${required}:1 (${style.color} on rgb(${Math.round(
+            bg.r
+          )}, ${Math.round(bg.g)}, ${Math.round(bg.b)}))`
+        )
+      );
+    }
+  }
+
+  const altFailures = Array.from(
+    document.querySelectorAll("img:not([alt]), input[type=image]:not([alt])")
+  )
+    .filter((el) => !isHiddenFromAT(el))
+    .map((el) => describe(el, "Missing alt attribute"));
+
+  const hasAccessibleName = (el) => {
+    if (el.getAttribute("aria-label")?.trim()) return true;
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => textOf(document.getElementById(id)))
+        .join("");
+      if (text) return true;
+    }
+    if (el.labels && Array.from(el.labels).some((l) => textOf(l))) return true;
+    return !!(el.getAttribute("title")?.trim() || el.placeholder?.trim());
+  };
+
+  const labelFailures = Array.from(
+    document.querySelectorAll("input, select, textarea")
+  )
+    .filter(
+      (el) =>
+        !["hidden", "submit", "reset", "button", "image"].includes(el.type) &&
+        !isHiddenFromAT(el) &&
+        isVisible(el) &&
+        !hasAccessibleName(el)
+    )
+    .map((el) => describe(el, "Form control has no label"));
+
+  const mains = Array.from(document.querySelectorAll("main, [role=main]"));
+  const landmarkFailures =
+    mains.length === 1
+      ? []
+      : mains.length === 0
+      ? [
+          {
+            selector: "body",
+            snippet: "",
+            detail: "Page has no <main> landmark",
+          },
+        ]
+      : mains.map((el) =>
+          describe(el, `Page has ${mains.length} main landmarks, expected 1`)
+        );
+
+  const headingFailures = [];
+  let previousLevel = 0;
+  document
+    .querySelectorAll("h1, h2, h3, h4, h5, h6, [role=heading][aria-level]")
+    .forEach((el) => {
+      if (isHiddenFromAT(el)) return;
+      const level = el.hasAttribute("aria-level")
+        ? Number(el.getAttribute("aria-level"))
+        : Number(el.tagName[1]);
+      if (previousLevel && level > previousLevel + 1) {
+        headingFailures.push(
+          describe(el, `Heading jumps from level ${previousLevel} to ${level}`)
+        );
+      }
+      previousLevel = level;
+    });
+
+  const accessibility = [
+    rule("color-contrast", "Text has sufficient color contrast", 7, contrastFailures, {
+      details: `${contrastChecked} text elements checked`,
+    }),
+    rule("image-alt", "Images have alt text", 10, altFailures),
+    rule("label", "Form elements have labels", 7, labelFailures),
+    rule("landmark-one-main", "Page has exactly one main landmark", 3, landmarkFailures),
+    rule("heading-order", "Heading levels increase by one", 3, headingFailures),
+  ];
+
+  // ---------- SEO ----------
+
+  const metaContent = (name) =>
+    document.querySelector(`meta[name="${name}" i]`)?.getAttribute("content") ||
+    "";
+
+  const seo = [];
+
+  seo.push(
+    rule(
+      "document-title",
+      "Document has a <title>",
+      1,
+      document.title.trim() ? [] : [{ selector: "head", snippet: "", detail: "Missing or empty <title>" }]
+    )
+  );
+
+  seo.push(
+    rule(
+      "meta-description",
+      "Document has a meta description",
+      1,
+      metaContent("description").trim()
+        ? []
+        : [{ selector: "head", snippet: "", detail: "Missing or empty meta description" }]
+    )
+  );
+
+  seo.push(
+    rule(
+      "viewport",
+      "Has a meta viewport tag",
+      1,
+      metaContent("viewport").includes("width")
+        ? []
+        : [{ selector: "head", snippet: "", detail: "Missing meta viewport with width" }]
+    )
+  );
+
+  const robots = [metaContent("robots"), metaContent("googlebot")]
+    .join(",")
+    .toLowerCase();
+  seo.push(
+    rule(
+      "is-crawlable",
+      "Page isn't blocked from indexing",
+      1,
+      /noindex|none/.test(robots)
+        ? [{ selector: 'meta[name="robots"]', snippet: robots, detail: "meta robots blocks indexing" }]
+        : []
+    )
+  );
+
+  const canonicals = Array.from(document.querySelectorAll('link[rel="canonical" i]'));
+  if (canonicals.length === 0) {
+    seo.push(notApplicable("canonical", "Document has a valid rel=canonical", 1, "No canonical link"));
+  } else {
+    const failures = [];
+    const hrefs = new Set(canonicals.map((l) => l.getAttribute("href")));
+    if (hrefs.size > 1) {
+      failures.push(...canonicals.map((l) => describe(l, "Conflicting canonical URLs")));
+    }
+    canonicals.forEach((l) => {
+      const href = l.getAttribute("href") || "";
+      if (!/^https?:\/\//i.test(href)) {
+        failures.push(describe(l, "Canonical URL must be absolute"));
+      }
+    });
+    seo.push(rule("canonical", "Document has a valid rel=canonical", 1, failures));
+  }
+
+  const alternates = Array.from(document.querySelectorAll('link[rel="alternate" i][hreflang]'));
+  if (alternates.length === 0) {
+    seo.push(notApplicable("hreflang", "Document has valid hreflang", 1, "No hreflang links"));
+  } else {
+    const failures = alternates
+      .filter((l) => {
+        const lang = l.getAttribute("hreflang");
+        const href = l.getAttribute("href") || "";
+        return (
+          !(lang === "x-default" || /^[a-z]{2,3}(-[A-Za-z]{4})?(-([A-Za-z]{2}|\d{3}))?$/i.test(lang)) ||
+          !/^https?:\/\//i.test(href)
+        );
+      })
+      .map((l) => describe(l, "Invalid language code or relative href"));
+    seo.push(rule("hreflang", "Document has valid hreflang", 1, failures));
+  }
+
+  const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json" i]'));
+  if (jsonLd.length === 0) {
+    seo.push(notApplicable("structured-data", "Structured data is valid", 1, "No JSON-LD found"));
+  } else {
+    const failures = [];
+    jsonLd.forEach((script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = Array.isArray(data) ? data : data["@graph"] || [data];
+        const context = data["@context"];
+        items.forEach((item) => {
+          if (!item["@type"]) {
+            failures.push(describe(script, "JSON-LD item has no @type"));
+          }
+        });
+        if (!context && !items.every((item) => item["@context"])) {
+          failures.push(describe(script, "JSON-LD has no @context"));
+        }
+      } catch (error) {
+        failures.push(describe(script, `Invalid JSON-LD: ${error.message}`));
+      }
+    });
+    seo.push(rule("structured-data", "Structured data is valid", 1, failures));
+  }
+
+  return {
+    accessibility,
+    seo,
+    page: {
+      url: location.href,
+      protocol: location.protocol,
+      hostname: location.hostname,
+    },
+  };
+}
+
+const itemRule = (id, title, weight, failures, extra = {}) => ({
+  id,
+  title,
+  weight,
+  passed: failures.length === 0,
+  failingCount: failures.length,
+  failingElements: failures.slice(0, MAX_FAILING_ELEMENTS),
+  ...extra,
+});
+
+// Combine page data with CDP events into the three rule categories
+export function finalizeAudits(pageData, events) {
+  const { page } = pageData;
+  const isLocalhost = /^(localhost|127\.0\.0\.1|\[::1\])$/.test(page.hostname);
+  const mainDocument = events.mainDocument;
+
+  // SEO checks that need the HTTP response of the main document
+  const seo = [...pageData.seo];
+  const robotsHeader = Object.entries(mainDocument?.headers || {}).find(
+    ([name]) => name.toLowerCase() === "x-robots-tag"
+  );
+  if (robotsHeader && /noindex|none/i.test(robotsHeader[1])) {
+    const crawlable = seo.find((r) => r.id === "is-crawlable");
+    const failure = {
+      selector: "HTTP header",
+      snippet: `X-Robots-Tag: ${robotsHeader[1]}`,
+      detail: "X-Robots-Tag header blocks indexing",
+    };
+    crawlable.failingElements.push(failure);
+    crawlable.failingCount++;
+    crawlable.passed = false;
+  }
+  if (mainDocument) {
+    seo.push(
+      itemRule(
+        "http-status-code",
+        "Page has a successful HTTP status code",
+        1,
+        mainDocument.status >= 400
+          ? [
+              {
+                selector: mainDocument.url,
+                snippet: "",
+                detail: `HTTP ${mainDocument.status}`,
+              },
+            ]
+          : []
+      )
+    );
+  }
+
+  // Best practices
+  const bestPractices = [];
+
+  bestPractices.push(
+    itemRule(
+      "is-on-https",
+      "Uses HTTPS",
+      5,
+      page.protocol === "https:" || isLocalhost
+        ? []
+        : [{ selector: page.url, snippet: "", detail: "Page is served over HTTP" }]
+    )
+  );
+
+  const insecure = new Map();
+  if (page.protocol === "https:") {
+    events.requests
+      .filter((r) => r.url.startsWith("http:"))
+      .forEach((r) =>
+        insecure.set(r.url, {
+          selector: r.url,
+          snippet: r.type || "",
+          detail: "Insecure resource loaded from an HTTPS page",
+        })
+      );
+  }
+  events.mixedContent.forEach((issue) =>
+    insecure.set(issue.url, {
+      selector: issue.url,
+      snippet: issue.resourceType || "",
+      detail: `Mixed content (${issue.resolutionStatus || "blocked"})`,
+    })
+  );
+  bestPractices.push(
+    itemRule("no-mixed-content", "No mixed content", 5, [...insecure.values()])
+  );
+
+  bestPractices.push(
+    itemRule(
+      "deprecations",
+      "Avoids deprecated APIs",
+      5,
+      events.deprecations.map((d) => ({
+        selector: d.url || page.url,
+        snippet: d.type || "",
+        detail: d.message,
+      }))
+    )
+  );
+
+  bestPractices.push(
+    itemRule(
+      "errors-in-console",
+      "No browser errors logged to the console",
+      1,
+      events.consoleErrors.map((e) => ({
+        selector: e.url || page.url,
+        snippet: e.source,
+        detail: e.message,
+      }))
+    )
+  );
+
+  return {
+    accessibility: pageData.accessibility,
+    seo,
+    bestPractices,
+  };
+}
+
+// Weighted share of passing rules, ignoring rules that don't apply
+export function scoreAudits(rules) {
+  const applicable = rules.filter((r) => !r.notApplicable);
+  const total = applicable.reduce((sum, r) => sum + r.weight, 0);
+  if (total === 0) return 100;
+
+  const passed = applicable
+    .filter((r) => r.passed)
+    .reduce((sum, r) => sum + r.weight, 0);
+  return Math.round((passed / total) * 100);
+}
@@ -0,0 +1,84 @@
+// Aggregation helpers for multi-run Lighthouse audits
+
+// Timing metrics summarized across runs
+export const AGGREGATED_METRICS = [
+  "timeToFirstByte",
+  "firstPaint",
+  "firstContentfulPaint",
+  "largestContentfulPaint",
+  "domContentLoaded",
+  "loadTime",
+  "cumulativeLayoutShift",
+  "totalBlockingTime",
+  "interactionToNextPaint",
+];
+
+export function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Population standard deviation; the runs are all we measured
+export function standardDeviation(values) {
+  if (values.length === 0) return null;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    values.length;
+  return Math.sqrt(variance);
+}
+
+// Median and spread per metric; runs that didn't measure a metric are skipped
+export function summarizeMetrics(metricsList) {
+  const summary = {};
+
+  AGGREGATED_METRICS.forEach((name) => {
+    const values = metricsList
+      .map((metrics) => metrics?.[name])
+      .filter((value) => value !== null && value !== undefined);
+
+    summary[name] = values.length
+      ? {
+          median: median(values),
+          min: Math.min(...values),
+          max: Math.max(...values),
+          stdDev: standardDeviation(values),
+          values: values,
+        }
+      : null;
+  });
+
+  return summary;
+}
+
+// Index of the run whose score is the median. With an even count the
+// lower-middle run is used so the result is always a real run. Runs tied on
+// the median score are told apart by how close tieBreak (e.g. FCP) is to
+// its own median.
+export function pickMedianRun(scores, tieBreak = []) {
+  const ranked = scores
+    .map((score, index) => ({ score, index }))
+    .filter((entry) => entry.score !== null)
+    .sort((a, b) => a.score - b.score);
+
+  if (ranked.length === 0) return 0;
+
+  const medianScore = ranked[Math.floor((ranked.length - 1) / 2)].score;
+  const tied = ranked.filter((entry) => entry.score === medianScore);
+  const target = median(
+    tieBreak.filter((value) => value !== null && value !== undefined)
+  );
+  if (tied.length === 1 || target === null) return tied[0].index;
+
+  const distance = (entry) =>
+    Math.abs((tieBreak[entry.index] ?? Infinity) - target);
+  return tied.reduce((best, entry) =>
+    distance(entry) < distance(best) ? entry : best
+  ).index;
+}
@@ -0,0 +1,474 @@
+// Console Log Store for Chrome Extension
+// Structured console messages, exceptions and browser log entries per tab,
+// persisted in chrome.storage.local so they survive service worker restarts.
+// A tab's logs are dropped when it closes and all of them when the browser
+// starts (tab ids are reused); within that, retention is capped per tab
+// (see setSettings).
+//
+// Each tab's entries are stored in chunks of LOG_CHUNK_SIZE under
+// console_logs:<tabId>:<chunkId>, listed by an index at console_logs:<tabId>.
+// A flush only rewrites the last chunk and the index, and retention drops
+// whole chunks, so busy pages don't rewrite everything they logged so far.
+
+import { createSerialQueue } from "./serial-queue.js";
+
+const LOG_KEY_PREFIX = "console_logs:";
+const SETTINGS_KEY = "console_log_settings";
+const FLUSH_DELAY_MS = 500;
+const LOG_CHUNK_SIZE = 200;
+
+export const DEFAULT_LOG_SETTINGS = {
+  maxEntriesPerTab: 5000,
+  // null = no age limit
+  maxAgeHours: null,
+};
+
+export const LOG_LEVELS = ["debug", "info", "log", "warn", "error"];
+
+// Runtime.consoleAPICalled types -> LOG_LEVELS
+const CONSOLE_TYPE_LEVELS = {
+  debug: "debug",
+  info: "info",
+  warning: "warn",
+  error: "error",
+  assert: "error",
+};
+
+// Log.entryAdded levels -> LOG_LEVELS
+const BROWSER_LEVELS = {
+  verbose: "debug",
+  info: "info",
+  warning: "warn",
+  error: "error",
+};
+
+// CDP line and column numbers are 0-based; entries use 1-based like DevTools
+const oneBased = (value) => (typeof value === "number" ? value + 1 : null);
+
+function toStackTrace(stackTrace) {
+  if (!stackTrace || !stackTrace.callFrames) return [];
+
+  return stackTrace.callFrames.map((frame) => ({
+    functionName: frame.functionName || "(anonymous)",
+    url: frame.url || null,
+    lineNumber: oneBased(frame.lineNumber),
+    columnNumber: oneBased(frame.columnNumber),
+  }));
+}
+
+// Preview property values arrive as strings
+function previewPropertyValue(property) {
+  if (property.valuePreview) return previewToValue(property.valuePreview);
+  if (property.type === "number") return Number(property.value);
+  if (property.type === "boolean") return property.value === "true";
+  if (property.subtype === "null") return null;
+  return property.value;
+}
+
+// Object previews are shallow, so nested values stay as their description
+function previewToValue(preview) {
+  if (!preview.properties) return preview.description;
+
+  const entries = preview.properties.map((property) => [
+    property.name,
+    previewPropertyValue(property),
+  ]);
+  const value =
+    preview.subtype === "array"
+      ? entries.map(([, item]) => item)
+      : Object.fromEntries(entries);
+
+  return preview.overflow
+    ? { value, truncated: true, description: preview.description }
+    : value;
+}
+
+// JSON-friendly form of a CDP RemoteObject
+export function serializeRemoteObject(arg) {
+  if (!arg) return null;
+  if (arg.value !== undefined) return arg.value;
+  if (arg.unserializableValue) return arg.unserializableValue;
+  if (arg.preview) return previewToValue(arg.preview);
+  if (arg.description) return arg.description;
+  return arg.type;
+}
+
+export function formatRemoteObject(arg) {
+  if (arg.value !== undefined) {
+    return typeof arg.value === "object"
+      ? JSON.stringify(arg.value)
+      : String(arg.value);
+  }
+  if (arg.unserializableValue) return arg.unserializableValue;
+  if (arg.description) return arg.description;
+  if (arg.preview && arg.preview.description) return arg.preview.description;
+  return arg.type || String(arg);
+}
+
+// Structured entry for a debugger event, or null for unrelated events
+export function consoleEntryFromEvent(method, params) {
+  switch (method) {
+    case "Runtime.consoleAPICalled": {
+      const stack = toStackTrace(params.stackTrace);
+      const args = params.args || [];
+      return {
+        timestamp: new Date(params.timestamp).toISOString(),
+        level: CONSOLE_TYPE_LEVELS[params.type] || "log",
+        type: params.type,
+        source: "console",
+        text: args.map(formatRemoteObject).join(" "),
+        args: args.map(serializeRemoteObject),
+        url: stack[0]?.url || null,
+        lineNumber: stack[0]?.lineNumber ?? null,
+        columnNumber: stack[0]?.columnNumber ?? null,
+        stackTrace: stack,
+      };
+    }
+
+    case "Runtime.exceptionThrown": {
+      const details = params.exceptionDetails;
+      return {
+        timestamp: new Date(params.timestamp).toISOString(),
+        level: "error",
+        type: "exception",
+        source: "exception",
+        // description carries "TypeError: ..." where text is just "Uncaught"
+        text: details.exception?.description || details.text,
+        args: details.exception
+          ? [serializeRemoteObject(details.exception)]
+          : [],
+        url: details.url || null,
+        lineNumber: oneBased(details.lineNumber),
+        columnNumber: oneBased(details.columnNumber),
+        stackTrace: toStackTrace(details.stackTrace),
+      };
+    }
+
+    case "Log.entryAdded": {
+      const entry = params.entry;
+      return {
+        timestamp: new Date(entry.timestamp).toISOString(),
+        level: BROWSER_LEVELS[entry.level] || "log",
+        type: entry.level,
+        // network, security, deprecation, violation, ...
+        source: entry.source,
+        text: entry.text,
+        args: [],
+        url: entry.url || null,
+        lineNumber: oneBased(entry.lineNumber),
+        columnNumber: null,
+        stackTrace: toStackTrace(entry.stackTrace),
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+const toList = (value) =>
+  value === undefined || value === null || value === ""
+    ? null
+    : Array.isArray(value)
+      ? value
+      : String(value).split(",");
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const time = typeof value === "number" ? value : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid time: ${value}`);
+  return time;
+};
+
+export class ConsoleLogStore {
+  constructor() {
+    // Flushes and clears touch the same index and chunks
+    this.enqueue = createSerialQueue();
+    // tabId -> entries not yet written to storage
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  logKey(tabId) {
+    return `${LOG_KEY_PREFIX}${tabId}`;
+  }
+
+  chunkKey(tabId, chunkId) {
+    return `${LOG_KEY_PREFIX}${tabId}:${chunkId}`;
+  }
+
+  // Arrays left by the old one-key-per-tab layout are dropped
+  readIndex(stored, tabId) {
+    const index = stored[this.logKey(tabId)];
+    return index && Array.isArray(index.chunks)
+      ? index
+      : { chunks: [], nextId: 0 };
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    const stored = result[SETTINGS_KEY] || {};
+    return {
+      // Saved before there was a default cap
+      maxEntriesPerTab:
+        stored.maxEntriesPerTab || DEFAULT_LOG_SETTINGS.maxEntriesPerTab,
+      maxAgeHours: stored.maxAgeHours ?? DEFAULT_LOG_SETTINGS.maxAgeHours,
+    };
+  }
+
+  // An empty maxEntriesPerTab means the default cap, an empty maxAgeHours
+  // no age limit
+  async setSettings(settings) {
+    const positive = (value) => {
+      const number = Number(value);
+      return value !== null && value !== "" && number > 0 ? number : null;
+    };
+    const next = {
+      maxEntriesPerTab:
+        positive(settings.maxEntriesPerTab) ||
+        DEFAULT_LOG_SETTINGS.maxEntriesPerTab,
+      maxAgeHours: positive(settings.maxAgeHours),
+    };
+
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    return next;
+  }
+
+  // Entries are buffered and written in batches; busy pages log a lot
+  append(tabId, entry) {
+    if (!this.pending.has(tabId)) {
+      this.pending.set(tabId, []);
+    }
+    this.pending.get(tabId).push(entry);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch((error) =>
+          console.warn("Failed to write console logs:", error)
+        );
+      }, FLUSH_DELAY_MS);
+    }
+  }
+
+  // Exact retention, applied when entries are read
+  applyRetention(entries, settings) {
+    let kept = entries;
+    if (settings.maxAgeHours) {
+      const cutoff = Date.now() - settings.maxAgeHours * 60 * 60 * 1000;
+      kept = kept.filter((entry) => Date.parse(entry.timestamp) >= cutoff);
+    }
+    if (settings.maxEntriesPerTab && kept.length > settings.maxEntriesPerTab) {
+      kept = kept.slice(-settings.maxEntriesPerTab);
+    }
+    return kept;
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const batches = [...this.pending.entries()];
+    this.pending.clear();
+
+    return this.enqueue(async () => {
+      if (batches.length === 0) return;
+
+      const removed = [];
+      try {
+        const settings = await this.getSettings();
+        const stored = await chrome.storage.local.get(
+          batches.map(([tabId]) => this.logKey(tabId))
+        );
+        const indexes = batches.map(([tabId]) => this.readIndex(stored, tabId));
+
+        // Only a last chunk with room left is read back
+        const openKeys = [];
+        batches.forEach(([tabId], i) => {
+          const last = indexes[i].chunks.at(-1);
+          if (last && last.count < LOG_CHUNK_SIZE) {
+            openKeys.push(this.chunkKey(tabId, last.id));
+          }
+        });
+        const open =
+          openKeys.length > 0 ? await chrome.storage.local.get(openKeys) : {};
+
+        const updates = {};
+        batches.forEach(([tabId, entries], i) => {
+          const index = this.appendChunks(
+            tabId,
+            indexes[i],
+            entries,
+            open,
+            updates
+          );
+          const dropped = this.dropChunks(index, settings);
+          removed.push(
+            ...dropped.map((chunk) => this.chunkKey(tabId, chunk.id))
+          );
+          updates[this.logKey(tabId)] = index;
+        });
+
+        await chrome.storage.local.set(updates);
+      } catch (error) {
+        this.restore(batches);
+        throw error;
+      }
+
+      // The index no longer lists these; if removing them fails they stay
+      // until the browser restarts, which is no reason to write the batch
+      // again
+      if (removed.length > 0) {
+        await chrome.storage.local
+          .remove(removed)
+          .catch((error) =>
+            console.warn("Failed to remove old console log chunks:", error)
+          );
+      }
+    });
+  }
+
+  // Adds entries to the last chunk until it is full, then to new ones;
+  // the chunks written go into updates
+  appendChunks(tabId, index, entries, open, updates) {
+    const chunks = [...index.chunks];
+    let nextId = index.nextId;
+    let rest = entries;
+
+    const last = chunks.at(-1);
+    if (last && last.count < LOG_CHUNK_SIZE) {
+      const key = this.chunkKey(tabId, last.id);
+      const filled = [
+        ...(open[key] || []),
+        ...rest.slice(0, LOG_CHUNK_SIZE - last.count),
+      ];
+      rest = rest.slice(LOG_CHUNK_SIZE - last.count);
+      updates[key] = filled;
+      chunks[chunks.length - 1] = {
+        id: last.id,
+        count: filled.length,
+        newest: filled.at(-1).timestamp,
+      };
+    }
+
+    for (let start = 0; start < rest.length; start += LOG_CHUNK_SIZE) {
+      const chunk = rest.slice(start, start + LOG_CHUNK_SIZE);
+      const id = nextId++;
+      updates[this.chunkKey(tabId, id)] = chunk;
+      chunks.push({ id, count: chunk.length, newest: chunk.at(-1).timestamp });
+    }
+
+    return { chunks, nextId };
+  }
+
+  // Drops the oldest chunks that retention no longer needs, in place; the
+  // chunks kept may hold a few more entries than the cap
+  dropChunks(index, settings) {
+    const cutoff = settings.maxAgeHours
+      ? Date.now() - settings.maxAgeHours * 60 * 60 * 1000
+      : null;
+    let total = index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+    const dropped = [];
+
+    while (index.chunks.length > 0) {
+      const oldest = index.chunks[0];
+      const expired = cutoff !== null && Date.parse(oldest.newest) < cutoff;
+      const beyondCap =
+        settings.maxEntriesPerTab &&
+        total - oldest.count >= settings.maxEntriesPerTab;
+      if (!expired && !beyondCap) break;
+
+      dropped.push(index.chunks.shift());
+      total -= oldest.count;
+    }
+    return dropped;
+  }
+
+  // Put a batch that failed to write back in front of anything appended
+  // since, so the next flush retries it in order
+  restore(batches) {
+    batches.forEach(([tabId, entries]) => {
+      this.pending.set(tabId, [...entries, ...(this.pending.get(tabId) || [])]);
+    });
+  }
+
+  async getEntries(tabId) {
+    await this.flush();
+    const settings = await this.getSettings();
+    const stored = await chrome.storage.local.get([this.logKey(tabId)]);
+    const keys = this.readIndex(stored, tabId).chunks.map((chunk) =>
+      this.chunkKey(tabId, chunk.id)
+    );
+    if (keys.length === 0) return [];
+
+    const chunks = await chrome.storage.local.get(keys);
+    return this.applyRetention(
+      keys.flatMap((key) => chunks[key] || []),
+      settings
+    );
+  }
+
+  // filters: { level, source (string, list or comma-separated), text,
+  //   regex, regexFlags, since, until (ISO string or epoch ms), limit }
+  async query(tabId, filters = {}) {
+    const levels = toList(filters.level);
+    const sources = toList(filters.source);
+    const text = filters.text ? String(filters.text).toLowerCase() : null;
+    const since = toTime(filters.since);
+    const until = toTime(filters.until);
+
+    let pattern = null;
+    if (filters.regex) {
+      try {
+        pattern = new RegExp(filters.regex, filters.regexFlags ?? "i");
+      } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`);
+      }
+    }
+
+    const entries = await this.getEntries(tabId);
+    const matched = entries.filter((entry) => {
+      const time = Date.parse(entry.timestamp);
+      return (
+        (!levels || levels.includes(entry.level)) &&
+        (!sources || sources.includes(entry.source)) &&
+        (!text || entry.text.toLowerCase().includes(text)) &&
+        (!pattern || pattern.test(entry.text)) &&
+        (since === null || time >= since) &&
+        (until === null || time <= until)
+      );
+    });
+
+    const limit = Number(filters.limit) > 0 ? Number(filters.limit) : null;
+    return {
+      entries: limit ? matched.slice(-limit) : matched,
+      total: entries.length,
+      matched: matched.length,
+    };
+  }
+
+  async clear(tabId) {
+    this.pending.delete(tabId);
+    return this.enqueue(async () => {
+      const key = this.logKey(tabId);
+      const stored = await chrome.storage.local.get([key]);
+      const chunkKeys = this.readIndex(stored, tabId).chunks.map((chunk) =>
+        this.chunkKey(tabId, chunk.id)
+      );
+      await chrome.storage.local.remove([key, ...chunkKeys]);
+    });
+  }
+
+  // Logs of every tab, e.g. left over from the previous browser session
+  async clearAll() {
+    this.pending.clear();
+    return this.enqueue(async () => {
+      const stored = await chrome.storage.local.get(null);
+      const keys = Object.keys(stored).filter((key) =>
+        key.startsWith(LOG_KEY_PREFIX)
+      );
+      if (keys.length > 0) {
+        await chrome.storage.local.remove(keys);
+      }
+    });
+  }
+}
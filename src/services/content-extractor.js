@@ -0,0 +1,476 @@
+// Page content extraction for Chrome Extension
+// extractPageContent is injected with chrome.scripting.executeScript: it
+// finds the main content of the page (Readability-style scoring) and turns
+// it into Markdown, keeping headings, lists, tables, code blocks and links.
+// It runs inside the page and must stay self-contained.
+// chunkMarkdown / selectChunks decide how much of it fits a prompt.
+
+import { estimateTokens } from "./token-budget.js";
+
+export const DEFAULT_CHUNK_TOKENS = 1500;
+
+export function extractPageContent({ maxChars = 200000 } = {}) {
+  const SKIP_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "CANVAS",
+    "BUTTON",
+    "INPUT",
+    "SELECT",
+    "TEXTAREA",
+    "OPTION",
+    "DIALOG",
+  ]);
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  // Inline SVG elements report a lowercase tagName, so match them by
+  // namespace; that also drops their <title> and <text> children
+  const isSkipped = (el) =>
+    SKIP_TAGS.has(el.tagName) || el.namespaceURI === SVG_NS;
+  // Page chrome around the content; dropped unless it is the content
+  const BOILERPLATE_TAGS = new Set(["NAV", "ASIDE", "FOOTER", "HEADER"]);
+  const BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "DD",
+    "DETAILS",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FORM",
+    "MAIN",
+    "SECTION",
+    "SUMMARY",
+    // Only reached for layout tables
+    "TBODY",
+    "THEAD",
+    "TFOOT",
+    "TR",
+    "TD",
+    "TH",
+  ]);
+  const POSITIVE =
+    /article|body|content|entry|main|page|post|text|blog|story|doc/i;
+  const NEGATIVE =
+    /comment|footer|footnote|masthead|sidebar|sponsor|nav|menu|header|banner|promo|related|share|social|cookie|popup|modal|breadcrumb/i;
+
+  let frames = 0;
+  // Picked content root; kept even when it is a boilerplate tag
+  let mainRoot = null;
+
+  const isHidden = (el) =>
+    el.hidden ||
+    el.getAttribute("aria-hidden") === "true" ||
+    (typeof el.checkVisibility === "function" && !el.checkVisibility());
+
+  // Same-origin iframes only; cross-origin documents are not readable
+  const frameDocument = (iframe) => {
+    try {
+      return iframe.contentDocument;
+    } catch {
+      return null;
+    }
+  };
+
+  // Children as rendered: open shadow roots replace light DOM, slots show
+  // what was assigned to them
+  const childNodesOf = (node) => {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.tagName === "SLOT") {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+    return Array.from(node.childNodes);
+  };
+
+  const textOf = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node)) {
+      return "";
+    }
+    if (node.tagName === "IFRAME") {
+      return frameDocument(node)?.body ? textOf(frameDocument(node).body) : "";
+    }
+    return childNodesOf(node).map(textOf).join("");
+  };
+
+  const linkTextLength = (el) =>
+    Array.from(el.querySelectorAll("a")).reduce(
+      (sum, a) => sum + a.textContent.trim().length,
+      0
+    );
+
+  // --- Main content detection ---
+
+  const classWeight = (el) => {
+    const names = `${el.getAttribute("class") || ""} ${el.id || ""}`;
+    let weight = 0;
+    if (POSITIVE.test(names)) weight += 25;
+    if (NEGATIVE.test(names)) weight -= 25;
+    return weight;
+  };
+
+  const findMainContent = (doc) => {
+    const body = doc.body;
+    const bodyText = textOf(body).trim().length;
+
+    // Explicit landmarks win when they hold most of the text
+    const [landmark, landmarkText] = Array.from(
+      doc.querySelectorAll("article, main, [role='main']")
+    )
+      .filter((el) => !isHidden(el))
+      .map((el) => [el, textOf(el).trim().length])
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    if (landmark && landmarkText >= bodyText * 0.4) {
+      return { root: landmark, method: landmark.tagName.toLowerCase() };
+    }
+
+    // Score paragraph containers; parents get full credit, grandparents half
+    const scores = new Map();
+    const addScore = (el, score) => {
+      if (!el || el === doc.documentElement) return;
+      if (!scores.has(el)) scores.set(el, classWeight(el));
+      scores.set(el, scores.get(el) + score);
+    };
+
+    doc.querySelectorAll("p, pre, td, li, blockquote").forEach((paragraph) => {
+      const text = paragraph.textContent.trim();
+      if (text.length < 25 || isHidden(paragraph)) return;
+
+      const score =
+        1 + text.split(/[,،、，]/).length + Math.min(text.length / 100, 3);
+      addScore(paragraph.parentElement, score);
+      addScore(paragraph.parentElement?.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      const textLength = el.textContent.trim().length || 1;
+      const adjusted = score * (1 - linkTextLength(el) / textLength);
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    });
+
+    // Too little of the page to be "the" content: take the whole body
+    if (!best || textOf(best).trim().length < bodyText * 0.25) {
+      return { root: body, method: "body" };
+    }
+    return { root: best, method: "scored" };
+  };
+
+  // --- Markdown conversion ---
+
+  const collapse = (text) => text.replace(/\s+/g, " ");
+  const escapeCell = (text) => text.replace(/\|/g, "\\|").trim();
+
+  const absoluteUrl = (value, doc) => {
+    try {
+      return new URL(value, doc.baseURI).href;
+    } catch {
+      return null;
+    }
+  };
+
+  const inline = (nodes, doc) =>
+    nodes.map((node) => convert(node, doc)).join("");
+
+  const block = (markdown) => {
+    const trimmed = markdown.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : "";
+  };
+
+  const listItems = (list, doc, depth) => {
+    const ordered = list.tagName === "OL";
+    let number = Number(list.getAttribute("start")) || 1;
+
+    return Array.from(list.children)
+      .filter((item) => item.tagName === "LI" && !isHidden(item))
+      .map((item) => {
+        const marker = ordered ? `${number++}.` : "-";
+        const content = childNodesOf(item)
+          .map((child) =>
+            child.tagName === "UL" || child.tagName === "OL"
+              ? `\n${listItems(child, doc, depth + 1)}`
+              : convert(child, doc)
+          )
+          .join("")
+          .replace(/\n{2,}/g, "\n")
+          .trim();
+        // Nested lists carry their own indent
+        const indent = "  ".repeat(depth);
+        const body = content.replace(/\n(?=\S)/g, `\n${indent}  `);
+        return `${indent}${marker} ${body}`;
+      })
+      .join("\n");
+  };
+
+  const table = (el, doc) => {
+    // Layout tables are read as plain blocks
+    if (
+      el.getAttribute("role") === "presentation" ||
+      el.querySelector("table")
+    ) {
+      return block(inline(childNodesOf(el), doc));
+    }
+
+    const rows = Array.from(el.querySelectorAll("tr")).filter(
+      (row) => row.closest("table") === el
+    );
+    if (rows.length === 0) return "";
+
+    const cells = rows.map((row) =>
+      Array.from(row.children)
+        .filter((cell) => cell.tagName === "TD" || cell.tagName === "TH")
+        .map((cell) => escapeCell(collapse(inline(childNodesOf(cell), doc))))
+    );
+    const width = Math.max(...cells.map((row) => row.length));
+    if (width === 0) return "";
+
+    const pad = (row) => [...row, ...Array(width - row.length).fill("")];
+    const line = (row) => `| ${pad(row).join(" | ")} |`;
+    return block(
+      [
+        line(cells[0]),
+        line(Array(width).fill("---")),
+        ...cells.slice(1).map(line),
+      ].join("\n")
+    );
+  };
+
+  const convert = (node, doc) => {
+    if (node.nodeType === Node.TEXT_NODE) return collapse(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const el = node;
+    const tag = el.tagName;
+    if (isSkipped(el) || isHidden(el)) return "";
+    if (BOILERPLATE_TAGS.has(tag) && el !== mainRoot) return "";
+
+    const children = () => inline(childNodesOf(el), doc);
+
+    switch (tag) {
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6": {
+        const text = collapse(children()).trim();
+        return text ? block(`${"#".repeat(Number(tag[1]))} ${text}`) : "";
+      }
+
+      case "P":
+        return block(children());
+
+      case "BR":
+        return "\n";
+
+      case "HR":
+        return block("---");
+
+      case "A": {
+        const text = collapse(children()).trim();
+        const href = el.getAttribute("href");
+        if (!text) return "";
+        if (!href || href.startsWith("#") || href.startsWith("javascript:")) {
+          return text;
+        }
+        const url = absoluteUrl(href, doc);
+        return url ? `[${text}](${url})` : text;
+      }
+
+      case "STRONG":
+      case "B": {
+        const text = children().trim();
+        return text ? `**${text}**` : "";
+      }
+
+      case "EM":
+      case "I": {
+        const text = children().trim();
+        return text ? `*${text}*` : "";
+      }
+
+      case "CODE":
+        return `\`${el.textContent}\``;
+
+      case "PRE": {
+        const language =
+          (el.querySelector("code") || el).className.match(
+            /(?:language|lang)-([\w+-]+)/
+          )?.[1] || "";
+        const code = el.textContent.replace(/\n+$/, "");
+        return block(`\`\`\`${language}\n${code}\n\`\`\``);
+      }
+
+      case "BLOCKQUOTE":
+        return block(
+          children()
+            .trim()
+            .split("\n")
+            .map((line) => `> ${line}`)
+            .join("\n")
+        );
+
+      case "UL":
+      case "OL":
+        return block(listItems(el, doc, 0));
+
+      case "TABLE":
+        return table(el, doc);
+
+      case "IMG": {
+        const alt = collapse(el.getAttribute("alt") || "").trim();
+        const src = absoluteUrl(el.currentSrc || el.getAttribute("src"), doc);
+        return alt && src ? `![${alt}](${src})` : "";
+      }
+
+      case "IFRAME": {
+        const frameDoc = frameDocument(el);
+        if (!frameDoc?.body) return "";
+        frames++;
+        return block(inline(childNodesOf(frameDoc.body), frameDoc));
+      }
+
+      default:
+        return BLOCK_TAGS.has(tag) || BOILERPLATE_TAGS.has(tag)
+          ? block(children())
+          : children();
+    }
+  };
+
+  const { root, method } = findMainContent(document);
+  mainRoot = root;
+  let markdown = convert(root, document)
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  const truncated = markdown.length > maxChars;
+  if (truncated) markdown = markdown.slice(0, maxChars);
+
+  const headings = markdown
+    .split("\n")
+    .filter((line) => /^#{1,6} /.test(line));
+
+  return {
+    title: document.title,
+    url: location.href,
+    lang: document.documentElement.lang || null,
+    metaDescription:
+      document.querySelector('meta[name="description"]')?.content || "",
+    markdown,
+    headings,
+    method,
+    frames,
+    wordCount: markdown.split(/\s+/).filter(Boolean).length,
+    truncated,
+  };
+}
+
+// Blocks separated by blank lines; fenced code blocks stay whole
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of markdown.split("\n")) {
+    if (line.startsWith("```")) inFence = !inFence;
+    if (!inFence && line.trim() === "" && current.length > 0) {
+      blocks.push(current.join("\n"));
+      current = [];
+    } else if (inFence || line.trim() !== "") {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+// A single block over the limit is cut at line breaks, then by length
+function splitOversized(block, maxTokens) {
+  if (estimateTokens(block) <= maxTokens) return [block];
+
+  const pieces = [];
+  let current = "";
+  for (const line of block.split("\n")) {
+    const next = current ? `${current}\n${line}` : line;
+    if (current && estimateTokens(next) > maxTokens) {
+      pieces.push(current);
+      current = line;
+    } else {
+      current = next;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces.flatMap((piece) => {
+    const parts = [];
+    let rest = piece;
+    while (estimateTokens(rest) > maxTokens) {
+      const ratio = maxTokens / estimateTokens(rest);
+      const cut = Math.max(1, Math.floor(rest.length * ratio));
+      parts.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    return rest ? [...parts, rest] : parts;
+  });
+}
+
+// Sections of roughly maxTokens each, in page order. Headings start a new
+// chunk once the current one is half full, so sections stay together.
+export function chunkMarkdown(markdown, maxTokens = DEFAULT_CHUNK_TOKENS) {
+  if (!markdown) return [];
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current.join("\n\n"));
+    current = [];
+    tokens = 0;
+  };
+
+  for (const block of splitBlocks(markdown)) {
+    for (const piece of splitOversized(block, maxTokens)) {
+      const pieceTokens = estimateTokens(piece);
+      const isHeading = /^#{1,6} /.test(piece);
+      if (
+        tokens + pieceTokens > maxTokens ||
+        (isHeading && tokens > maxTokens / 2)
+      ) {
+        flush();
+      }
+      current.push(piece);
+      tokens += pieceTokens;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+// Leading chunks that fit in budgetTokens
+export function selectChunks(chunks, budgetTokens) {
+  const included = [];
+  let used = 0;
+  for (const chunk of chunks) {
+    const tokens = estimateTokens(chunk);
+    if (used + tokens > budgetTokens) break;
+    included.push(chunk);
+    used += tokens;
+  }
+
+  return {
+    text: included.join("\n\n"),
+    included: included.length,
+    total: chunks.length,
+    tokens: used,
+  };
+}
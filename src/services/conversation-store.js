@@ -0,0 +1,217 @@
+// Conversation Store for Chrome Extension
+// Keeps chat threads in chrome.storage.local so they survive
+// service worker restarts and popup reopens
+
+import { createSerialQueue } from "./serial-queue.js";
+
+const INDEX_KEY = "conversation_index";
+const ACTIVE_KEY = "active_conversation_id";
+const THREAD_KEY_PREFIX = "conversation:";
+const DEFAULT_TITLE = "Cuộc trò chuyện mới";
+
+export class ConversationStore {
+  constructor() {
+    // Appends, renames and deletes all rewrite the index
+    this.enqueue = createSerialQueue();
+  }
+
+  threadKey(conversationId) {
+    return `${THREAD_KEY_PREFIX}${conversationId}`;
+  }
+
+  generateId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async getIndex() {
+    const result = await chrome.storage.local.get([INDEX_KEY]);
+    return result[INDEX_KEY] || [];
+  }
+
+  // Thread summaries, most recently updated first
+  async listThreads() {
+    const index = await this.getIndex();
+    return [...index].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async getThread(conversationId) {
+    const key = this.threadKey(conversationId);
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || null;
+  }
+
+  async getMessages(conversationId) {
+    const thread = await this.getThread(conversationId);
+    return thread ? thread.messages : [];
+  }
+
+  summarize(thread) {
+    return {
+      id: thread.id,
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      pageUrl: thread.pageUrl,
+      pageTitle: thread.pageTitle,
+      messageCount: thread.messages.length,
+    };
+  }
+
+  async saveThread(thread) {
+    const index = await this.getIndex();
+    const summary = this.summarize(thread);
+    const position = index.findIndex((t) => t.id === thread.id);
+
+    if (position >= 0) {
+      index[position] = summary;
+    } else {
+      index.push(summary);
+    }
+
+    await chrome.storage.local.set({
+      [this.threadKey(thread.id)]: thread,
+      [INDEX_KEY]: index,
+    });
+
+    return thread;
+  }
+
+  buildThread(conversationId, { title, pageUrl, pageTitle } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: conversationId,
+      title: title || DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      pageUrl: pageUrl || null,
+      pageTitle: pageTitle || null,
+      messages: [],
+    };
+  }
+
+  async createThread(details = {}) {
+    return this.enqueue(() =>
+      this.saveThread(this.buildThread(this.generateId(), details))
+    );
+  }
+
+  // Append messages, creating the thread on first use
+  async appendMessages(conversationId, messages, details = {}) {
+    return this.enqueue(async () => {
+      const thread =
+        (await this.getThread(conversationId)) ||
+        this.buildThread(conversationId, details);
+
+      const now = new Date().toISOString();
+      thread.messages.push(
+        ...messages.map((message) => ({ timestamp: now, ...message }))
+      );
+      thread.updatedAt = now;
+
+      // Name untitled threads after their first question
+      if (thread.title === DEFAULT_TITLE) {
+        const firstUser = thread.messages.find((m) => m.role === "user");
+        if (firstUser) {
+          const text = (firstUser.display || firstUser.content).trim();
+          thread.title = text.length > 60 ? `${text.slice(0, 60)}…` : text;
+        }
+      }
+
+      if (!thread.pageUrl && details.pageUrl) {
+        thread.pageUrl = details.pageUrl;
+        thread.pageTitle = details.pageTitle || null;
+      }
+
+      return this.saveThread(thread);
+    });
+  }
+
+  async renameThread(conversationId, title) {
+    return this.enqueue(async () => {
+      const thread = await this.getThread(conversationId);
+      if (!thread) {
+        throw new Error(`Conversation not found: ${conversationId}`);
+      }
+
+      thread.title = title.trim() || DEFAULT_TITLE;
+      thread.updatedAt = new Date().toISOString();
+      return this.saveThread(thread);
+    });
+  }
+
+  // Running summary of the oldest messages that no longer fit the prompt
+  async updateSummary(conversationId, summary, summarizedCount) {
+    return this.enqueue(async () => {
+      const thread = await this.getThread(conversationId);
+      if (!thread) return null;
+
+      thread.summary = summary;
+      thread.summarizedCount = summarizedCount;
+      return this.saveThread(thread);
+    });
+  }
+
+  // Per-conversation overrides of the saved generation settings
+  async updateSettings(conversationId, settings) {
+    return this.enqueue(async () => {
+      const thread = await this.getThread(conversationId);
+      if (!thread) {
+        throw new Error(`Conversation not found: ${conversationId}`);
+      }
+
+      thread.settings = settings;
+      return this.saveThread(thread);
+    });
+  }
+
+  async clearMessages(conversationId) {
+    return this.enqueue(async () => {
+      const thread = await this.getThread(conversationId);
+      if (!thread) return null;
+
+      thread.messages = [];
+      thread.summary = null;
+      thread.summarizedCount = 0;
+      thread.updatedAt = new Date().toISOString();
+      return this.saveThread(thread);
+    });
+  }
+
+  async deleteThread(conversationId) {
+    return this.enqueue(async () => {
+      const index = await this.getIndex();
+      await chrome.storage.local.remove(this.threadKey(conversationId));
+      await chrome.storage.local.set({
+        [INDEX_KEY]: index.filter((t) => t.id !== conversationId),
+      });
+
+      if ((await this.getActiveThreadId()) === conversationId) {
+        await chrome.storage.local.remove(ACTIVE_KEY);
+      }
+    });
+  }
+
+  async deleteAllThreads() {
+    return this.enqueue(async () => {
+      const index = await this.getIndex();
+      await chrome.storage.local.remove([
+        ...index.map((t) => this.threadKey(t.id)),
+        INDEX_KEY,
+        ACTIVE_KEY,
+      ]);
+    });
+  }
+
+  async getActiveThreadId() {
+    const result = await chrome.storage.local.get([ACTIVE_KEY]);
+    return result[ACTIVE_KEY] || null;
+  }
+
+  async setActiveThreadId(conversationId) {
+    if (conversationId) {
+      await chrome.storage.local.set({ [ACTIVE_KEY]: conversationId });
+    } else {
+      await chrome.storage.local.remove(ACTIVE_KEY);
+    }
+  }
+}
@@ -0,0 +1,127 @@
+// Debugger Session Manager for Chrome Extension
+// One chrome.debugger attachment per tab, shared by every consumer (console
+// logging, Lighthouse, ...). Consumers are counted by name and the tab is
+// detached when the last one releases it.
+
+const PROTOCOL_VERSION = "1.3";
+
+export class DebuggerSessionManager {
+  constructor() {
+    // tabId -> { ready: Promise, consumers: Map(name -> handlers) }
+    this.sessions = new Map();
+
+    // One listener each for all tabs, however many consumers join
+    chrome.debugger.onEvent.addListener((source, method, params) =>
+      this.dispatchEvent(source.tabId, method, params)
+    );
+    // "canceled_by_user" when the debugging infobar is dismissed
+    chrome.debugger.onDetach.addListener((source, reason) =>
+      this.handleDetach(source.tabId, reason)
+    );
+    chrome.tabs.onRemoved.addListener((tabId) =>
+      this.handleDetach(tabId, "target_closed")
+    );
+  }
+
+  isAttached(tabId) {
+    return this.sessions.has(tabId);
+  }
+
+  hasConsumer(tabId, name) {
+    return !!this.sessions.get(tabId)?.consumers.has(name);
+  }
+
+  // handlers: { onEvent(method, params), onDetach(reason) }
+  // Acquiring again under the same name replaces the handlers instead of
+  // adding another reference.
+  async acquire(tabId, name, handlers = {}) {
+    let session = this.sessions.get(tabId);
+    if (!session) {
+      session = { ready: this.attach(tabId), consumers: new Map() };
+      this.sessions.set(tabId, session);
+    }
+    session.consumers.set(name, handlers);
+
+    try {
+      await session.ready;
+    } catch (error) {
+      if (this.sessions.get(tabId) === session) {
+        this.sessions.delete(tabId);
+      }
+      throw error;
+    }
+  }
+
+  async attach(tabId) {
+    await chrome.debugger.attach({ tabId }, PROTOCOL_VERSION);
+    console.log("🔌 Debugger attached to tab:", tabId);
+  }
+
+  async release(tabId, name) {
+    const session = this.sessions.get(tabId);
+    if (!session || !session.consumers.delete(name)) return;
+    if (session.consumers.size > 0) return;
+
+    // A release during attach waits for it, so the tab isn't left attached
+    try {
+      await session.ready;
+    } catch {
+      return;
+    }
+    // Another consumer may have joined in the meantime
+    if (this.sessions.get(tabId) !== session || session.consumers.size > 0) {
+      return;
+    }
+
+    this.sessions.delete(tabId);
+    try {
+      await chrome.debugger.detach({ tabId });
+      console.log("🔌 Debugger detached from tab:", tabId);
+    } catch (error) {
+      // Already gone (tab closed, infobar dismissed)
+      console.warn("Debugger detach failed:", error);
+    }
+  }
+
+  async sendCommand(tabId, method, params = {}) {
+    return new Promise((resolve, reject) => {
+      chrome.debugger.sendCommand({ tabId }, method, params, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  dispatchEvent(tabId, method, params) {
+    const session = this.sessions.get(tabId);
+    if (!session) return;
+
+    for (const [name, handlers] of session.consumers) {
+      try {
+        handlers.onEvent?.(method, params);
+      } catch (error) {
+        console.error(`Debugger consumer "${name}" failed on ${method}:`, error);
+      }
+    }
+  }
+
+  // Chrome already detached (or the tab is gone); forget the session and
+  // let every consumer clean up
+  handleDetach(tabId, reason) {
+    const session = this.sessions.get(tabId);
+    if (!session) return;
+    this.sessions.delete(tabId);
+
+    console.log(`🔌 Debugger session for tab ${tabId} ended: ${reason}`);
+    for (const [name, handlers] of session.consumers) {
+      try {
+        handlers.onDetach?.(reason);
+      } catch (error) {
+        console.error(`Debugger consumer "${name}" failed on detach:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,154 @@
+// Early Error Capture for Chrome Extension
+// Optional content scripts registered at document_start on allow-listed
+// origins. They record errors from the first byte, before anyone attaches
+// the debugger, and send them to the console log store.
+
+const SETTINGS_KEY = "early_capture_settings";
+
+// Page-world collector and the isolated-world relay to the background
+const CONTENT_SCRIPTS = [
+  {
+    id: "early-errors-collector",
+    js: ["content/early-errors.js"],
+    world: "MAIN",
+  },
+  {
+    id: "early-errors-relay",
+    js: ["content/early-errors-relay.js"],
+    world: "ISOLATED",
+  },
+];
+
+export const DEFAULT_EARLY_CAPTURE_SETTINGS = {
+  enabled: false,
+  // "https://example.com", "http://localhost:3000", "https://*.example.com"
+  origins: [],
+};
+
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([^/*:]+)(:\d+)?\/?$/;
+
+// Canonical origin string; throws for anything that isn't an http(s) origin
+export function normalizeOrigin(value) {
+  const match = String(value).trim().toLowerCase().match(ORIGIN_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid origin: ${value}`);
+  }
+  const [, scheme, wildcard = "", host, port = ""] = match;
+  const defaultPort = scheme === "https" ? ":443" : ":80";
+  return `${scheme}://${wildcard}${host}${port === defaultPort ? "" : port}`;
+}
+
+// Match patterns have no ports, so the background re-checks the exact origin
+const toMatchPattern = (origin) => `${origin.replace(/:\d+$/, "")}/*`;
+
+export function originAllowed(url, origins) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  return origins.some((origin) => {
+    if (!origin.includes("://*.")) return parsed.origin === origin;
+
+    const [scheme, rest] = origin.split("://*.");
+    const [domain, port = ""] = rest.split(":");
+    return (
+      parsed.protocol === `${scheme}:` &&
+      parsed.port === port &&
+      (parsed.hostname === domain || parsed.hostname.endsWith(`.${domain}`))
+    );
+  });
+}
+
+// Entry types the collector sends -> log store source
+const ENTRY_SOURCES = {
+  exception: "exception",
+  unhandledrejection: "exception",
+  "csp-violation": "security",
+  "resource-error": "network",
+};
+
+// Log store entry from what a page sent; the page could send anything
+export function earlyCaptureEntry(raw) {
+  if (!raw || !ENTRY_SOURCES[raw.type]) return null;
+
+  const number = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    timestamp: Number.isNaN(Date.parse(raw.timestamp))
+      ? new Date().toISOString()
+      : raw.timestamp,
+    level: raw.level === "warn" ? "warn" : "error",
+    type: raw.type,
+    source: ENTRY_SOURCES[raw.type],
+    text: String(raw.text ?? ""),
+    args: Array.isArray(raw.args) ? raw.args : [],
+    url: typeof raw.url === "string" ? raw.url : null,
+    lineNumber: number(raw.lineNumber),
+    columnNumber: number(raw.columnNumber),
+    stackTrace: Array.isArray(raw.stackTrace) ? raw.stackTrace : [],
+    // Tells these apart from entries reported by the debugger
+    collector: "content-script",
+  };
+}
+
+export class EarlyErrorCapture {
+  async getSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return {
+      ...DEFAULT_EARLY_CAPTURE_SETTINGS,
+      ...(result[SETTINGS_KEY] || {}),
+    };
+  }
+
+  async setSettings(settings) {
+    const origins = Array.isArray(settings.origins)
+      ? settings.origins
+      : String(settings.origins || "").split(/[\s,]+/);
+    const next = {
+      enabled: !!settings.enabled,
+      origins: [
+        ...new Set(origins.filter((origin) => origin).map(normalizeOrigin)),
+      ],
+    };
+
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    await this.sync(next);
+    return next;
+  }
+
+  // Registered scripts persist across restarts; re-sync so they always
+  // match the stored settings
+  async sync(settings) {
+    const current = settings || (await this.getSettings());
+    const ids = CONTENT_SCRIPTS.map((script) => script.id);
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids,
+    });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({
+        ids: registered.map((script) => script.id),
+      });
+    }
+
+    if (!current.enabled || current.origins.length === 0) return;
+
+    const matches = [...new Set(current.origins.map(toMatchPattern))];
+    await chrome.scripting.registerContentScripts(
+      CONTENT_SCRIPTS.map((script) => ({
+        ...script,
+        matches,
+        runAt: "document_start",
+        allFrames: false,
+      }))
+    );
+    console.log("🪝 Early error capture registered for:", current.origins);
+  }
+
+  async isAllowed(url) {
+    const settings = await this.getSettings();
+    return settings.enabled && originAllowed(url, settings.origins);
+  }
+}
@@ -1,93 +1,412 @@
-// GPT Service for OpenAI API integration
+// GPT Service for LLM API integration
+// Vendor specifics (auth, payloads, model listing) live in ./providers
+import { ConversationStore } from "./conversation-store.js";
+import { createProvider, DEFAULT_PROVIDER_CONFIG } from "./providers/index.js";
+import {
+  estimateMessageTokens,
+  estimateMessagesTokens,
+  estimateTokens,
+  getContextWindow,
+} from "./token-budget.js";
+import {
+  chunkMarkdown,
+  DEFAULT_CHUNK_TOKENS,
+  selectChunks,
+} from "./content-extractor.js";
+import { selectRelevantSections } from "./page-retrieval.js";
+import { UsageTracker } from "./usage-tracker.js";
+import { ApiError, fetchWithRetry } from "./api-client.js";
+
+// Share of the prompt budget page content may use; the rest is left for
+// the conversation history
+const PAGE_CONTENT_SHARE = 0.6;
+
+// Generation settings, saved under gpt_settings and applied when the worker
+// starts. A conversation can override any of them, model included.
+export const DEFAULT_SETTINGS = {
+  maxTokens: 1000,
+  temperature: 0.7,
+  topP: 1,
+  responseLanguage: "Vietnamese",
+  systemPrompt: "",
+  // Seconds to wait for an answer to start, and retries for rate limits,
+  // server and network errors
+  requestTimeout: 60,
+  maxRetries: 2,
+};
+// A stream that sends nothing for this long is treated as dead
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+const SETTINGS_KEY = "gpt_settings";
+const MAX_REPLY_TOKENS = 32000;
+
+// Known keys only, coerced and range-checked; blank strings are left out
+export function normalizeSettings(settings = {}) {
+  const result = {};
+  const number = (key, min, max) => {
+    const raw = settings[key];
+    if (raw === undefined || raw === null || raw === "") return;
+    const value = Number(raw);
+    if (Number.isNaN(value) || value < min || value > max) {
+      throw new Error(`${key} must be between ${min} and ${max}`);
+    }
+    result[key] = value;
+  };
+
+  number("temperature", 0, 2);
+  number("topP", 0, 1);
+  number("maxTokens", 1, MAX_REPLY_TOKENS);
+  if (result.maxTokens) result.maxTokens = Math.round(result.maxTokens);
+  number("requestTimeout", 5, 600);
+  number("maxRetries", 0, 5);
+  if (result.maxRetries !== undefined) {
+    result.maxRetries = Math.round(result.maxRetries);
+  }
+
+  for (const key of ["model", "responseLanguage"]) {
+    if (typeof settings[key] === "string" && settings[key].trim()) {
+      result[key] = settings[key].trim();
+    }
+  }
+  // An empty system prompt is a real value: it clears the saved one
+  if (typeof settings.systemPrompt === "string") {
+    result.systemPrompt = settings.systemPrompt.trim();
+  }
+  return result;
+}
+
 export class GPTService {
   constructor() {
     this.apiKey = null;
-    this.baseUrl = "https://api.openai.com/v1";
-    this.model = "gpt-3.5-turbo";
-    this.maxTokens = 1000;
-    this.temperature = 0.7;
-    this.conversationHistory = new Map(); // Store conversations by tab ID
+    this.providerConfig = DEFAULT_PROVIDER_CONFIG;
+    this.provider = createProvider(this.providerConfig);
+    this.model = this.provider.defaultModel;
+    // Field names match the settings keys (see updateSettings)
+    this.maxTokens = DEFAULT_SETTINGS.maxTokens;
+    this.temperature = DEFAULT_SETTINGS.temperature;
+    this.topP = DEFAULT_SETTINGS.topP;
+    this.responseLanguage = DEFAULT_SETTINGS.responseLanguage;
+    this.systemPrompt = DEFAULT_SETTINGS.systemPrompt;
+    this.requestTimeout = DEFAULT_SETTINGS.requestTimeout;
+    this.maxRetries = DEFAULT_SETTINGS.maxRetries;
+    this.conversationStore = new ConversationStore(); // Persisted threads
+    this.usageTracker = new UsageTracker(); // Tokens and cost per request
   }
 
-  async initialize() {
+  // The key is handed in by the background worker, which owns storage of it
+  // (see KeyVault); this service only keeps it in memory
+  async initialize(apiKey = null) {
     try {
-      this.apiKey = await this.getStoredApiKey();
-      return !!this.apiKey;
+      await this.loadProviderConfig();
+      await this.loadSettings();
+      this.apiKey = apiKey;
+      return this.isConfigured();
     } catch (error) {
       console.error("Failed to initialize GPT service:", error);
       return false;
     }
   }
 
-  async getStoredApiKey() {
-    const result = await chrome.storage.local.get(["openai_api_key"]);
-    return result.openai_api_key || null;
+  isConfigured() {
+    return !this.provider.requiresApiKey || !!this.apiKey;
   }
 
-  async setApiKey(apiKey) {
-    this.apiKey = apiKey;
-    await chrome.storage.local.set({ openai_api_key: apiKey });
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error("API key not configured");
+    }
   }
 
-  async sendRequest(requestData) {
-    if (!this.apiKey) {
-      throw new Error("OpenAI API key not configured");
+  async loadProviderConfig() {
+    const result = await chrome.storage.local.get(["llm_provider"]);
+    this.applyProviderConfig(result.llm_provider || DEFAULT_PROVIDER_CONFIG);
+    return this.providerConfig;
+  }
+
+  async setProviderConfig(config) {
+    this.applyProviderConfig(config);
+    await chrome.storage.local.set({ llm_provider: this.providerConfig });
+  }
+
+  applyProviderConfig(config) {
+    const provider = createProvider(config);
+    const switched = config.type !== this.providerConfig.type;
+
+    this.provider = provider;
+    this.providerConfig = { ...config };
+
+    // A model id from another vendor would be rejected by this one; an
+    // explicitly chosen model (e.g. /model in the chat) always applies
+    if (switched || config.model || config.type === "azure" || !this.model) {
+      this.model = config.model || provider.defaultModel;
     }
+  }
+
+  setApiKey(apiKey) {
+    this.apiKey = apiKey || null;
+  }
+
+  async sendRequest(requestData) {
+    this.assertConfigured();
 
-    const { message, context, conversationId = "default" } = requestData;
+    const {
+      message,
+      context,
+      conversationId = "default",
+      displayMessage,
+      feature = "chat",
+    } = requestData;
+    await this.usageTracker.assertWithinBudget();
 
     try {
+      const settings = await this.resolveSettings(conversationId);
+
       // Build conversation context
-      const messages = this.buildMessages(message, context, conversationId);
+      const { messages, contextUsage, sources } = await this.buildMessages(
+        message,
+        context,
+        conversationId,
+        settings
+      );
 
       // Make API request
-      const response = await this.makeApiRequest(messages);
+      const response = await this.makeApiRequest(messages, {
+        ...settings,
+        feature,
+        conversationId,
+      });
 
       // Store conversation history
-      this.updateConversationHistory(conversationId, message, response.content);
+      await this.updateConversationHistory(
+        conversationId,
+        message,
+        response.content,
+        {
+          context,
+          displayMessage,
+          contextUsage,
+          sources,
+          usage: response.usage,
+        }
+      );
 
       return {
         content: response.content,
         usage: response.usage,
-        model: this.model,
+        model: settings.model,
+        contextUsage,
+        sources,
       };
     } catch (error) {
       console.error("GPT API request failed:", error);
-      throw new Error(`GPT request failed: ${error.message}`);
+      // ApiError already says what went wrong and carries its kind
+      throw error instanceof ApiError
+        ? error
+        : new Error(`GPT request failed: ${error.message}`);
     }
   }
 
-  buildMessages(userMessage, context, conversationId) {
-    const messages = [];
+  getContextWindow(model = this.model) {
+    return this.provider.contextWindow(model) || getContextWindow(model);
+  }
+
+  // Tokens left for the prompt once the reply is reserved, with a margin
+  // because token counts are estimated
+  getPromptBudget(model = this.model, maxTokens = this.maxTokens) {
+    return Math.floor((this.getContextWindow(model) - maxTokens) * 0.95);
+  }
+
+  // Fit system prompt, history and the new message into the model's context
+  // window. Older turns that no longer fit are folded into a running summary
+  // stored on the thread instead of being dropped.
+  async buildMessages(
+    userMessage,
+    context,
+    conversationId,
+    settings = this.getSettings()
+  ) {
+    const systemMessages = [];
+    const budget = this.getPromptBudget(settings.model, settings.maxTokens);
 
     // System message with context
-    const systemMessage = this.buildSystemMessage(context);
+    const pageBudget = Math.floor(
+      (budget - estimateTokens(userMessage)) * PAGE_CONTENT_SHARE
+    );
+    // Page Q&A sends only the sections that match the question
+    const retrieval =
+      context?.pageQuestion && context.pageText
+        ? selectRelevantSections(context.pageText, userMessage, pageBudget)
+        : null;
+    const systemMessage = this.buildSystemMessage(
+      context,
+      pageBudget,
+      retrieval,
+      settings
+    );
     if (systemMessage) {
-      messages.push({
+      systemMessages.push({
         role: "system",
         content: systemMessage,
       });
     }
 
-    // Add conversation history
-    const history = this.conversationHistory.get(conversationId) || [];
-    messages.push(...history);
+    const userTurn = { role: "user", content: userMessage };
+
+    const thread = await this.conversationStore.getThread(conversationId);
+    const history = (thread?.messages || []).map(({ role, content }) => ({
+      role,
+      content,
+    }));
+    let summary = thread?.summary || null;
+    let start = Math.min(thread?.summarizedCount || 0, history.length);
+    let summarizedCount = start;
+    let summarizedNow = 0;
+    let dropped = 0;
+
+    const fixedTokens = estimateMessagesTokens([...systemMessages, userTurn]);
+    if (fixedTokens > budget) {
+      throw new Error(
+        `Message is too long for ${settings.model}: ~${fixedTokens} tokens, limit ~${budget}`
+      );
+    }
 
-    // Add current user message
-    messages.push({
-      role: "user",
-      content: userMessage,
-    });
+    const compose = () => [
+      ...systemMessages,
+      ...(summary ? [this.buildSummaryMessage(summary)] : []),
+      ...history.slice(start),
+      userTurn,
+    ];
+
+    let messages = compose();
+
+    if (estimateMessagesTokens(messages) > budget) {
+      // Keep as many recent turns as fit in half of the free room
+      const recentBudget = Math.floor((budget - fixedTokens) / 2);
+      let keepFrom = history.length;
+      let used = 0;
+      while (
+        keepFrom > start &&
+        used + estimateMessageTokens(history[keepFrom - 1]) <= recentBudget
+      ) {
+        keepFrom--;
+        used += estimateMessageTokens(history[keepFrom]);
+      }
 
-    // Limit message history to prevent token overflow
-    return this.limitMessageHistory(messages);
+      // Don't open the kept window with a reply to a summarized question
+      if (keepFrom < history.length && history[keepFrom].role === "assistant") {
+        keepFrom++;
+      }
+
+      const olderTurns = history.slice(start, keepFrom);
+      if (olderTurns.length > 0) {
+        try {
+          summary = await this.summarizeHistory(summary, olderTurns, budget, {
+            model: settings.model,
+            conversationId,
+          });
+          summarizedNow = olderTurns.length;
+          summarizedCount = keepFrom;
+          await this.conversationStore.updateSummary(
+            conversationId,
+            summary,
+            keepFrom
+          );
+        } catch (error) {
+          console.warn("Could not summarize older messages:", error);
+          dropped += olderTurns.length;
+        }
+        start = keepFrom;
+      }
+
+      messages = compose();
+    }
+
+    // Last resort: drop the oldest remaining turns
+    while (estimateMessagesTokens(messages) > budget && start < history.length) {
+      start++;
+      dropped++;
+      messages = compose();
+    }
+
+    const promptTokens = estimateMessagesTokens(messages);
+
+    return {
+      messages,
+      contextUsage: {
+        promptTokens,
+        budget,
+        contextWindow: this.getContextWindow(settings.model),
+        reservedForReply: settings.maxTokens,
+        percent: Math.min(100, Math.round((promptTokens / budget) * 100)),
+        historyMessages: history.length - start,
+        summarizedMessages: summary ? summarizedCount : 0,
+        summarizedNow,
+        droppedMessages: dropped,
+      },
+      // Page sections the answer may cite (page Q&A)
+      sources: retrieval
+        ? retrieval.sections.map(({ id, heading }) => ({ id, heading }))
+        : null,
+    };
+  }
+
+  buildSummaryMessage(summary) {
+    return {
+      role: "system",
+      content: `Summary of the earlier part of this conversation (older messages are not shown):\n${summary}`,
+    };
+  }
+
+  // Merge older turns into the running summary with a separate request
+  async summarizeHistory(previousSummary, turns, budget, options = {}) {
+    // Keep the summarization prompt itself inside the budget
+    const perMessageTokens = Math.max(
+      200,
+      Math.floor((budget - 1500) / turns.length)
+    );
+    const transcript = turns
+      .map((turn) => {
+        let content = turn.content;
+        while (estimateTokens(content) > perMessageTokens) {
+          content = content.slice(0, Math.floor(content.length * 0.8));
+        }
+        const speaker = turn.role === "user" ? "User" : "Assistant";
+        return `${speaker}: ${content}`;
+      })
+      .join("\n\n");
+
+    const response = await this.makeApiRequest(
+      [
+        {
+          role: "system",
+          content:
+            "You maintain a running summary of a conversation between a user and an AI assistant inside a Chrome extension. Merge the existing summary with the new messages. Keep facts, decisions, URLs, error messages, numbers and open questions; drop greetings and filler. Reply with the summary only, in the language of the conversation, in at most 300 words.",
+        },
+        {
+          role: "user",
+          content: `Existing summary:\n${
+            previousSummary || "(none)"
+          }\n\nNew messages:\n${transcript}`,
+        },
+      ],
+      { ...options, maxTokens: 600, feature: "summary" }
+    );
+
+    return response.content.trim();
   }
 
-  buildSystemMessage(context) {
-    if (!context) return null;
+  buildSystemMessage(
+    context,
+    pageBudget = DEFAULT_CHUNK_TOKENS,
+    retrieval = null,
+    settings = this.getSettings()
+  ) {
+    const { responseLanguage, systemPrompt } = settings;
+    // The user's own instructions apply even without page context
+    if (!context) {
+      return systemPrompt || null;
+    }
 
-    let systemContent =
-      "You are a helpful AI assistant integrated into a Chrome browser extension. Always respond in Vietnamese (tiếng Việt) unless the user specifically requests another language. ";
+    let systemContent = `You are a helpful AI assistant integrated into a Chrome browser extension. Always respond in ${responseLanguage} unless the user specifically requests another language. `;
 
     // Check if this is a debug analysis request vs page content analysis
     if (context.consoleLogs || context.pageAnalysis) {
@@ -97,7 +416,7 @@ export class GPTService {
 - Page information and statistics
 
 Your task is to analyze this technical information and provide detailed, specific insights about any issues found. Always be concrete and specific in your analysis, mentioning exact URLs, error messages, and technical details. `;
-    } else if (context.pageText || context.fullContent) {
+    } else if (context.pageText) {
       systemContent += `You are performing a CONTENT ANALYSIS of a webpage. You have access to:
 - Page title and meta description
 - Headings and text content
@@ -118,108 +437,178 @@ Your task is to analyze the content, purpose, and structure of the webpage. Focu
       systemContent += `The user has selected this text: "${context.selectedText}". `;
     }
 
-    if (context.pageText) {
-      systemContent += `Here's some content from the current page: "${context.pageText.substring(
-        0,
-        500
-      )}...". `;
+    if (context.metaDescription) {
+      systemContent += `The page description is: "${context.metaDescription}". `;
+    }
+
+    if (retrieval) {
+      systemContent += this.buildPageExcerpts(retrieval);
+    } else if (context.pageText) {
+      systemContent += this.buildPageContent(context.pageText, pageBudget);
     }
 
-    systemContent +=
-      "Please provide helpful, accurate, and contextually relevant responses in Vietnamese. Keep responses concise but informative.";
+    systemContent += `Please provide helpful, accurate, and contextually relevant responses in ${responseLanguage}. Keep responses concise but informative.`;
+
+    if (systemPrompt) {
+      systemContent += `\n\nAdditional instructions from the user:\n${systemPrompt}`;
+    }
 
     return systemContent;
   }
 
-  limitMessageHistory(messages, maxMessages = 10) {
-    // Keep system message and limit conversation history
-    const systemMessages = messages.filter((m) => m.role === "system");
-    const conversationMessages = messages.filter((m) => m.role !== "system");
+  // As many leading sections of the page as fit in budgetTokens
+  buildPageContent(pageText, budgetTokens) {
+    const chunkTokens = Math.min(
+      DEFAULT_CHUNK_TOKENS,
+      Math.max(100, budgetTokens)
+    );
+    const selection = selectChunks(
+      chunkMarkdown(pageText, chunkTokens),
+      budgetTokens
+    );
+    if (selection.included === 0) return "";
 
-    if (conversationMessages.length > maxMessages) {
-      const recentMessages = conversationMessages.slice(-maxMessages);
-      return [...systemMessages, ...recentMessages];
+    let content = `\n\nMain content of the current page as Markdown:\n<page_content>\n${selection.text}\n</page_content>\n`;
+    if (selection.included < selection.total) {
+      content += `Only the first ${selection.included} of ${selection.total} sections of the page fit in the context window; the rest was left out. `;
     }
-
-    return messages;
+    return content;
   }
 
-  async makeApiRequest(messages) {
-    const requestBody = {
-      model: this.model,
-      messages: messages,
-      max_tokens: this.maxTokens,
-      temperature: this.temperature,
-      stream: false,
-    };
+  buildPageExcerpts(retrieval) {
+    if (retrieval.sections.length === 0) {
+      return "The current page has no readable text to answer from. ";
+    }
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${this.apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
-    });
+    const excerpts = retrieval.sections
+      .map(
+        (section) =>
+          `[${section.id}] ${section.heading || "(no heading)"}\n${section.text}`
+      )
+      .join("\n\n");
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.error?.message ||
-          `HTTP ${response.status}: ${response.statusText}`
-      );
-    }
+    return `\n\nThe user is asking a question about the current page. Answer only from these excerpts of the page (${retrieval.sections.length} of its ${retrieval.total} sections, picked for relevance to the question). Each excerpt starts with its label and section heading. After each statement, cite the label(s) it came from, e.g. [S3]. If the excerpts don't answer the question, say so instead of guessing.\n<page_excerpts>\n${excerpts}\n</page_excerpts>\n`;
+  }
 
-    const data = await response.json();
+  // Returns the Response of a stream, or the parsed body otherwise.
+  // options.onRetry is told about each retry (see fetchWithRetry).
+  async postChat(messages, stream = false, signal = null, options = {}) {
+    const { url, init } = this.provider.chatRequest(
+      {
+        messages,
+        model: options.model || this.model,
+        maxTokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        topP: options.topP ?? this.topP,
+        stream,
+      },
+      this.apiKey
+    );
 
-    if (!data.choices || data.choices.length === 0) {
-      throw new Error("No response from OpenAI API");
-    }
+    return fetchWithRetry(url, init, {
+      signal,
+      timeoutMs: (options.requestTimeout ?? this.requestTimeout) * 1000,
+      retries: options.maxRetries ?? this.maxRetries,
+      onRetry: options.onRetry,
+      readBody: stream ? null : (response) => response.json(),
+      parseError: (errorData, response) =>
+        this.provider.parseError(errorData, response),
+    });
+  }
 
+  // options.feature and options.conversationId label the usage record; the
+  // returned usage is that record (tokens, cost and the budget after it)
+  async makeApiRequest(messages, options = {}) {
+    const data = await this.postChat(messages, false, null, options);
+    const { content, usage } = this.provider.parseChatResponse(data);
     return {
-      content: data.choices[0].message.content,
-      usage: data.usage,
+      content,
+      usage: await this.recordUsage(messages, content, usage, options),
     };
   }
 
-  updateConversationHistory(conversationId, userMessage, assistantResponse) {
-    if (!this.conversationHistory.has(conversationId)) {
-      this.conversationHistory.set(conversationId, []);
+  // Log a finished request. Gateways that report no usage, and streams
+  // stopped before their final chunk, get estimated counts.
+  async recordUsage(messages, content, usage, options = {}) {
+    try {
+      return await this.usageTracker.record({
+        conversationId: options.conversationId || null,
+        feature: options.feature,
+        provider: this.providerConfig.type,
+        model: options.model || this.model,
+        promptTokens: usage?.prompt_tokens ?? estimateMessagesTokens(messages),
+        completionTokens: usage?.completion_tokens ?? estimateTokens(content),
+        estimated: !usage,
+      });
+    } catch (error) {
+      console.warn("Failed to record usage:", error);
+      return null;
     }
+  }
 
-    const history = this.conversationHistory.get(conversationId);
-
-    // Add user message and assistant response
-    history.push(
-      { role: "user", content: userMessage },
-      { role: "assistant", content: assistantResponse }
-    );
+  async updateConversationHistory(
+    conversationId,
+    userMessage,
+    assistantResponse,
+    {
+      context = null,
+      displayMessage = null,
+      stopped = false,
+      contextUsage = null,
+      sources = null,
+      usage = null,
+    } = {}
+  ) {
+    const userEntry = { role: "user", content: userMessage };
+    if (displayMessage) {
+      // Short text the user typed, shown instead of the generated prompt
+      userEntry.display = displayMessage;
+    }
 
-    // Limit history size
-    if (history.length > 20) {
-      history.splice(0, history.length - 20);
+    const assistantEntry = { role: "assistant", content: assistantResponse };
+    if (stopped) {
+      assistantEntry.stopped = true;
+    }
+    if (contextUsage) {
+      assistantEntry.contextUsage = contextUsage;
+    }
+    if (sources) {
+      assistantEntry.sources = sources;
+    }
+    if (usage) {
+      const { model, promptTokens, completionTokens, cost, estimated } = usage;
+      assistantEntry.usage = {
+        model,
+        promptTokens,
+        completionTokens,
+        cost,
+        estimated,
+      };
     }
 
-    this.conversationHistory.set(conversationId, history);
+    // Full transcript is kept; buildMessages decides what fits the prompt
+    await this.conversationStore.appendMessages(
+      conversationId,
+      [userEntry, assistantEntry],
+      { pageUrl: context?.url, pageTitle: context?.title }
+    );
   }
 
-  clearConversationHistory(conversationId = null) {
+  async clearConversationHistory(conversationId = null) {
     if (conversationId) {
-      this.conversationHistory.delete(conversationId);
+      await this.conversationStore.clearMessages(conversationId);
     } else {
-      this.conversationHistory.clear();
+      await this.conversationStore.deleteAllThreads();
     }
   }
 
-  getConversationHistory(conversationId) {
-    return this.conversationHistory.get(conversationId) || [];
+  async getConversationHistory(conversationId) {
+    return await this.conversationStore.getMessages(conversationId);
   }
 
   // Test API connection
   async testConnection() {
-    if (!this.apiKey) {
-      throw new Error("API key not configured");
-    }
+    this.assertConfigured();
 
     try {
       const response = await this.makeApiRequest([
@@ -244,37 +633,34 @@ Your task is to analyze the content, purpose, and structure of the webpage. Focu
 
   // Get available models
   async getAvailableModels() {
-    if (!this.apiKey) {
-      throw new Error("API key not configured");
+    this.assertConfigured();
+
+    const fallback = [this.model].filter(Boolean);
+    const request = this.provider.modelsRequest(this.apiKey);
+    if (!request) {
+      return fallback;
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}/models`, {
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-        },
+      const data = await fetchWithRetry(request.url, request.init, {
+        timeoutMs: this.requestTimeout * 1000,
+        retries: 1,
+        readBody: (response) => response.json(),
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.data
-        .filter((model) => model.id.includes("gpt"))
-        .map((model) => model.id);
+      const models = this.provider.parseModels(data);
+      return models.length > 0 ? models : fallback;
     } catch (error) {
       console.error("Failed to fetch models:", error);
-      return ["gpt-3.5-turbo", "gpt-4"]; // Fallback to common models
+      return fallback; // Fallback to the model in use
     }
   }
 
-  // Update settings
+  // Update settings in memory; throws on out-of-range values
   updateSettings(settings) {
-    if (settings.model) this.model = settings.model;
-    if (settings.maxTokens) this.maxTokens = settings.maxTokens;
-    if (settings.temperature !== undefined)
-      this.temperature = settings.temperature;
+    const { model, ...generation } = normalizeSettings(settings);
+    if (model) this.model = model;
+    Object.assign(this, generation);
   }
 
   // Get current settings
@@ -283,23 +669,250 @@ Your task is to analyze the content, purpose, and structure of the webpage. Focu
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
+      topP: this.topP,
+      responseLanguage: this.responseLanguage,
+      systemPrompt: this.systemPrompt,
+      requestTimeout: this.requestTimeout,
+      maxRetries: this.maxRetries,
+      provider: this.providerConfig.type,
       hasApiKey: !!this.apiKey,
     };
   }
 
-  // Stream response (for future implementation)
-  async sendStreamRequest(requestData, onChunk) {
-    // Implementation for streaming responses
-    // This would be useful for real-time response display
-    throw new Error("Streaming not yet implemented");
+  async loadSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    try {
+      this.updateSettings({ ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] });
+    } catch (error) {
+      console.warn("Ignoring invalid saved settings:", error);
+      this.updateSettings(DEFAULT_SETTINGS);
+    }
+    return this.getSettings();
+  }
+
+  // The model is saved with the provider config, since model ids only make
+  // sense for one vendor; everything else goes under gpt_settings
+  async saveSettings(settings) {
+    const { model, ...generation } = normalizeSettings(settings);
+    this.updateSettings(generation);
+    if (model && model !== this.model) {
+      await this.setProviderConfig({ ...this.providerConfig, model });
+    }
+
+    await chrome.storage.local.set({
+      [SETTINGS_KEY]: {
+        maxTokens: this.maxTokens,
+        temperature: this.temperature,
+        topP: this.topP,
+        responseLanguage: this.responseLanguage,
+        systemPrompt: this.systemPrompt,
+        requestTimeout: this.requestTimeout,
+        maxRetries: this.maxRetries,
+      },
+    });
+    return this.getSettings();
+  }
+
+  // Saved settings with the conversation's overrides on top
+  async resolveSettings(conversationId) {
+    const thread = await this.conversationStore.getThread(conversationId);
+    return { ...this.getSettings(), ...thread?.settings };
+  }
+
+  // Merge overrides into the conversation's; a null value removes one, and
+  // null changes remove them all
+  async setConversationSettings(conversationId, changes) {
+    const thread = await this.conversationStore.getThread(conversationId);
+    const overrides = changes
+      ? normalizeSettings({ ...thread?.settings, ...changes })
+      : {};
+    await this.conversationStore.updateSettings(conversationId, overrides);
+    return overrides;
+  }
+
+  // Stream response token by token. onChunk(delta, content) is called for
+  // every piece of text; aborting the signal keeps the partial answer.
+  // onRetry is told when the request is retried before the answer starts.
+  async sendStreamRequest(requestData, onChunk, signal = null, onRetry = null) {
+    this.assertConfigured();
+
+    const {
+      message,
+      context,
+      conversationId = "default",
+      displayMessage,
+      feature = "chat",
+    } = requestData;
+    await this.usageTracker.assertWithinBudget();
+
+    const settings = await this.resolveSettings(conversationId);
+    const { messages, contextUsage, sources } = await this.buildMessages(
+      message,
+      context,
+      conversationId,
+      settings
+    );
+    let content = "";
+    let usage = null;
+    let aborted = false;
+    let failure = null;
+
+    try {
+      const response = await this.postChat(messages, true, signal, {
+        ...settings,
+        onRetry,
+      });
+      const streamState = {};
+
+      await this.readStream(response.body, (data) => {
+        const event = this.provider.parseStreamEvent(data, streamState);
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        if (event.delta) {
+          content += event.delta;
+          onChunk(event.delta, content);
+        }
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        aborted = true;
+      } else {
+        console.error("GPT stream request failed:", error);
+        failure =
+          error instanceof ApiError
+            ? error
+            : new Error(`GPT request failed: ${error.message}`);
+      }
+    }
+
+    // Tokens already generated are billed even if the answer was stopped
+    // or the stream failed part way
+    const tracked =
+      content || usage
+        ? await this.recordUsage(messages, content, usage, {
+            ...settings,
+            feature,
+            conversationId,
+          })
+        : null;
+
+    // Keep whatever was received, even if the user stopped the answer or
+    // the stream failed
+    if (content) {
+      await this.updateConversationHistory(conversationId, message, content, {
+        context,
+        displayMessage,
+        stopped: aborted || failure !== null,
+        contextUsage,
+        sources,
+        usage: tracked,
+      });
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    return {
+      content,
+      usage: tracked,
+      model: settings.model,
+      aborted,
+      contextUsage,
+      sources,
+    };
+  }
+
+  // Parse a streamed body and pass each JSON payload to onEvent. Handles
+  // Server-Sent Events and newline-delimited JSON, per the provider.
+  async readStream(body, onEvent, idleTimeoutMs = STREAM_IDLE_TIMEOUT_MS) {
+    const ndjson = this.provider.streamFormat === "ndjson";
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    // The request timeout ends once headers arrive; after that only a
+    // stalled stream is given up on
+    const read = async () => {
+      let timer;
+      const stalled = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          // Rejected first: cancelling ends the pending read as if the
+          // stream had finished normally
+          reject(
+            new ApiError(
+              `The answer stopped arriving for ${idleTimeoutMs / 1000} seconds`,
+              { kind: "timeout" }
+            )
+          );
+          reader.cancel().catch(() => {});
+        }, idleTimeoutMs);
+      });
+      try {
+        return await Promise.race([reader.read(), stalled]);
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    // Returns true once the stream says it is done
+    const handle = (event) => {
+      const data = ndjson
+        ? event.trim()
+        : event
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trim())
+            .join("\n");
+
+      if (!data) return false;
+      if (data === "[DONE]") return true;
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        console.warn("Skipping malformed stream event:", data);
+        return false;
+      }
+      onEvent(payload);
+      return false;
+    };
+
+    try {
+      let chunk = await read();
+      while (!chunk.done) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const events = buffer.split(ndjson ? /\r?\n/ : /\r?\n\r?\n/);
+        buffer = events.pop();
+
+        for (const event of events) {
+          if (handle(event)) {
+            // Nothing useful follows; don't leave the connection open
+            await reader.cancel().catch(() => {});
+            return;
+          }
+        }
+
+        chunk = await read();
+      }
+
+      // The last event may not end with a separator
+      buffer += decoder.decode();
+      handle(buffer);
+    } finally {
+      reader.releaseLock();
+    }
   }
 
-  // Analyze webpage content
+  // Analyze webpage content; the page goes into the system message, as much
+  // of it as the context window allows
   async analyzeWebpage(url, content) {
     const analysisPrompt = `Please analyze this webpage and provide insights:
     
 URL: ${url}
-Content: ${content.substring(0, 2000)}...
 
 Please provide:
 1. A brief summary of the page content
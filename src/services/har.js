@@ -0,0 +1,266 @@
+// HAR 1.2 export/import for recorded page sessions
+// Builds on NetworkRecorder records; console messages and exceptions go into
+// the custom `_consoleEntries` field of the log (HAR allows `_` extensions).
+
+import { isMimeMismatch, summarizeRequests } from "./network-recorder.js";
+
+const PAGE_ID = "page_1";
+
+// CDP resource types; HAR files saved by DevTools use lowercase names
+const RESOURCE_TYPES = [
+  "Document",
+  "Stylesheet",
+  "Image",
+  "Media",
+  "Font",
+  "Script",
+  "TextTrack",
+  "XHR",
+  "Fetch",
+  "EventSource",
+  "WebSocket",
+  "Manifest",
+  "Ping",
+  "Preflight",
+  "Other",
+];
+
+const HTTP_VERSIONS = {
+  "http/1.0": "HTTP/1.0",
+  "http/1.1": "HTTP/1.1",
+  h2: "HTTP/2",
+  h3: "HTTP/3",
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const isoTime = (wallTime) =>
+  new Date(wallTime ? wallTime * 1000 : Date.now()).toISOString();
+
+// CDP headers are an object; repeated headers are joined with "\n"
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((line) => ({ name, value: line }))
+  );
+}
+
+function findHeader(headers = {}, name) {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({
+      name,
+      value,
+    }));
+  } catch {
+    return [];
+  }
+}
+
+// Phases in ms as HAR expects; -1 means "does not apply"
+function toHarTimings(record) {
+  const timing = record.timing;
+  const total = record.durationMs ?? 0;
+
+  if (!timing) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: total,
+      receive: 0,
+    };
+  }
+
+  const span = (start, end) =>
+    start >= 0 && end >= start ? round(end - start) : -1;
+  const firstPhase =
+    [timing.dnsStart, timing.connectStart, timing.sendStart].find(
+      (value) => value >= 0
+    ) ?? 0;
+  // requestTime is when the request left the queue; startedAt when it entered
+  const queued = Math.max(0, (timing.requestTime - record.startedAt) * 1000);
+  const loaded =
+    record.finishedAt !== undefined
+      ? (record.finishedAt - timing.requestTime) * 1000
+      : timing.receiveHeadersEnd;
+
+  return {
+    blocked: round(queued + firstPhase),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, span(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd)),
+    receive: Math.max(0, round(loaded - timing.receiveHeadersEnd)),
+  };
+}
+
+function toHarEntry(record) {
+  const timings = toHarTimings(record);
+  // ssl is already part of connect
+  const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+    .map((phase) => timings[phase])
+    .filter((value) => value > 0)
+    .reduce((sum, value) => sum + value, 0);
+
+  const httpVersion =
+    HTTP_VERSIONS[record.protocol] || (record.protocol || "").toUpperCase();
+  const contentType = findHeader(record.requestHeaders, "content-type");
+
+  const content = {
+    size: record.encodedDataLength ?? 0,
+    mimeType: record.mimeType || "x-unknown",
+  };
+  if (record.body) {
+    content.text = record.body.body;
+    if (record.body.base64Encoded) content.encoding = "base64";
+    if (!record.body.base64Encoded) content.size = record.body.body.length;
+  }
+
+  const entry = {
+    pageref: PAGE_ID,
+    startedDateTime: isoTime(record.wallTime),
+    time: round(time),
+    request: {
+      method: record.method,
+      url: record.url,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(record.requestHeaders),
+      queryString: toQueryString(record.url),
+      headersSize: -1,
+      bodySize: record.postData ? record.postData.length : 0,
+    },
+    response: {
+      status: record.status || 0,
+      statusText: record.statusText || "",
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(record.responseHeaders),
+      content,
+      redirectURL: record.redirectedTo || "",
+      headersSize: -1,
+      bodySize: record.encodedDataLength ?? -1,
+    },
+    cache: {},
+    timings,
+    _resourceType: record.type,
+    _fromCache: record.fromCache || false,
+  };
+
+  if (record.postData) {
+    entry.request.postData = {
+      mimeType: contentType || "",
+      text: record.postData,
+    };
+  }
+  if (record.remoteIPAddress) entry.serverIPAddress = record.remoteIPAddress;
+  if (record.failed) {
+    entry.response._error = record.errorText || "Failed";
+    entry.response._canceled = !!record.canceled;
+    if (record.blockedReason) {
+      entry.response._blockedReason = record.blockedReason;
+    }
+    if (record.corsError) entry.response._corsError = record.corsError;
+  }
+
+  return entry;
+}
+
+// session: { startedAt, page: {title, url}, pageTimings, consoleEntries }
+export function buildHar(requests, session, creatorVersion = "") {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "GPT Extension", version: creatorVersion },
+      pages: [
+        {
+          startedDateTime: session.startedAt,
+          id: PAGE_ID,
+          title: session.page?.title || session.page?.url || "",
+          pageTimings: {
+            onContentLoad: session.pageTimings?.onContentLoad ?? -1,
+            onLoad: session.pageTimings?.onLoad ?? -1,
+          },
+          _url: session.page?.url || "",
+        },
+      ],
+      entries: requests.map(toHarEntry),
+      _consoleEntries: session.consoleEntries || [],
+    },
+  };
+}
+
+export function parseHar(input) {
+  let har = input;
+  if (typeof input === "string") {
+    try {
+      har = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Not a HAR file: ${error.message}`);
+    }
+  }
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error("Not a HAR file: missing log.entries");
+  }
+  return har;
+}
+
+function normalizeResourceType(type) {
+  if (!type) return "Other";
+  return (
+    RESOURCE_TYPES.find((name) => name.toLowerCase() === type.toLowerCase()) ||
+    type
+  );
+}
+
+// Back to NetworkRecorder-like records so the same summary applies
+export function requestsFromHar(har) {
+  return har.log.entries.map((entry) => {
+    const response = entry.response || {};
+    const record = {
+      url: entry.request?.url,
+      method: entry.request?.method,
+      type: normalizeResourceType(entry._resourceType),
+      status: response.status || null,
+      statusText: response.statusText || null,
+      mimeType: response.content?.mimeType || null,
+      errorText: response._error || null,
+      blockedReason: response._blockedReason || null,
+      corsError: response._corsError || null,
+      failed: !!response._error || !response.status,
+      canceled: !!response._canceled,
+      durationMs: typeof entry.time === "number" ? Math.round(entry.time) : null,
+    };
+    record.mimeMismatch = isMimeMismatch(record);
+    return record;
+  });
+}
+
+export function summarizeHar(har) {
+  const page = har.log.pages?.[0] || {};
+  const consoleEntries = har.log._consoleEntries || [];
+
+  return {
+    page: {
+      title: page.title || "",
+      url: page._url || har.log.entries[0]?.request?.url || "",
+      startedDateTime: page.startedDateTime || null,
+      pageTimings: page.pageTimings || null,
+    },
+    creator: har.log.creator || null,
+    consoleEntries,
+    network: {
+      recording: true,
+      ...summarizeRequests(requestsFromHar(har)),
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// API key vault
+// The key lives only in the background worker. It is stored either as plain
+// text (the original openai_api_key entry) or encrypted with a passphrase
+// (PBKDF2 + AES-GCM). An unlocked key is kept in chrome.storage.session, so
+// it survives worker restarts but is gone when the browser closes.
+
+const PLAIN_KEY = "openai_api_key";
+const VAULT_KEY = "api_key_vault";
+const SESSION_KEY = "api_key_unlocked";
+
+const PBKDF2_ITERATIONS = 250000;
+
+// "sk-proj-abc...xyz9" -> "sk-…xyz9"; enough to tell keys apart
+export function maskKey(apiKey) {
+  if (!apiKey) return null;
+  if (apiKey.length <= 8) return "•".repeat(apiKey.length);
+  const prefix = apiKey.match(/^[a-z]+-/i)?.[0] || "";
+  return `${prefix}…${apiKey.slice(-4)}`;
+}
+
+const toBase64 = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export class KeyVault {
+  async read() {
+    const local = await chrome.storage.local.get([PLAIN_KEY, VAULT_KEY]);
+    const session = await chrome.storage.session.get([SESSION_KEY]);
+    return {
+      plain: local[PLAIN_KEY] || null,
+      vault: local[VAULT_KEY] || null,
+      unlocked: session[SESSION_KEY] || null,
+    };
+  }
+
+  // The usable key, or null when none is set or the vault is locked
+  async getKey() {
+    const { plain, vault, unlocked } = await this.read();
+    return vault ? unlocked : plain;
+  }
+
+  // Safe to hand to UI pages: never contains the key itself
+  async getStatus() {
+    const { plain, vault, unlocked } = await this.read();
+    return {
+      hasKey: !!(plain || vault),
+      encrypted: !!vault,
+      locked: !!vault && !unlocked,
+      masked: vault ? vault.masked : maskKey(plain),
+    };
+  }
+
+  // Without a passphrase the key is stored as plain text, as before
+  async setKey(apiKey, passphrase = "") {
+    const key = apiKey.trim();
+    if (!key) throw new Error("API key is empty");
+
+    if (!passphrase) {
+      await chrome.storage.local.remove([VAULT_KEY]);
+      await chrome.storage.session.remove([SESSION_KEY]);
+      await chrome.storage.local.set({ [PLAIN_KEY]: key });
+      return;
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      cryptoKey,
+      new TextEncoder().encode(key)
+    );
+
+    await chrome.storage.local.set({
+      [VAULT_KEY]: {
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        ciphertext: toBase64(ciphertext),
+        iterations: PBKDF2_ITERATIONS,
+        masked: maskKey(key),
+      },
+    });
+    await chrome.storage.local.remove([PLAIN_KEY]);
+    // Whoever just typed the passphrase shouldn't have to unlock again
+    await chrome.storage.session.set({ [SESSION_KEY]: key });
+  }
+
+  async unlock(passphrase) {
+    const { vault } = await this.read();
+    if (!vault) throw new Error("API key is not encrypted");
+
+    let key;
+    try {
+      const cryptoKey = await deriveKey(
+        passphrase,
+        fromBase64(vault.salt),
+        vault.iterations
+      );
+      const plain = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(vault.iv) },
+        cryptoKey,
+        fromBase64(vault.ciphertext)
+      );
+      key = new TextDecoder().decode(plain);
+    } catch {
+      // AES-GCM fails authentication on a wrong passphrase
+      throw new Error("Wrong passphrase");
+    }
+
+    await chrome.storage.session.set({ [SESSION_KEY]: key });
+    return key;
+  }
+
+  async lock() {
+    await chrome.storage.session.remove([SESSION_KEY]);
+  }
+
+  async clear() {
+    await chrome.storage.local.remove([PLAIN_KEY, VAULT_KEY]);
+    await chrome.storage.session.remove([SESSION_KEY]);
+  }
+}
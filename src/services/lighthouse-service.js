@@ -1,33 +1,109 @@
 // Lighthouse Service for Chrome Extension
 // Provides performance auditing capabilities
 
+import {
+  collectPageAuditData,
+  finalizeAudits,
+  scoreAudits,
+} from "./audit-rules.js";
+import { DEFAULT_AUDIT_PROFILE, getAuditProfile } from "./audit-profiles.js";
+import {
+  AGGREGATED_METRICS,
+  pickMedianRun,
+  summarizeMetrics,
+} from "./audit-stats.js";
+import {
+  WEB_VITALS_GLOBAL,
+  installWebVitalsObservers,
+  summarizeRuntimeMetrics,
+} from "./web-vitals.js";
+import { resolveTab } from "./tab-resolver.js";
+
+const LOAD_TIMEOUT_MS = 30000;
+// The page counts as settled once at most NETWORK_IDLE_MAX_INFLIGHT
+// requests have been open for NETWORK_IDLE_QUIET_MS (long-polling and
+// analytics beacons would otherwise keep it busy forever)
+const NETWORK_IDLE_QUIET_MS = 1000;
+const NETWORK_IDLE_MAX_INFLIGHT = 2;
+const MAX_RUNS = 5;
+// INP needs real user input, which an unattended audit never has, so its
+// absence doesn't make a result partial
+const REQUIRED_METRICS = AGGREGATED_METRICS.filter(
+  (name) => name !== "interactionToNextPaint"
+);
+
+// Pages Chrome never lets an extension debugger attach to
+const UNSUPPORTED_PROTOCOLS = [
+  "chrome:",
+  "chrome-extension:",
+  "chrome-untrusted:",
+  "devtools:",
+  "edge:",
+  "about:",
+  "view-source:",
+  "data:",
+  "javascript:",
+];
+const UNSUPPORTED_HOSTS = ["chromewebstore.google.com"];
+
+// Audit failures carry a code so the UI can explain them and decide
+// whether offering a retry makes sense
+export class LighthouseAuditError extends Error {
+  constructor(code, message, { retryable = true, cause } = {}) {
+    super(message, { cause });
+    this.name = "LighthouseAuditError";
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
 export class LighthouseService {
-  constructor() {
+  constructor(debuggerSessions) {
+    // Shared DebuggerSessionManager
+    this.debuggerSessions = debuggerSessions;
     this.isRunning = false;
     this.results = null;
   }
 
-  async runAudit(url = null) {
+  async runAudit(url = null, options = {}) {
     if (this.isRunning) {
-      throw new Error("Lighthouse audit is already running");
+      throw new LighthouseAuditError(
+        "AUDIT_IN_PROGRESS",
+        "A Lighthouse audit is already running"
+      );
     }
 
     this.isRunning = true;
 
     try {
-      // Get current tab URL if not provided
+      // Get the target tab's URL if not provided
       if (!url) {
-        const [tab] = await chrome.tabs.query({
-          active: true,
-          currentWindow: true,
-        });
-        url = tab.url;
+        const tab = await resolveTab(options.tabId);
+        url = tab?.url;
       }
 
-      console.log(`[Lighthouse] Starting audit for: ${url}`);
+      this.assertAuditableUrl(url);
+
+      const profile = getAuditProfile(options.profile || DEFAULT_AUDIT_PROFILE);
+      if (!profile) {
+        throw new LighthouseAuditError(
+          "UNKNOWN_PROFILE",
+          `Unknown audit profile: ${options.profile}`,
+          { retryable: false }
+        );
+      }
+
+      const runs = Math.min(
+        MAX_RUNS,
+        Math.max(1, Math.round(Number(options.runs) || 1))
+      );
+
+      console.log(
+        `[Lighthouse] Starting audit for: ${url} (profile: ${profile.id}, runs: ${runs})`
+      );
 
       // Use Chrome DevTools Protocol to run Lighthouse
-      const results = await this.runLighthouseAudit(url);
+      const results = await this.runLighthouseAudit(url, profile, runs);
 
       this.results = results;
       this.isRunning = false;
@@ -40,123 +116,485 @@ export class LighthouseService {
     }
   }
 
-  async runLighthouseAudit(url) {
-    return new Promise((resolve, reject) => {
-      // Create a new tab for the audit
-      chrome.tabs.create({ url: url, active: false }, async (tab) => {
-        try {
-          // Attach debugger to the tab
-          await chrome.debugger.attach({ tabId: tab.id }, "1.3");
+  assertAuditableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new LighthouseAuditError(
+        "UNSUPPORTED_URL",
+        `Not a valid URL: ${url || "(none)"}`,
+        { retryable: false }
+      );
+    }
 
-          // Enable necessary domains
-          await this.sendDebuggerCommand(tab.id, "Runtime.enable");
-          await this.sendDebuggerCommand(tab.id, "Page.enable");
-          await this.sendDebuggerCommand(tab.id, "Network.enable");
+    const isWebStore =
+      UNSUPPORTED_HOSTS.includes(parsed.hostname) ||
+      (parsed.hostname === "chrome.google.com" &&
+        parsed.pathname.startsWith("/webstore"));
 
-          // Wait for page to load
-          await this.waitForPageLoad(tab.id);
+    if (UNSUPPORTED_PROTOCOLS.includes(parsed.protocol) || isWebStore) {
+      throw new LighthouseAuditError(
+        "UNSUPPORTED_URL",
+        `Chrome does not allow auditing ${parsed.protocol}//${parsed.host} pages`,
+        { retryable: false }
+      );
+    }
+  }
 
-          // Run basic performance metrics
-          const metrics = await this.collectPerformanceMetrics(tab.id);
+  async runLighthouseAudit(url, profile, runs = 1) {
+    // Start from a blank tab so the debugger and event collectors are in
+    // place before the first request of the audited page
+    const tab = await chrome.tabs.create({ url: "about:blank", active: false });
+    let detachReason = null;
 
-          // Detach debugger and close tab
-          await chrome.debugger.detach({ tabId: tab.id });
-          await chrome.tabs.remove(tab.id);
+    try {
+      // Attach debugger to the tab
+      try {
+        await this.debuggerSessions.acquire(tab.id, "lighthouse", {
+          onDetach: (reason) => {
+            detachReason = reason;
+          },
+        });
+      } catch (error) {
+        throw new LighthouseAuditError(
+          "DEBUGGER_ATTACH_REFUSED",
+          `Chrome refused to attach the debugger: ${error.message}`,
+          { cause: error }
+        );
+      }
+
+      // Enable necessary domains
+      await this.sendDebuggerCommand(tab.id, "Runtime.enable");
+      await this.sendDebuggerCommand(tab.id, "Page.enable");
+      await this.sendDebuggerCommand(tab.id, "Network.enable");
+      await this.sendDebuggerCommand(tab.id, "Performance.enable");
+      await this.sendDebuggerCommand(tab.id, "Log.enable");
+      // Audits reports deprecations and mixed content; not every Chrome
+      // build exposes it to extensions
+      try {
+        await this.sendDebuggerCommand(tab.id, "Audits.enable");
+      } catch (error) {
+        console.warn("[Lighthouse] Audits domain unavailable:", error);
+      }
+
+      // Throttling must be in place before the first byte is requested
+      await this.applyProfile(tab.id, profile);
+
+      // Observers have to exist before the page paints, or LCP and early
+      // layout shifts are lost
+      await this.sendDebuggerCommand(
+        tab.id,
+        "Page.addScriptToEvaluateOnNewDocument",
+        {
+          source: `(${installWebVitalsObservers.toString()})(${JSON.stringify(
+            WEB_VITALS_GLOBAL
+          )});`,
+        }
+      );
+
+      const passes = [];
+      const failures = [];
+      for (let index = 0; index < runs; index++) {
+        // Every pass of a multi-run audit starts from a cold cache
+        if (runs > 1) {
+          await this.sendDebuggerCommand(tab.id, "Network.clearBrowserCache");
+        }
 
-          resolve(metrics);
+        try {
+          passes.push(await this.runPass(tab.id, url));
         } catch (error) {
-          // Cleanup on error
-          try {
-            await chrome.debugger.detach({ tabId: tab.id });
-            await chrome.tabs.remove(tab.id);
-          } catch (cleanupError) {
-            console.error("[Lighthouse] Cleanup error:", cleanupError);
+          // A detached debugger or a bad URL fails every later pass too
+          if (
+            detachReason ||
+            runs === 1 ||
+            error.code === "NAVIGATION_FAILED"
+          ) {
+            throw error;
           }
-          reject(error);
+          console.warn(`[Lighthouse] Run ${index + 1} failed:`, error);
+          failures.push(`Run ${index + 1} failed: ${error.message}`);
         }
-      });
+      }
+
+      if (passes.length === 0) {
+        throw new LighthouseAuditError(
+          "NO_RESULTS",
+          `All ${runs} runs failed: ${failures.join("; ")}`
+        );
+      }
+
+      return this.aggregatePasses(url, passes, failures, profile, runs);
+    } catch (error) {
+      if (detachReason && !(error instanceof LighthouseAuditError)) {
+        throw new LighthouseAuditError(
+          "DEBUGGER_DETACHED",
+          detachReason === "canceled_by_user"
+            ? "The debugger was detached (the debugging banner was dismissed)"
+            : `The debugger was detached: ${detachReason}`,
+          { cause: error }
+        );
+      }
+      throw error;
+    } finally {
+      try {
+        await this.debuggerSessions.release(tab.id, "lighthouse");
+        await chrome.tabs.remove(tab.id);
+      } catch (cleanupError) {
+        console.error("[Lighthouse] Cleanup error:", cleanupError);
+      }
+    }
+  }
+
+  // One navigation of the audited page with its metrics and rule results
+  async runPass(tabId, url) {
+    const collector = this.startEventCollection(tabId);
+
+    try {
+      const settled = this.waitForPageSettled(tabId);
+      const navigation = await this.sendDebuggerCommand(
+        tabId,
+        "Page.navigate",
+        { url }
+      );
+      if (navigation.errorText) {
+        settled.cancel();
+        throw new LighthouseAuditError(
+          "NAVIGATION_FAILED",
+          `Could not load ${url}: ${navigation.errorText}`
+        );
+      }
+
+      const warnings = [];
+      const { loadFired, networkIdle } = await settled.promise;
+      if (!loadFired) {
+        await this.assertPageStarted(tabId, url);
+        warnings.push(
+          `Load event did not fire within ${
+            LOAD_TIMEOUT_MS / 1000
+          }s; results reflect the page as it was at that point`
+        );
+      } else if (!networkIdle) {
+        warnings.push(
+          `Network never went idle within ${
+            LOAD_TIMEOUT_MS / 1000
+          }s; late requests may be missing`
+        );
+      }
+
+      // Collect what we can; one failing step shouldn't discard the others
+      let metrics = null;
+      try {
+        metrics = await this.collectPerformanceMetrics(tabId);
+      } catch (error) {
+        warnings.push(`Performance metrics unavailable: ${error.message}`);
+      }
+
+      // Rule-based accessibility, SEO and best-practices checks
+      let audits = null;
+      try {
+        audits = await this.collectRuleAudits(tabId, collector.events);
+      } catch (error) {
+        warnings.push(`Rule audits unavailable: ${error.message}`);
+      }
+
+      if (!metrics && !audits) {
+        throw new LighthouseAuditError(
+          "NO_RESULTS",
+          `No audit data could be collected: ${warnings.join("; ")}`
+        );
+      }
+
+      return { metrics, audits, warnings };
+    } finally {
+      collector.stop();
+    }
+  }
+
+  // Scores come from the median run; metrics also get their spread
+  aggregatePasses(url, passes, failures, profile, runs) {
+    const performanceScores = passes.map((pass) =>
+      pass.metrics ? this.calculatePerformanceScore(pass.metrics) : null
+    );
+    const medianIndex = pickMedianRun(
+      performanceScores,
+      passes.map((pass) => pass.metrics?.firstContentfulPaint ?? null)
+    );
+    const medianPass = passes[medianIndex];
+
+    const warnings = [
+      ...failures,
+      ...medianPass.warnings.map((warning) =>
+        passes.length > 1 ? `Run ${medianIndex + 1}: ${warning}` : warning
+      ),
+    ];
+
+    const results = this.buildResults(
+      url,
+      medianPass.metrics,
+      medianPass.audits,
+      warnings,
+      profile
+    );
+
+    if (runs > 1) {
+      results.runStats = {
+        requested: runs,
+        completed: passes.length,
+        medianRun: medianIndex + 1,
+        performanceScores: performanceScores,
+        metrics: summarizeMetrics(passes.map((pass) => pass.metrics)),
+      };
+    }
+
+    return results;
+  }
+
+  async applyProfile(tabId, profile) {
+    if (profile.device) {
+      const { userAgent, ...metrics } = profile.device;
+      await this.sendDebuggerCommand(
+        tabId,
+        "Emulation.setDeviceMetricsOverride",
+        metrics
+      );
+      await this.sendDebuggerCommand(
+        tabId,
+        "Emulation.setTouchEmulationEnabled",
+        { enabled: metrics.mobile }
+      );
+      if (userAgent) {
+        await this.sendDebuggerCommand(tabId, "Emulation.setUserAgentOverride", {
+          userAgent,
+        });
+      }
+    }
+
+    if (profile.network) {
+      await this.sendDebuggerCommand(
+        tabId,
+        "Network.emulateNetworkConditions",
+        { offline: false, ...profile.network }
+      );
+    }
+
+    await this.sendDebuggerCommand(tabId, "Emulation.setCPUThrottlingRate", {
+      rate: profile.cpuSlowdown,
     });
   }
 
-  async sendDebuggerCommand(tabId, method, params = {}) {
-    return new Promise((resolve, reject) => {
-      chrome.debugger.sendCommand({ tabId }, method, params, (result) => {
-        if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve(result);
+  // Record the CDP events the best-practices and SEO rules need
+  startEventCollection(tabId) {
+    const events = {
+      requests: [],
+      mainDocument: null,
+      mixedContent: [],
+      deprecations: [],
+      consoleErrors: [],
+    };
+
+    const listener = (source, method, params) => {
+      if (source.tabId !== tabId) return;
+
+      switch (method) {
+        case "Network.requestWillBeSent":
+          events.requests.push({
+            url: params.request.url,
+            type: params.type,
+          });
+          break;
+
+        case "Network.responseReceived":
+          // The first document response is the navigated page itself
+          if (params.type === "Document" && !events.mainDocument) {
+            events.mainDocument = {
+              url: params.response.url,
+              status: params.response.status,
+              headers: params.response.headers,
+            };
+          }
+          break;
+
+        case "Audits.issueAdded": {
+          const { code, details } = params.issue;
+          if (code === "MixedContentIssue") {
+            const issue = details.mixedContentIssueDetails;
+            events.mixedContent.push({
+              url: issue.insecureURL,
+              resourceType: issue.resourceType,
+              resolutionStatus: issue.resolutionStatus,
+            });
+          } else if (code === "DeprecationIssue") {
+            const issue = details.deprecationIssueDetails;
+            events.deprecations.push({
+              type: issue.type,
+              message: `Deprecated API: ${issue.type}`,
+              url: issue.sourceCodeLocation?.url,
+            });
+          }
+          break;
         }
-      });
-    });
+
+        case "Log.entryAdded":
+          if (params.entry.source === "deprecation") {
+            events.deprecations.push({
+              type: "deprecation",
+              message: params.entry.text,
+              url: params.entry.url,
+            });
+          } else if (params.entry.level === "error") {
+            events.consoleErrors.push({
+              source: params.entry.source,
+              message: params.entry.text,
+              url: params.entry.url,
+            });
+          }
+          break;
+
+        case "Runtime.exceptionThrown": {
+          const details = params.exceptionDetails;
+          events.consoleErrors.push({
+            source: "exception",
+            message: details.exception?.description || details.text,
+            url: details.url,
+          });
+          break;
+        }
+
+        case "Runtime.consoleAPICalled":
+          if (params.type === "error") {
+            events.consoleErrors.push({
+              source: "console.error",
+              message: params.args
+                .map((arg) => arg.value ?? arg.description ?? "")
+                .join(" "),
+              url: params.stackTrace?.callFrames[0]?.url,
+            });
+          }
+          break;
+      }
+    };
+
+    chrome.debugger.onEvent.addListener(listener);
+
+    return {
+      events,
+      stop: () => chrome.debugger.onEvent.removeListener(listener),
+    };
+  }
+
+  async sendDebuggerCommand(tabId, method, params = {}) {
+    return this.debuggerSessions.sendCommand(tabId, method, params);
   }
 
-  async waitForPageLoad(tabId) {
-    return new Promise((resolve) => {
-      const listener = (source, method, params) => {
-        if (source.tabId === tabId && method === "Page.loadEventFired") {
-          chrome.debugger.onEvent.removeListener(listener);
-          // Wait a bit more for resources to load
-          setTimeout(resolve, 2000);
+  // Resolves once the load event has fired and the network has gone quiet,
+  // or when LOAD_TIMEOUT_MS runs out. Must be set up before navigating.
+  waitForPageSettled(tabId) {
+    const inflight = new Set();
+    let loadFired = false;
+    let quietTimer = null;
+    let timeoutTimer = null;
+    let listener = null;
+    let finish = null;
+
+    const promise = new Promise((resolve) => {
+      finish = (networkIdle) => {
+        chrome.debugger.onEvent.removeListener(listener);
+        clearTimeout(quietTimer);
+        clearTimeout(timeoutTimer);
+        resolve({ loadFired, networkIdle });
+      };
+
+      const checkIdle = () => {
+        clearTimeout(quietTimer);
+        if (loadFired && inflight.size <= NETWORK_IDLE_MAX_INFLIGHT) {
+          quietTimer = setTimeout(() => finish(true), NETWORK_IDLE_QUIET_MS);
         }
       };
 
+      listener = (source, method, params) => {
+        if (source.tabId !== tabId) return;
+
+        switch (method) {
+          case "Network.requestWillBeSent":
+            inflight.add(params.requestId);
+            break;
+          case "Network.loadingFinished":
+          case "Network.loadingFailed":
+            inflight.delete(params.requestId);
+            break;
+          case "Page.loadEventFired":
+            loadFired = true;
+            break;
+          default:
+            return;
+        }
+        checkIdle();
+      };
+
       chrome.debugger.onEvent.addListener(listener);
 
       // Fallback timeout
-      setTimeout(() => {
-        chrome.debugger.onEvent.removeListener(listener);
-        resolve();
-      }, 10000);
+      timeoutTimer = setTimeout(() => finish(false), LOAD_TIMEOUT_MS);
     });
+
+    return { promise, cancel: () => finish(false) };
   }
 
-  async collectPerformanceMetrics(tabId) {
+  // After a load timeout, only carry on if the page actually has a document
+  async assertPageStarted(tabId, url) {
+    let state = null;
     try {
-      // Get performance metrics
-      const performanceMetrics = await this.sendDebuggerCommand(
-        tabId,
-        "Performance.getMetrics"
+      const result = await this.sendDebuggerCommand(tabId, "Runtime.evaluate", {
+        expression: "[location.href, document.readyState]",
+        returnByValue: true,
+      });
+      state = result.result.value;
+    } catch {
+      // Treated as a page that never started loading
+    }
+
+    if (!state || state[0] === "about:blank" || state[1] === "loading") {
+      throw new LighthouseAuditError(
+        "NAVIGATION_TIMEOUT",
+        `${url} did not finish loading within ${LOAD_TIMEOUT_MS / 1000}s`
       );
+    }
+  }
+
+  async collectPerformanceMetrics(tabId) {
+    try {
+      // Get performance metrics (runtime counters; optional extra detail)
+      let performanceMetrics = null;
+      try {
+        performanceMetrics = await this.sendDebuggerCommand(
+          tabId,
+          "Performance.getMetrics"
+        );
+      } catch (error) {
+        console.warn("[Lighthouse] Performance.getMetrics failed:", error);
+      }
 
-      // Get runtime metrics
-      const runtimeResult = await this.sendDebuggerCommand(
+      // Web Vitals recorded by the observers injected before navigation
+      const vitalsResult = await this.sendDebuggerCommand(
         tabId,
         "Runtime.evaluate",
         {
-          expression: `
-          JSON.stringify({
-            loadTime: performance.timing.loadEventEnd - performance.timing.navigationStart,
-            domContentLoaded: performance.timing.domContentLoadedEventEnd - performance.timing.navigationStart,
-            firstPaint: performance.getEntriesByType('paint').find(entry => entry.name === 'first-paint')?.startTime || 0,
-            firstContentfulPaint: performance.getEntriesByType('paint').find(entry => entry.name === 'first-contentful-paint')?.startTime || 0,
-            largestContentfulPaint: performance.getEntriesByType('largest-contentful-paint')[0]?.startTime || 0,
-            cumulativeLayoutShift: performance.getEntriesByType('layout-shift').reduce((sum, entry) => sum + entry.value, 0),
-            url: window.location.href,
-            title: document.title,
-            timestamp: Date.now()
-          })
-        `,
+          expression: `window[${JSON.stringify(
+            WEB_VITALS_GLOBAL
+          )}]?.snapshot() ?? null`,
           returnByValue: true,
         }
       );
 
-      const webVitals = JSON.parse(runtimeResult.result.value);
-
-      // Calculate scores (simplified Lighthouse-like scoring)
-      const scores = this.calculateScores(webVitals);
+      const webVitals = vitalsResult.result.value;
+      if (!webVitals) {
+        throw new Error("Web Vitals observers were not installed in the page");
+      }
 
       return {
-        url: webVitals.url,
-        title: webVitals.title,
-        timestamp: webVitals.timestamp,
-        metrics: webVitals,
-        scores: scores,
-        categories: {
-          performance: scores.performance,
-          accessibility: scores.accessibility,
-          bestPractices: scores.bestPractices,
-          seo: scores.seo,
-        },
+        ...webVitals,
+        runtime: summarizeRuntimeMetrics(performanceMetrics),
       };
     } catch (error) {
       console.error("[Lighthouse] Failed to collect metrics:", error);
@@ -164,20 +602,105 @@ export class LighthouseService {
     }
   }
 
-  calculateScores(metrics) {
-    // Simplified scoring algorithm (similar to Lighthouse)
-    const performance = this.calculatePerformanceScore(metrics);
+  async collectRuleAudits(tabId, events) {
+    try {
+      const pageResult = await this.sendDebuggerCommand(
+        tabId,
+        "Runtime.evaluate",
+        {
+          expression: `(${collectPageAuditData.toString()})()`,
+          returnByValue: true,
+        }
+      );
+
+      if (pageResult.exceptionDetails) {
+        throw new Error(
+          pageResult.exceptionDetails.exception?.description ||
+            pageResult.exceptionDetails.text
+        );
+      }
+
+      return finalizeAudits(pageResult.result.value, events);
+    } catch (error) {
+      console.error("[Lighthouse] Failed to run rule audits:", error);
+      throw error;
+    }
+  }
+
+  buildResults(url, webVitals, audits, warnings = [], profile = null) {
+    const scores = this.calculateScores(webVitals, audits);
+    const metrics = webVitals || {};
+
+    // Metrics the page didn't report (null) are flagged, not zero-filled
+    const missingMetrics = REQUIRED_METRICS.filter(
+      (name) => metrics[name] === null || metrics[name] === undefined
+    );
+    const missingCategories = Object.entries(scores)
+      .filter(([name, value]) => name !== "overall" && value === null)
+      .map(([name]) => name);
+
+    return {
+      url: metrics.url || url,
+      title: metrics.title || url,
+      timestamp: metrics.timestamp || Date.now(),
+      metrics: metrics,
+      scores: scores,
+      categories: {
+        performance: scores.performance,
+        accessibility: scores.accessibility,
+        bestPractices: scores.bestPractices,
+        seo: scores.seo,
+      },
+      audits: audits,
+      // Runs are only comparable under the same profile
+      profile: profile?.id || null,
+      profileSettings: profile,
+      partial:
+        warnings.length > 0 ||
+        missingMetrics.length > 0 ||
+        missingCategories.length > 0,
+      missingMetrics: missingMetrics,
+      missingCategories: missingCategories,
+      warnings: warnings,
+    };
+  }
+
+  calculateScores(metrics, audits) {
+    // Performance from timings, the rest from weighted rule results.
+    // A category that couldn't be measured stays null.
+    const performance = metrics ? this.calculatePerformanceScore(metrics) : null;
+    const accessibility = audits ? scoreAudits(audits.accessibility) : null;
+    const bestPractices = audits ? scoreAudits(audits.bestPractices) : null;
+    const seo = audits ? scoreAudits(audits.seo) : null;
+
+    const measured = [performance, accessibility, bestPractices, seo].filter(
+      (score) => score !== null
+    );
 
     return {
       performance: performance,
-      accessibility: Math.floor(Math.random() * 20) + 80, // Mock for now
-      bestPractices: Math.floor(Math.random() * 20) + 75, // Mock for now
-      seo: Math.floor(Math.random() * 20) + 85, // Mock for now
-      overall: Math.round((performance + 80 + 75 + 85) / 4),
+      accessibility: accessibility,
+      bestPractices: bestPractices,
+      seo: seo,
+      overall: measured.length
+        ? Math.round(
+            measured.reduce((sum, score) => sum + score, 0) / measured.length
+          )
+        : null,
     };
   }
 
   calculatePerformanceScore(metrics) {
+    const timings = [
+      metrics.firstContentfulPaint,
+      metrics.largestContentfulPaint,
+      metrics.loadTime,
+      metrics.cumulativeLayoutShift,
+      metrics.totalBlockingTime,
+    ];
+    if (timings.every((value) => value === null)) return null;
+
+    // Unmeasured (null) metrics add no penalty
     let score = 100;
 
     // First Contentful Paint (target: < 1.8s)
@@ -200,6 +723,11 @@ export class LighthouseService {
       score -= Math.min(20, metrics.cumulativeLayoutShift * 100);
     }
 
+    // Total Blocking Time (target: < 200ms)
+    if (metrics.totalBlockingTime > 200) {
+      score -= Math.min(30, (metrics.totalBlockingTime - 200) / 20);
+    }
+
     return Math.max(0, Math.round(score));
   }
 
@@ -210,34 +738,4 @@ export class LighthouseService {
   isAuditRunning() {
     return this.isRunning;
   }
-
-  // Mock Lighthouse results for testing
-  getMockResults(url) {
-    return {
-      url: url,
-      title: "Mock Lighthouse Report",
-      timestamp: Date.now(),
-      metrics: {
-        loadTime: Math.floor(Math.random() * 2000) + 1000,
-        domContentLoaded: Math.floor(Math.random() * 1500) + 800,
-        firstPaint: Math.floor(Math.random() * 1000) + 500,
-        firstContentfulPaint: Math.floor(Math.random() * 1200) + 600,
-        largestContentfulPaint: Math.floor(Math.random() * 2000) + 1000,
-        cumulativeLayoutShift: Math.random() * 0.3,
-      },
-      scores: {
-        performance: Math.floor(Math.random() * 40) + 60,
-        accessibility: Math.floor(Math.random() * 20) + 80,
-        bestPractices: Math.floor(Math.random() * 20) + 75,
-        seo: Math.floor(Math.random() * 20) + 85,
-        overall: Math.floor(Math.random() * 30) + 70,
-      },
-      categories: {
-        performance: Math.floor(Math.random() * 40) + 60,
-        accessibility: Math.floor(Math.random() * 20) + 80,
-        bestPractices: Math.floor(Math.random() * 20) + 75,
-        seo: Math.floor(Math.random() * 20) + 85,
-      },
-    };
-  }
 }
@@ -0,0 +1,200 @@
+// Network Recorder for Chrome Extension
+// Builds per-tab request records from CDP Network events so debugging sees
+// real status codes, failures and timings instead of guesses from the DOM
+
+const MAX_REQUESTS_PER_TAB = 1000;
+const SLOW_REQUEST_MS = 3000;
+
+// Resource types whose MIME type the browser enforces
+const EXPECTED_MIME_TYPES = {
+  Script: /javascript|ecmascript|^application\/json$|^text\/plain$/,
+  Stylesheet: /^text\/css$/,
+  Image: /^image\//,
+  Font: /^font\/|^application\/(font|x-font|vnd\.ms-fontobject)|octet-stream/,
+};
+
+export class NetworkRecorder {
+  constructor() {
+    // tabId -> Map(requestId -> record)
+    this.tabs = new Map();
+  }
+
+  requestsFor(tabId) {
+    if (!this.tabs.has(tabId)) {
+      this.tabs.set(tabId, new Map());
+    }
+    return this.tabs.get(tabId);
+  }
+
+  isRecording(tabId) {
+    return this.tabs.has(tabId);
+  }
+
+  start(tabId) {
+    this.requestsFor(tabId);
+  }
+
+  clear(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  // Feed every debugger event for a tab; non-Network events are ignored
+  handleEvent(tabId, method, params) {
+    if (!method.startsWith("Network.")) return;
+
+    const requests = this.requestsFor(tabId);
+    const record = requests.get(params.requestId);
+
+    switch (method) {
+      case "Network.requestWillBeSent": {
+        // Redirects reuse the requestId; keep the hop that redirected
+        if (record && params.redirectResponse) {
+          this.applyResponse(record, params.redirectResponse);
+          record.finishedAt = params.timestamp;
+          requests.delete(params.requestId);
+          requests.set(`${params.requestId}:${record.redirectCount || 0}`, {
+            ...record,
+            redirectedTo: params.request.url,
+          });
+        }
+
+        requests.set(params.requestId, {
+          requestId: params.requestId,
+          url: params.request.url,
+          method: params.request.method,
+          requestHeaders: params.request.headers,
+          postData: params.request.postData,
+          type: params.type || "Other",
+          initiator: params.initiator?.type,
+          wallTime: params.wallTime,
+          startedAt: params.timestamp,
+          redirectCount: record ? (record.redirectCount || 0) + 1 : 0,
+          status: null,
+          failed: false,
+        });
+        this.trim(requests);
+        break;
+      }
+
+      case "Network.responseReceived":
+        if (record) {
+          record.type = params.type || record.type;
+          this.applyResponse(record, params.response);
+        }
+        break;
+
+      case "Network.loadingFinished":
+        if (record) {
+          record.finishedAt = params.timestamp;
+          record.encodedDataLength = params.encodedDataLength;
+        }
+        break;
+
+      case "Network.loadingFailed":
+        if (record) {
+          record.finishedAt = params.timestamp;
+          record.failed = true;
+          record.canceled = !!params.canceled;
+          record.errorText = params.errorText;
+          record.blockedReason = params.blockedReason || null;
+          record.corsError = params.corsErrorStatus?.corsError || null;
+          record.type = params.type || record.type;
+        }
+        break;
+    }
+  }
+
+  applyResponse(record, response) {
+    record.status = response.status;
+    record.statusText = response.statusText;
+    record.mimeType = response.mimeType;
+    record.responseHeaders = response.headers;
+    record.protocol = response.protocol;
+    record.remoteIPAddress = response.remoteIPAddress;
+    record.fromCache = !!(response.fromDiskCache || response.fromServiceWorker);
+    record.timing = response.timing || null;
+  }
+
+  trim(requests) {
+    while (requests.size > MAX_REQUESTS_PER_TAB) {
+      requests.delete(requests.keys().next().value);
+    }
+  }
+
+  // One request's record, or null when it isn't being captured
+  getRecord(tabId, requestId) {
+    return this.tabs.get(tabId)?.get(requestId) || null;
+  }
+
+  // Attach a response body fetched with Network.getResponseBody
+  setBody(tabId, requestId, body) {
+    const record = this.getRecord(tabId, requestId);
+    if (record) record.body = body;
+  }
+
+  // Full records, oldest first (also what the HAR export builds on)
+  getRequests(tabId) {
+    const requests = this.tabs.get(tabId);
+    if (!requests) return [];
+
+    return [...requests.values()].map((record) => ({
+      ...record,
+      durationMs: durationOf(record),
+      mimeMismatch: isMimeMismatch(record),
+    }));
+  }
+
+  getSummary(tabId) {
+    return {
+      recording: this.isRecording(tabId),
+      ...summarizeRequests(this.getRequests(tabId)),
+    };
+  }
+}
+
+function durationOf(record) {
+  return record.finishedAt !== undefined
+    ? Math.round((record.finishedAt - record.startedAt) * 1000)
+    : null;
+}
+
+export function isMimeMismatch(record) {
+  const expected = EXPECTED_MIME_TYPES[record.type];
+  if (!expected || !record.mimeType || record.status !== 200) return false;
+  return !expected.test(record.mimeType.toLowerCase());
+}
+
+// Compact entry for the debug analysis and the API
+function describeRequest(record) {
+  return {
+    url: record.url,
+    method: record.method,
+    type: record.type,
+    status: record.status,
+    statusText: record.statusText || null,
+    mimeType: record.mimeType || null,
+    errorText: record.errorText || null,
+    blockedReason: record.blockedReason || null,
+    corsError: record.corsError || null,
+    durationMs: record.durationMs,
+  };
+}
+
+// Problem requests from live capture or a loaded HAR file
+export function summarizeRequests(requests) {
+  const failed = requests.filter((r) => r.failed && !r.canceled);
+  const httpErrors = requests.filter((r) => !r.failed && r.status >= 400);
+
+  return {
+    totalRequests: requests.length,
+    failedRequests: failed.map(describeRequest),
+    httpErrors: httpErrors.map(describeRequest),
+    blockedRequests: failed
+      .filter((r) => r.blockedReason || r.corsError)
+      .map(describeRequest),
+    mimeMismatches: requests.filter((r) => r.mimeMismatch).map(describeRequest),
+    slowRequests: requests
+      .filter((r) => r.durationMs !== null && r.durationMs > SLOW_REQUEST_MS)
+      .map(describeRequest),
+  };
+}
@@ -0,0 +1,133 @@
+// Page Q&A retrieval
+// Splits extracted page Markdown into labelled sections and ranks them
+// against a question with BM25, so only the relevant parts of a long page
+// go into the prompt. Runs locally; no embeddings request is made.
+
+import { chunkMarkdown } from "./content-extractor.js";
+import { estimateTokens } from "./token-budget.js";
+
+// Smaller than prompt chunks so a hit doesn't drag in unrelated text
+export const SECTION_TOKENS = 500;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Accents are dropped so "phan tich" matches "phân tích"
+export function tokenize(text) {
+  return (
+    text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/đ/gi, "d")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+const HEADING = /^(#{1,6}) (.+)$/;
+
+// Sections labelled S1, S2, ... in page order. The page is cut at every
+// heading, so each section sits under one heading path ("Install › Linux");
+// long ones are split further.
+export function splitSections(markdown, maxTokens = SECTION_TOKENS) {
+  const sections = [];
+  const stack = [];
+  let heading = null;
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const body = lines.join("\n").trim();
+    lines = [];
+    // A heading directly followed by a subheading has nothing of its own
+    if (!body.includes("\n") && HEADING.test(body)) return;
+
+    for (const text of chunkMarkdown(body, maxTokens)) {
+      sections.push({ id: `S${sections.length + 1}`, heading, text });
+    }
+  };
+
+  for (const line of markdown.split("\n")) {
+    if (line.startsWith("```")) inFence = !inFence;
+    // "# comment" inside a code block is not a heading
+    const match = !inFence && line.match(HEADING);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      stack.length = level - 1;
+      stack[level - 1] = match[2].trim();
+      heading = stack.filter(Boolean).join(" › ");
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return sections;
+}
+
+// BM25 score per section; the heading path counts as part of the section
+export function rankSections(sections, question) {
+  const queryTerms = [...new Set(tokenize(question))];
+  const docs = sections.map((section) =>
+    tokenize(`${section.heading || ""} ${section.text}`)
+  );
+  const averageLength =
+    docs.reduce((sum, terms) => sum + terms.length, 0) / (docs.length || 1);
+
+  const documentFrequency = new Map();
+  for (const terms of docs) {
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return sections
+    .map((section, index) => {
+      const terms = docs[index];
+      const frequency = new Map();
+      for (const term of terms) {
+        frequency.set(term, (frequency.get(term) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = frequency.get(term);
+        if (!tf) continue;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * tf * (K1 + 1)) /
+          (tf + K1 * (1 - B + (B * terms.length) / (averageLength || 1)));
+      }
+      return { ...section, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Best-matching sections that fit in budgetTokens, back in page order.
+// With no match at all the start of the page is used instead.
+export function selectRelevantSections(markdown, question, budgetTokens) {
+  const sections = splitSections(markdown);
+  const ranked = rankSections(sections, question);
+  const candidates = ranked.some((section) => section.score > 0)
+    ? ranked.filter((section) => section.score > 0)
+    : sections.map((section) => ({ ...section, score: 0 }));
+
+  const selected = [];
+  let used = 0;
+  for (const section of candidates) {
+    const tokens = estimateTokens(section.text) + 10;
+    if (used + tokens > budgetTokens) continue;
+    selected.push(section);
+    used += tokens;
+  }
+
+  const order = (section) => Number(section.id.slice(1));
+  return {
+    sections: selected.sort((a, b) => order(a) - order(b)),
+    total: sections.length,
+    matched: ranked.filter((section) => section.score > 0).length,
+    tokens: used,
+  };
+}
@@ -0,0 +1,125 @@
+// Anthropic Messages API
+import { BaseProvider } from "./base-provider.js";
+
+export class AnthropicProvider extends BaseProvider {
+  static defaultBaseUrl = "https://api.anthropic.com/v1";
+  static defaultModel = "claude-3-5-haiku-latest";
+  static apiVersion = "2023-06-01";
+
+  buildHeaders(apiKey) {
+    return {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey,
+      "anthropic-version": AnthropicProvider.apiVersion,
+      // Required for requests that carry a browser Origin header
+      "anthropic-dangerous-direct-browser-access": "true",
+    };
+  }
+
+  // System prompts go in a separate field, and turns must alternate
+  // starting with the user. A history trimmed to start with an answer has
+  // that answer moved into the system prompt rather than a made-up user turn.
+  toAnthropicMessages(messages) {
+    const systemParts = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content);
+
+    const turns = [];
+    messages
+      .filter((m) => m.role !== "system")
+      .forEach((m) => {
+        const last = turns[turns.length - 1];
+        if (last && last.role === m.role) {
+          last.content += `\n\n${m.content}`;
+        } else {
+          turns.push({ role: m.role, content: m.content });
+        }
+      });
+
+    if (turns.length > 0 && turns[0].role !== "user") {
+      systemParts.push(
+        `Your previous reply in this conversation:\n\n${turns.shift().content}`
+      );
+    }
+
+    return { system: systemParts.join("\n\n"), turns };
+  }
+
+  chatRequest(
+    { messages, model, maxTokens, temperature, topP, stream },
+    apiKey
+  ) {
+    const { system, turns } = this.toAnthropicMessages(messages);
+    const body = {
+      model,
+      messages: turns,
+      max_tokens: maxTokens,
+      temperature,
+      stream,
+    };
+    // Newer Claude models reject temperature and top_p together, so a
+    // narrowed top_p replaces temperature
+    if (topP < 1) {
+      body.top_p = topP;
+      delete body.temperature;
+    }
+    if (system) {
+      body.system = system;
+    }
+
+    return this.jsonRequest(`${this.baseUrl}/messages`, apiKey, body);
+  }
+
+  parseChatResponse(data) {
+    const content = (data.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+
+    if (!content && data.stop_reason !== "max_tokens") {
+      throw new Error("No response from the model API");
+    }
+
+    return {
+      content,
+      usage: this.normalizeUsage(
+        data.usage?.input_tokens,
+        data.usage?.output_tokens
+      ),
+    };
+  }
+
+  parseStreamEvent(data, state) {
+    switch (data.type) {
+      case "message_start":
+        // Output tokens arrive later in message_delta
+        state.inputTokens = data.message?.usage?.input_tokens;
+        return { delta: "", usage: null };
+      case "content_block_delta":
+        return {
+          delta: data.delta?.type === "text_delta" ? data.delta.text : "",
+          usage: null,
+        };
+      case "message_delta":
+        return {
+          delta: "",
+          usage: this.normalizeUsage(
+            state.inputTokens,
+            data.usage?.output_tokens
+          ),
+        };
+      case "error":
+        throw new Error(data.error?.message || "Anthropic stream error");
+      default:
+        return { delta: "", usage: null };
+    }
+  }
+
+  modelsRequest(apiKey) {
+    return this.jsonRequest(`${this.baseUrl}/models`, apiKey);
+  }
+
+  parseModels(data) {
+    return (data.data || []).map((model) => model.id);
+  }
+}
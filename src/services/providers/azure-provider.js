@@ -0,0 +1,54 @@
+// Azure OpenAI: same payloads as OpenAI, routed by deployment name
+import { OpenAIProvider } from "./openai-provider.js";
+
+export class AzureOpenAIProvider extends OpenAIProvider {
+  static defaultBaseUrl = "https://YOUR-RESOURCE.openai.azure.com";
+  static defaultModel = "";
+  static defaultApiVersion = "2024-06-01";
+
+  get isOfficialApi() {
+    return false;
+  }
+
+  get deployment() {
+    return this.config.deployment || "";
+  }
+
+  get apiVersion() {
+    return this.config.apiVersion || AzureOpenAIProvider.defaultApiVersion;
+  }
+
+  // The deployment decides the model on Azure
+  get defaultModel() {
+    return this.deployment;
+  }
+
+  buildHeaders(apiKey) {
+    return { "Content-Type": "application/json", "api-key": apiKey };
+  }
+
+  chatRequest(options, apiKey) {
+    if (!this.deployment) {
+      throw new Error("Azure OpenAI deployment name is not configured");
+    }
+
+    const body = this.buildChatBody(options);
+    delete body.model;
+    // Older api-versions reject stream_options
+    delete body.stream_options;
+
+    return this.jsonRequest(
+      `${this.baseUrl}/openai/deployments/${encodeURIComponent(
+        this.deployment
+      )}/chat/completions?api-version=${this.apiVersion}`,
+      apiKey,
+      body
+    );
+  }
+
+  // Listing deployments needs Azure Resource Manager credentials, so only
+  // the configured deployment is offered
+  modelsRequest() {
+    return null;
+  }
+}
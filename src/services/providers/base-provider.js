@@ -0,0 +1,95 @@
+// Base class for LLM provider adapters
+// An adapter maps the extension's OpenAI-style messages to one vendor's
+// HTTP API: auth headers, request body, response shape and model listing.
+
+export class BaseProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.baseUrl = (config.baseUrl || this.constructor.defaultBaseUrl).replace(
+      /\/+$/,
+      ""
+    );
+  }
+
+  get requiresApiKey() {
+    return true;
+  }
+
+  // "sse" for Server-Sent Events, "ndjson" for one JSON object per line
+  get streamFormat() {
+    return "sse";
+  }
+
+  get defaultModel() {
+    return this.constructor.defaultModel;
+  }
+
+  // Context size the provider enforces, or null to use the model's own
+  contextWindow() {
+    return null;
+  }
+
+  buildHeaders() {
+    return { "Content-Type": "application/json" };
+  }
+
+  jsonRequest(url, apiKey, body = null) {
+    const init = {
+      method: body ? "POST" : "GET",
+      headers: this.buildHeaders(apiKey),
+    };
+    if (body) {
+      init.body = JSON.stringify(body);
+    }
+    return { url, init };
+  }
+
+  // Returns { url, init } for a chat completion
+  chatRequest() {
+    throw new Error(`${this.constructor.name} does not implement chatRequest`);
+  }
+
+  // Returns { content, usage } with usage in OpenAI's shape
+  parseChatResponse() {
+    throw new Error(
+      `${this.constructor.name} does not implement parseChatResponse`
+    );
+  }
+
+  // Returns { delta, usage } for one streamed event; state is a scratch
+  // object shared by all events of the same stream
+  parseStreamEvent() {
+    throw new Error(
+      `${this.constructor.name} does not implement parseStreamEvent`
+    );
+  }
+
+  // Returns { url, init }, or null when the API cannot list models
+  modelsRequest() {
+    return null;
+  }
+
+  parseModels() {
+    return [];
+  }
+
+  parseError(errorData, response) {
+    return (
+      errorData?.error?.message ||
+      errorData?.error ||
+      errorData?.message ||
+      `HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+
+  normalizeUsage(promptTokens, completionTokens) {
+    if (promptTokens === undefined && completionTokens === undefined) {
+      return null;
+    }
+    return {
+      prompt_tokens: promptTokens || 0,
+      completion_tokens: completionTokens || 0,
+      total_tokens: (promptTokens || 0) + (completionTokens || 0),
+    };
+  }
+}
@@ -0,0 +1,54 @@
+// Provider registry: maps a stored provider config to its adapter
+import { OpenAIProvider } from "./openai-provider.js";
+import { AzureOpenAIProvider } from "./azure-provider.js";
+import { AnthropicProvider } from "./anthropic-provider.js";
+import { OllamaProvider } from "./ollama-provider.js";
+
+const PROVIDER_CLASSES = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+};
+
+// Descriptions for the provider picker in the popup
+export const PROVIDER_TYPES = [
+  {
+    type: "openai",
+    label: "OpenAI / OpenAI-compatible",
+    baseUrl: OpenAIProvider.defaultBaseUrl,
+    requiresApiKey: true,
+    fields: ["baseUrl"],
+  },
+  {
+    type: "azure",
+    label: "Azure OpenAI",
+    baseUrl: AzureOpenAIProvider.defaultBaseUrl,
+    requiresApiKey: true,
+    fields: ["baseUrl", "deployment", "apiVersion"],
+  },
+  {
+    type: "anthropic",
+    label: "Anthropic",
+    baseUrl: AnthropicProvider.defaultBaseUrl,
+    requiresApiKey: true,
+    fields: ["baseUrl"],
+  },
+  {
+    type: "ollama",
+    label: "Ollama (local)",
+    baseUrl: OllamaProvider.defaultBaseUrl,
+    requiresApiKey: false,
+    fields: ["baseUrl"],
+  },
+];
+
+export const DEFAULT_PROVIDER_CONFIG = { type: "openai" };
+
+export function createProvider(config = DEFAULT_PROVIDER_CONFIG) {
+  const ProviderClass = PROVIDER_CLASSES[config.type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${config.type}`);
+  }
+  return new ProviderClass(config);
+}
@@ -0,0 +1,79 @@
+// Local Ollama server (native /api endpoints)
+import { BaseProvider } from "./base-provider.js";
+
+export class OllamaProvider extends BaseProvider {
+  static defaultBaseUrl = "http://localhost:11434";
+  static defaultModel = "llama3.1";
+
+  get requiresApiKey() {
+    return false;
+  }
+
+  get streamFormat() {
+    return "ndjson";
+  }
+
+  // Ollama silently truncates prompts past num_ctx (2048 by default), so
+  // request a known size and budget for exactly that
+  contextWindow() {
+    return this.config.numCtx || 8192;
+  }
+
+  buildHeaders(apiKey) {
+    const headers = super.buildHeaders();
+    // Only needed when Ollama sits behind an authenticating proxy
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  chatRequest(
+    { messages, model, maxTokens, temperature, topP, stream },
+    apiKey
+  ) {
+    return this.jsonRequest(`${this.baseUrl}/api/chat`, apiKey, {
+      model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        top_p: topP,
+        num_predict: maxTokens,
+        num_ctx: this.contextWindow(),
+      },
+    });
+  }
+
+  parseChatResponse(data) {
+    if (!data.message) {
+      throw new Error("No response from the model API");
+    }
+
+    return {
+      content: data.message.content,
+      usage: this.normalizeUsage(data.prompt_eval_count, data.eval_count),
+    };
+  }
+
+  parseStreamEvent(data) {
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    return {
+      delta: data.message?.content || "",
+      usage: data.done
+        ? this.normalizeUsage(data.prompt_eval_count, data.eval_count)
+        : null,
+    };
+  }
+
+  modelsRequest(apiKey) {
+    return this.jsonRequest(`${this.baseUrl}/api/tags`, apiKey);
+  }
+
+  parseModels(data) {
+    return (data.models || []).map((model) => model.name);
+  }
+}
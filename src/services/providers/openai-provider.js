@@ -0,0 +1,79 @@
+// OpenAI and OpenAI-compatible gateways (LiteLLM, vLLM, OpenRouter, ...)
+import { BaseProvider } from "./base-provider.js";
+
+export class OpenAIProvider extends BaseProvider {
+  static defaultBaseUrl = "https://api.openai.com/v1";
+  static defaultModel = "gpt-3.5-turbo";
+
+  get isOfficialApi() {
+    return this.baseUrl === OpenAIProvider.defaultBaseUrl;
+  }
+
+  buildHeaders(apiKey) {
+    const headers = super.buildHeaders();
+    // Self-hosted gateways often run without auth
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  buildChatBody({ messages, model, maxTokens, temperature, topP, stream }) {
+    const body = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream,
+    };
+    // 1 is the API default; leaving it out keeps requests unchanged
+    if (topP < 1) {
+      body.top_p = topP;
+    }
+
+    // Ask for token usage in the final chunk of a streamed response
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  chatRequest(options, apiKey) {
+    return this.jsonRequest(
+      `${this.baseUrl}/chat/completions`,
+      apiKey,
+      this.buildChatBody(options)
+    );
+  }
+
+  parseChatResponse(data) {
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error("No response from the model API");
+    }
+
+    return {
+      content: data.choices[0].message.content,
+      usage: data.usage || null,
+    };
+  }
+
+  parseStreamEvent(data) {
+    return {
+      delta: data.choices?.[0]?.delta?.content || "",
+      usage: data.usage || null,
+    };
+  }
+
+  modelsRequest(apiKey) {
+    return this.jsonRequest(`${this.baseUrl}/models`, apiKey);
+  }
+
+  parseModels(data) {
+    const ids = (data.data || []).map((model) => model.id);
+    // The official API also lists embedding, audio and image models
+    return this.isOfficialApi
+      ? ids.filter((id) => /^(gpt|o\d|chatgpt)/.test(id))
+      : ids;
+  }
+}
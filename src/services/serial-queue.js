@@ -0,0 +1,13 @@
+// Serial queue for read-modify-write sequences on chrome.storage
+// Tasks run one at a time in the order they were queued, so two writers
+// never read the same state and overwrite each other's changes. A failed
+// task rejects its own promise without stopping the tasks after it.
+
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(() => task());
+    tail = run.catch(() => {});
+    return run;
+  };
+}
@@ -0,0 +1,56 @@
+// Tab resolution shared by every message that works on a web page
+// Messages may name a tab explicitly (tabId); otherwise the most recently
+// active web page is used, which is a guess when several windows are open.
+
+const NON_WEB_PREFIXES = [
+  "chrome-extension://",
+  "chrome://",
+  "moz-extension://",
+];
+
+export function isWebTab(tab) {
+  return (
+    !!tab &&
+    !!tab.url &&
+    !NON_WEB_PREFIXES.some((prefix) => tab.url.startsWith(prefix))
+  );
+}
+
+// Web pages across all windows, most recently accessed first
+export async function listWebTabs() {
+  const tabs = await chrome.tabs.query({});
+  return tabs
+    .filter(isWebTab)
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+}
+
+// Summary for tab pickers
+export function describeTab(tab) {
+  return {
+    id: tab.id,
+    windowId: tab.windowId,
+    title: tab.title,
+    url: tab.url,
+    active: tab.active,
+    favIconUrl: tab.favIconUrl || null,
+  };
+}
+
+// The explicit tab when tabId is given (an error if it is gone or not a web
+// page), else the active web tab, else the most recently accessed one.
+// Resolves to null when no web page is open at all.
+export async function resolveTab(tabId) {
+  if (tabId !== undefined && tabId !== null && tabId !== "") {
+    const tab = await chrome.tabs.get(Number(tabId)).catch(() => null);
+    if (!tab) {
+      throw new Error(`Tab ${tabId} is no longer open`);
+    }
+    if (!isWebTab(tab)) {
+      throw new Error(`Tab ${tabId} is not a web page`);
+    }
+    return tab;
+  }
+
+  const webTabs = await listWebTabs();
+  return webTabs.find((tab) => tab.active) || webTabs[0] || null;
+}
@@ -0,0 +1,60 @@
+// Token estimation and model context sizes
+// Estimates are heuristic (no tokenizer ships with the extension) and err
+// on the high side so requests stay inside the real limit.
+
+// First match wins, so more specific patterns come first
+const CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-4o|^chatgpt-4o|^gpt-4-turbo|^gpt-4-\d{4}-preview/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo-instruct/, 4096],
+  [/^gpt-3\.5/, 16385],
+  [/^o\d/, 200000],
+  [/^claude/, 200000],
+  [/^llama3\.[1-3]|^llama-3\.[1-3]/, 128000],
+  [/^llama3|^llama-3/, 8192],
+  [/^mistral|^mixtral|^qwen/, 32768],
+  [/^gemma/, 8192],
+];
+
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Per-message overhead for role and separators in chat formats
+const MESSAGE_OVERHEAD = 4;
+const REPLY_PRIMING = 3;
+
+export function getContextWindow(model = "") {
+  const name = model.toLowerCase().replace(/^.*\//, "");
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// ~4 characters per token for ASCII text; accented and non-Latin
+// characters (Vietnamese, CJK) split into far more tokens
+export function estimateTokens(text = "") {
+  if (!text) return 0;
+
+  let ascii = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      ascii++;
+    } else {
+      other++;
+    }
+  }
+
+  return Math.ceil(ascii / 4 + other / 1.5);
+}
+
+export function estimateMessageTokens(message) {
+  return MESSAGE_OVERHEAD + estimateTokens(message.content);
+}
+
+export function estimateMessagesTokens(messages) {
+  return (
+    messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0) +
+    REPLY_PRIMING
+  );
+}
@@ -0,0 +1,279 @@
+// Usage and cost tracking
+// Every model request is logged with its token counts and a cost estimated
+// from an editable price table. Totals are grouped per day, conversation,
+// feature and model; a daily or monthly spending cap warns first and then
+// blocks new requests.
+
+import { createSerialQueue } from "./serial-queue.js";
+
+const LOG_KEY = "usage_log";
+const PRICES_KEY = "usage_prices";
+const BUDGET_KEY = "usage_budget";
+const MAX_RECORDS = 5000;
+
+// What a request was for: chat messages, page analysis and Q&A, debug
+// analysis, history summaries, and everything else (key tests, ...)
+export const USAGE_FEATURES = ["chat", "page", "debug", "summary", "other"];
+
+// USD per 1M tokens, keyed by model id prefix; the longest matching prefix
+// wins, so "gpt-4o-mini-2024-07-18" is priced as gpt-4o-mini
+export const DEFAULT_PRICES = {
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  o1: { input: 15, output: 60 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-opus": { input: 15, output: 75 },
+  "claude-opus-4": { input: 15, output: 75 },
+};
+
+// No cap until one is set; warnAt is a percentage of the limit
+export const DEFAULT_USAGE_BUDGET = {
+  period: "month",
+  limit: null,
+  warnAt: 80,
+};
+
+const emptyTotals = () => ({
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  cost: 0,
+  // Requests whose model has no price, so cost is a lower bound
+  unpriced: 0,
+});
+
+function addTo(totals, record) {
+  totals.requests++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  if (record.cost === null) {
+    totals.unpriced++;
+  } else {
+    totals.cost += record.cost;
+  }
+  return totals;
+}
+
+// Local calendar day, e.g. "2026-10-19"
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function periodStart(period, now = Date.now()) {
+  const date = new Date(now);
+  if (period === "month") date.setDate(1);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+export class UsageTracker {
+  constructor() {
+    // Concurrent requests append to the same log
+    this.enqueue = createSerialQueue();
+  }
+
+  async getRecords() {
+    const result = await chrome.storage.local.get([LOG_KEY]);
+    return result[LOG_KEY] || [];
+  }
+
+  async getPrices() {
+    const result = await chrome.storage.local.get([PRICES_KEY]);
+    return result[PRICES_KEY] || DEFAULT_PRICES;
+  }
+
+  // Replaces the whole table; null goes back to the defaults. Logged costs
+  // keep the price that applied when the request was made.
+  async setPrices(prices) {
+    if (!prices) {
+      await chrome.storage.local.remove(PRICES_KEY);
+      return DEFAULT_PRICES;
+    }
+
+    const table = {};
+    for (const [model, price] of Object.entries(prices)) {
+      const input = Number(price.input);
+      const output = Number(price.output);
+      if (!model.trim() || !(input >= 0) || !(output >= 0)) {
+        throw new Error(`Invalid price for "${model}"`);
+      }
+      table[model.trim().toLowerCase()] = { input, output };
+    }
+    await chrome.storage.local.set({ [PRICES_KEY]: table });
+    return table;
+  }
+
+  // null when the model has no price; local models are free
+  priceFor(model, provider, prices) {
+    if (provider === "ollama") return { input: 0, output: 0 };
+
+    const name = (model || "").toLowerCase().replace(/^.*\//, "");
+    const match = Object.keys(prices)
+      .filter((prefix) => name.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? prices[match] : null;
+  }
+
+  async getBudget() {
+    const result = await chrome.storage.local.get([BUDGET_KEY]);
+    return { ...DEFAULT_USAGE_BUDGET, ...result[BUDGET_KEY] };
+  }
+
+  async setBudget(budget) {
+    const limit = [null, undefined, ""].includes(budget.limit)
+      ? null
+      : Number(budget.limit);
+    if (limit !== null && !(limit > 0)) {
+      throw new Error("Spending cap must be a positive amount");
+    }
+
+    const next = {
+      period: budget.period === "day" ? "day" : "month",
+      limit,
+      warnAt: Math.min(100, Math.max(1, Number(budget.warnAt) || 80)),
+    };
+    await chrome.storage.local.set({ [BUDGET_KEY]: next });
+    return next;
+  }
+
+  // "ok", "warning" once warnAt% of the cap is spent, "blocked" at the cap
+  async getBudgetStatus(records = null) {
+    const budget = await this.getBudget();
+    const since = periodStart(budget.period);
+    const spent = (records || (await this.getRecords()))
+      .filter((record) => record.timestamp >= since)
+      .reduce((sum, record) => sum + (record.cost || 0), 0);
+
+    if (!budget.limit) {
+      return { ...budget, spent, percent: null, state: "ok" };
+    }
+
+    const percent = Math.round((spent / budget.limit) * 100);
+    let state = "ok";
+    if (spent >= budget.limit) {
+      state = "blocked";
+    } else if (percent >= budget.warnAt) {
+      state = "warning";
+    }
+    return { ...budget, spent, percent, state };
+  }
+
+  async assertWithinBudget() {
+    const status = await this.getBudgetStatus();
+    if (status.state === "blocked") {
+      const period = status.period === "day" ? "today" : "this month";
+      throw new Error(
+        `Spending cap reached: $${status.spent.toFixed(2)} of ` +
+          `$${status.limit.toFixed(2)} ${period}. Raise or remove the cap ` +
+          "on the Usage page to continue."
+      );
+    }
+    return status;
+  }
+
+  // Log one finished request; returns the record and the budget after it
+  async record({
+    conversationId = null,
+    feature = "other",
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    estimated = false,
+  }) {
+    const price = this.priceFor(model, provider, await this.getPrices());
+    const record = {
+      timestamp: Date.now(),
+      conversationId,
+      feature: USAGE_FEATURES.includes(feature) ? feature : "other",
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      cost: price
+        ? (promptTokens * price.input + completionTokens * price.output) / 1e6
+        : null,
+      estimated,
+    };
+
+    const records = await this.enqueue(async () => {
+      const log = await this.getRecords();
+      log.push(record);
+      const trimmed = log.slice(-MAX_RECORDS);
+      await chrome.storage.local.set({ [LOG_KEY]: trimmed });
+      return trimmed;
+    });
+
+    return { ...record, budget: await this.getBudgetStatus(records) };
+  }
+
+  // Totals for the dashboard; with a conversationId also that conversation's
+  async getSummary({ conversationId = null, days = 30 } = {}) {
+    const records = await this.getRecords();
+    const now = Date.now();
+    const today = periodStart("day", now);
+    const month = periodStart("month", now);
+    const firstDay = today - (days - 1) * 24 * 60 * 60 * 1000;
+
+    const totals = { today: emptyTotals(), month: emptyTotals() };
+    const perDay = new Map();
+    const perFeature = {};
+    const perConversation = new Map();
+    const perModel = new Map();
+    const group = (map, key) => {
+      if (!map.has(key)) map.set(key, emptyTotals());
+      return map.get(key);
+    };
+
+    for (const record of records) {
+      if (record.timestamp >= today) addTo(totals.today, record);
+      if (record.timestamp >= month) addTo(totals.month, record);
+      if (record.timestamp >= firstDay) {
+        addTo(group(perDay, dayKey(record.timestamp)), record);
+      }
+      perFeature[record.feature] ??= emptyTotals();
+      addTo(perFeature[record.feature], record);
+      if (record.conversationId) {
+        addTo(group(perConversation, record.conversationId), record);
+      }
+      addTo(group(perModel, record.model || "unknown"), record);
+    }
+
+    const rows = (map, key) =>
+      [...map.entries()]
+        .map(([id, value]) => ({ [key]: id, ...value }))
+        .sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+
+    return {
+      ...totals,
+      days: rows(perDay, "date").sort((a, b) => a.date.localeCompare(b.date)),
+      features: perFeature,
+      conversations: rows(perConversation, "conversationId"),
+      models: rows(perModel, "model"),
+      conversation: conversationId
+        ? perConversation.get(conversationId) || emptyTotals()
+        : null,
+      budget: await this.getBudgetStatus(records),
+      recordCount: records.length,
+      since: records[0]?.timestamp || null,
+    };
+  }
+
+  async clear() {
+    return this.enqueue(() => chrome.storage.local.remove(LOG_KEY));
+  }
+}
@@ -0,0 +1,210 @@
+// Web Vitals collection for Lighthouse audits
+// installWebVitalsObservers is injected with
+// Page.addScriptToEvaluateOnNewDocument so the observers exist before the
+// page's first paint. It runs inside the audited page and must stay
+// self-contained.
+
+export const WEB_VITALS_GLOBAL = "__gptWebVitals";
+
+export function installWebVitalsObservers(globalName) {
+  if (window[globalName]) return;
+
+  const MAX_SHIFT_SOURCES = 10;
+
+  const cssPath = (el) => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const classes = Array.from(node.classList).slice(0, 2);
+      if (classes.length) {
+        part += classes.map((c) => `.${CSS.escape(c)}`).join("");
+      }
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(" > ");
+  };
+
+  const describe = (node) => {
+    if (!node || node.nodeType !== 1) return null;
+    return {
+      selector: cssPath(node),
+      snippet: node.outerHTML.replace(/\s+/g, " ").slice(0, 160),
+    };
+  };
+
+  const state = {
+    firstPaint: null,
+    firstContentfulPaint: null,
+    lcp: null,
+    // CLS session windows: shifts less than 1s apart, capped at 5s each
+    shiftWindows: [],
+    longTasks: [],
+    interactions: new Map(),
+  };
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      const observer = new PerformanceObserver((list) =>
+        list.getEntries().forEach(callback)
+      );
+      observer.observe({ type, buffered: true, ...options });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe("paint", (entry) => {
+    if (entry.name === "first-paint") state.firstPaint = entry.startTime;
+    if (entry.name === "first-contentful-paint") {
+      state.firstContentfulPaint = entry.startTime;
+    }
+  });
+
+  // The latest candidate is the LCP; describe the element while it's attached
+  observe("largest-contentful-paint", (entry) => {
+    state.lcp = {
+      value: entry.startTime,
+      size: entry.size,
+      url: entry.url || null,
+      element: describe(entry.element),
+    };
+  });
+
+  observe("layout-shift", (entry) => {
+    if (entry.hadRecentInput) return;
+
+    const current = state.shiftWindows[state.shiftWindows.length - 1];
+    const shift = {
+      value: entry.value,
+      startTime: entry.startTime,
+      sources: (entry.sources || [])
+        .map((source) => describe(source.node))
+        .filter(Boolean),
+    };
+
+    if (
+      current &&
+      entry.startTime - current.lastTime < 1000 &&
+      entry.startTime - current.startTime < 5000
+    ) {
+      current.value += entry.value;
+      current.lastTime = entry.startTime;
+      current.shifts.push(shift);
+    } else {
+      state.shiftWindows.push({
+        value: entry.value,
+        startTime: entry.startTime,
+        lastTime: entry.startTime,
+        shifts: [shift],
+      });
+    }
+  });
+
+  observe("longtask", (entry) => {
+    state.longTasks.push({
+      startTime: entry.startTime,
+      duration: entry.duration,
+    });
+  });
+
+  // INP: longest interaction, grouped by interactionId
+  const recordInteraction = (entry) => {
+    if (!entry.interactionId) return;
+    const previous = state.interactions.get(entry.interactionId) || 0;
+    state.interactions.set(
+      entry.interactionId,
+      Math.max(previous, entry.duration)
+    );
+  };
+  observe("event", recordInteraction, { durationThreshold: 16 });
+  observe("first-input", recordInteraction);
+
+  window[globalName] = {
+    snapshot() {
+      const navigation = performance.getEntriesByType("navigation")[0];
+
+      // CLS is the worst session window, not the sum of all shifts
+      const worstWindow = state.shiftWindows.reduce(
+        (worst, current) =>
+          !worst || current.value > worst.value ? current : worst,
+        null
+      );
+
+      // TBT: blocking part (over 50ms) of long tasks after FCP
+      const fcp = state.firstContentfulPaint;
+      const totalBlockingTime =
+        fcp === null
+          ? null
+          : state.longTasks
+              .filter((task) => task.startTime >= fcp)
+              .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+      // INP ignores one outlier per 50 interactions
+      const durations = [...state.interactions.values()].sort(
+        (a, b) => b - a
+      );
+      const interactionToNextPaint = durations.length
+        ? durations[
+            Math.min(durations.length - 1, Math.floor(durations.length / 50))
+          ]
+        : null;
+
+      const sinceActivation = (value) =>
+        navigation && value > 0
+          ? Math.max(0, value - (navigation.activationStart || 0))
+          : null;
+
+      return {
+        url: location.href,
+        title: document.title,
+        timestamp: Date.now(),
+        timeToFirstByte: navigation
+          ? sinceActivation(navigation.responseStart)
+          : null,
+        firstPaint: state.firstPaint,
+        firstContentfulPaint: state.firstContentfulPaint,
+        largestContentfulPaint: state.lcp ? state.lcp.value : null,
+        // Observers run from document start, so no shifts really means 0
+        cumulativeLayoutShift: worstWindow ? worstWindow.value : 0,
+        totalBlockingTime: totalBlockingTime,
+        interactionToNextPaint: interactionToNextPaint,
+        domContentLoaded: navigation
+          ? sinceActivation(navigation.domContentLoadedEventEnd)
+          : null,
+        loadTime: navigation ? sinceActivation(navigation.loadEventEnd) : null,
+        lcpElement: state.lcp
+          ? { ...state.lcp.element, url: state.lcp.url, size: state.lcp.size }
+          : null,
+        layoutShifts: worstWindow
+          ? worstWindow.shifts
+              .sort((a, b) => b.value - a.value)
+              .slice(0, MAX_SHIFT_SOURCES)
+          : [],
+      };
+    },
+  };
+}
+
+// CDP Performance.getMetrics reports durations in seconds
+export function summarizeRuntimeMetrics(performanceMetrics) {
+  const values = Object.fromEntries(
+    (performanceMetrics?.metrics || []).map(({ name, value }) => [name, value])
+  );
+  const ms = (value) => (value === undefined ? null : Math.round(value * 1000));
+
+  return {
+    taskDuration: ms(values.TaskDuration),
+    scriptDuration: ms(values.ScriptDuration),
+    layoutDuration: ms(values.LayoutDuration),
+    styleRecalcDuration: ms(values.RecalcStyleDuration),
+    layoutCount: values.LayoutCount ?? null,
+    domNodes: values.Nodes ?? null,
+    jsHeapUsedSize: values.JSHeapUsedSize ?? null,
+  };
+}
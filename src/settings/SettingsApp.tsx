@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from "react";
+
+// Mirrors DEFAULT_SETTINGS in services/gpt-service.js, plus the model
+interface GPTSettings {
+  model: string;
+  maxTokens: number;
+  temperature: number;
+  topP: number;
+  responseLanguage: string;
+  systemPrompt: string;
+  // Seconds, and retries for rate limits, server and network errors
+  requestTimeout: number;
+  maxRetries: number;
+}
+
+type Generation = Omit<GPTSettings, "model">;
+
+const LANGUAGES = [
+  "Vietnamese",
+  "English",
+  "Japanese",
+  "Korean",
+  "Chinese",
+  "French",
+  "German",
+  "Spanish",
+];
+
+const SettingsApp: React.FC = () => {
+  const [settings, setSettings] = useState<GPTSettings | null>(null);
+  const [defaults, setDefaults] = useState<Generation | null>(null);
+  const [provider, setProvider] = useState<string>("");
+  const [models, setModels] = useState<string[]>([]);
+  const [modelsError, setModelsError] = useState<string>("");
+  const [isLoadingModels, setIsLoadingModels] = useState<boolean>(false);
+  const [message, setMessage] = useState<string>("");
+
+  useEffect(() => {
+    loadSettings();
+    loadModels();
+  }, []);
+
+  const loadSettings = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_GPT_SETTINGS",
+      });
+      if (response && response.success) {
+        setSettings(response.data.settings);
+        setDefaults(response.data.defaults);
+        setProvider(response.data.settings.provider);
+      }
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+    }
+  };
+
+  // Listed live by the provider, so it needs a working key
+  const loadModels = async (): Promise<void> => {
+    setIsLoadingModels(true);
+    setModelsError("");
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "LIST_MODELS",
+      });
+      if (response && response.success) {
+        setModels(response.data.models);
+      } else {
+        setModelsError(response?.error || "Không tải được danh sách model");
+      }
+    } catch (error) {
+      console.error("Failed to list models:", error);
+      setModelsError(String(error));
+    } finally {
+      setIsLoadingModels(false);
+    }
+  };
+
+  const update = (changes: Partial<GPTSettings>) => {
+    setSettings((current) => (current ? { ...current, ...changes } : current));
+  };
+
+  const saveSettings = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_GPT_SETTINGS",
+        data: settings,
+      });
+      if (response && response.success) {
+        setSettings(response.data);
+        setMessage("✅ Đã lưu cài đặt");
+        setTimeout(() => setMessage(""), 3000);
+      } else {
+        setMessage(`❌ ${response?.error || "Không lưu được cài đặt"}`);
+      }
+    } catch (error) {
+      console.error("Failed to save settings:", error);
+      setMessage("❌ Không lưu được cài đặt");
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <header className="bg-gradient-to-r from-indigo-600 via-purple-600 to-blue-600 text-white shadow-xl p-4">
+        <h1 className="text-xl font-bold text-shadow">⚙️ GPT Settings</h1>
+        <p className="text-sm text-white/80">
+          Cài đặt mặc định cho mọi cuộc trò chuyện. Ghi đè cho từng cuộc trò
+          chuyện bằng <code>/settings</code> trong GPT Chat.
+        </p>
+      </header>
+
+      <main className="max-w-3xl mx-auto p-4 space-y-4">
+        <section className="card space-y-3">
+          <h2 className="text-base font-semibold text-gray-900">Model</h2>
+          <div className="flex gap-2">
+            <input
+              list="model-options"
+              className="input-field flex-1"
+              value={settings.model}
+              onChange={(e) => update({ model: e.target.value })}
+            />
+            <datalist id="model-options">
+              {models.map((model) => (
+                <option key={model} value={model} />
+              ))}
+            </datalist>
+            <button
+              className="btn-secondary text-sm"
+              onClick={loadModels}
+              disabled={isLoadingModels}
+            >
+              {isLoadingModels ? "Đang tải..." : "🔄 Tải lại"}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Provider: {provider}
+            {models.length > 0 && ` · ${models.length} model khả dụng`}
+          </p>
+          {modelsError && (
+            <p className="text-xs text-red-600">
+              Không tải được danh sách model: {modelsError}
+            </p>
+          )}
+        </section>
+
+        <section className="card space-y-4">
+          <h2 className="text-base font-semibold text-gray-900">Generation</h2>
+          <label className="block text-sm text-gray-700">
+            Temperature: <strong>{settings.temperature}</strong>
+            <input
+              type="range"
+              min={0}
+              max={2}
+              step={0.1}
+              className="w-full mt-1"
+              value={settings.temperature}
+              onChange={(e) => update({ temperature: Number(e.target.value) })}
+            />
+            <span className="text-xs text-gray-500">
+              Thấp = ổn định, cao = sáng tạo hơn
+            </span>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Top P: <strong>{settings.topP}</strong>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              className="w-full mt-1"
+              value={settings.topP}
+              onChange={(e) => update({ topP: Number(e.target.value) })}
+            />
+            <span className="text-xs text-gray-500">
+              1 = không giới hạn. Thường chỉ chỉnh temperature hoặc top P
+            </span>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Max tokens (độ dài câu trả lời)
+            <input
+              type="number"
+              min={1}
+              className="input-field mt-1"
+              value={settings.maxTokens}
+              onChange={(e) => update({ maxTokens: Number(e.target.value) })}
+            />
+          </label>
+        </section>
+
+        <section className="card space-y-4">
+          <h2 className="text-base font-semibold text-gray-900">Trả lời</h2>
+          <label className="block text-sm text-gray-700">
+            Ngôn ngữ trả lời
+            <input
+              list="language-options"
+              className="input-field mt-1"
+              value={settings.responseLanguage}
+              onChange={(e) => update({ responseLanguage: e.target.value })}
+            />
+            <datalist id="language-options">
+              {LANGUAGES.map((language) => (
+                <option key={language} value={language} />
+              ))}
+            </datalist>
+          </label>
+          <label className="block text-sm text-gray-700">
+            System prompt mặc định
+            <textarea
+              rows={5}
+              className="input-field mt-1"
+              placeholder="Ví dụ: Trả lời ngắn gọn, dùng bullet points."
+              value={settings.systemPrompt}
+              onChange={(e) => update({ systemPrompt: e.target.value })}
+            />
+            <span className="text-xs text-gray-500">
+              Được thêm vào mọi yêu cầu, kể cả khi không có nội dung trang
+            </span>
+          </label>
+        </section>
+
+        <section className="card space-y-4">
+          <h2 className="text-base font-semibold text-gray-900">Kết nối</h2>
+          <label className="block text-sm text-gray-700">
+            Timeout (giây)
+            <input
+              type="number"
+              min={5}
+              max={600}
+              className="input-field mt-1"
+              value={settings.requestTimeout}
+              onChange={(e) =>
+                update({ requestTimeout: Number(e.target.value) })
+              }
+            />
+            <span className="text-xs text-gray-500">
+              Thời gian chờ tối đa cho tới khi câu trả lời bắt đầu
+            </span>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Số lần thử lại
+            <input
+              type="number"
+              min={0}
+              max={5}
+              className="input-field mt-1"
+              value={settings.maxRetries}
+              onChange={(e) => update({ maxRetries: Number(e.target.value) })}
+            />
+            <span className="text-xs text-gray-500">
+              Khi bị rate limit, provider quá tải, lỗi mạng hoặc hết thời gian
+              chờ; có chờ tăng dần giữa các lần và tôn trọng Retry-After
+            </span>
+          </label>
+        </section>
+
+        <div className="flex items-center gap-3">
+          <button className="btn-primary text-sm" onClick={saveSettings}>
+            Lưu cài đặt
+          </button>
+          <button
+            className="btn-secondary text-sm"
+            onClick={() => defaults && update(defaults)}
+          >
+            Khôi phục mặc định
+          </button>
+          {message && <span className="text-sm text-gray-600">{message}</span>}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default SettingsApp;
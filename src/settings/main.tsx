@@ -0,0 +1,10 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import SettingsApp from "./SettingsApp.tsx";
+import "../styles/globals.css";
+
+ReactDOM.createRoot(document.getElementById("root")!).render(
+  <React.StrictMode>
+    <SettingsApp />
+  </React.StrictMode>
+);
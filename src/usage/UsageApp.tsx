@@ -0,0 +1,547 @@
+import React, { useState, useEffect } from "react";
+
+// Mirrors the summary built by services/usage-tracker.js
+interface UsageTotals {
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  cost: number;
+  unpriced: number;
+}
+
+interface Budget {
+  period: "day" | "month";
+  limit: number | null;
+  warnAt: number;
+}
+
+interface BudgetStatus extends Budget {
+  spent: number;
+  percent: number | null;
+  state: "ok" | "warning" | "blocked";
+}
+
+interface UsageSummary {
+  today: UsageTotals;
+  month: UsageTotals;
+  days: (UsageTotals & { date: string })[];
+  features: Record<string, UsageTotals>;
+  conversations: (UsageTotals & { conversationId: string })[];
+  models: (UsageTotals & { model: string })[];
+  budget: BudgetStatus;
+  recordCount: number;
+  since: number | null;
+}
+
+interface Price {
+  input: number;
+  output: number;
+}
+
+// Editable rows; values stay strings until saved
+interface PriceRow {
+  model: string;
+  input: string;
+  output: string;
+}
+
+interface ThreadSummary {
+  id: string;
+  title: string;
+}
+
+const FEATURE_LABELS: Record<string, string> = {
+  chat: "💬 Chat",
+  page: "📄 Phân tích trang",
+  debug: "🐛 Debug",
+  summary: "🗜️ Tóm tắt lịch sử",
+  other: "🔧 Khác",
+};
+
+const BUDGET_COLORS: Record<BudgetStatus["state"], string> = {
+  ok: "bg-green-500",
+  warning: "bg-amber-500",
+  blocked: "bg-red-500",
+};
+
+const formatCost = (cost: number) =>
+  `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
+const formatTokens = (count: number) =>
+  count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+
+const toRows = (prices: Record<string, Price>): PriceRow[] =>
+  Object.entries(prices).map(([model, price]) => ({
+    model,
+    input: String(price.input),
+    output: String(price.output),
+  }));
+
+const TotalsCard: React.FC<{ title: string; totals: UsageTotals }> = ({
+  title,
+  totals,
+}) => (
+  <div className="card">
+    <p className="text-sm text-gray-500">{title}</p>
+    <p className="text-2xl font-bold text-gray-900">
+      {formatCost(totals.cost)}
+    </p>
+    <p className="text-xs text-gray-500">
+      {totals.requests} requests · {formatTokens(totals.promptTokens)} →{" "}
+      {formatTokens(totals.completionTokens)} tokens
+    </p>
+    {totals.unpriced > 0 && (
+      <p className="text-xs text-amber-600">
+        {totals.unpriced} request chưa có giá trong bảng giá
+      </p>
+    )}
+  </div>
+);
+
+const TotalsTable: React.FC<{
+  label: string;
+  rows: { key: string; name: string; totals: UsageTotals }[];
+}> = ({ label, rows }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-left text-gray-500 border-b">
+        <th className="py-1">{label}</th>
+        <th className="py-1 text-right">Requests</th>
+        <th className="py-1 text-right">Prompt</th>
+        <th className="py-1 text-right">Completion</th>
+        <th className="py-1 text-right">Chi phí</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(({ key, name, totals }) => (
+        <tr key={key} className="border-b last:border-0">
+          <td className="py-1 pr-2 truncate max-w-xs" title={name}>
+            {name}
+          </td>
+          <td className="py-1 text-right">{totals.requests}</td>
+          <td className="py-1 text-right">
+            {formatTokens(totals.promptTokens)}
+          </td>
+          <td className="py-1 text-right">
+            {formatTokens(totals.completionTokens)}
+          </td>
+          <td className="py-1 text-right">
+            {formatCost(totals.cost)}
+            {totals.unpriced > 0 && " *"}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const UsageApp: React.FC = () => {
+  const [summary, setSummary] = useState<UsageSummary | null>(null);
+  const [titles, setTitles] = useState<Record<string, string>>({});
+  const [budget, setBudget] = useState<Budget | null>(null);
+  const [limitInput, setLimitInput] = useState<string>("");
+  const [priceRows, setPriceRows] = useState<PriceRow[]>([]);
+  const [message, setMessage] = useState<string>("");
+
+  useEffect(() => {
+    loadSummary();
+    loadUsageSettings();
+  }, []);
+
+  const showMessage = (text: string) => {
+    setMessage(text);
+    setTimeout(() => setMessage(""), 3000);
+  };
+
+  const loadSummary = async (): Promise<void> => {
+    try {
+      const [usage, conversations] = await Promise.all([
+        chrome.runtime.sendMessage({ type: "GET_USAGE_SUMMARY" }),
+        chrome.runtime.sendMessage({ type: "LIST_CONVERSATIONS" }),
+      ]);
+      if (usage && usage.success) {
+        setSummary(usage.data);
+      }
+      if (conversations && conversations.success) {
+        const threads: ThreadSummary[] = conversations.data.threads;
+        setTitles(
+          Object.fromEntries(threads.map((thread) => [thread.id, thread.title]))
+        );
+      }
+    } catch (error) {
+      console.error("Failed to load usage:", error);
+    }
+  };
+
+  const loadUsageSettings = async (): Promise<void> => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_USAGE_SETTINGS",
+      });
+      if (response && response.success) {
+        setBudget(response.data.budget);
+        setLimitInput(
+          response.data.budget.limit ? String(response.data.budget.limit) : ""
+        );
+        setPriceRows(toRows(response.data.prices));
+      }
+    } catch (error) {
+      console.error("Failed to load usage settings:", error);
+    }
+  };
+
+  const saveBudget = async (): Promise<void> => {
+    if (!budget) return;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_USAGE_BUDGET",
+        data: { ...budget, limit: limitInput.trim() || null },
+      });
+      if (response && response.success) {
+        setBudget(response.data);
+        showMessage("✅ Đã lưu giới hạn chi tiêu");
+        await loadSummary();
+      } else {
+        showMessage(`❌ ${response?.error || "Không lưu được giới hạn"}`);
+      }
+    } catch (error) {
+      console.error("Failed to save budget:", error);
+      showMessage("❌ Không lưu được giới hạn");
+    }
+  };
+
+  // null restores the built-in price table
+  const savePrices = async (rows: PriceRow[] | null): Promise<void> => {
+    const prices = rows
+      ? Object.fromEntries(
+          rows
+            .filter((row) => row.model.trim())
+            .map((row) => [row.model, { input: row.input, output: row.output }])
+        )
+      : null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_USAGE_PRICES",
+        data: { prices },
+      });
+      if (response && response.success) {
+        setPriceRows(toRows(response.data));
+        showMessage(
+          rows ? "✅ Đã lưu bảng giá" : "✅ Đã khôi phục bảng giá mặc định"
+        );
+      } else {
+        showMessage(`❌ ${response?.error || "Không lưu được bảng giá"}`);
+      }
+    } catch (error) {
+      console.error("Failed to save prices:", error);
+      showMessage("❌ Không lưu được bảng giá");
+    }
+  };
+
+  const updatePriceRow = (index: number, changes: Partial<PriceRow>) => {
+    setPriceRows((rows) =>
+      rows.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    );
+  };
+
+  const clearUsage = async (): Promise<void> => {
+    const confirmed = confirm(
+      "Xóa toàn bộ lịch sử sử dụng? Bảng giá và giới hạn được giữ lại."
+    );
+    if (!confirmed) return;
+    try {
+      await chrome.runtime.sendMessage({ type: "CLEAR_USAGE" });
+      showMessage("🗑️ Đã xóa lịch sử sử dụng");
+      await loadSummary();
+    } catch (error) {
+      console.error("Failed to clear usage:", error);
+    }
+  };
+
+  if (!summary || !budget) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  const status = summary.budget;
+  const maxDayCost = Math.max(...summary.days.map((day) => day.cost), 0);
+  const maxDayTokens = Math.max(
+    ...summary.days.map((day) => day.promptTokens + day.completionTokens),
+    0
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <header className="bg-gradient-to-r from-indigo-600 via-purple-600 to-blue-600 text-white shadow-xl p-4">
+        <h1 className="text-xl font-bold text-shadow">💰 Usage & Cost</h1>
+        <p className="text-sm text-white/80">
+          Token và chi phí ước tính của mọi yêu cầu gửi tới model.
+          {summary.since &&
+            ` Ghi nhận từ ${new Date(summary.since).toLocaleDateString()}.`}
+        </p>
+      </header>
+
+      <main className="max-w-4xl mx-auto p-4 space-y-4">
+        {message && <div className="message-info">{message}</div>}
+
+        <section className="card space-y-3">
+          <h2 className="text-base font-semibold text-gray-900">
+            Giới hạn chi tiêu
+          </h2>
+          {status.limit ? (
+            <div>
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>
+                  {formatCost(status.spent)} / {formatCost(status.limit)}{" "}
+                  {status.period === "day" ? "hôm nay" : "tháng này"}
+                </span>
+                <span>{status.percent}%</span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden mt-1">
+                <div
+                  className={`h-full ${BUDGET_COLORS[status.state]}`}
+                  style={{ width: `${Math.min(100, status.percent || 0)}%` }}
+                />
+              </div>
+              {status.state === "warning" && (
+                <p className="message-error mt-2">
+                  ⚠️ Đã dùng hơn {status.warnAt}% giới hạn
+                </p>
+              )}
+              {status.state === "blocked" && (
+                <p className="message-error mt-2">
+                  ⛔ Đã chạm giới hạn: các yêu cầu mới bị chặn cho tới khi
+                  tăng hoặc bỏ giới hạn
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Chưa đặt giới hạn. Chi phí hiện tại:{" "}
+              {formatCost(status.spent)}{" "}
+              {status.period === "day" ? "hôm nay" : "tháng này"}.
+            </p>
+          )}
+          <div className="grid grid-cols-3 gap-2">
+            <label className="text-sm text-gray-700">
+              Chu kỳ
+              <select
+                className="input-field mt-1"
+                value={budget.period}
+                onChange={(e) =>
+                  setBudget({
+                    ...budget,
+                    period: e.target.value === "day" ? "day" : "month",
+                  })
+                }
+              >
+                <option value="day">Ngày</option>
+                <option value="month">Tháng</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Giới hạn (USD)
+              <input
+                type="number"
+                min={0}
+                step={0.5}
+                className="input-field mt-1"
+                placeholder="Không giới hạn"
+                value={limitInput}
+                onChange={(e) => setLimitInput(e.target.value)}
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Cảnh báo ở (%)
+              <input
+                type="number"
+                min={1}
+                max={100}
+                className="input-field mt-1"
+                value={budget.warnAt}
+                onChange={(e) =>
+                  setBudget({ ...budget, warnAt: Number(e.target.value) })
+                }
+              />
+            </label>
+          </div>
+          <button className="btn-primary text-sm" onClick={saveBudget}>
+            Lưu giới hạn
+          </button>
+        </section>
+
+        <section className="grid grid-cols-2 gap-4">
+          <TotalsCard title="Hôm nay" totals={summary.today} />
+          <TotalsCard title="Tháng này" totals={summary.month} />
+        </section>
+
+        <section className="card">
+          <h2 className="text-base font-semibold text-gray-900 mb-3">
+            30 ngày gần nhất
+          </h2>
+          {summary.days.length === 0 ? (
+            <p className="text-sm text-gray-500">Chưa có yêu cầu nào.</p>
+          ) : (
+            <div className="flex items-end gap-1 h-32">
+              {summary.days.map((day) => {
+                const tokens = day.promptTokens + day.completionTokens;
+                // Scale by tokens when nothing is priced (e.g. only Ollama)
+                const ratio =
+                  maxDayCost > 0
+                    ? day.cost / maxDayCost
+                    : tokens / (maxDayTokens || 1);
+                return (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-indigo-500 rounded-t hover:bg-indigo-600"
+                    style={{ height: `${Math.max(2, ratio * 100)}%` }}
+                    title={`${day.date}: ${formatCost(day.cost)} · ${day.requests} requests · ${formatTokens(tokens)} tokens`}
+                  />
+                );
+              })}
+            </div>
+          )}
+        </section>
+
+        <section className="card">
+          <h2 className="text-base font-semibold text-gray-900 mb-2">
+            Theo tính năng
+          </h2>
+          <TotalsTable
+            label="Tính năng"
+            rows={Object.entries(summary.features).map(([feature, totals]) => ({
+              key: feature,
+              name: FEATURE_LABELS[feature] || feature,
+              totals,
+            }))}
+          />
+        </section>
+
+        <section className="card">
+          <h2 className="text-base font-semibold text-gray-900 mb-2">
+            Theo cuộc trò chuyện
+          </h2>
+          <TotalsTable
+            label="Cuộc trò chuyện"
+            rows={summary.conversations.slice(0, 20).map((row) => ({
+              key: row.conversationId,
+              name: titles[row.conversationId] || "(đã xóa)",
+              totals: row,
+            }))}
+          />
+        </section>
+
+        <section className="card">
+          <h2 className="text-base font-semibold text-gray-900 mb-2">
+            Theo model
+          </h2>
+          <TotalsTable
+            label="Model"
+            rows={summary.models.map((row) => ({
+              key: row.model,
+              name: row.model,
+              totals: row,
+            }))}
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            * Có request chưa có giá, chi phí thực tế cao hơn. Token được ước
+            tính khi provider không trả về số liệu.
+          </p>
+        </section>
+
+        <section className="card space-y-3">
+          <h2 className="text-base font-semibold text-gray-900">
+            Bảng giá (USD / 1M tokens)
+          </h2>
+          <p className="text-xs text-gray-500">
+            Khớp theo tiền tố tên model, tiền tố dài nhất được dùng. Model
+            Ollama luôn miễn phí. Chi phí đã ghi nhận không đổi khi sửa giá.
+          </p>
+          <div className="space-y-1">
+            {priceRows.map((row, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  className="input-field flex-1"
+                  placeholder="Model"
+                  value={row.model}
+                  onChange={(e) =>
+                    updatePriceRow(index, { model: e.target.value })
+                  }
+                />
+                <input
+                  type="number"
+                  min={0}
+                  step="any"
+                  className="input-field w-28"
+                  placeholder="Input"
+                  value={row.input}
+                  onChange={(e) =>
+                    updatePriceRow(index, { input: e.target.value })
+                  }
+                />
+                <input
+                  type="number"
+                  min={0}
+                  step="any"
+                  className="input-field w-28"
+                  placeholder="Output"
+                  value={row.output}
+                  onChange={(e) =>
+                    updatePriceRow(index, { output: e.target.value })
+                  }
+                />
+                <button
+                  className="btn-secondary text-sm"
+                  onClick={() =>
+                    setPriceRows((rows) => rows.filter((_, i) => i !== index))
+                  }
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              className="btn-secondary text-sm"
+              onClick={() =>
+                setPriceRows((rows) => [
+                  ...rows,
+                  { model: "", input: "0", output: "0" },
+                ])
+              }
+            >
+              + Thêm model
+            </button>
+            <button
+              className="btn-primary text-sm"
+              onClick={() => savePrices(priceRows)}
+            >
+              Lưu bảng giá
+            </button>
+            <button
+              className="btn-secondary text-sm"
+              onClick={() => savePrices(null)}
+            >
+              Khôi phục mặc định
+            </button>
+          </div>
+        </section>
+
+        <section className="card flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {summary.recordCount} request đã ghi nhận (tối đa 5000 gần nhất)
+          </p>
+          <button className="btn-danger text-sm" onClick={clearUsage}>
+            🗑️ Xóa lịch sử sử dụng
+          </button>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default UsageApp;
@@ -0,0 +1,318 @@
+/**
+ * @jest-environment node
+ */
+// Error classification, and fetchWithRetry's backoff, Retry-After handling,
+// timeouts and cancellation against a mocked fetch
+import {
+  ApiError,
+  classifyError,
+  fetchWithRetry,
+} from "../src/services/api-client.js";
+
+const URL = "https://api.example.com/v1/chat/completions";
+// Keeps the waits between attempts in the milliseconds
+const FAST = { baseDelayMs: 1, maxDelayMs: 50 };
+
+const reply = (status, body = {}, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers });
+const failure = (status, message, headers = {}) =>
+  reply(status, { error: { message } }, headers);
+
+// Never settles on its own, like a server that doesn't answer
+const hang = (url, init) =>
+  new Promise((resolve, reject) => {
+    init.signal.addEventListener("abort", () =>
+      reject(new DOMException("This operation was aborted", "AbortError"))
+    );
+  });
+
+beforeEach(() => {
+  jest.spyOn(global, "fetch").mockImplementation(() => {
+    throw new Error("Unexpected fetch");
+  });
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("classifyError", () => {
+  test.each([
+    [401, "Incorrect API key provided", "auth", null],
+    [403, "Forbidden", "auth", null],
+    [400, "Invalid x-api-key", "auth", null],
+    [429, "Rate limit reached for gpt-4o", "rate_limit", null],
+    [
+      429,
+      "You exceeded your current quota",
+      "quota",
+      { error: { code: "insufficient_quota" } },
+    ],
+    [400, "Your credit balance is too low", "quota", null],
+    [
+      400,
+      "This model's maximum context length is 128000 tokens",
+      "context_length",
+      null,
+    ],
+    [400, "prompt is too long: 210000 tokens", "context_length", null],
+    [408, "Request Timeout", "timeout", null],
+    [500, "Internal server error", "server", null],
+    [529, "Overloaded", "server", { error: { type: "overloaded_error" } }],
+    [400, "Invalid value for 'temperature'", "request", null],
+    [404, "The model does not exist", "request", null],
+  ])("%i %s -> %s", (status, message, kind, errorData) => {
+    expect(classifyError(status, message, errorData)).toBe(kind);
+  });
+
+  test("reads the vendor's error code when the message is generic", () => {
+    expect(
+      classifyError(400, "Bad request", {
+        error: { type: "rate_limit_error" },
+      })
+    ).toBe("rate_limit");
+  });
+
+  test("only transient kinds are retryable", () => {
+    const retryable = (kind) => new ApiError("x", { kind }).retryable;
+
+    expect(
+      ["rate_limit", "server", "network", "timeout"].map(retryable)
+    ).toEqual([true, true, true, true]);
+    expect(
+      ["auth", "quota", "context_length", "request"].map(retryable)
+    ).toEqual([false, false, false, false]);
+    expect(new ApiError("x")).toMatchObject({
+      kind: "request",
+      status: null,
+      retryAfterMs: null,
+    });
+  });
+});
+
+describe("fetchWithRetry", () => {
+  test("returns the response of a successful request", async () => {
+    fetch.mockResolvedValueOnce(reply(200, { ok: true }));
+
+    const response = await fetchWithRetry(URL, { method: "POST" }, FAST);
+
+    expect(await response.json()).toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledWith(
+      URL,
+      expect.objectContaining({ method: "POST", signal: expect.any(Object) })
+    );
+  });
+
+  test("retries rate limits, server errors and network failures", async () => {
+    fetch
+      .mockResolvedValueOnce(failure(429, "Rate limit reached"))
+      .mockResolvedValueOnce(failure(503, "Service unavailable"))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(reply(200, { ok: true }));
+    const onRetry = jest.fn();
+
+    const response = await fetchWithRetry(
+      URL,
+      {},
+      {
+        ...FAST,
+        retries: 3,
+        onRetry,
+      }
+    );
+
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(
+      onRetry.mock.calls.map(([info]) => [info.attempt, info.error.kind])
+    ).toEqual([
+      [1, "rate_limit"],
+      [2, "server"],
+      [3, "network"],
+    ]);
+    expect(onRetry.mock.calls[2][0]).toMatchObject({ retries: 3 });
+    expect(onRetry.mock.calls[2][0].error.message).toBe(
+      "Network error: Failed to fetch"
+    );
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+
+  test("backs off exponentially up to maxDelayMs, with jitter", async () => {
+    jest.spyOn(Math, "random").mockReturnValue(1);
+    fetch.mockImplementation(async () => failure(500, "Internal error"));
+    const onRetry = jest.fn();
+
+    await expect(
+      fetchWithRetry(
+        URL,
+        {},
+        {
+          baseDelayMs: 4,
+          maxDelayMs: 10,
+          retries: 3,
+          onRetry,
+        }
+      )
+    ).rejects.toMatchObject({ kind: "server", status: 500 });
+
+    expect(onRetry.mock.calls.map(([info]) => info.delayMs)).toEqual([
+      4, 8, 10,
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test("gives up after the last retry with the final error", async () => {
+    fetch.mockImplementation(async () => failure(429, "Rate limit reached"));
+
+    const error = await fetchWithRetry(URL, {}, { ...FAST, retries: 2 }).catch(
+      (caught) => caught
+    );
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      kind: "rate_limit",
+      status: 429,
+      message: "Rate limit reached",
+    });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("does not retry errors that would fail the same way again", async () => {
+    fetch.mockResolvedValueOnce(failure(401, "Incorrect API key provided"));
+
+    await expect(fetchWithRetry(URL, {}, FAST)).rejects.toMatchObject({
+      kind: "auth",
+      status: 401,
+      message: "Incorrect API key provided",
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test("waits as long as Retry-After asks", async () => {
+    fetch
+      .mockResolvedValueOnce(
+        failure(429, "Slow down", { "retry-after-ms": "7" })
+      )
+      .mockResolvedValueOnce(failure(429, "Slow down", { "retry-after": "0" }))
+      .mockResolvedValueOnce(reply(200));
+    const onRetry = jest.fn();
+
+    await fetchWithRetry(URL, {}, { ...FAST, retries: 2, onRetry });
+
+    expect(onRetry.mock.calls.map(([info]) => info.delayMs)).toEqual([7, 0]);
+  });
+
+  test("fails at once when Retry-After is longer than maxDelayMs", async () => {
+    fetch.mockResolvedValueOnce(
+      failure(429, "Rate limit reached", { "retry-after": "120" })
+    );
+
+    await expect(fetchWithRetry(URL, {}, FAST)).rejects.toMatchObject({
+      kind: "rate_limit",
+      retryAfterMs: 120000,
+      message: "Rate limit reached (retry after 120s)",
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to the status line when the body has no message", async () => {
+    fetch.mockResolvedValueOnce(
+      new Response("<html>Bad Gateway</html>", {
+        status: 502,
+        statusText: "Bad Gateway",
+      })
+    );
+
+    await expect(
+      fetchWithRetry(URL, {}, { ...FAST, retries: 0 })
+    ).rejects.toMatchObject({
+      kind: "server",
+      message: "HTTP 502: Bad Gateway",
+    });
+  });
+
+  test("uses the provider's parseError for the message", async () => {
+    fetch.mockResolvedValueOnce(reply(400, { detail: "model not found" }));
+    const parseError = jest.fn((errorData) => errorData.detail);
+
+    await expect(
+      fetchWithRetry(URL, {}, { ...FAST, parseError })
+    ).rejects.toThrow("model not found");
+    expect(parseError).toHaveBeenCalledWith(
+      { detail: "model not found" },
+      expect.any(Response)
+    );
+  });
+
+  test("times out an attempt that gets no response", async () => {
+    fetch.mockImplementation(hang);
+
+    await expect(
+      fetchWithRetry(URL, {}, { ...FAST, retries: 1, timeoutMs: 20 })
+    ).rejects.toMatchObject({
+      kind: "timeout",
+      message: "No response within 0.02 seconds",
+    });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("reads the body inside the timeout", async () => {
+    fetch.mockResolvedValueOnce(reply(200, { answer: 42 }));
+
+    const data = await fetchWithRetry(
+      URL,
+      {},
+      {
+        ...FAST,
+        readBody: (response) => response.json(),
+      }
+    );
+
+    expect(data).toEqual({ answer: 42 });
+  });
+
+  test("throws an AbortError without fetching when already cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      fetchWithRetry(URL, {}, { ...FAST, signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("cancelling stops a request in flight without retrying", async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation(hang);
+
+    const request = fetchWithRetry(
+      URL,
+      {},
+      {
+        ...FAST,
+        signal: controller.signal,
+      }
+    );
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: "AbortError" });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("cancelling stops the wait between attempts", async () => {
+    const controller = new AbortController();
+    fetch.mockResolvedValue(failure(503, "Service unavailable"));
+
+    const request = fetchWithRetry(
+      URL,
+      {},
+      {
+        baseDelayMs: 10000,
+        maxDelayMs: 10000,
+        signal: controller.signal,
+        onRetry: () => controller.abort(),
+      }
+    );
+
+    await expect(request).rejects.toMatchObject({ name: "AbortError" });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
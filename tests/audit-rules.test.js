@@ -0,0 +1,235 @@
+// Rule-based audits: the page checks (run here in jsdom), the checks that
+// need CDP events, and weighted scoring. jsdom has no layout, so the rules
+// that only look at visible elements (contrast, labels) aren't covered.
+import {
+  collectPageAuditData,
+  finalizeAudits,
+  scoreAudits,
+} from "../src/services/audit-rules.js";
+
+const byId = (rules, id) => rules.find((rule) => rule.id === id);
+
+const setPage = (head, body) => {
+  document.head.innerHTML = head;
+  document.body.innerHTML = body;
+  document.title = document.querySelector("title")?.textContent || "";
+};
+
+const GOOD_HEAD = `
+  <title>Store</title>
+  <meta name="description" content="Things for sale">
+  <meta name="viewport" content="width=device-width">
+  <link rel="canonical" href="https://example.com/">
+  <link rel="alternate" hreflang="vi-VN" href="https://example.com/vi">
+  <script type="application/ld+json">
+    {"@context": "https://schema.org", "@type": "Store"}
+  </script>`;
+
+describe("collectPageAuditData", () => {
+  beforeAll(() => {
+    // Not implemented by jsdom
+    globalThis.CSS = globalThis.CSS || { escape: (value) => value };
+  });
+
+  test("passes a well-formed page", () => {
+    setPage(
+      GOOD_HEAD,
+      `<main><h1>Store</h1><h2>Items</h2><img src="a.png" alt="Item"></main>`
+    );
+    const { accessibility, seo } = collectPageAuditData();
+
+    const failing = [...accessibility, ...seo].filter((rule) => !rule.passed);
+    expect(failing).toEqual([]);
+    expect(byId(seo, "canonical").notApplicable).toBeUndefined();
+  });
+
+  test("flags images without alt text unless hidden from assistive tech", () => {
+    setPage(
+      GOOD_HEAD,
+      `<main>
+        <img src="a.png">
+        <img src="b.png" alt="">
+        <img src="c.png" aria-hidden="true">
+        <img src="d.png" role="presentation">
+      </main>`
+    );
+    const rule = byId(collectPageAuditData().accessibility, "image-alt");
+
+    expect(rule.passed).toBe(false);
+    expect(rule.failingCount).toBe(1);
+    expect(rule.failingElements[0].snippet).toContain("a.png");
+  });
+
+  test("expects exactly one main landmark", () => {
+    setPage(GOOD_HEAD, "<div>No landmark</div>");
+    expect(
+      byId(collectPageAuditData().accessibility, "landmark-one-main")
+        .failingElements[0].detail
+    ).toBe("Page has no <main> landmark");
+
+    setPage(GOOD_HEAD, "<main></main><div role='main'></div>");
+    expect(
+      byId(collectPageAuditData().accessibility, "landmark-one-main")
+        .failingCount
+    ).toBe(2);
+  });
+
+  test("flags headings that skip a level", () => {
+    setPage(
+      GOOD_HEAD,
+      `<main><h1>A</h1><h3>B</h3><h2>C</h2><div role="heading" aria-level="4">D</div></main>`
+    );
+    const rule = byId(collectPageAuditData().accessibility, "heading-order");
+
+    expect(rule.failingElements.map((failure) => failure.detail)).toEqual([
+      "Heading jumps from level 1 to 3",
+      "Heading jumps from level 2 to 4",
+    ]);
+  });
+
+  test("flags missing metadata and blocked indexing", () => {
+    setPage(`<meta name="robots" content="noindex">`, "<main></main>");
+    const { seo } = collectPageAuditData();
+
+    ["document-title", "meta-description", "viewport", "is-crawlable"].forEach(
+      (id) => expect(byId(seo, id).passed).toBe(false)
+    );
+    ["canonical", "hreflang", "structured-data"].forEach((id) =>
+      expect(byId(seo, id).notApplicable).toBe(true)
+    );
+  });
+
+  test("checks canonical, hreflang and JSON-LD when present", () => {
+    setPage(
+      `<link rel="canonical" href="/a">
+       <link rel="canonical" href="https://example.com/b">
+       <link rel="alternate" hreflang="english" href="https://example.com/en">
+       <link rel="alternate" hreflang="x-default" href="https://example.com/">
+       <script type="application/ld+json">{"@type": "Thing"</script>`,
+      "<main></main>"
+    );
+    const { seo } = collectPageAuditData();
+
+    expect(
+      byId(seo, "canonical").failingElements.map((failure) => failure.detail)
+    ).toEqual([
+      "Conflicting canonical URLs",
+      "Conflicting canonical URLs",
+      "Canonical URL must be absolute",
+    ]);
+    expect(byId(seo, "hreflang").failingCount).toBe(1);
+    expect(byId(seo, "structured-data").failingElements[0].detail).toMatch(
+      /^Invalid JSON-LD/
+    );
+  });
+});
+
+describe("finalizeAudits", () => {
+  const pageData = (url) => {
+    const { protocol, hostname } = new URL(url);
+    return {
+      accessibility: [],
+      seo: [
+        {
+          id: "is-crawlable",
+          passed: true,
+          failingCount: 0,
+          failingElements: [],
+        },
+      ],
+      page: { url, protocol, hostname },
+    };
+  };
+
+  const noEvents = () => ({
+    mainDocument: null,
+    requests: [],
+    mixedContent: [],
+    deprecations: [],
+    consoleErrors: [],
+  });
+
+  test("passes a clean HTTPS load", () => {
+    const { bestPractices, seo } = finalizeAudits(
+      pageData("https://example.com/"),
+      {
+        ...noEvents(),
+        mainDocument: { url: "https://example.com/", status: 200, headers: {} },
+      }
+    );
+
+    expect(bestPractices.every((rule) => rule.passed)).toBe(true);
+    expect(byId(seo, "http-status-code").passed).toBe(true);
+  });
+
+  test("fails HTTP pages except on localhost", () => {
+    const onHttp = finalizeAudits(pageData("http://example.com/"), noEvents());
+    const onLocalhost = finalizeAudits(
+      pageData("http://localhost:3000/"),
+      noEvents()
+    );
+
+    expect(byId(onHttp.bestPractices, "is-on-https").passed).toBe(false);
+    expect(byId(onLocalhost.bestPractices, "is-on-https").passed).toBe(true);
+  });
+
+  test("uses the main document's status and X-Robots-Tag", () => {
+    const { seo } = finalizeAudits(pageData("https://example.com/"), {
+      ...noEvents(),
+      mainDocument: {
+        url: "https://example.com/",
+        status: 404,
+        headers: { "X-Robots-Tag": "noindex" },
+      },
+    });
+
+    expect(byId(seo, "http-status-code").failingElements[0].detail).toBe(
+      "HTTP 404"
+    );
+    expect(byId(seo, "is-crawlable")).toMatchObject({
+      passed: false,
+      failingCount: 1,
+    });
+  });
+
+  test("reports mixed content once per URL, deprecations and console errors", () => {
+    const { bestPractices } = finalizeAudits(pageData("https://example.com/"), {
+      ...noEvents(),
+      requests: [{ url: "http://cdn.example.com/a.js", type: "Script" }],
+      mixedContent: [
+        { url: "http://cdn.example.com/a.js", resourceType: "Script" },
+        { url: "http://cdn.example.com/b.png", resolutionStatus: "warning" },
+      ],
+      deprecations: [{ type: "SyncXHR", message: "Synchronous XHR" }],
+      consoleErrors: [{ source: "network", message: "404 Not Found" }],
+    });
+
+    expect(byId(bestPractices, "no-mixed-content").failingCount).toBe(2);
+    expect(
+      byId(bestPractices, "deprecations").failingElements[0]
+    ).toMatchObject({
+      selector: "https://example.com/",
+      detail: "Synchronous XHR",
+    });
+    expect(byId(bestPractices, "errors-in-console").failingCount).toBe(1);
+  });
+});
+
+describe("scoreAudits", () => {
+  test("weights passing rules and ignores rules that don't apply", () => {
+    expect(
+      scoreAudits([
+        { weight: 3, passed: true },
+        { weight: 1, passed: false },
+        { weight: 10, passed: true, notApplicable: true },
+      ])
+    ).toBe(75);
+  });
+
+  test("scores 100 when nothing applies", () => {
+    expect(scoreAudits([])).toBe(100);
+    expect(
+      scoreAudits([{ weight: 1, passed: true, notApplicable: true }])
+    ).toBe(100);
+  });
+});
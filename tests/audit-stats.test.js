@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+// Multi-run audits: per-metric median and spread, and which run's scores
+// are reported
+import {
+  median,
+  pickMedianRun,
+  standardDeviation,
+  summarizeMetrics,
+} from "../src/services/audit-stats.js";
+
+describe("median", () => {
+  test("takes the middle value, or the mean of the two middle ones", () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+
+  test("leaves its input unsorted", () => {
+    const values = [3, 1, 2];
+    median(values);
+    expect(values).toEqual([3, 1, 2]);
+  });
+});
+
+describe("standardDeviation", () => {
+  test("is the population standard deviation", () => {
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    expect(standardDeviation([5])).toBe(0);
+    expect(standardDeviation([])).toBeNull();
+  });
+});
+
+describe("summarizeMetrics", () => {
+  test("summarizes each metric over the runs that measured it", () => {
+    const summary = summarizeMetrics([
+      { firstContentfulPaint: 900, largestContentfulPaint: null },
+      { firstContentfulPaint: 1100, largestContentfulPaint: 2000 },
+      { firstContentfulPaint: 1000 },
+    ]);
+
+    expect(summary.firstContentfulPaint).toEqual({
+      median: 1000,
+      min: 900,
+      max: 1100,
+      stdDev: Math.sqrt(20000 / 3),
+      values: [900, 1100, 1000],
+    });
+    expect(summary.largestContentfulPaint).toMatchObject({
+      median: 2000,
+      values: [2000],
+    });
+    expect(summary.timeToFirstByte).toBeNull();
+  });
+
+  test("skips runs that produced no metrics", () => {
+    const summary = summarizeMetrics([null, { loadTime: 1500 }]);
+    expect(summary.loadTime.values).toEqual([1500]);
+  });
+});
+
+describe("pickMedianRun", () => {
+  test("picks the run with the median score", () => {
+    expect(pickMedianRun([90, 70, 80])).toBe(2);
+  });
+
+  test("picks the lower-middle run for an even count", () => {
+    expect(pickMedianRun([90, 70, 80, 60])).toBe(1);
+  });
+
+  test("ignores runs without a score", () => {
+    expect(pickMedianRun([null, 90, 70, 80])).toBe(3);
+    expect(pickMedianRun([null, null])).toBe(0);
+  });
+
+  test("breaks ties by how close tieBreak is to its median", () => {
+    // FCP median is 1000; run 2 is closest among the runs scoring 80
+    expect(pickMedianRun([80, 80, 80], [1400, 600, 1050])).toBe(2);
+    // Without a tieBreak the first tied run is used
+    expect(pickMedianRun([80, 80, 80])).toBe(0);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+// Slash commands: parsing typed commands against their declared arguments,
+// and the suggestions shown while typing
+import {
+  CommandError,
+  COMMANDS,
+  formatUsage,
+  getCompletions,
+  parseCommand,
+  tokenizeCommand,
+} from "../src/gpt-popup/commands";
+
+const LISTS = {
+  auditProfiles: ["desktop", "mobile-3g", "mobile-4g"],
+  models: ["gpt-4o", "gpt-4o-mini"],
+};
+
+const parse = (input) => {
+  const result = parseCommand(input);
+  return result && { name: result.command.name, args: result.args };
+};
+
+const values = (input) =>
+  getCompletions(input, LISTS).map((completion) => completion.value);
+
+describe("tokenizeCommand", () => {
+  test("splits on whitespace and keeps quoted text together", () => {
+    expect(tokenizeCommand(`/translate --to "tiếng Anh" 'a  b' c`)).toEqual([
+      { text: "/translate", start: 0 },
+      { text: "--to", start: 11 },
+      { text: "tiếng Anh", start: 16 },
+      { text: "a  b", start: 28 },
+      { text: "c", start: 35 },
+    ]);
+  });
+});
+
+describe("parseCommand", () => {
+  test("ignores plain messages and escapes a leading slash with //", () => {
+    expect(parseCommand("hello")).toBeNull();
+    expect(parseCommand("//etc/hosts is missing")).toBeNull();
+  });
+
+  test("finds commands by name or alias, case-insensitively", () => {
+    expect(parse("/HELP").name).toBe("help");
+    expect(parse("/tomtat").name).toBe("summarize");
+    expect(parse("  /?  ").name).toBe("help");
+  });
+
+  test("keeps a rest argument as typed", () => {
+    expect(parse(`/ask  how do I "install" it?`)).toEqual({
+      name: "ask",
+      args: { question: `how do I "install" it?` },
+    });
+  });
+
+  test("reads options before a rest argument", () => {
+    expect(parse("/translate --to English Xin chào")).toEqual({
+      name: "translate",
+      args: { to: "English", text: "Xin chào" },
+    });
+    expect(parse("/translate --to=French hi").args.to).toBe("French");
+  });
+
+  test("converts number options and lowercases choices", () => {
+    expect(parse("/audit mobile-3g --runs 3")).toEqual({
+      name: "audit",
+      args: { profile: "mobile-3g", runs: 3 },
+    });
+    expect(parse("/export JSON").args).toEqual({ format: "json" });
+    expect(parse("/debug har").args).toEqual({ source: "har" });
+  });
+
+  test.each([
+    ["/nope", /Không có lệnh `\/nope`/],
+    ["/ask", /Thiếu tham số question/],
+    ["/audit --fast", /Tùy chọn không hợp lệ: `--fast`/],
+    ["/audit --runs", /`--runs` cần một giá trị/],
+    ["/audit --runs many", /`--runs` phải là số: "many"/],
+    ["/export pdf", /"pdf" không hợp lệ cho format/],
+    ["/clear now", /Thừa tham số: "now"/],
+  ])("rejects %s", (input, message) => {
+    expect(() => parseCommand(input)).toThrow(CommandError);
+    expect(() => parseCommand(input)).toThrow(message);
+  });
+
+  test("shows the command's usage with argument errors", () => {
+    expect(() => parseCommand("/audit --runs many")).toThrow(
+      "Cách dùng: `/audit [profile] [--runs <n>]`"
+    );
+  });
+});
+
+describe("formatUsage", () => {
+  test("lists choices, options and a trailing rest argument", () => {
+    const usage = (name) =>
+      formatUsage(COMMANDS.find((command) => command.name === name));
+
+    expect(usage("ask")).toBe("/ask <question...>");
+    expect(usage("translate")).toBe("/translate [--to <value>] [text...]");
+    expect(usage("export")).toBe("/export [md|json]");
+  });
+});
+
+describe("getCompletions", () => {
+  test("suggests commands while the first word is typed", () => {
+    expect(values("/tr")).toEqual(["/translate "]);
+    expect(values("/phan")).toEqual(["/analyze "]);
+    expect(values("/").length).toBe(COMMANDS.length);
+  });
+
+  test("suggests nothing for plain or escaped messages", () => {
+    expect(values("hello")).toEqual([]);
+    expect(values("//tr")).toEqual([]);
+    expect(values("/unknown ")).toEqual([]);
+  });
+
+  test("suggests choices for the argument being typed", () => {
+    expect(values("/export ")).toEqual(["/export md ", "/export json "]);
+    expect(values("/export j")).toEqual(["/export json "]);
+  });
+
+  test("suggests runtime lists such as audit profiles and models", () => {
+    expect(values("/audit mob")).toEqual([
+      "/audit mobile-3g ",
+      "/audit mobile-4g ",
+    ]);
+    expect(values("/model gpt-4o-")).toEqual(["/model gpt-4o-mini "]);
+  });
+
+  test("suggests options and skips their values when counting arguments", () => {
+    expect(values("/audit --r")).toEqual(["/audit --runs "]);
+    expect(values("/audit --runs 3 desk")).toEqual([
+      "/audit --runs 3 desktop ",
+    ]);
+  });
+
+  test("suggests nothing for free text arguments", () => {
+    expect(values("/ask how")).toEqual([]);
+  });
+});
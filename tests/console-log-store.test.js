@@ -0,0 +1,319 @@
+/**
+ * @jest-environment node
+ */
+// Structured console entries from CDP events, query filters, and retention
+// over the chunked storage layout
+import {
+  ConsoleLogStore,
+  consoleEntryFromEvent,
+} from "../src/services/console-log-store.js";
+
+const TAB = 7;
+const HOUR = 60 * 60 * 1000;
+
+const entry = (text, overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  level: "log",
+  source: "console",
+  text,
+  ...overrides,
+});
+
+const storedKeys = async () =>
+  Object.keys(await chrome.storage.local.get(null)).sort();
+
+describe("consoleEntryFromEvent", () => {
+  test("maps console calls with their arguments and call site", () => {
+    const result = consoleEntryFromEvent("Runtime.consoleAPICalled", {
+      type: "warning",
+      timestamp: 1714557600000,
+      args: [
+        { type: "string", value: "Low stock:" },
+        { type: "number", value: 3 },
+        {
+          type: "object",
+          description: "Object",
+          preview: {
+            description: "Object",
+            properties: [
+              { name: "id", type: "number", value: "42" },
+              { name: "ok", type: "boolean", value: "true" },
+            ],
+          },
+        },
+      ],
+      stackTrace: {
+        callFrames: [
+          {
+            functionName: "",
+            url: "https://shop.example/app.js",
+            lineNumber: 9,
+            columnNumber: 4,
+          },
+        ],
+      },
+    });
+
+    expect(result).toMatchObject({
+      timestamp: "2024-05-01T10:00:00.000Z",
+      level: "warn",
+      source: "console",
+      text: "Low stock: 3 Object",
+      args: ["Low stock:", 3, { id: 42, ok: true }],
+      url: "https://shop.example/app.js",
+      lineNumber: 10,
+      columnNumber: 5,
+    });
+    expect(result.stackTrace[0].functionName).toBe("(anonymous)");
+  });
+
+  test("uses the exception description for uncaught errors", () => {
+    const result = consoleEntryFromEvent("Runtime.exceptionThrown", {
+      timestamp: 1714557600000,
+      exceptionDetails: {
+        text: "Uncaught",
+        url: "https://shop.example/app.js",
+        lineNumber: 0,
+        columnNumber: 0,
+        exception: { type: "object", description: "TypeError: x is undefined" },
+      },
+    });
+
+    expect(result).toMatchObject({
+      level: "error",
+      source: "exception",
+      text: "TypeError: x is undefined",
+      lineNumber: 1,
+    });
+  });
+
+  test("maps browser log entries and ignores other events", () => {
+    expect(
+      consoleEntryFromEvent("Log.entryAdded", {
+        entry: {
+          level: "verbose",
+          source: "network",
+          text: "Preload not used",
+          timestamp: 1714557600000,
+        },
+      })
+    ).toMatchObject({ level: "debug", source: "network" });
+    expect(consoleEntryFromEvent("Network.requestWillBeSent", {})).toBeNull();
+  });
+});
+
+describe("ConsoleLogStore", () => {
+  let store;
+  beforeEach(() => {
+    store = new ConsoleLogStore();
+  });
+
+  describe("query", () => {
+    beforeEach(() => {
+      [
+        entry("App started", {
+          level: "info",
+          timestamp: "2024-05-01T10:00:00Z",
+        }),
+        entry("Deprecated API", {
+          level: "warn",
+          source: "deprecation",
+          timestamp: "2024-05-01T11:00:00Z",
+        }),
+        entry("Failed to fetch /api/cart", {
+          level: "error",
+          timestamp: "2024-05-01T12:00:00Z",
+        }),
+        entry("TypeError: cart is null", {
+          level: "error",
+          source: "exception",
+          timestamp: "2024-05-01T13:00:00Z",
+        }),
+      ].forEach((item) => store.append(TAB, item));
+    });
+
+    const texts = async (filters) =>
+      (await store.query(TAB, filters)).entries.map((item) => item.text);
+
+    test("returns everything without filters", async () => {
+      expect(await store.query(TAB)).toMatchObject({ total: 4, matched: 4 });
+    });
+
+    test("filters by level and source, as lists or comma-separated", async () => {
+      expect(await texts({ level: "warn,info" })).toEqual([
+        "App started",
+        "Deprecated API",
+      ]);
+      expect(await texts({ level: ["error"], source: "exception" })).toEqual([
+        "TypeError: cart is null",
+      ]);
+    });
+
+    test("filters by text, case-insensitively, and by regex", async () => {
+      expect(await texts({ text: "CART" })).toHaveLength(2);
+      expect(await texts({ regex: "^typeerror" })).toEqual([
+        "TypeError: cart is null",
+      ]);
+      expect(await texts({ regex: "^typeerror", regexFlags: "" })).toEqual([]);
+      await expect(store.query(TAB, { regex: "(" })).rejects.toThrow(
+        /^Invalid regex/
+      );
+    });
+
+    test("filters by time range and keeps the newest matches under limit", async () => {
+      expect(
+        await texts({
+          since: "2024-05-01T11:00:00Z",
+          until: Date.parse("2024-05-01T12:00:00Z"),
+        })
+      ).toEqual(["Deprecated API", "Failed to fetch /api/cart"]);
+      expect(
+        await store.query(TAB, { level: "error", limit: 1 })
+      ).toMatchObject({
+        matched: 2,
+        entries: [{ text: "TypeError: cart is null" }],
+      });
+      await expect(store.query(TAB, { since: "yesterday" })).rejects.toThrow(
+        "Invalid time: yesterday"
+      );
+    });
+  });
+
+  describe("retention", () => {
+    const appendMany = async (count, start = 0) => {
+      for (let i = start; i < start + count; i++) {
+        store.append(TAB, entry(String(i)));
+      }
+      await store.flush();
+    };
+
+    test("caps each tab at 5000 entries by default", async () => {
+      expect(await store.getSettings()).toEqual({
+        maxEntriesPerTab: 5000,
+        maxAgeHours: null,
+      });
+      await appendMany(5100);
+
+      const entries = await store.getEntries(TAB);
+      expect(entries).toHaveLength(5000);
+      expect(entries[0].text).toBe("100");
+    });
+
+    test("stores chunks and drops whole old chunks past the cap", async () => {
+      await store.setSettings({ maxEntriesPerTab: 300 });
+      await appendMany(150);
+      await appendMany(150, 150);
+      await appendMany(250, 300);
+
+      const index = (await chrome.storage.local.get(`console_logs:${TAB}`))[
+        `console_logs:${TAB}`
+      ];
+      // 550 entries in chunks of 200: the first chunk is no longer needed
+      expect(index.chunks.map((chunk) => chunk.count)).toEqual([200, 150]);
+      expect(await storedKeys()).toEqual([
+        "console_log_settings",
+        `console_logs:${TAB}`,
+        `console_logs:${TAB}:1`,
+        `console_logs:${TAB}:2`,
+      ]);
+
+      const entries = await store.getEntries(TAB);
+      expect(entries).toHaveLength(300);
+      expect(entries.at(-1).text).toBe("549");
+    });
+
+    test("drops entries older than maxAgeHours", async () => {
+      await store.setSettings({ maxAgeHours: 1 });
+      store.append(
+        TAB,
+        entry("old", {
+          timestamp: new Date(Date.now() - 2 * HOUR).toISOString(),
+        })
+      );
+      store.append(TAB, entry("new"));
+
+      expect((await store.getEntries(TAB)).map((item) => item.text)).toEqual([
+        "new",
+      ]);
+    });
+
+    test("treats empty settings as the default cap and no age limit", async () => {
+      expect(
+        await store.setSettings({ maxEntriesPerTab: "", maxAgeHours: "0" })
+      ).toEqual({ maxEntriesPerTab: 5000, maxAgeHours: null });
+    });
+  });
+
+  describe("flushing", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("writes appended entries in one batch after a short delay", async () => {
+      jest.useFakeTimers();
+      const set = jest.spyOn(chrome.storage.local, "set");
+      store.append(TAB, entry("a"));
+      store.append(TAB, entry("b"));
+      expect(set).not.toHaveBeenCalled();
+
+      await jest.runAllTimersAsync();
+
+      expect(set).toHaveBeenCalledTimes(1);
+      jest.useRealTimers();
+      expect((await store.getEntries(TAB)).map((item) => item.text)).toEqual([
+        "a",
+        "b",
+      ]);
+    });
+
+    test("keeps a batch that failed to write for the next flush", async () => {
+      jest.useFakeTimers();
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      jest
+        .spyOn(chrome.storage.local, "set")
+        .mockRejectedValueOnce(new Error("QUOTA_BYTES quota exceeded"));
+
+      store.append(TAB, entry("a"));
+      await jest.runAllTimersAsync();
+      expect(warn).toHaveBeenCalledWith(
+        "Failed to write console logs:",
+        expect.any(Error)
+      );
+
+      store.append(TAB, entry("b"));
+      jest.useRealTimers();
+      expect((await store.getEntries(TAB)).map((item) => item.text)).toEqual([
+        "a",
+        "b",
+      ]);
+    });
+  });
+
+  describe("clearing", () => {
+    test("clears one tab's index and chunks, including unwritten entries", async () => {
+      store.append(TAB, entry("a"));
+      store.append(8, entry("b"));
+      await store.flush();
+      store.append(TAB, entry("pending"));
+
+      await store.clear(TAB);
+
+      expect(await store.getEntries(TAB)).toEqual([]);
+      expect(await storedKeys()).toEqual([
+        "console_logs:8",
+        "console_logs:8:0",
+      ]);
+    });
+
+    test("clears every tab but leaves other keys alone", async () => {
+      await chrome.storage.local.set({ console_log_settings: {}, other: 1 });
+      store.append(TAB, entry("a"));
+      store.append(8, entry("b"));
+      await store.flush();
+
+      await store.clearAll();
+
+      expect(await storedKeys()).toEqual(["console_log_settings", "other"]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @jest-environment node
+ */
+// Streaming: SSE and NDJSON parsing in readStream, and what sendStreamRequest
+// keeps when an answer is stopped or the stream fails part way
+import { GPTService } from "../src/services/gpt-service.js";
+import { createProvider } from "../src/services/providers/index.js";
+import { ApiError } from "../src/services/api-client.js";
+
+const encoder = new TextEncoder();
+
+// A body that yields each part as its own chunk, then ends or fails
+const streamOf = (parts, { error = null, onCancel = () => {} } = {}) => {
+  const queue = [...parts];
+  return new ReadableStream({
+    pull(controller) {
+      if (queue.length > 0) {
+        controller.enqueue(encoder.encode(queue.shift()));
+      } else if (error) {
+        controller.error(error);
+      } else {
+        controller.close();
+      }
+    },
+    cancel: onCancel,
+  });
+};
+
+const openAIChunk = (text) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+
+const serviceFor = (type = "openai") => {
+  const service = new GPTService();
+  service.providerConfig = { type };
+  service.provider = createProvider(service.providerConfig);
+  service.apiKey = "test-key";
+  return service;
+};
+
+const collect = async (service, body, idleTimeoutMs) => {
+  const events = [];
+  await service.readStream(body, (event) => events.push(event), idleTimeoutMs);
+  return events;
+};
+
+describe("readStream", () => {
+  test("joins SSE events split across chunks", async () => {
+    const events = await collect(
+      serviceFor(),
+      streamOf(['data: {"n":', "1}\n", '\ndata: {"n":2}\r\n\r\n'])
+    );
+    expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+
+  test("reads only data lines and skips malformed events", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const events = await collect(
+      serviceFor(),
+      streamOf([
+        ": keep-alive\n\n",
+        'event: message_start\ndata: {"n":1}\n\n',
+        "data: {not json}\n\n",
+        'data: {"n":2}\n\n',
+      ])
+    );
+    expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test("handles a last event without a trailing separator", async () => {
+    const events = await collect(
+      serviceFor(),
+      streamOf(['data: {"n":1}\n\n', 'data: {"n":2}'])
+    );
+    expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+
+  test("stops at [DONE] and cancels the body", async () => {
+    const onCancel = jest.fn();
+    const events = await collect(
+      serviceFor(),
+      streamOf(['data: {"n":1}\n\ndata: [DONE]\n\n', 'data: {"n":2}\n\n'], {
+        onCancel,
+      })
+    );
+    expect(events).toEqual([{ n: 1 }]);
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test("reads newline-delimited JSON for Ollama", async () => {
+    const events = await collect(
+      serviceFor("ollama"),
+      streamOf(['{"n":1}\n{"n"', ':2}\r\n\n{"n":3}'])
+    );
+    expect(events).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+  });
+
+  test("gives up on a stream that stops sending", async () => {
+    const stalled = new ReadableStream({ pull: () => new Promise(() => {}) });
+    await expect(collect(serviceFor(), stalled, 50)).rejects.toMatchObject({
+      name: "ApiError",
+      kind: "timeout",
+    });
+  });
+});
+
+describe("sendStreamRequest", () => {
+  const request = { message: "Question", conversationId: "thread-1" };
+
+  const lastAnswer = async (service) => {
+    const thread = await service.conversationStore.getThread("thread-1");
+    return thread.messages.at(-1);
+  };
+
+  test("streams the answer and saves it", async () => {
+    const service = serviceFor();
+    service.postChat = async () => ({
+      body: streamOf([openAIChunk("Hello"), openAIChunk(" world")]),
+    });
+    const chunks = [];
+
+    const result = await service.sendStreamRequest(request, (delta) =>
+      chunks.push(delta)
+    );
+
+    expect(chunks).toEqual(["Hello", " world"]);
+    expect(result).toMatchObject({ content: "Hello world", aborted: false });
+    expect(await lastAnswer(service)).toMatchObject({
+      role: "assistant",
+      content: "Hello world",
+    });
+    expect(await lastAnswer(service)).not.toHaveProperty("stopped");
+  });
+
+  test("keeps the partial answer when stopped", async () => {
+    const service = serviceFor();
+    service.postChat = async () => ({
+      body: streamOf([openAIChunk("Partial")], {
+        error: new DOMException("Stopped", "AbortError"),
+      }),
+    });
+
+    const result = await service.sendStreamRequest(request, () => {});
+
+    expect(result).toMatchObject({ content: "Partial", aborted: true });
+    expect(result.usage).not.toBeNull();
+    expect(await lastAnswer(service)).toMatchObject({
+      content: "Partial",
+      stopped: true,
+    });
+  });
+
+  test("saves the partial answer and usage before a failure is thrown", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const service = serviceFor();
+    service.postChat = async () => ({
+      body: streamOf([openAIChunk("Partial")], {
+        error: new ApiError("Connection reset", { kind: "network" }),
+      }),
+    });
+
+    await expect(service.sendStreamRequest(request, () => {})).rejects.toThrow(
+      "Connection reset"
+    );
+
+    expect(await lastAnswer(service)).toMatchObject({
+      content: "Partial",
+      stopped: true,
+    });
+    expect(await service.usageTracker.getRecords()).toHaveLength(1);
+  });
+
+  test("saves nothing when the request fails before the answer starts", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const service = serviceFor();
+    service.postChat = async () => {
+      throw new ApiError("Invalid API key", { kind: "auth", status: 401 });
+    };
+
+    await expect(service.sendStreamRequest(request, () => {})).rejects.toThrow(
+      "Invalid API key"
+    );
+    expect(await service.conversationStore.getThread("thread-1")).toBeFalsy();
+    expect(await service.usageTracker.getRecords()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @jest-environment node
+ */
+// HAR 1.2 export from recorded requests, and reading a HAR file back for
+// the same problem summary as live capture
+import {
+  buildHar,
+  parseHar,
+  requestsFromHar,
+  summarizeHar,
+} from "../src/services/har.js";
+
+const SESSION = {
+  startedAt: "2024-05-01T10:00:00.000Z",
+  page: { title: "Shop", url: "https://shop.example/" },
+  pageTimings: { onContentLoad: 420 },
+  consoleEntries: [{ level: "error", text: "Boom" }],
+};
+
+const documentRecord = () => ({
+  url: "https://shop.example/?q=shoes&page=2",
+  method: "GET",
+  type: "Document",
+  protocol: "h2",
+  status: 200,
+  statusText: "OK",
+  mimeType: "text/html",
+  requestHeaders: { Accept: "text/html" },
+  responseHeaders: { "Set-Cookie": "a=1\nb=2" },
+  encodedDataLength: 1200,
+  remoteIPAddress: "203.0.113.5",
+  wallTime: 1714557600,
+  startedAt: 99.99,
+  finishedAt: 100.08,
+  timing: {
+    requestTime: 100,
+    dnsStart: 1,
+    dnsEnd: 3,
+    connectStart: 3,
+    connectEnd: 10,
+    sslStart: 5,
+    sslEnd: 10,
+    sendStart: 10,
+    sendEnd: 11,
+    receiveHeadersEnd: 50,
+  },
+  body: { body: "<html></html>", base64Encoded: false },
+});
+
+describe("buildHar", () => {
+  test("describes the page and keeps console entries in _consoleEntries", () => {
+    const { log } = buildHar([], SESSION, "1.0.0");
+
+    expect(log.version).toBe("1.2");
+    expect(log.creator).toEqual({ name: "GPT Extension", version: "1.0.0" });
+    expect(log.pages).toEqual([
+      {
+        startedDateTime: SESSION.startedAt,
+        id: "page_1",
+        title: "Shop",
+        pageTimings: { onContentLoad: 420, onLoad: -1 },
+        _url: "https://shop.example/",
+      },
+    ]);
+    expect(log._consoleEntries).toEqual(SESSION.consoleEntries);
+  });
+
+  test("maps a request with its timings, headers and body", () => {
+    const [entry] = buildHar([documentRecord()], SESSION).log.entries;
+
+    expect(entry.startedDateTime).toBe("2024-05-01T10:00:00.000Z");
+    expect(entry.request).toMatchObject({
+      method: "GET",
+      httpVersion: "HTTP/2",
+      headers: [{ name: "Accept", value: "text/html" }],
+      queryString: [
+        { name: "q", value: "shoes" },
+        { name: "page", value: "2" },
+      ],
+    });
+    expect(entry.response).toMatchObject({
+      status: 200,
+      headers: [
+        { name: "Set-Cookie", value: "a=1" },
+        { name: "Set-Cookie", value: "b=2" },
+      ],
+      content: { size: 13, mimeType: "text/html", text: "<html></html>" },
+    });
+    expect(entry.serverIPAddress).toBe("203.0.113.5");
+    expect(entry.timings).toEqual({
+      blocked: 11,
+      dns: 2,
+      connect: 7,
+      ssl: 5,
+      send: 1,
+      wait: 39,
+      receive: 30,
+    });
+    // ssl is part of connect and not counted twice
+    expect(entry.time).toBe(90);
+  });
+
+  test("marks base64 bodies, post data and failures", () => {
+    const [entry] = buildHar(
+      [
+        {
+          url: "https://api.example/upload",
+          method: "POST",
+          type: "Fetch",
+          requestHeaders: { "Content-Type": "application/json" },
+          postData: '{"a":1}',
+          durationMs: 25,
+          failed: true,
+          errorText: "net::ERR_BLOCKED_BY_CLIENT",
+          blockedReason: "inspector",
+          body: { body: "AAEC", base64Encoded: true },
+        },
+      ],
+      SESSION
+    ).log.entries;
+
+    expect(entry.request.postData).toEqual({
+      mimeType: "application/json",
+      text: '{"a":1}',
+    });
+    expect(entry.response.content).toMatchObject({
+      text: "AAEC",
+      encoding: "base64",
+    });
+    expect(entry.response).toMatchObject({
+      status: 0,
+      _error: "net::ERR_BLOCKED_BY_CLIENT",
+      _canceled: false,
+      _blockedReason: "inspector",
+    });
+    // Without CDP timing the whole duration counts as wait
+    expect(entry.timings).toMatchObject({ dns: -1, wait: 25 });
+  });
+});
+
+describe("parseHar", () => {
+  test("accepts a HAR object or its JSON", () => {
+    const har = buildHar([], SESSION);
+    expect(parseHar(har)).toBe(har);
+    expect(parseHar(JSON.stringify(har))).toEqual(har);
+  });
+
+  test("rejects anything else", () => {
+    expect(() => parseHar("{oops")).toThrow(/^Not a HAR file/);
+    expect(() => parseHar({ log: {} })).toThrow(
+      "Not a HAR file: missing log.entries"
+    );
+  });
+});
+
+describe("requestsFromHar and summarizeHar", () => {
+  const entry = (url, response, extra = {}) => ({
+    request: { url, method: "GET" },
+    response: { content: {}, ...response },
+    time: 10,
+    ...extra,
+  });
+
+  const har = () =>
+    parseHar({
+      log: {
+        pages: [{ title: "Shop", _url: "https://shop.example/" }],
+        entries: [
+          entry(
+            "https://shop.example/",
+            { status: 200 },
+            { _resourceType: "document" }
+          ),
+          entry("https://shop.example/missing.js", { status: 404 }),
+          entry(
+            "https://shop.example/app.js",
+            { status: 200, content: { mimeType: "text/html" } },
+            { _resourceType: "script" }
+          ),
+          entry("https://ads.example/ad.js", {
+            status: 0,
+            _error: "net::ERR_BLOCKED_BY_CLIENT",
+          }),
+          entry("https://shop.example/aborted", {
+            status: 0,
+            _error: "net::ERR_ABORTED",
+            _canceled: true,
+          }),
+          entry("https://shop.example/slow", { status: 200 }, { time: 5000 }),
+        ],
+        _consoleEntries: [{ level: "warn", text: "Careful" }],
+      },
+    });
+
+  test("turns entries back into request records", () => {
+    const records = requestsFromHar(har());
+
+    expect(records[0]).toMatchObject({ type: "Document", failed: false });
+    expect(records[1]).toMatchObject({ type: "Other", status: 404 });
+    expect(records[2]).toMatchObject({ type: "Script", mimeMismatch: true });
+    expect(records[3]).toMatchObject({ failed: true, canceled: false });
+    expect(records[4]).toMatchObject({ failed: true, canceled: true });
+  });
+
+  test("summarizes problems like live capture, ignoring canceled requests", () => {
+    const summary = summarizeHar(har());
+    const urls = (list) => list.map((request) => request.url);
+
+    expect(summary.page).toMatchObject({
+      title: "Shop",
+      url: "https://shop.example/",
+    });
+    expect(summary.consoleEntries).toEqual([
+      { level: "warn", text: "Careful" },
+    ]);
+    expect(summary.network.totalRequests).toBe(6);
+    expect(urls(summary.network.failedRequests)).toEqual([
+      "https://ads.example/ad.js",
+    ]);
+    expect(urls(summary.network.httpErrors)).toEqual([
+      "https://shop.example/missing.js",
+    ]);
+    expect(urls(summary.network.mimeMismatches)).toEqual([
+      "https://shop.example/app.js",
+    ]);
+    expect(urls(summary.network.slowRequests)).toEqual([
+      "https://shop.example/slow",
+    ]);
+  });
+
+  test("round-trips an exported session", () => {
+    const exported = JSON.stringify(buildHar([documentRecord()], SESSION));
+    const summary = summarizeHar(parseHar(exported));
+
+    expect(summary.page.url).toBe("https://shop.example/");
+    expect(summary.consoleEntries).toEqual(SESSION.consoleEntries);
+    expect(requestsFromHar(parseHar(exported))[0]).toMatchObject({
+      url: documentRecord().url,
+      type: "Document",
+      status: 200,
+      durationMs: 90,
+      failed: false,
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+// API key masking, plain storage, and passphrase encryption with the
+// unlocked key kept in session storage
+import { KeyVault, maskKey } from "../src/services/key-vault.js";
+
+const API_KEY = "sk-proj-abcdefghijklmnopxyz9";
+
+describe("maskKey", () => {
+  test("keeps the prefix and the last four characters", () => {
+    expect(maskKey(API_KEY)).toBe("sk-…xyz9");
+    expect(maskKey("abcdefghijkl")).toBe("…ijkl");
+  });
+
+  test("hides short keys entirely and passes missing ones through", () => {
+    expect(maskKey("sk-12345")).toBe("••••••••");
+    expect(maskKey("")).toBeNull();
+    expect(maskKey(null)).toBeNull();
+  });
+});
+
+describe("KeyVault", () => {
+  test("reports no key before one is set", async () => {
+    const vault = new KeyVault();
+
+    expect(await vault.getKey()).toBeNull();
+    expect(await vault.getStatus()).toEqual({
+      hasKey: false,
+      encrypted: false,
+      locked: false,
+      masked: null,
+    });
+  });
+
+  test("stores a key without a passphrase as plain text", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(`  ${API_KEY}\n`);
+
+    expect(await vault.getKey()).toBe(API_KEY);
+    expect(await chrome.storage.local.get(null)).toEqual({
+      openai_api_key: API_KEY,
+    });
+    expect(await vault.getStatus()).toEqual({
+      hasKey: true,
+      encrypted: false,
+      locked: false,
+      masked: "sk-…xyz9",
+    });
+  });
+
+  test("rejects an empty key", async () => {
+    await expect(new KeyVault().setKey("   ")).rejects.toThrow(
+      "API key is empty"
+    );
+  });
+
+  test("encrypts with a passphrase and leaves no plain text behind", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(API_KEY);
+    await vault.setKey(API_KEY, "correct horse");
+
+    const local = await chrome.storage.local.get(null);
+    expect(Object.keys(local)).toEqual(["api_key_vault"]);
+    expect(local.api_key_vault).toMatchObject({
+      iterations: 250000,
+      masked: "sk-…xyz9",
+    });
+    expect(JSON.stringify(local)).not.toContain("abcdefghijklmnop");
+
+    // The one who typed the passphrase starts out unlocked
+    expect(await vault.getKey()).toBe(API_KEY);
+    expect(await vault.getStatus()).toEqual({
+      hasKey: true,
+      encrypted: true,
+      locked: false,
+      masked: "sk-…xyz9",
+    });
+  });
+
+  test("locks and unlocks with the passphrase", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(API_KEY, "correct horse");
+    await vault.lock();
+
+    expect(await vault.getKey()).toBeNull();
+    expect(await vault.getStatus()).toMatchObject({
+      hasKey: true,
+      locked: true,
+    });
+
+    await expect(vault.unlock("battery staple")).rejects.toThrow(
+      "Wrong passphrase"
+    );
+    expect(await vault.getKey()).toBeNull();
+
+    expect(await vault.unlock("correct horse")).toBe(API_KEY);
+    expect(await vault.getKey()).toBe(API_KEY);
+    expect(await chrome.storage.session.get(null)).toEqual({
+      api_key_unlocked: API_KEY,
+    });
+  });
+
+  test("refuses to unlock a key that isn't encrypted", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(API_KEY);
+
+    await expect(vault.unlock("anything")).rejects.toThrow(
+      "API key is not encrypted"
+    );
+  });
+
+  test("going back to plain text drops the vault and the unlocked key", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(API_KEY, "correct horse");
+    await vault.setKey("sk-other-key-1234");
+
+    expect(await chrome.storage.local.get(null)).toEqual({
+      openai_api_key: "sk-other-key-1234",
+    });
+    expect(await chrome.storage.session.get(null)).toEqual({});
+    expect(await vault.getKey()).toBe("sk-other-key-1234");
+  });
+
+  test("clear removes every copy of the key", async () => {
+    const vault = new KeyVault();
+    await vault.setKey(API_KEY, "correct horse");
+    await vault.clear();
+
+    expect(await chrome.storage.local.get(null)).toEqual({});
+    expect(await chrome.storage.session.get(null)).toEqual({});
+    expect(await vault.getStatus()).toMatchObject({ hasKey: false });
+  });
+});
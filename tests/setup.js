@@ -0,0 +1,54 @@
+// Runs before each test file: in-memory chrome.storage.local and .session,
+// enough for the services that persist state to be constructed and used in
+// tests.
+// Values are copied in and out, as real storage serializes them.
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const createStorageArea = () => {
+  let items = {};
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...items };
+    if (typeof keys === "string") keys = [keys];
+    if (Array.isArray(keys)) {
+      return Object.fromEntries(
+        keys.filter((key) => key in items).map((key) => [key, items[key]])
+      );
+    }
+    // Object form: keys with their defaults
+    return Object.fromEntries(
+      Object.entries(keys).map(([key, value]) => [
+        key,
+        key in items ? items[key] : value,
+      ])
+    );
+  };
+
+  return {
+    get: async (keys) => copy(pick(keys)),
+    set: async (values) => {
+      items = { ...items, ...copy(values) };
+    },
+    remove: async (keys) => {
+      for (const key of [].concat(keys)) delete items[key];
+    },
+    clear: async () => {
+      items = {};
+    },
+  };
+};
+
+beforeEach(() => {
+  globalThis.chrome = {
+    storage: {
+      local: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: { addListener: () => {}, removeListener: () => {} },
+    },
+    runtime: { lastError: null },
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
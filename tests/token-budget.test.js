@@ -0,0 +1,157 @@
+/**
+ * @jest-environment node
+ */
+// Token estimates, context sizes, and how buildMessages fits a long thread
+// into the prompt budget by summarizing older turns
+import {
+  DEFAULT_CONTEXT_WINDOW,
+  estimateMessagesTokens,
+  estimateTokens,
+  getContextWindow,
+} from "../src/services/token-budget.js";
+import { GPTService } from "../src/services/gpt-service.js";
+
+describe("estimateTokens", () => {
+  test("counts about four ASCII characters per token", () => {
+    expect(estimateTokens("")).toBe(0);
+    expect(estimateTokens("abcd")).toBe(1);
+    expect(estimateTokens("a".repeat(400))).toBe(100);
+  });
+
+  test("counts accented and non-Latin text as more tokens", () => {
+    expect(estimateTokens("é".repeat(30))).toBe(20);
+    expect(estimateTokens("Tiếng Việt")).toBeGreaterThan(
+      estimateTokens("Tieng Viet")
+    );
+  });
+
+  test("adds per-message overhead and reply priming", () => {
+    const messages = [
+      { role: "system", content: "abcd" },
+      { role: "user", content: "abcdabcd" },
+    ];
+    expect(estimateMessagesTokens(messages)).toBe(1 + 4 + 2 + 4 + 3);
+  });
+});
+
+describe("getContextWindow", () => {
+  test.each([
+    ["gpt-4o-mini", 128000],
+    ["gpt-4.1-nano", 1047576],
+    ["gpt-4-32k", 32768],
+    ["gpt-4", 8192],
+    ["gpt-3.5-turbo", 16385],
+    ["claude-3-5-haiku-latest", 200000],
+    ["meta-llama/Llama-3.1-8B", 128000],
+    ["some-new-model", DEFAULT_CONTEXT_WINDOW],
+  ])("%s has %i tokens", (model, tokens) => {
+    expect(getContextWindow(model)).toBe(tokens);
+  });
+});
+
+describe("buildMessages", () => {
+  const THREAD = "thread-1";
+  // gpt-4 (8192) with 7000 reserved for the reply leaves a ~1132 token prompt
+  const SETTINGS = { model: "gpt-4", maxTokens: 7000, systemPrompt: "" };
+
+  // Ten question/answer pairs of ~100 tokens each, twice what fits
+  const longHistory = () =>
+    Array.from({ length: 20 }, (_, i) => ({
+      role: i % 2 === 0 ? "user" : "assistant",
+      content: `${i} ${"x".repeat(400)}`,
+    }));
+
+  let service;
+  beforeEach(async () => {
+    service = new GPTService();
+    await service.conversationStore.appendMessages(THREAD, longHistory());
+  });
+
+  const build = (message = "New question") =>
+    service.buildMessages(message, null, THREAD, {
+      ...service.getSettings(),
+      ...SETTINGS,
+    });
+
+  test("sends a short thread unchanged", async () => {
+    await service.conversationStore.deleteThread(THREAD);
+    await service.conversationStore.appendMessages(THREAD, [
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: "Hello" },
+    ]);
+
+    const { messages, contextUsage } = await build();
+
+    expect(messages.map((m) => m.content)).toEqual([
+      "Hi",
+      "Hello",
+      "New question",
+    ]);
+    expect(contextUsage).toMatchObject({
+      historyMessages: 2,
+      summarizedMessages: 0,
+      droppedMessages: 0,
+    });
+  });
+
+  test("folds older turns into a summary that is saved on the thread", async () => {
+    service.summarizeHistory = jest.fn(async () => "Earlier: numbers");
+
+    const { messages, contextUsage } = await build();
+
+    expect(estimateMessagesTokens(messages)).toBeLessThanOrEqual(
+      contextUsage.budget
+    );
+    expect(messages[0]).toMatchObject({ role: "system" });
+    expect(messages[0].content).toContain("Earlier: numbers");
+    // The kept window opens with a question, never a dangling answer
+    expect(messages[1].role).toBe("user");
+    expect(messages.at(-1)).toEqual({ role: "user", content: "New question" });
+
+    const [previous, turns] = service.summarizeHistory.mock.calls[0];
+    expect(previous).toBeNull();
+    expect(turns[0].content).toMatch(/^0 /);
+    expect(contextUsage.summarizedNow).toBe(turns.length);
+    expect(contextUsage.droppedMessages).toBe(0);
+
+    const thread = await service.conversationStore.getThread(THREAD);
+    expect(thread.summary).toBe("Earlier: numbers");
+    expect(thread.summarizedCount).toBe(turns.length);
+  });
+
+  test("starts from the saved summary on the next request", async () => {
+    service.summarizeHistory = jest.fn(async () => "Earlier: numbers");
+    await build();
+    const { summarizedCount } =
+      await service.conversationStore.getThread(THREAD);
+
+    const { contextUsage } = await build("Another question");
+
+    expect(service.summarizeHistory).toHaveBeenCalledTimes(1);
+    expect(contextUsage).toMatchObject({
+      summarizedMessages: summarizedCount,
+      summarizedNow: 0,
+      historyMessages: 20 - summarizedCount,
+    });
+  });
+
+  test("drops older turns when summarizing fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    service.summarizeHistory = jest.fn(async () => {
+      throw new Error("rate limited");
+    });
+
+    const { messages, contextUsage } = await build();
+
+    expect(messages.some((m) => m.role === "system")).toBe(false);
+    expect(contextUsage.droppedMessages).toBeGreaterThan(0);
+    expect(contextUsage.summarizedMessages).toBe(0);
+    expect(estimateMessagesTokens(messages)).toBeLessThanOrEqual(
+      contextUsage.budget
+    );
+  });
+
+  test("rejects a message that alone is over the budget", async () => {
+    await expect(build("y".repeat(8000))).rejects.toThrow(/too long for gpt-4/);
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * @jest-environment node
+ */
+// Cost estimates from the price table, the request log, per day /
+// conversation / model totals, and the spending cap
+import {
+  DEFAULT_PRICES,
+  UsageTracker,
+  dayKey,
+} from "../src/services/usage-tracker.js";
+
+// Local noon, so "today" and "this month" don't depend on the time zone
+const NOW = new Date(2026, 9, 19, 12).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+const usage = (overrides = {}) => ({
+  provider: "openai",
+  model: "gpt-4o",
+  promptTokens: 1000,
+  completionTokens: 500,
+  ...overrides,
+});
+
+const seed = (records) =>
+  chrome.storage.local.set({
+    usage_log: records.map((record) => ({
+      conversationId: null,
+      feature: "chat",
+      provider: "openai",
+      model: "gpt-4o",
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      estimated: false,
+      ...record,
+    })),
+  });
+
+beforeEach(() => {
+  jest.spyOn(Date, "now").mockReturnValue(NOW);
+});
+
+describe("priceFor", () => {
+  const tracker = new UsageTracker();
+
+  test("uses the longest matching model prefix", () => {
+    expect(
+      tracker.priceFor("gpt-4o-mini-2024-07-18", "openai", DEFAULT_PRICES)
+    ).toEqual({ input: 0.15, output: 0.6 });
+    expect(
+      tracker.priceFor("GPT-4o-2024-08-06", "openai", DEFAULT_PRICES)
+    ).toEqual({ input: 2.5, output: 10 });
+    expect(tracker.priceFor("gpt-4-0613", "openai", DEFAULT_PRICES)).toEqual({
+      input: 30,
+      output: 60,
+    });
+  });
+
+  test("ignores a router's vendor prefix", () => {
+    expect(
+      tracker.priceFor("anthropic/claude-3-5-sonnet", "custom", DEFAULT_PRICES)
+    ).toEqual({ input: 3, output: 15 });
+  });
+
+  test("treats local models as free and unknown ones as unpriced", () => {
+    expect(tracker.priceFor("llama3", "ollama", DEFAULT_PRICES)).toEqual({
+      input: 0,
+      output: 0,
+    });
+    expect(tracker.priceFor("mystery-model", "custom", DEFAULT_PRICES)).toBe(
+      null
+    );
+  });
+});
+
+describe("record", () => {
+  test("logs the request with its estimated cost", async () => {
+    const tracker = new UsageTracker();
+    const result = await tracker.record(
+      usage({ conversationId: "c1", feature: "page", estimated: true })
+    );
+
+    expect(result).toMatchObject({
+      timestamp: NOW,
+      conversationId: "c1",
+      feature: "page",
+      model: "gpt-4o",
+      estimated: true,
+    });
+    // 1000 * $2.50 + 500 * $10 per million tokens
+    expect(result.cost).toBeCloseTo(0.0075);
+    expect(result.budget.state).toBe("ok");
+
+    const records = await tracker.getRecords();
+    expect(records).toHaveLength(1);
+    expect(records[0]).not.toHaveProperty("budget");
+  });
+
+  test("files unknown features under other and leaves unknown models unpriced", async () => {
+    const tracker = new UsageTracker();
+    const result = await tracker.record(
+      usage({ feature: "telemetry", provider: "custom", model: "mystery" })
+    );
+
+    expect(result.feature).toBe("other");
+    expect(result.cost).toBeNull();
+  });
+
+  test("keeps every record when requests finish at the same time", async () => {
+    const tracker = new UsageTracker();
+    await Promise.all(
+      Array.from({ length: 5 }, (_, i) =>
+        tracker.record(usage({ conversationId: `c${i}` }))
+      )
+    );
+
+    const ids = (await tracker.getRecords()).map((r) => r.conversationId);
+    expect(ids.sort()).toEqual(["c0", "c1", "c2", "c3", "c4"]);
+  });
+
+  test("drops the oldest records past the cap", async () => {
+    await seed(
+      Array.from({ length: 5000 }, (_, i) => ({
+        timestamp: NOW - DAY,
+        conversationId: `old-${i}`,
+      }))
+    );
+    const tracker = new UsageTracker();
+    await tracker.record(usage({ conversationId: "new" }));
+
+    const records = await tracker.getRecords();
+    expect(records).toHaveLength(5000);
+    expect(records[0].conversationId).toBe("old-1");
+    expect(records.at(-1).conversationId).toBe("new");
+  });
+});
+
+describe("prices", () => {
+  test("normalizes an edited table and rejects invalid prices", async () => {
+    const tracker = new UsageTracker();
+    expect(
+      await tracker.setPrices({ " My-Model ": { input: "1", output: 2 } })
+    ).toEqual({ "my-model": { input: 1, output: 2 } });
+
+    await expect(
+      tracker.setPrices({ "gpt-4o": { input: -1, output: 2 } })
+    ).rejects.toThrow('Invalid price for "gpt-4o"');
+    await expect(
+      tracker.setPrices({ "gpt-4o": { input: "free", output: 2 } })
+    ).rejects.toThrow("Invalid price");
+  });
+
+  test("logged costs keep the price that applied at the time", async () => {
+    const tracker = new UsageTracker();
+    await tracker.record(usage());
+    await tracker.setPrices({ "gpt-4o": { input: 0, output: 0 } });
+    await tracker.record(usage());
+
+    const costs = (await tracker.getRecords()).map((r) => r.cost);
+    expect(costs[0]).toBeCloseTo(0.0075);
+    expect(costs[1]).toBe(0);
+
+    expect(await tracker.setPrices(null)).toBe(DEFAULT_PRICES);
+    expect(await tracker.getPrices()).toBe(DEFAULT_PRICES);
+  });
+});
+
+describe("spending cap", () => {
+  test("validates and clamps the budget settings", async () => {
+    const tracker = new UsageTracker();
+    expect(await tracker.getBudget()).toEqual({
+      period: "month",
+      limit: null,
+      warnAt: 80,
+    });
+
+    expect(
+      await tracker.setBudget({ period: "week", limit: "5", warnAt: 150 })
+    ).toEqual({ period: "month", limit: 5, warnAt: 100 });
+    expect(await tracker.setBudget({ period: "day", limit: "" })).toEqual({
+      period: "day",
+      limit: null,
+      warnAt: 80,
+    });
+    await expect(tracker.setBudget({ limit: 0 })).rejects.toThrow(
+      "Spending cap must be a positive amount"
+    );
+  });
+
+  test("warns near the cap and blocks at it", async () => {
+    const tracker = new UsageTracker();
+    await tracker.setBudget({ period: "month", limit: 10, warnAt: 80 });
+
+    await seed([{ timestamp: NOW - DAY, cost: 7 }]);
+    expect(await tracker.getBudgetStatus()).toMatchObject({
+      spent: 7,
+      percent: 70,
+      state: "ok",
+    });
+
+    await seed([{ timestamp: NOW - DAY, cost: 8.5 }]);
+    expect(await tracker.assertWithinBudget()).toMatchObject({
+      percent: 85,
+      state: "warning",
+    });
+
+    await seed([
+      { timestamp: NOW - DAY, cost: 8.5 },
+      { timestamp: NOW, cost: 1.5, model: "mystery" },
+      { timestamp: NOW, cost: null },
+    ]);
+    await expect(tracker.assertWithinBudget()).rejects.toThrow(
+      "Spending cap reached: $10.00 of $10.00 this month."
+    );
+  });
+
+  test("only counts spending in the current period", async () => {
+    const tracker = new UsageTracker();
+    await tracker.setBudget({ period: "day", limit: 1 });
+    await seed([
+      { timestamp: NOW - DAY, cost: 50 },
+      { timestamp: NOW - 60 * 1000, cost: 0.25 },
+    ]);
+
+    expect(await tracker.assertWithinBudget()).toMatchObject({
+      spent: 0.25,
+      state: "ok",
+    });
+
+    await tracker.setBudget({ period: "month", limit: 1 });
+    await expect(tracker.assertWithinBudget()).rejects.toThrow("this month");
+  });
+
+  test("a new record reports the budget it leaves behind", async () => {
+    const tracker = new UsageTracker();
+    await tracker.setBudget({ period: "day", limit: 0.01 });
+    const result = await tracker.record(usage());
+
+    expect(result.budget).toMatchObject({ percent: 75, state: "ok" });
+    expect((await tracker.record(usage())).budget.state).toBe("blocked");
+  });
+});
+
+describe("getSummary", () => {
+  test("groups totals by period, day, feature, conversation and model", async () => {
+    const lastMonth = new Date(2026, 8, 30, 12).getTime();
+    await seed([
+      { timestamp: lastMonth, cost: 4, feature: "debug", conversationId: "a" },
+      {
+        timestamp: NOW - 2 * DAY,
+        cost: 1,
+        promptTokens: 10,
+        conversationId: "a",
+      },
+      {
+        timestamp: NOW - 60 * 1000,
+        cost: 2,
+        completionTokens: 5,
+        conversationId: "b",
+      },
+      {
+        timestamp: NOW,
+        cost: null,
+        feature: "page",
+        model: "mystery",
+        conversationId: "b",
+      },
+    ]);
+
+    const summary = await new UsageTracker().getSummary({
+      conversationId: "b",
+    });
+
+    expect(summary.today).toEqual({
+      requests: 2,
+      promptTokens: 0,
+      completionTokens: 5,
+      cost: 2,
+      unpriced: 1,
+    });
+    expect(summary.month).toMatchObject({ requests: 3, cost: 3, unpriced: 1 });
+    expect(summary.days.map((day) => [day.date, day.cost])).toEqual([
+      ["2026-09-30", 4],
+      ["2026-10-17", 1],
+      ["2026-10-19", 2],
+    ]);
+    expect(summary.features.chat).toMatchObject({ requests: 2, cost: 3 });
+    expect(summary.features.page).toMatchObject({ requests: 1, unpriced: 1 });
+    expect(summary.conversations.map((row) => row.conversationId)).toEqual([
+      "a",
+      "b",
+    ]);
+    expect(summary.models.map((row) => [row.model, row.requests])).toEqual([
+      ["gpt-4o", 3],
+      ["mystery", 1],
+    ]);
+    expect(summary.conversation).toMatchObject({ requests: 2, cost: 2 });
+    expect(summary.recordCount).toBe(4);
+    expect(summary.since).toBe(lastMonth);
+  });
+
+  test("leaves days outside the window out of the daily rows", async () => {
+    await seed([
+      { timestamp: NOW - 40 * DAY, cost: 1 },
+      { timestamp: NOW, cost: 1 },
+    ]);
+
+    const summary = await new UsageTracker().getSummary({ days: 7 });
+    expect(summary.days.map((day) => day.date)).toEqual([dayKey(NOW)]);
+    expect(summary.conversation).toBeNull();
+  });
+});
+
+test("clear empties the log", async () => {
+  const tracker = new UsageTracker();
+  await tracker.record(usage());
+  await tracker.clear();
+
+  expect(await tracker.getRecords()).toEqual([]);
+  expect((await tracker.getSummary()).recordCount).toBe(0);
+});
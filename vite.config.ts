@@ -9,6 +9,9 @@ export default defineConfig({
       input: {
         popup: resolve(__dirname, "src/popup/index.html"),
         "gpt-popup": resolve(__dirname, "src/gpt-popup/index.html"),
+        "audit-history": resolve(__dirname, "src/audit-history/index.html"),
+        settings: resolve(__dirname, "src/settings/index.html"),
+        usage: resolve(__dirname, "src/usage/index.html"),
         background: resolve(__dirname, "src/background/background.js"),
       },
       output: {